@@ -34,6 +34,14 @@ const FLAGS = {
     TACTICAL_PRESET: 'tacticalPreset',         // Stores tactical behavior preset (on Actor)
     COMBAT_MEMORY: 'combatMemory',             // Stores combat memory data (on Combat)
     ACTION_PLAN: 'actionPlan',                 // Stores multi-action plan (on Actor)
+    ACTIONS_PER_TURN: 'actionsPerTurn',        // Overrides the 3 actions per turn for special action economies (on Actor)
+    AUTOPILOT: 'autopilot',                    // Executes and confirms suggestions without GM clicks (on NPC Actor)
+    REACTIONS_USED: 'reactionsUsed',           // When each combatant last used its reaction (on Combat)
+    READIED_ACTION: 'readiedAction',           // Readied action waiting for its trigger until the creature's next turn (on Actor)
+    ACTION_JOURNAL: 'actionJournal',           // State before each confirmed action this turn, for Undo (on Actor)
+    KNOWLEDGE_LEDGER: 'knowledgeLedger',       // What the party has identified about each enemy actor (on Combat)
+    MORALE: 'morale',                          // Fallen combatants and GM morale overrides (on Combat)
+    BEHAVIOR_PROFILE: 'behaviorProfile',       // Overrides the behavior profile detected from traits and Intelligence (on NPC Actor)
     // Party Coordination Flags (Phase 2)
     PARTY_COORDINATION: 'partyCoordination',   // Stores party coordination state (on Combat)
     PARTY_ROLES: 'partyRoles',                 // Stores assigned party roles (on Combat)
@@ -232,7 +240,15 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         reasons.push('Close range');
     }
 
-    // 4. Enemy conditions that make them dangerous
+    // 4. Reactions that punish acting within the enemy's reach
+    const reactionsInRange = (enemy.reactions || []).filter(reaction =>
+        distance <= (reaction.rangeFeet ?? enemy.meleeReach ?? 5) && reaction.triggers.some(trigger => trigger !== 'attack'));
+    if (reactionsInRange.length > 0) {
+        threatScore += 10;
+        reasons.push(`${reactionsInRange.map(reaction => reaction.name).join(', ')} if you move or manipulate nearby`);
+    }
+
+    // 5. Enemy conditions that make them dangerous
     const enemyConditions = enemy.conditionsEffects || [];
     const dangerousConditionNames = ['hasted', 'quickened', 'enlarged', 'heroism', 'rage'];
     for (const cond of enemyConditions) {
@@ -243,7 +259,7 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         }
     }
 
-    // 5. Self conditions that increase vulnerability
+    // 6. Self conditions that increase vulnerability
     const selfConditions = self.conditionsEffects || [];
     const vulnerableConditionNames = ['off-guard', 'prone', 'grabbed', 'restrained', 'stunned', 'slowed'];
     for (const cond of selfConditions) {
@@ -254,7 +270,7 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         }
     }
 
-    // 6. HP status modifiers
+    // 7. HP status modifiers
     if (selfHpPercent < 25) {
         threatScore += 20;
         reasons.push('Your HP is critical');
@@ -262,7 +278,7 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         threatScore += 10;
     }
 
-    // 7. Enemy HP status (wounded enemies are less threatening)
+    // 8. Enemy HP status (wounded enemies are less threatening)
     if (enemyHpPercent < 25) {
         threatScore -= 15;
         reasons.push('Enemy near death');
@@ -270,7 +286,7 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         threatScore -= 5;
     }
 
-    // 8. Area damage potential (check if enemy has area abilities and multiple allies nearby)
+    // 9. Area damage potential (check if enemy has area abilities and multiple allies nearby)
     const alliesNearEnemy = (aliveAllies || []).filter(ally => {
         const allyDist = ally.numericDistance || 999;
         return allyDist <= 30;
@@ -281,7 +297,7 @@ function assessEnemyThreat(enemy, self, aliveAllies, gameState) {
         reasons.push('Can hit multiple allies');
     }
 
-    // 9. Check enemy AC vs self attack bonus (if available)
+    // 10. Check enemy AC vs self attack bonus (if available)
     if (enemy.ac && self.strikes && self.strikes.length > 0) {
         const bestStrike = self.strikes[0];
         const baseBonusMatch = bestStrike.bonuses?.match(/([+-]?\d+)/);
@@ -593,7 +609,8 @@ function scoreStrikesForSituation(strikes, primaryEnemy, mapPenalty = 0, situati
         return [];
     }
 
-    const enemyAC = primaryEnemy?.ac || 15;
+    // An unidentified AC is estimated the way describeUnidentifiedEnemy does, from the creature's level
+    const enemyAC = primaryEnemy?.ac ?? primaryEnemy?.estimatedAC ?? 15;
     const enemyDistance = primaryEnemy?.numericDistance || primaryEnemy?.distance || 5;
     const enemyConditions = (primaryEnemy?.conditionsEffects || []).map(c => c.name?.toLowerCase() || '');
     const isFlanking = situationalBonuses.flanking || false;
@@ -621,7 +638,7 @@ function scoreStrikesForSituation(strikes, primaryEnemy, mapPenalty = 0, situati
         const hitTarget = enemyAC - effectiveBonus - flankingBonus;
         const hitChance = Math.min(95, Math.max(5, (21 - hitTarget) * 5));
         score += hitChance * 0.5;
-        reasoning.push(`${hitChance}% hit chance`);
+        reasoning.push(`${hitChance}% hit chance${primaryEnemy?.ac == null && primaryEnemy?.estimatedAC != null ? ' (AC not identified, estimated)' : ''}`);
 
         // Parse damage
         const avgDamage = parseDamageForAverage(strike.damage || '1d4');
@@ -631,6 +648,25 @@ function scoreStrikesForSituation(strikes, primaryEnemy, mapPenalty = 0, situati
         // Trait bonuses
         const traits = (strike.traits || '').toLowerCase().split(',').map(t => t.trim());
 
+        // Known immunities, weaknesses and resistances of the target; a versatile weapon uses its best type
+        const damageTypes = getAbilityDamageTypes(strike.damage, traits);
+        const immunity = findAbilityImmunity({ traits, damageTypes: damageTypes.types, alternatives: damageTypes.alternatives }, primaryEnemy?.defenses);
+        if (!immunity && primaryEnemy?.defenses && damageTypes.types.length > 0) {
+            const best = [damageTypes.types[0], ...damageTypes.alternatives]
+                .map(type => ({ type, modifier: getDamageTypeModifier(type, primaryEnemy.defenses, traits) }))
+                .sort((a, b) => b.modifier - a.modifier)[0];
+            const switched = best.type !== damageTypes.types[0] ? ', versatile' : '';
+            if (best.modifier > 0) {
+                score += best.modifier * 2;
+                reasoning.push(`Weakness +${best.modifier} (${best.type}${switched})`);
+            } else if (best.modifier < 0 && best.modifier !== -Infinity) {
+                score += best.modifier * 2;
+                reasoning.push(`Resisted ${-best.modifier} (${best.type}${switched})`);
+            } else if (switched) {
+                reasoning.push(`Use ${best.type} (versatile)`);
+            }
+        }
+
         if (isAgile && mapPenalty > 0) {
             score += 10;
             reasoning.push('Agile (reduced MAP)');
@@ -681,6 +717,12 @@ function scoreStrikesForSituation(strikes, primaryEnemy, mapPenalty = 0, situati
             reasoning.push('Reach advantage');
         }
 
+        if (immunity) {
+            score = -100; // Target is immune = unusable
+            reasoning.length = 0;
+            reasoning.push(`TARGET IMMUNE (${immunity})`);
+        }
+
         // Ready status
         if (!strike.ready) {
             score -= 20;
@@ -888,10 +930,15 @@ function identifyFlankingOpportunities(gameState) {
     // Return existing opportunities from flankingData
     if (flankingData.flankingOpportunities?.length > 0) {
         for (const opp of flankingData.flankingOpportunities) {
+            // The movement planner knows whether a flanking square can actually be reached this turn
+            const flankSquare = gameState.movement?.flankSquares?.find(flank => flank.enemyTokenId === opp.targetId && flank.allyTokenId === opp.allyId);
+            if (flankSquare && flankSquare.pathFeet === null) continue;
             opportunities.push({
                 type: 'flanking',
                 enemy: opp.target,
-                partner: opp.flankingWith,
+                ally: opp.flankingWith,
+                moveRequired: flankSquare?.pathFeet ?? null,
+                strides: flankSquare?.strides ?? null,
                 hint: opp.hint,
                 benefit: 'Target becomes off-guard (-2 AC) for both flankers'
             });
@@ -1193,17 +1240,34 @@ function getNumericRange(abilityData, context = 'unknown') {
 // HIT PROBABILITY & EXPECTED DAMAGE ANALYSIS
 // ============================================================================
 
+/**
+ * PF2e degree of success of one d20 roll against a DC, including the natural 1/20 step.
+ * @param {number} roll - The d20 result (1-20).
+ * @param {number} total - The roll plus modifiers.
+ * @param {number} dc - The DC (or AC) to beat.
+ * @returns {string} 'criticalSuccess', 'success', 'failure' or 'criticalFailure'.
+ */
+function getDegreeOfSuccess(roll, total, dc) {
+    const difference = total - dc;
+    const degrees = ['criticalFailure', 'failure', 'success', 'criticalSuccess'];
+    let index = difference >= 10 ? 3 : difference >= 0 ? 2 : difference > -10 ? 1 : 0;
+    // Natural 20 upgrades the result one step, natural 1 downgrades it
+    if (roll === 20) index = Math.min(3, index + 1);
+    if (roll === 1) index = Math.max(0, index - 1);
+    return degrees[index];
+}
+
 /**
  * Calculates the hit probability for an attack against a target AC.
  * Accounts for natural 1/20 rules in PF2e.
  * @param {number} attackBonus - The total attack modifier (e.g., +15).
  * @param {number} targetAC - The target's Armor Class.
  * @param {number} mapPenalty - The current Multiple Attack Penalty (0, -4, -5, -8, -10).
- * @returns {object} An object with hit and crit percentages: { hit: number, crit: number }.
+ * @returns {object} An object with hit, crit and critical miss percentages: { hit: number, crit: number, critFail: number }.
  */
 function calculateHitProbability(attackBonus, targetAC, mapPenalty = 0) {
     if (typeof attackBonus !== 'number' || typeof targetAC !== 'number') {
-        return { hit: 0, crit: 0 };
+        return { hit: 0, crit: 0, critFail: 0 };
     }
 
     const effectiveBonus = attackBonus + mapPenalty;
@@ -1214,30 +1278,13 @@ function calculateHitProbability(attackBonus, targetAC, mapPenalty = 0) {
     // Need: roll + bonus >= AC, so roll >= AC - bonus = targetNumber
     let hitChance = 0;
     let critChance = 0;
+    let critFailChance = 0;
 
     // Count successful rolls (including crits)
     for (let roll = 1; roll <= 20; roll++) {
-        const total = roll + effectiveBonus;
-        const difference = total - targetAC;
-
-        // PF2e degrees of success
-        let degree = 'failure';
-        if (difference >= 10) degree = 'criticalSuccess';
-        else if (difference >= 0) degree = 'success';
-        else if (difference >= -10) degree = 'failure';
-        else degree = 'criticalFailure';
-
-        // Natural 20 upgrades success one step
-        if (roll === 20) {
-            if (degree === 'failure') degree = 'success';
-            else if (degree === 'success') degree = 'criticalSuccess';
-        }
-        // Natural 1 downgrades success one step
-        if (roll === 1) {
-            if (degree === 'criticalSuccess') degree = 'success';
-            else if (degree === 'success') degree = 'failure';
-        }
+        const degree = getDegreeOfSuccess(roll, roll + effectiveBonus, targetAC);
 
+        if (degree === 'criticalFailure') critFailChance += 5;
         if (degree === 'success') hitChance += 5;
         if (degree === 'criticalSuccess') {
             hitChance += 5;
@@ -1247,2579 +1294,6363 @@ function calculateHitProbability(attackBonus, targetAC, mapPenalty = 0) {
 
     return {
         hit: Math.min(100, Math.max(0, hitChance)),
-        crit: Math.min(100, Math.max(0, critChance))
+        crit: Math.min(100, Math.max(0, critChance)),
+        critFail: Math.min(100, Math.max(0, critFailChance))
     };
 }
 
+/** Damage types a formula partial can name. */
+const DAMAGE_TYPES = ['acid', 'bludgeoning', 'cold', 'electricity', 'fire', 'force', 'mental', 'piercing', 'poison', 'slashing', 'sonic',
+    'spirit', 'vitality', 'void', 'bleed', 'untyped', 'positive', 'negative', 'good', 'evil', 'lawful', 'chaotic'];
+/** Damage type groups that resistances, weaknesses and immunities can name instead of a single type. */
+const DAMAGE_TYPE_GROUPS = {
+    'physical': ['bludgeoning', 'piercing', 'slashing', 'bleed'],
+    'energy': ['acid', 'cold', 'electricity', 'fire', 'force', 'sonic', 'vitality', 'void', 'positive', 'negative']
+};
+/** Chance that the DC 15 flat check at the end of each turn ends persistent damage. */
+const PERSISTENT_RECOVERY_CHANCE = 0.3;
+/** Conditions that leave a creature off-guard, so precision damage applies. */
+const OFF_GUARD_CONDITIONS = ['off-guard', 'flat-footed', 'prone', 'grabbed', 'restrained', 'paralyzed', 'unconscious'];
+
 /**
- * Parses a damage formula string and calculates average damage.
- * @param {string} damageFormula - The damage formula (e.g., "2d12+5 slashing").
- * @returns {number} The average damage value.
+ * Splits a damage formula into partials by damage type. Untyped dice join the type that follows them
+ * ("2d8+4 slashing"); a bare modifier after a typed partial joins that partial ("2d8 slashing + 4").
+ * @param {string} damageFormula - E.g. "1d10+5 piercing plus 1d6 persistent bleed".
+ * @returns {Array<object>} Partials: { dice: [{ count, size }], flat, type, category } where category is
+ *   'persistent', 'splash', 'precision' or null, and type is null when the formula names none.
  */
-function parseDamageForAverage(damageFormula) {
-    if (!damageFormula || typeof damageFormula !== 'string') return 0;
-
-    // Match patterns like "2d12", "1d8+5", "3d6 + 10 fire", etc.
-    const dicePattern = /(\d+)d(\d+)/gi;
-    const modifierPattern = /([+-]\s*\d+)/g;
+function parseDamagePartials(damageFormula) {
+    if (!damageFormula || typeof damageFormula !== 'string') return [];
+
+    const termPattern = new RegExp(`([+-])?\\s*\\b(\\d+)(?:d(\\d+))?\\b(?:\\s+(persistent|splash|precision)\\b)?(?:\\s+(${DAMAGE_TYPES.join('|')})\\b)?`, 'gi');
+    const partials = [];
+    let pending = [];
+    const toPartial = (terms, type, category) => ({
+        dice: terms.filter(term => term.size).map(term => ({ count: term.count, size: term.size })),
+        flat: terms.filter(term => !term.size).reduce((sum, term) => sum + term.count, 0),
+        type, category
+    });
 
-    let totalAverage = 0;
     let match;
-
-    // Calculate average from dice
-    while ((match = dicePattern.exec(damageFormula)) !== null) {
-        const numDice = parseInt(match[1], 10);
-        const dieSize = parseInt(match[2], 10);
-        // Average of a die = (1 + dieSize) / 2
-        totalAverage += numDice * ((1 + dieSize) / 2);
+    while ((match = termPattern.exec(damageFormula)) !== null) {
+        const sign = match[1] === '-' ? -1 : 1;
+        const term = { count: sign * parseInt(match[2], 10), size: match[3] ? parseInt(match[3], 10) : null };
+        const category = match[4]?.toLowerCase() ?? null;
+        const type = match[5]?.toLowerCase() ?? null;
+        // A bare modifier right after a typed partial belongs to it ("2d8 slashing + 4 plus 1d6 fire")
+        const lastPartial = partials[partials.length - 1];
+        if (!term.size && !type && !category && pending.length === 0 && lastPartial && !lastPartial.category) {
+            lastPartial.flat += term.count;
+            continue;
+        }
+        pending.push(term);
+        if (type || category) {
+            partials.push(toPartial(pending, type, category));
+            pending = [];
+        }
     }
-
-    // Add flat modifiers
-    const modifiers = damageFormula.match(modifierPattern);
-    if (modifiers) {
-        for (const mod of modifiers) {
-            const value = parseInt(mod.replace(/\s/g, ''), 10);
-            if (!isNaN(value)) totalAverage += value;
+    if (pending.length > 0) {
+        const firstPlain = partials.find(partial => !partial.category);
+        if (firstPlain) {
+            const trailing = toPartial(pending, null, null);
+            firstPlain.dice.push(...trailing.dice);
+            firstPlain.flat += trailing.flat;
+        } else {
+            partials.push(toPartial(pending, null, null));
         }
     }
-
-    return totalAverage;
+    return partials;
 }
 
 /**
- * Calculates expected damage for a strike considering hit/crit probabilities.
- * @param {string} damageFormula - The damage formula.
- * @param {object} hitProb - The hit probability object from calculateHitProbability.
- * @param {string[]} traits - Array of traits (for deadly/fatal).
- * @returns {number} The expected damage value.
+ * Average of one damage partial.
+ * @param {object} partial - From parseDamagePartials.
+ * @param {number|null} [dieSizeOverride=null] - Rolls every die at this size instead (fatal on a critical hit).
+ * @returns {number} The average damage.
  */
-function calculateExpectedDamage(damageFormula, hitProb, traits = []) {
-    const avgDamage = parseDamageForAverage(damageFormula);
-    if (avgDamage === 0 || !hitProb) return 0;
-
-    // Base expected damage from hits (non-crits)
-    const normalHitChance = (hitProb.hit - hitProb.crit) / 100;
-    const critChance = hitProb.crit / 100;
+function averageDamagePartial(partial, dieSizeOverride = null) {
+    const diceAverage = partial.dice.reduce((sum, die) => sum + die.count * ((1 + (dieSizeOverride ?? die.size)) / 2), 0);
+    return Math.max(0, diceAverage + partial.flat);
+}
 
-    // Crit damage is double
-    let critMultiplier = 2;
+/**
+ * Parses a damage formula string and calculates the average of its immediate damage.
+ * Flat numbers only count as part of a damage term, and persistent damage is left out
+ * (see evaluateStrikeDamage for its expected value).
+ * @param {string} damageFormula - The damage formula (e.g., "2d12+5 slashing").
+ * @returns {number} The average damage value.
+ */
+function parseDamageForAverage(damageFormula) {
+    return parseDamagePartials(damageFormula)
+        .filter(partial => partial.category !== 'persistent')
+        .reduce((sum, partial) => sum + averageDamagePartial(partial), 0);
+}
 
-    // Check for deadly/fatal traits which add extra crit damage
-    // Deadly adds extra dice on crit (e.g., deadly d10 adds 1d10, deadly 2d10 adds 2d10)
-    // Fatal changes the die size on crit and adds one die
-    let extraCritDamage = 0;
-    const traitsLower = traits.map(t => typeof t === 'string' ? t.toLowerCase() : '');
+/**
+ * Reads a creature's immunities, weaknesses and resistances in the shape applyDamageDefenses uses.
+ * @param {ActorPF2e} actor - The creature.
+ * @returns {object} { immunities: string[], weaknesses: [{ type, value }], resistances: [{ type, value, exceptions }] }.
+ */
+function getActorDamageDefenses(actor) {
+    const attributes = actor?.system?.attributes ?? {};
+    return {
+        immunities: (attributes.immunities ?? []).map(immunity => immunity.type).filter(Boolean),
+        weaknesses: (attributes.weaknesses ?? []).map(weakness => ({ type: weakness.type, value: weakness.value ?? 0 })),
+        resistances: (attributes.resistances ?? []).map(resistance => ({ type: resistance.type, value: resistance.value ?? 0, exceptions: resistance.exceptions ?? [] }))
+    };
+}
 
-    for (const trait of traitsLower) {
-        if (trait.startsWith('deadly-')) {
-            // Extract dice from deadly trait (e.g., "deadly-d10" or "deadly-2d8")
-            const deadlyMatch = trait.match(/deadly-(\d*)d(\d+)/);
-            if (deadlyMatch) {
-                const numDice = deadlyMatch[1] ? parseInt(deadlyMatch[1], 10) : 1;
-                const dieSize = parseInt(deadlyMatch[2], 10);
-                extraCritDamage += numDice * ((1 + dieSize) / 2);
-            }
-        } else if (trait.startsWith('fatal-')) {
-            // Fatal upgrades die and adds one die on crit
-            // This is complex to calculate precisely, so we approximate
-            const fatalMatch = trait.match(/fatal-d(\d+)/);
-            if (fatalMatch) {
-                const fatalDieSize = parseInt(fatalMatch[1], 10);
-                // Add approximately one fatal die's worth of average
-                extraCritDamage += (1 + fatalDieSize) / 2;
-            }
-        }
-    }
+/**
+ * Whether the GM lets a creature's suggestions use its enemies' immunities, weaknesses and resistances.
+ * @param {string} selfDesignation - The acting creature's designation, 'enemy' or 'friendly'.
+ * @returns {boolean}
+ */
+function areEnemyDefensesKnown(selfDesignation) {
+    let visibility = 'enemySide';
+    try {
+        visibility = game.settings.get(MODULE_ID, 'enemyDefensesVisibility');
+    } catch (e) { /* Setting not registered yet */ }
+    if (visibility === 'always') return true;
+    if (visibility === 'enemySide') return selfDesignation !== 'friendly';
+    return false;
+}
 
-    const expectedDamage = (normalHitChance * avgDamage) +
-                          (critChance * (avgDamage * critMultiplier + extraCritDamage));
+/**
+ * Whether a resistance, weakness or immunity entry covers a damage type.
+ * @param {string} entryType - The entry's type, e.g. 'fire', 'physical' or 'all-damage'.
+ * @param {string} damageType - The damage type dealt.
+ * @returns {boolean}
+ */
+function damageDefenseCovers(entryType, damageType) {
+    return entryType === damageType || entryType === 'all-damage' || !!DAMAGE_TYPE_GROUPS[entryType]?.includes(damageType);
+}
 
-    return Math.round(expectedDamage * 10) / 10; // Round to 1 decimal
+/**
+ * Whether a resistance reduces damage of a type: it must cover the type, and none of its exceptions may
+ * match the damage's type or traits ("physical 5 except silver" doesn't reduce a silver weapon's damage).
+ * @param {object} resistance - { type, value, exceptions } from getActorDamageDefenses.
+ * @param {string} damageType - The damage type dealt.
+ * @param {string[]} [damageTraits=[]] - Traits and materials of the damage, e.g. ['magical', 'silver'].
+ * @returns {boolean}
+ */
+function resistanceApplies(resistance, damageType, damageTraits = []) {
+    if (!damageDefenseCovers(resistance.type, damageType)) return false;
+    return !(resistance.exceptions ?? []).some(exception => exception === damageType || damageTraits.includes(exception) || !!DAMAGE_TYPE_GROUPS[exception]?.includes(damageType));
 }
 
-// ============================================================================
-// FLANKING & POSITIONAL AWARENESS
-// ============================================================================
+/**
+ * Damage actually dealt after the target's immunities, resistances and weaknesses.
+ * Damage is totalled per type first, so each type takes its highest resistance and weakness once.
+ * Precision damage also checks precision immunity and resistance, then counts as its weapon's type.
+ * Resistances don't apply when one of their exceptions matches the damage (see resistanceApplies).
+ * @param {Array<object>} instances - { type, amount, category } of one damage roll.
+ * @param {object|null} defenses - From getActorDamageDefenses, or null to apply none.
+ * @param {string[]} [damageTraits=[]] - Traits and materials of the roll, e.g. a Strike's traits.
+ * @returns {number} The damage dealt.
+ */
+function applyDamageDefenses(instances, defenses, damageTraits = []) {
+    const byType = new Map();
+    for (const instance of instances) {
+        let amount = Math.max(0, instance.amount);
+        if (instance.category === 'precision' && defenses) {
+            if (defenses.immunities.includes('precision')) continue;
+            const precisionResistance = Math.max(0, ...defenses.resistances.filter(resistance => resistance.type === 'precision').map(resistance => resistance.value));
+            amount = Math.max(0, amount - precisionResistance);
+        }
+        byType.set(instance.type, (byType.get(instance.type) ?? 0) + amount);
+    }
+
+    let total = 0;
+    for (const [type, amount] of byType) {
+        if (amount <= 0) continue;
+        if (!defenses) { total += amount; continue; }
+        if (defenses.immunities.some(immunity => damageDefenseCovers(immunity, type))) continue;
+        const resistance = Math.max(0, ...defenses.resistances.filter(entry => resistanceApplies(entry, type, damageTraits)).map(entry => entry.value));
+        const weakness = Math.max(0, ...defenses.weaknesses.filter(entry => damageDefenseCovers(entry.type, type)).map(entry => entry.value));
+        total += Math.max(0, amount - resistance) + weakness;
+    }
+    return total;
+}
 
 /**
- * Checks if two tokens are adjacent (within 5 feet of each other).
- * Handles different token sizes.
- * @param {Token} token1 - First token.
- * @param {Token} token2 - Second token.
- * @returns {boolean} True if tokens are adjacent.
+ * Expected total of persistent damage: it is taken at the end of each turn until a DC 15 flat check ends it.
+ * @param {Array<object>} instances - The persistent damage instances.
+ * @param {object|null} defenses - From getActorDamageDefenses.
+ * @param {string[]} [damageTraits=[]] - Traits and materials of the damage.
+ * @returns {number} Expected damage over all rounds.
  */
-function isTokenAdjacent(token1, token2) {
-    if (!token1 || !token2 || !canvas?.grid) return false;
+function expectedPersistentDamage(instances, defenses, damageTraits = []) {
+    if (instances.length === 0 || defenses?.immunities.includes('persistent-damage')) return 0;
+    return applyDamageDefenses(instances, defenses, damageTraits) / PERSISTENT_RECOVERY_CHANCE;
+}
 
-    try {
-        // Use Foundry's built-in distance measurement
-        const distance = token1.distanceTo(token2);
-        // Adjacent means within reach (typically 5ft, but account for token sizes)
-        // For PF2e, creatures are adjacent if they could make a reach 5ft melee attack
-        return distance <= 5;
-    } catch (e) {
-        console.warn("AI isTokenAdjacent: Error calculating distance:", e);
-        return false;
+/**
+ * The extra precision damage a creature deals to off-guard targets (e.g. Sneak Attack).
+ * @param {ActorPF2e} actor - The attacking creature.
+ * @returns {object|null} { formula, source }, or null if it has none.
+ */
+function getPrecisionDamage(actor) {
+    const abilities = [...(actor?.itemTypes?.feat ?? []), ...(actor?.itemTypes?.action ?? [])];
+    const sneakAttack = abilities.find(item => item.slug === 'sneak-attack');
+    // The rogue class feature grows with level; an NPC's ability states its dice
+    if (sneakAttack && actor.type === 'character') {
+        const level = actor.level ?? 1;
+        return { formula: `${level >= 17 ? 4 : level >= 11 ? 3 : level >= 5 ? 2 : 1}d6 precision`, source: sneakAttack.name };
+    }
+    for (const item of sneakAttack ? [sneakAttack, ...abilities] : abilities) {
+        const diceMatch = (item.system?.description?.value || '').match(/(\d+d\d+)\s+(?:extra\s+)?precision damage/i);
+        if (diceMatch) return { formula: `${diceMatch[1]} precision`, source: item.name };
     }
+    return null;
 }
 
 /**
- * Checks if an attacker is flanking a target with help from an ally.
- * PF2e flanking requires attacker and ally to be on opposite sides/corners of target.
- * @param {Token} attackerToken - The attacking token.
- * @param {Token} targetToken - The target being attacked.
- * @param {Token} allyToken - The ally potentially providing flanking.
- * @returns {boolean} True if flanking condition is met.
+ * Whether a target is off-guard to the attacker: from its conditions, or because the attacker flanks it.
+ * @param {object} target - A creature from gatherGameState.
+ * @param {object} [flankingData] - From analyzeFlanking.
+ * @returns {boolean}
  */
-function checkFlanking(attackerToken, targetToken, allyToken) {
-    if (!attackerToken || !targetToken || !allyToken || !canvas?.grid) return false;
+function isTargetOffGuard(target, flankingData = null) {
+    const conditions = (target?.conditionsEffects || []).map(cond => (cond.name || '').toLowerCase().split(' ')[0]);
+    if (conditions.some(condName => OFF_GUARD_CONDITIONS.includes(condName))) return true;
+    return !!flankingData?.currentlyFlanking?.some(flank => flank.targetId === target?.tokenId);
+}
 
-    try {
-        // Both attacker and ally must be adjacent to target
-        if (!isTokenAdjacent(attackerToken, targetToken)) return false;
-        if (!isTokenAdjacent(allyToken, targetToken)) return false;
+/**
+ * Expected damage of a Strike against a target, split by damage type.
+ * - Deadly adds its dice on a critical hit (1, 2 or 3 dice as the weapon's striking runes add dice).
+ * - Fatal turns every weapon die into the fatal die on a critical hit and adds one more.
+ * - Precision damage applies only when the target is off-guard.
+ * - Persistent damage counts its expected total until the flat check ends it; splash also lands on a miss.
+ * - The target's immunities, resistances and weaknesses are applied to each hit.
+ * @param {string} damageFormula - The Strike's damage formula.
+ * @param {object} hitProb - From calculateHitProbability.
+ * @param {string[]} [traits=[]] - The Strike's traits.
+ * @param {object} [options={}] - { precisionFormula, targetOffGuard, defenses }.
+ * @returns {object} { expected, onHit, onCrit, persistentPerRound, precisionApplied }.
+ */
+function evaluateStrikeDamage(damageFormula, hitProb, traits = [], options = {}) {
+    const { precisionFormula = null, targetOffGuard = false, defenses = null } = options;
+    const partials = parseDamagePartials(damageFormula);
+    const empty = { expected: 0, onHit: 0, onCrit: 0, persistentPerRound: 0, precisionApplied: false };
+    if (partials.length === 0 || !hitProb) return empty;
 
-        // Get center positions
-        const attackerCenter = attackerToken.center;
-        const targetCenter = targetToken.center;
-        const allyCenter = allyToken.center;
+    const main = partials.find(partial => !partial.category) ?? partials[0];
+    const mainType = main.type ?? 'untyped';
+    const typeOf = partial => partial.type ?? mainType;
 
-        if (!attackerCenter || !targetCenter || !allyCenter) return false;
+    const traitsLower = traits.map(t => typeof t === 'string' ? t.toLowerCase() : '');
+    const fatalDie = parseInt(traitsLower.map(t => t.match(/^fatal-d(\d+)$/)?.[1]).find(Boolean), 10) || null;
+    const deadlyMatch = traitsLower.map(t => t.match(/^deadly-(\d*)d(\d+)$/)).find(Boolean);
+    const weaponDice = main.dice.reduce((sum, die) => sum + die.count, 0);
+    const deadlyDice = deadlyMatch ? (parseInt(deadlyMatch[1], 10) || (weaponDice >= 4 ? 3 : weaponDice >= 3 ? 2 : 1)) : 0;
+
+    const immediate = partials.filter(partial => !partial.category);
+    const splash = partials.filter(partial => partial.category === 'splash');
+    const persistent = partials.filter(partial => partial.category === 'persistent');
+    const precision = targetOffGuard
+        ? [...partials.filter(partial => partial.category === 'precision'), ...parseDamagePartials(precisionFormula)]
+        : [];
 
-        // Calculate vectors from target to attacker and target to ally
-        const toAttacker = {
-            x: attackerCenter.x - targetCenter.x,
-            y: attackerCenter.y - targetCenter.y
-        };
-        const toAlly = {
-            x: allyCenter.x - targetCenter.x,
-            y: allyCenter.y - targetCenter.y
-        };
+    const rollInstances = (multiplier, isCrit) => [
+        ...immediate.map(partial => ({ type: typeOf(partial), amount: multiplier * averageDamagePartial(partial, isCrit && partial === main ? fatalDie : null), category: null })),
+        ...precision.map(partial => ({ type: mainType, amount: multiplier * averageDamagePartial(partial), category: 'precision' })),
+        ...splash.map(partial => ({ type: typeOf(partial), amount: averageDamagePartial(partial), category: 'splash' })), // Splash isn't doubled
+        ...(isCrit && fatalDie ? [{ type: mainType, amount: (1 + fatalDie) / 2, category: null }] : []),
+        ...(isCrit && deadlyDice ? [{ type: mainType, amount: deadlyDice * ((1 + parseInt(deadlyMatch[2], 10)) / 2), category: null }] : [])
+    ];
+    const persistentInstances = multiplier => persistent.map(partial => ({ type: typeOf(partial), amount: multiplier * averageDamagePartial(partial), category: 'persistent' }));
 
-        // Normalize vectors
-        const attackerMag = Math.sqrt(toAttacker.x ** 2 + toAttacker.y ** 2);
-        const allyMag = Math.sqrt(toAlly.x ** 2 + toAlly.y ** 2);
+    const critImmune = !!defenses?.immunities.includes('critical-hits');
+    const onHit = applyDamageDefenses(rollInstances(1, false), defenses, traitsLower) + expectedPersistentDamage(persistentInstances(1), defenses, traitsLower);
+    const onCrit = critImmune ? onHit : applyDamageDefenses(rollInstances(2, true), defenses, traitsLower) + expectedPersistentDamage(persistentInstances(2), defenses, traitsLower);
+    const onMiss = splash.length > 0 ? applyDamageDefenses(splash.map(partial => ({ type: typeOf(partial), amount: averageDamagePartial(partial), category: 'splash' })), defenses, traitsLower) : 0;
 
-        if (attackerMag === 0 || allyMag === 0) return false;
+    const normalHitChance = (hitProb.hit - hitProb.crit) / 100;
+    const critChance = hitProb.crit / 100;
+    const missChance = Math.max(0, 100 - hitProb.hit - (hitProb.critFail ?? 0)) / 100; // A failure, not a critical failure
+    const expectedDamage = (normalHitChance * onHit) + (critChance * onCrit) + (missChance * onMiss);
 
-        const attackerNorm = { x: toAttacker.x / attackerMag, y: toAttacker.y / attackerMag };
-        const allyNorm = { x: toAlly.x / allyMag, y: toAlly.y / allyMag };
+    return {
+        expected: Math.round(expectedDamage * 10) / 10, // Round to 1 decimal
+        onHit: Math.round(onHit * 10) / 10,
+        onCrit: Math.round(onCrit * 10) / 10,
+        persistentPerRound: Math.round(applyDamageDefenses(persistentInstances(1), defenses, traitsLower) * 10) / 10,
+        precisionApplied: precision.length > 0
+    };
+}
 
-        // Calculate dot product - if negative, they're on opposite sides
-        // For flanking, we want them roughly opposite (dot product < -0.5 approximately)
-        // This gives us a ~120 degree cone for "opposite sides"
-        const dotProduct = attackerNorm.x * allyNorm.x + attackerNorm.y * allyNorm.y;
+/**
+ * Calculates expected damage for a strike considering hit/crit probabilities.
+ * @param {string} damageFormula - The damage formula.
+ * @param {object} hitProb - The hit probability object from calculateHitProbability.
+ * @param {string[]} traits - Array of traits (for deadly/fatal).
+ * @param {object} [options={}] - Precision damage, off-guard and target defenses; see evaluateStrikeDamage.
+ * @returns {number} The expected damage value.
+ */
+function calculateExpectedDamage(damageFormula, hitProb, traits = [], options = {}) {
+    return evaluateStrikeDamage(damageFormula, hitProb, traits, options).expected;
+}
 
-        // Flanking requires being on opposite sides - dot product should be negative
-        // Using -0.5 as threshold allows for some positioning flexibility
-        return dotProduct < -0.5;
-    } catch (e) {
-        console.warn("AI checkFlanking: Error checking flanking:", e);
-        return false;
+/** Conditions whose status penalty applies to saving throws, and the save each one affects (null = all saves). */
+const SAVE_STATUS_PENALTIES = {
+    'frightened': null,
+    'sickened': null,
+    'fatigued': null, // Always 1
+    'clumsy': 'reflex',
+    'drained': 'fortitude',
+    'stupefied': 'will'
+};
+
+/**
+ * Calculates the odds of each degree of success on a saving throw against a DC.
+ * The degrees are from the saving creature's side: a critical failure is the caster's best result.
+ * @param {number} dc - The caster's spell DC (or other DC).
+ * @param {number} saveModifier - The target's total save modifier.
+ * @returns {object|null} Percentages: { criticalSuccess, success, failure, criticalFailure }.
+ */
+function calculateSaveProbability(dc, saveModifier) {
+    if (typeof dc !== 'number' || typeof saveModifier !== 'number') return null;
+
+    const odds = { criticalSuccess: 0, success: 0, failure: 0, criticalFailure: 0 };
+    for (let roll = 1; roll <= 20; roll++) {
+        odds[getDegreeOfSuccess(roll, roll + saveModifier, dc)] += 5;
     }
+    return odds;
 }
 
 /**
- * Analyzes flanking opportunities for a combatant.
- * @param {Token} selfToken - The attacking token.
- * @param {Array} aliveEnemies - Array of alive enemy combatant info objects.
- * @param {Array} aliveAllies - Array of alive ally combatant info objects.
- * @param {object} combat - The combat object.
- * @returns {object} Object with current flanking situations and opportunities.
+ * The status penalty a creature's conditions give to one saving throw.
+ * Status penalties don't stack, so only the worst one counts.
+ * @param {Array<object>} conditionsEffects - The creature's conditions ({ name, value }).
+ * @param {string} saveType - 'fortitude', 'reflex' or 'will'.
+ * @returns {{penalty: number, source: string|null}} The penalty as a positive number, and the condition giving it.
  */
-function analyzeFlanking(selfToken, aliveEnemies, aliveAllies, combat) {
-    const result = {
-        currentlyFlanking: [],      // Enemies we're currently flanking
-        flankingOpportunities: [],  // Enemies we could flank if we moved
-        adjacentAllies: [],         // Allies adjacent to us
-        adjacentEnemies: []         // Enemies adjacent to us
-    };
+function getSaveStatusPenalty(conditionsEffects, saveType) {
+    let worst = { penalty: 0, source: null };
+    for (const cond of conditionsEffects || []) {
+        const condName = (cond.name || '').toLowerCase().split(' ')[0];
+        if (!(condName in SAVE_STATUS_PENALTIES)) continue;
+        const affectedSave = SAVE_STATUS_PENALTIES[condName];
+        if (affectedSave && affectedSave !== saveType) continue;
+        const value = condName === 'fatigued' ? 1 : (cond.value ?? (parseInt((cond.name || '').match(/(\d+)\s*$/)?.[1], 10) || 0));
+        if (value > worst.penalty) worst = { penalty: value, source: `${condName} ${value}` };
+    }
+    return worst;
+}
 
-    if (!selfToken || !canvas?.tokens) return result;
+/**
+ * A creature's save modifiers without the status penalties of its conditions.
+ * PF2e already folds those penalties into the modifier; taking them out lets getSaveStatusPenalty count them once.
+ * @param {ActorPF2e} actor - The saving creature.
+ * @returns {object} { fortitude, reflex, will }, each a number when known.
+ */
+function getSaveModifiersWithoutConditions(actor) {
+    const saves = {};
+    for (const saveType of ['fortitude', 'reflex', 'will']) {
+        const statistic = actor?.saves?.[saveType];
+        if (typeof statistic?.mod !== 'number') continue;
+        const modifiers = statistic.check?.modifiers ?? statistic.modifiers ?? [];
+        const conditionPenalty = modifiers
+            .filter(modifier => modifier.enabled && modifier.type === 'status' && modifier.slug in SAVE_STATUS_PENALTIES)
+            .reduce((sum, modifier) => sum + modifier.modifier, 0);
+        saves[saveType] = statistic.mod - conditionPenalty;
+    }
+    return saves;
+}
 
-    try {
-        // Check each enemy
-        for (const enemy of aliveEnemies) {
-            if (!enemy.tokenId) continue;
-            const enemyToken = canvas.tokens.get(enemy.tokenId);
-            if (!enemyToken) continue;
+/**
+ * Expected damage of a basic save: double on a critical failure, full on a failure, half on a success.
+ * Persistent damage is scaled the same way, and the target's immunities, resistances and weaknesses apply.
+ * @param {string} damageFormula - The damage formula (e.g., "6d6 fire").
+ * @param {object} saveOdds - From calculateSaveProbability.
+ * @param {object|null} [defenses=null] - The target's defenses, from getActorDamageDefenses.
+ * @param {string[]} [damageTraits=[]] - Traits of the damage, for resistance exceptions (e.g. ['magical', 'fire']).
+ * @returns {number} The expected damage value.
+ */
+function calculateBasicSaveDamage(damageFormula, saveOdds, defenses = null, damageTraits = []) {
+    const partials = parseDamagePartials(damageFormula);
+    if (partials.length === 0 || !saveOdds) return 0;
+
+    const mainType = partials.find(partial => !partial.category)?.type ?? partials[0].type ?? 'untyped';
+    const damageAt = multiplier => {
+        const scaled = partial => ({
+            type: partial.type ?? mainType,
+            amount: multiplier < 1 ? Math.floor(averageDamagePartial(partial) * multiplier) : averageDamagePartial(partial) * multiplier,
+            category: partial.category
+        });
+        return applyDamageDefenses(partials.filter(partial => partial.category !== 'persistent').map(scaled), defenses, damageTraits) +
+            expectedPersistentDamage(partials.filter(partial => partial.category === 'persistent').map(scaled), defenses, damageTraits);
+    };
 
-            const isAdjacent = isTokenAdjacent(selfToken, enemyToken);
-            if (isAdjacent) {
-                result.adjacentEnemies.push({
-                    name: enemy.name,
-                    id: enemy.id,
-                    tokenId: enemy.tokenId
-                });
-            }
+    const expectedDamage = (saveOdds.criticalFailure / 100) * damageAt(2) +
+                          (saveOdds.failure / 100) * damageAt(1) +
+                          (saveOdds.success / 100) * damageAt(0.5);
+    return Math.round(expectedDamage * 10) / 10; // Round to 1 decimal
+}
 
-            // Check if any ally is flanking this enemy with us
-            for (const ally of aliveAllies) {
-                if (!ally.tokenId) continue;
-                const allyToken = canvas.tokens.get(ally.tokenId);
-                if (!allyToken) continue;
+/**
+ * Finds the conditions each degree of success of a non-basic save applies, from the spell's description.
+ * @param {string} descriptionHtml - The spell description (HTML).
+ * @returns {object} { criticalSuccess, success, failure, criticalFailure }, each a list like ['frightened 2'].
+ */
+function parseSaveOutcomeConditions(descriptionHtml) {
+    const outcomes = { criticalSuccess: [], success: [], failure: [], criticalFailure: [] };
+    if (!descriptionHtml || typeof descriptionHtml !== 'string') return outcomes;
+
+    // Condition links show their label, e.g. @UUID[...]{Frightened 1}
+    const text = descriptionHtml.replace(/@UUID\[[^\]]+\]\{([^}]+)\}/g, '$1');
+    const degreeKeys = { 'critical success': 'criticalSuccess', 'success': 'success', 'failure': 'failure', 'critical failure': 'criticalFailure' };
+    const degreePattern = /<strong>\s*(Critical Success|Success|Failure|Critical Failure)\s*<\/strong>([\s\S]*?)(?=<strong>\s*(?:Critical Success|Success|Failure|Critical Failure)\s*<\/strong>|<hr|$)/gi;
+    const conditionNames = Object.keys(CONDITION_SYNERGIES).filter(name => name !== 'persistent-damage' && name !== 'dying');
+    const conditionPattern = new RegExp(`\\b(${conditionNames.join('|')})(?:\\s+(\\d+))?\\b`, 'gi');
+
+    let degreeMatch;
+    while ((degreeMatch = degreePattern.exec(text)) !== null) {
+        const degree = degreeKeys[degreeMatch[1].toLowerCase()];
+        const outcomeText = degreeMatch[2].replace(/<[^>]+>/g, ' ');
+        let conditionMatch;
+        while ((conditionMatch = conditionPattern.exec(outcomeText)) !== null) {
+            const condition = conditionMatch[2] ? `${conditionMatch[1].toLowerCase()} ${conditionMatch[2]}` : conditionMatch[1].toLowerCase();
+            if (!outcomes[degree].includes(condition)) outcomes[degree].push(condition);
+        }
+    }
+    return outcomes;
+}
 
-                // Check if ally is adjacent to us
-                if (isTokenAdjacent(selfToken, allyToken)) {
-                    // Add to adjacent allies list (avoid duplicates)
-                    if (!result.adjacentAllies.find(a => a.tokenId === ally.tokenId)) {
-                        result.adjacentAllies.push({
-                            name: ally.name,
-                            id: ally.id,
-                            tokenId: ally.tokenId
-                        });
-                    }
-                }
+/**
+ * The damage formula of a spell cast at a rank, with interval or fixed heightening applied.
+ * @param {object} spellSystem - The spell's system data.
+ * @param {number} baseRank - The spell's base rank.
+ * @param {number} castRank - The rank it is cast at.
+ * @returns {string|null} E.g. "8d6 fire", or null if the spell deals no damage.
+ */
+function getSpellDamageFormula(spellSystem, baseRank, castRank) {
+    const partials = spellSystem?.damage ?? {};
+    let damage = Object.entries(partials).map(([key, partial]) => [key, partial?.formula]).filter(([, formula]) => formula);
+    if (damage.length === 0) return null;
+
+    const heightening = spellSystem.heightening;
+    const ranksAbove = Math.max(0, (castRank ?? baseRank) - baseRank);
+    if (heightening?.type === 'interval' && heightening.interval > 0 && ranksAbove > 0) {
+        const steps = Math.floor(ranksAbove / heightening.interval);
+        damage = damage.map(([key, formula]) => {
+            const increment = heightening.damage?.[key];
+            if (!increment || steps === 0) return [key, formula];
+            // "1d6" per step becomes "3d6" for three steps, added to the base dice
+            const scaled = increment.replace(/(\d*)d(\d+)/g, (match, count, size) => `${(parseInt(count, 10) || 1) * steps}d${size}`)
+                .replace(/^(\d+)$/, (match, flat) => `${parseInt(flat, 10) * steps}`);
+            return [key, `${formula} + ${scaled}`];
+        });
+    } else if (heightening?.type === 'fixed' && heightening.levels) {
+        const fixedRank = Object.keys(heightening.levels).map(Number).filter(rank => rank <= castRank).sort((a, b) => b - a)[0];
+        const fixedDamage = fixedRank ? heightening.levels[fixedRank]?.damage : null;
+        if (fixedDamage) damage = damage.map(([key, formula]) => [key, fixedDamage[key]?.formula || formula]);
+    }
 
-                // Check flanking
-                if (checkFlanking(selfToken, enemyToken, allyToken)) {
-                    result.currentlyFlanking.push({
-                        target: enemy.name,
-                        targetId: enemy.tokenId,
-                        flankingWith: ally.name,
-                        allyId: ally.tokenId
-                    });
-                } else if (isTokenAdjacent(allyToken, enemyToken) && !isAdjacent) {
-                    // Ally is adjacent to enemy but we're not - potential flanking opportunity
-                    result.flankingOpportunities.push({
-                        target: enemy.name,
-                        targetId: enemy.tokenId,
-                        flankingWith: ally.name,
-                        allyId: ally.tokenId,
-                        hint: `Move to opposite side of ${enemy.name} from ${ally.name} to flank`
-                    });
-                }
-            }
+    // Name each partial's category and type ("1d4 persistent fire") so defenses and persistent damage apply
+    return damage.map(([key, formula]) => [formula, partials[key]?.category, partials[key]?.type].filter(Boolean).join(' ')).join(' + ');
+}
+
+/**
+ * Save odds of a save-based spell against one target: expected damage for a basic save,
+ * or the chance of landing each listed condition for any other save.
+ * @param {object} spell - A formatted spell from gatherGameState (with system, spellDC, baseLevel, rank).
+ * @param {object} target - A creature from gatherGameState (with saves and conditionsEffects).
+ * @returns {object|null} { targetName, saveType, dc, saveModifier, statusPenalty, penaltySource, basic, odds, expectedDamage, conditionChances }.
+ */
+function analyzeSpellSave(spell, target) {
+    const save = spell?.system?.defense?.save ?? spell?.system?.savingThrow;
+    const saveType = save?.statistic;
+    const baseModifier = target?.saves?.[saveType];
+    if (!saveType || typeof spell.spellDC !== 'number' || typeof baseModifier !== 'number') return null;
+
+    const { penalty, source } = getSaveStatusPenalty(target.conditionsEffects, saveType);
+    const saveModifier = baseModifier - penalty;
+    const odds = calculateSaveProbability(spell.spellDC, saveModifier);
+    const basic = !!save.basic;
+
+    let expectedDamage = null;
+    const conditionChances = [];
+    if (basic) {
+        const damageFormula = getSpellDamageFormula(spell.system, spell.baseLevel ?? 1, spell.rank ?? spell.baseLevel ?? 1);
+        // Spells are magical, which gets past resistances "except magical"
+        const spellTraits = ['magical', ...(spell.system.traits?.value ?? [])];
+        if (damageFormula) expectedDamage = calculateBasicSaveDamage(damageFormula, odds, target.defenses ?? null, spellTraits);
+    } else {
+        // A condition lands on every degree that lists it
+        const outcomes = parseSaveOutcomeConditions(spell.system.description?.value);
+        const chances = new Map();
+        for (const degree of ['criticalFailure', 'failure', 'success', 'criticalSuccess']) {
+            for (const condition of outcomes[degree]) chances.set(condition, (chances.get(condition) ?? 0) + odds[degree]);
         }
-    } catch (e) {
-        console.error("AI analyzeFlanking: Error analyzing flanking:", e);
+        for (const [condition, chance] of chances) conditionChances.push({ condition, chance });
     }
 
-    return result;
+    return { targetName: target.name, saveType, dc: spell.spellDC, saveModifier, statusPenalty: penalty, penaltySource: source, basic, odds, expectedDamage, conditionChances };
+}
+
+/**
+ * One line describing a spell's save odds, for the prompt and the suggestion card.
+ * @param {object} analysis - From analyzeSpellSave.
+ * @returns {string} E.g. "Reflex (basic) DC 25 vs Goblin +9 (frightened 2): Crit Fail 10%, Fail 45%, Success 40%, Crit Success 5% | E[Dmg]: 20.1".
+ */
+function formatSpellSaveAnalysis(analysis) {
+    if (!analysis) return '';
+    const saveName = analysis.saveType.charAt(0).toUpperCase() + analysis.saveType.slice(1);
+    const modifierText = `${analysis.saveModifier >= 0 ? '+' : ''}${analysis.saveModifier}`;
+    const penaltyText = analysis.penaltySource ? ` (${analysis.penaltySource})` : '';
+    const { criticalFailure, failure, success, criticalSuccess } = analysis.odds;
+    let line = `${saveName}${analysis.basic ? ' (basic)' : ''} DC ${analysis.dc} vs ${analysis.targetName} ${modifierText}${penaltyText}: Crit Fail ${criticalFailure}%, Fail ${failure}%, Success ${success}%, Crit Success ${criticalSuccess}%`;
+    if (analysis.expectedDamage !== null) line += ` | E[Dmg]: ${analysis.expectedDamage}`;
+    if (analysis.conditionChances.length > 0) line += ` | Lands: ${analysis.conditionChances.map(({ condition, chance }) => `${condition} ${chance}%`).join(', ')}`;
+    return line;
 }
 
 // ============================================================================
-// COMBAT MEMORY SYSTEM
+// DAMAGE TYPE MATCHUPS
 // ============================================================================
 
+/** Immunities that rule out anything with a trait, keyed by immunity (a mindless creature's mental immunity stops mental spells). */
+const IMMUNITY_TRAITS = {
+    'mental': 'mental', 'fear-effects': 'fear', 'death-effects': 'death', 'emotion': 'emotion', 'poison': 'poison',
+    'disease': 'disease', 'sleep': 'sleep', 'visual': 'visual', 'auditory': 'auditory', 'olfactory': 'olfactory',
+    'linguistic': 'linguistic', 'polymorph': 'polymorph', 'curse': 'curse', 'possession': 'possession', 'healing': 'healing'
+};
+/** Damage types named by the single-letter versatile traits (versatile-p, versatile-s, versatile-b). */
+const VERSATILE_DAMAGE_TYPES = { 'b': 'bludgeoning', 'p': 'piercing', 's': 'slashing' };
+
 /**
- * Records the outcome of an AI-suggested action into combat memory.
- * @param {Combat} combat - The combat object.
- * @param {string} combatantId - The combatant ID who performed the action.
- * @param {object} actionData - Data about the action taken.
+ * The damage types an ability deals, and the ones a versatile weapon can switch its main type to.
+ * @param {string} damageFormula - The ability's damage formula.
+ * @param {string[]} [traits=[]] - The ability's traits.
+ * @returns {object} { types: string[], alternatives: string[] }; types[0] is the main type.
  */
-async function recordActionOutcome(combat, combatantId, actionData) {
-    if (!combat || !combatantId || !actionData) return;
-
-    try {
-        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
-        if (!enabled) return;
+function getAbilityDamageTypes(damageFormula, traits = []) {
+    const types = [...new Set(parseDamagePartials(damageFormula).map(partial => partial.type).filter(type => type && type !== 'untyped'))];
+    const alternatives = traits.map(trait => trait.match(/^versatile-(\w+)$/i)?.[1]?.toLowerCase())
+        .filter(Boolean)
+        .map(suffix => VERSATILE_DAMAGE_TYPES[suffix] ?? suffix)
+        .filter(type => DAMAGE_TYPES.includes(type) && !types.includes(type));
+    return { types, alternatives };
+}
 
-        const currentRound = combat.round;
-        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY) || {
-            rounds: {},
-            statistics: {}
-        };
+/**
+ * Net change to each hit of one damage type from a target's weaknesses and resistances.
+ * @param {string} damageType - The damage type dealt.
+ * @param {object|null} defenses - From getActorDamageDefenses.
+ * @param {string[]} [damageTraits=[]] - Traits of the ability, for resistance exceptions.
+ * @returns {number} Weakness minus resistance, or -Infinity if the target is immune.
+ */
+function getDamageTypeModifier(damageType, defenses, damageTraits = []) {
+    if (!defenses) return 0;
+    if (defenses.immunities.some(immunity => damageDefenseCovers(immunity, damageType))) return -Infinity;
+    const weakness = Math.max(0, ...defenses.weaknesses.filter(entry => damageDefenseCovers(entry.type, damageType)).map(entry => entry.value));
+    const resistance = Math.max(0, ...defenses.resistances.filter(entry => resistanceApplies(entry, damageType, damageTraits)).map(entry => entry.value));
+    return weakness - resistance;
+}
 
-        // Initialize round data if needed
-        if (!memory.rounds[currentRound]) {
-            memory.rounds[currentRound] = { combatantActions: {} };
-        }
-        if (!memory.rounds[currentRound].combatantActions[combatantId]) {
-            memory.rounds[currentRound].combatantActions[combatantId] = {
-                actionsTaken: [],
-                damageDealt: 0,
-                damageReceived: 0,
-                conditionsInflicted: [],
-                conditionsReceived: []
-            };
+/**
+ * How a target's immunities, weaknesses and resistances meet each damage type.
+ * @param {string[]} damageTypes - The damage types dealt.
+ * @param {object|null} defenses - From getActorDamageDefenses.
+ * @param {string[]} [damageTraits=[]] - Traits of the ability, for resistance exceptions.
+ * @returns {Array<object>} { type, kind, value } for each type the target treats differently; kind is 'immunity', 'weakness' or 'resistance'.
+ */
+function matchDamageTypesToDefenses(damageTypes, defenses, damageTraits = []) {
+    if (!defenses) return [];
+    const matches = [];
+    for (const type of damageTypes) {
+        if (defenses.immunities.some(immunity => damageDefenseCovers(immunity, type))) {
+            matches.push({ type, kind: 'immunity', value: null });
+            continue;
         }
+        const weakness = Math.max(0, ...defenses.weaknesses.filter(entry => damageDefenseCovers(entry.type, type)).map(entry => entry.value));
+        const resistance = Math.max(0, ...defenses.resistances.filter(entry => resistanceApplies(entry, type, damageTraits)).map(entry => entry.value));
+        if (weakness > 0) matches.push({ type, kind: 'weakness', value: weakness });
+        if (resistance > 0) matches.push({ type, kind: 'resistance', value: resistance });
+    }
+    return matches;
+}
 
-        const combatantMemory = memory.rounds[currentRound].combatantActions[combatantId];
+/**
+ * The immunity that rules an ability out against a target, if any:
+ * - an immunity matching one of its traits (mental vs a mindless creature);
+ * - precision immunity, for abilities whose benefit is precision damage (Sneak Attack vs an ooze);
+ * - immunity to every damage type it can deal, counting a versatile weapon's other types.
+ * @param {object} ability - { traits, damageTypes, alternatives, precisionOnly }.
+ * @param {object|null} defenses - From getActorDamageDefenses.
+ * @returns {string|null} The immunity, e.g. 'mental'.
+ */
+function findAbilityImmunity({ traits = [], damageTypes = [], alternatives = [], precisionOnly = false }, defenses) {
+    if (!defenses?.immunities?.length) return null;
+    const traitImmunity = defenses.immunities.find(immunity => IMMUNITY_TRAITS[immunity] && traits.includes(IMMUNITY_TRAITS[immunity]));
+    if (traitImmunity) return traitImmunity;
+    if (precisionOnly && defenses.immunities.includes('precision')) return 'precision';
+    if (damageTypes.length === 0) return null;
+    const immuneTo = [...damageTypes, ...alternatives].map(type => defenses.immunities.find(immunity => damageDefenseCovers(immunity, type)));
+    return immuneTo.every(Boolean) ? immuneTo[0] : null;
+}
 
-        // Record the action
-        combatantMemory.actionsTaken.push({
-            action: actionData.action,
-            target: actionData.target,
-            outcome: actionData.outcome || 'unknown',
-            damage: actionData.damage || 0,
-            timestamp: Date.now()
-        });
+/**
+ * Short text of a creature's immunities, weaknesses and resistances for the enemy list.
+ * @param {object|null} defenses - From getActorDamageDefenses.
+ * @returns {string} E.g. "Imm: mental, precision; Weak: fire 10; Res: physical 5", or '' if it has none.
+ */
+function describeDamageDefenses(defenses) {
+    if (!defenses) return '';
+    const parts = [];
+    if (defenses.immunities.length > 0) parts.push(`Imm: ${defenses.immunities.join(', ')}`);
+    if (defenses.weaknesses.length > 0) parts.push(`Weak: ${defenses.weaknesses.map(entry => `${entry.type} ${entry.value}`).join(', ')}`);
+    if (defenses.resistances.length > 0) {
+        parts.push(`Res: ${defenses.resistances.map(entry => `${entry.type} ${entry.value}${entry.exceptions?.length ? ` (except ${entry.exceptions.join(', ')})` : ''}`).join(', ')}`);
+    }
+    return parts.join('; ');
+}
 
-        // Update statistics
-        if (actionData.damage) {
-            combatantMemory.damageDealt += actionData.damage;
-        }
-        if (actionData.conditionInflicted) {
-            combatantMemory.conditionsInflicted.push(actionData.conditionInflicted);
-        }
+/**
+ * The damage types and immunity-relevant traits of a creature's Strikes, spells and actions.
+ * @param {object} selfInfo - The `self` entry of gatherGameState.
+ * @param {object|null} [precisionDamage=null] - From getPrecisionDamage; it becomes its own 'precision' entry.
+ * @returns {Array<object>} { name, kind, traits, damageTypes, alternatives, precisionOnly }; kind is 'strike', 'spell', 'action' or 'precision'.
+ */
+function collectAbilityDamageProfiles(selfInfo, precisionDamage = null) {
+    const splitTraits = (text) => (text || '').toLowerCase().split(',').map(trait => trait.trim()).filter(Boolean);
+    const profiles = [];
+    const seenSpells = new Set();
+
+    for (const strike of selfInfo?.strikes ?? []) {
+        const traits = splitTraits(strike.traits);
+        const { types, alternatives } = getAbilityDamageTypes(strike.damage, traits);
+        profiles.push({ name: strike.name, kind: 'strike', traits, damageTypes: types, alternatives, precisionOnly: false });
+    }
+    const spells = [...(selfInfo?.spells ?? []), ...(selfInfo?.focusSpells ?? []), ...(selfInfo?.cantrips ?? []), ...(selfInfo?.itemGrantedSpells ?? [])];
+    for (const spell of spells) {
+        if (!spell?.name || seenSpells.has(spell.name)) continue;
+        seenSpells.add(spell.name);
+        const formula = getSpellDamageFormula(spell.system, spell.baseLevel ?? 1, spell.rank ?? spell.baseLevel ?? 1);
+        const { types } = getAbilityDamageTypes(formula);
+        profiles.push({ name: spell.name, kind: 'spell', traits: spell.system?.traits?.value ?? [], damageTypes: types, alternatives: [], precisionOnly: false });
+    }
+    for (const action of selfInfo?._actionsAndActionFeatsList ?? []) {
+        const precisionOnly = /precision damage/i.test(action.fullDesc || '');
+        profiles.push({ name: action.name, kind: 'action', traits: splitTraits(action.traits), damageTypes: [], alternatives: [], precisionOnly });
+    }
+    if (precisionDamage) {
+        profiles.push({ name: precisionDamage.source, kind: 'precision', traits: [], damageTypes: [], alternatives: [], precisionOnly: true });
+    }
+    return profiles;
+}
 
-        // Update running statistics for this combatant
-        if (!memory.statistics[combatantId]) {
-            memory.statistics[combatantId] = {
-                totalAttacks: 0,
-                successfulAttacks: 0,
-                totalDamage: 0,
-                effectiveActions: []
-            };
-        }
+/**
+ * Matches every ability's damage types and traits against each enemy's known defenses.
+ * @param {Array<object>} profiles - From collectAbilityDamageProfiles.
+ * @param {Array<object>} enemies - Creatures from gatherGameState; those without `defenses` are skipped.
+ * @returns {object} {
+ *   matchups: [{ target, targetId, type, kind, value, abilities }] - one per damage type the target treats differently,
+ *   switches: [{ ability, target, targetId, from, to, gain }] - versatile weapons that do better with another type,
+ *   exclusions: [{ ability, kind, target, targetId, immunity }] - abilities the target is immune to
+ * }
+ */
+function buildDamageTypeMatchups(profiles, enemies) {
+    const matchups = [];
+    const switches = [];
+    const exclusions = [];
 
-        const stats = memory.statistics[combatantId];
-        if (actionData.isAttack) {
-            stats.totalAttacks++;
-            if (actionData.outcome === 'success' || actionData.outcome === 'criticalSuccess') {
-                stats.successfulAttacks++;
+    for (const enemy of enemies) {
+        if (!enemy?.defenses) continue;
+        const byType = new Map();
+        for (const profile of profiles) {
+            const immunity = findAbilityImmunity(profile, enemy.defenses);
+            if (immunity) {
+                exclusions.push({ ability: profile.name, kind: profile.kind, target: enemy.name, targetId: enemy.tokenId, immunity });
+                continue;
+            }
+            for (const match of matchDamageTypesToDefenses(profile.damageTypes, enemy.defenses, profile.traits)) {
+                const key = `${match.type}|${match.kind}`;
+                if (!byType.has(key)) byType.set(key, { target: enemy.name, targetId: enemy.tokenId, ...match, abilities: [] });
+                byType.get(key).abilities.push(profile.name);
+            }
+            const mainType = profile.damageTypes[0];
+            if (mainType && profile.alternatives.length > 0) {
+                const mainModifier = getDamageTypeModifier(mainType, enemy.defenses, profile.traits);
+                const best = profile.alternatives
+                    .map(type => ({ type, modifier: getDamageTypeModifier(type, enemy.defenses, profile.traits) }))
+                    .sort((a, b) => b.modifier - a.modifier)[0];
+                if (best.modifier > mainModifier) {
+                    switches.push({ ability: profile.name, target: enemy.name, targetId: enemy.tokenId, from: mainType, to: best.type, gain: mainModifier === -Infinity ? null : best.modifier - mainModifier });
+                }
             }
         }
-        if (actionData.damage) {
-            stats.totalDamage += actionData.damage;
-        }
-        if (actionData.wasEffective && !stats.effectiveActions.includes(actionData.action)) {
-            stats.effectiveActions.push(actionData.action);
-        }
-
-        await combat.setFlag(MODULE_ID, FLAGS.COMBAT_MEMORY, memory);
-    } catch (e) {
-        console.error("AI recordActionOutcome: Error recording action outcome:", e);
+        matchups.push(...byType.values());
     }
+    return { matchups, switches, exclusions };
 }
 
+// ============================================================================
+// KNOWLEDGE GATING
+// ============================================================================
+
+/** Enemy facts the knowledge ledger tracks, in the order Recall Knowledge reveals them. */
+const KNOWLEDGE_FACTS = {
+    defenses: 'immunities, weaknesses and resistances',
+    saves: 'saving throws',
+    ac: 'AC',
+    abilities: 'abilities and reactions'
+};
+/** Skills that can Recall Knowledge about each creature trait. */
+const RECALL_KNOWLEDGE_SKILLS = {
+    'aberration': ['occultism'], 'animal': ['nature'], 'astral': ['occultism'], 'beast': ['arcana', 'nature'],
+    'celestial': ['religion'], 'construct': ['arcana', 'crafting'], 'dragon': ['arcana'], 'dream': ['occultism'],
+    'elemental': ['arcana', 'nature'], 'ethereal': ['occultism'], 'fey': ['nature'], 'fiend': ['religion'],
+    'fungus': ['nature'], 'giant': ['society'], 'humanoid': ['society'], 'monitor': ['religion'], 'ooze': ['occultism'],
+    'plant': ['nature'], 'shade': ['religion'], 'spirit': ['occultism'], 'time': ['occultism'], 'undead': ['religion']
+};
+/** Creature DCs by level, from -1 to 25 (Recall Knowledge uses the creature's level DC). */
+const LEVEL_BASED_DCS = [13, 14, 15, 16, 18, 19, 20, 22, 23, 24, 26, 27, 28, 30, 31, 32, 34, 35, 36, 38, 39, 40, 42, 44, 46, 48, 50];
+/** DC adjustments for a creature's rarity. */
+const RARITY_DC_ADJUSTMENTS = { common: 0, uncommon: 2, rare: 5, unique: 10 };
+
 /**
- * Gets a formatted summary of combat memory for the prompt.
- * Limited to last 2-3 rounds for token efficiency.
- * @param {Combat} combat - The combat object.
- * @param {string} combatantId - The combatant ID.
- * @param {number} roundsBack - How many rounds back to include (default 2).
- * @returns {string} Formatted memory summary for the prompt.
+ * Whether a creature's suggestions only see what the party has identified about its enemies.
+ * Only the party (friendly side) is gated; the GM's creatures keep seeing everything.
+ * @param {string} selfDesignation - The acting creature's designation, 'enemy' or 'friendly'.
+ * @returns {boolean}
  */
-function getCombatMemorySummary(combat, combatantId, roundsBack = 2) {
-    if (!combat || !combatantId) return '';
-
+function isKnowledgeGated(selfDesignation) {
+    if (selfDesignation !== 'friendly') return false;
     try {
-        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
-        if (!enabled) return '';
-
-        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
-        if (!memory || !memory.rounds) return '';
-
-        const currentRound = combat.round;
-        const summaryLines = [];
+        return !!game.settings.get(MODULE_ID, 'enableKnowledgeGating');
+    } catch (e) { /* Setting not registered yet */ }
+    return false;
+}
 
-        // Get actions from recent rounds
-        for (let round = Math.max(1, currentRound - roundsBack); round < currentRound; round++) {
-            const roundData = memory.rounds[round]?.combatantActions?.[combatantId];
-            if (!roundData || roundData.actionsTaken.length === 0) continue;
+/**
+ * The facts the party knows about an enemy actor.
+ * Unlinked tokens share their base actor's ID, so identifying one goblin warrior identifies them all.
+ * @param {object} ledger - The combat's knowledge ledger flag.
+ * @param {ActorPF2e} actor - The enemy actor.
+ * @returns {string[]} Keys of KNOWLEDGE_FACTS.
+ */
+function getKnownEnemyFacts(ledger, actor) {
+    return (ledger?.[actor?.id]?.known ?? []).filter(fact => fact in KNOWLEDGE_FACTS);
+}
 
-            const roundSummary = roundData.actionsTaken.map(a => {
-                let line = `${a.action}`;
-                if (a.target) line += ` vs ${a.target}`;
-                if (a.outcome) line += ` -> ${a.outcome}`;
-                if (a.damage) line += ` (${a.damage} dmg)`;
-                return line;
-            }).join('; ');
+/**
+ * Pending ledger updates per combat ID. Each update reads the ledger the previous one wrote, so two
+ * checks resolved back to back can't both reveal the same fact or drop each other's recaller.
+ * @type {Map<string, Promise>}
+ */
+const knowledgeLedgerQueues = new Map();
 
-            summaryLines.push(`Round ${round}: ${roundSummary}`);
-        }
+/**
+ * Runs a read-modify-write of a combat's knowledge ledger after the updates already queued for it.
+ * @param {Combat} combat - The combat holding the ledger.
+ * @param {Function} update - Async function that reads the ledger flag and writes it.
+ * @returns {Promise<*>} What the update returns.
+ */
+function queueKnowledgeLedgerUpdate(combat, update) {
+    const previous = knowledgeLedgerQueues.get(combat.id) ?? Promise.resolve();
+    const queued = previous.catch(() => {}).then(update);
+    knowledgeLedgerQueues.set(combat.id, queued);
+    queued.catch(() => {}).finally(() => {
+        if (knowledgeLedgerQueues.get(combat.id) === queued) knowledgeLedgerQueues.delete(combat.id);
+    });
+    return queued;
+}
 
-        // Add statistics if available
-        const stats = memory.statistics?.[combatantId];
-        if (stats && stats.totalAttacks > 0) {
-            const hitRate = Math.round((stats.successfulAttacks / stats.totalAttacks) * 100);
-            summaryLines.push(`Overall: ${hitRate}% hit rate (${stats.successfulAttacks}/${stats.totalAttacks} attacks)`);
-            if (stats.effectiveActions.length > 0) {
-                summaryLines.push(`Effective actions: ${stats.effectiveActions.join(', ')}`);
-            }
-        }
+/**
+ * Adds what a successful Recall Knowledge check reveals to the ledger: the next unknown fact,
+ * or the next two on a critical success.
+ * @param {Combat} combat - The combat holding the ledger.
+ * @param {ActorPF2e} actor - The enemy recalled about.
+ * @param {string} outcome - 'success' or 'criticalSuccess'.
+ * @param {string} recallerName - Who made the check.
+ * @returns {Promise<string[]>} The facts revealed by this check.
+ */
+function recordRecallKnowledge(combat, actor, outcome, recallerName) {
+    return queueKnowledgeLedgerUpdate(combat, async () => {
+        const ledger = combat.getFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER) || {};
+        const known = getKnownEnemyFacts(ledger, actor);
+        const revealed = Object.keys(KNOWLEDGE_FACTS).filter(fact => !known.includes(fact)).slice(0, outcome === 'criticalSuccess' ? 2 : 1);
+        if (revealed.length === 0) return [];
+
+        const entry = ledger[actor.id] ?? {};
+        await combat.setFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER, {
+            [actor.id]: { name: actor.name, known: [...known, ...revealed], recalledBy: [...new Set([...(entry.recalledBy ?? []), recallerName])] }
+        });
+        return revealed;
+    });
+}
 
-        return summaryLines.length > 0 ? summaryLines.join('\n') : '';
-    } catch (e) {
-        console.error("AI getCombatMemorySummary: Error getting memory summary:", e);
-        return '';
-    }
+/**
+ * Rough descriptions of an enemy's unidentified stats, the kind a GM gives from what the party can see.
+ * @param {ActorPF2e} actor - The enemy.
+ * @param {string[]} knownFacts - From getKnownEnemyFacts.
+ * @returns {string[]} E.g. ['looks heavily armored', 'looks nimble'].
+ */
+function describeUnidentifiedEnemy(actor, knownFacts) {
+    const descriptors = [];
+    const level = actor?.level ?? 0;
+    const ac = actor?.system?.attributes?.ac?.value;
+    if (!knownFacts.includes('ac') && typeof ac === 'number') {
+        // A moderate creature AC is about level + 15
+        const difference = ac - (level + 15);
+        descriptors.push(difference >= 3 ? 'looks heavily armored' : difference <= -3 ? 'looks lightly armored' : 'looks moderately armored');
+    }
+    if (!knownFacts.includes('saves')) {
+        const saves = Object.entries(getSaveModifiersWithoutConditions(actor)).sort((a, b) => b[1] - a[1]);
+        const saveDescriptors = { fortitude: 'looks sturdy', reflex: 'looks nimble', will: 'seems strong-willed' };
+        if (saves.length > 0) descriptors.push(saveDescriptors[saves[0][0]]);
+    }
+    return descriptors;
 }
 
 /**
- * Analyzes recent outcomes to provide adaptive hints.
- * @param {Combat} combat - The combat object.
- * @param {string} combatantId - The combatant ID.
- * @returns {string[]} Array of tactical hints based on recent performance.
+ * The Recall Knowledge check a creature would make about an enemy: the skills that apply, the DC,
+ * and the creature's best trained skill among them with its chance of success.
+ * @param {ActorPF2e} creature - The enemy.
+ * @param {ActorPF2e} recaller - The creature making the check.
+ * @returns {object|null} { skills, dc, skill, modifier, successChance }; skill is null if the recaller isn't trained in any.
  */
-function analyzeRecentOutcomes(combat, combatantId) {
-    const hints = [];
+function getRecallKnowledgeCheck(creature, recaller) {
+    const traits = creature?.system?.traits?.value ?? [];
+    const skills = [...new Set(traits.flatMap(trait => RECALL_KNOWLEDGE_SKILLS[trait] ?? []))];
+    if (skills.length === 0) return null;
+
+    const level = Math.max(-1, Math.min(25, creature.level ?? 0));
+    const dc = LEVEL_BASED_DCS[level + 1] + (RARITY_DC_ADJUSTMENTS[creature.system?.traits?.rarity] ?? 0);
+    const best = skills
+        .map(slug => ({ slug, statistic: recaller?.skills?.[slug] }))
+        .filter(({ statistic }) => statistic?.rank > 0 && typeof statistic.mod === 'number')
+        .sort((a, b) => b.statistic.mod - a.statistic.mod)[0];
+    if (!best) return { skills, dc, skill: null, modifier: null, successChance: null };
+
+    const odds = calculateSaveProbability(dc, best.statistic.mod);
+    return { skills, dc, skill: best.statistic.label || best.slug, modifier: best.statistic.mod, successChance: odds.success + odds.criticalSuccess };
+}
 
-    try {
-        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
-        if (!enabled) return hints;
+// ============================================================================
+// NPC MORALE
+// ============================================================================
 
-        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
-        if (!memory || !memory.rounds) return hints;
+/** Morale states, from fighting normally to broken. */
+const MORALE_STATES = { STEADY: 'steady', SHAKEN: 'shaken', BROKEN: 'broken' };
+/** What a creature does once its morale breaks. */
+const MORALE_BEHAVIORS = { RETREAT: 'retreat', SURRENDER: 'surrender', DESPERATE: 'desperate' };
+/** Morale scores (0-100) below which a creature is shaken or broken. */
+const MORALE_THRESHOLDS = { shaken: 50, broken: 25 };
+/** GM overrides offered on the suggestion card; 'auto' uses the morale model. */
+const MORALE_OVERRIDES = {
+    auto: 'Auto',
+    steady: 'Steady',
+    shaken: 'Shaken',
+    retreat: 'Broken: Retreat',
+    surrender: 'Broken: Surrender',
+    desperate: 'Broken: Desperate Attack'
+};
 
-        const currentRound = combat.round;
+/**
+ * Reads the combat's morale flag.
+ * @param {Combat} combat - The combat.
+ * @returns {object} { fallen: [{ combatantId, name, side, level }], overrides: { [combatantId]: string } }.
+ */
+function getMoraleFlag(combat) {
+    const morale = combat?.getFlag(MODULE_ID, FLAGS.MORALE) || {};
+    return { fallen: morale.fallen ?? [], overrides: morale.overrides ?? {} };
+}
 
-        // Look at last round's actions
-        const lastRoundData = memory.rounds[currentRound - 1]?.combatantActions?.[combatantId];
-        if (!lastRoundData) return hints;
+/**
+ * Remembers a combatant removed from a running combat, so its side still counts it as lost.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant} combatant - The removed combatant.
+ * @param {string} side - Its designation, 'enemy' or 'friendly'.
+ */
+async function recordFallenCombatant(combat, combatant, side) {
+    const morale = getMoraleFlag(combat);
+    if (morale.fallen.some(entry => entry.combatantId === combatant.id)) return;
+    await combat.setFlag(MODULE_ID, FLAGS.MORALE, {
+        fallen: [...morale.fallen, { combatantId: combatant.id, name: combatant.name, side, level: combatant.actor?.level ?? 0 }]
+    });
+}
 
-        const recentActions = lastRoundData.actionsTaken;
-        if (!recentActions || recentActions.length === 0) return hints;
+/**
+ * Morale of an NPC, from 0 (broken) to 100 (steady).
+ * - Mindless creatures never break.
+ * - HP below 75%, each fallen ally, and the fall of a leader (an ally stronger than anyone still standing) lower it.
+ * - Level above the party raises it, below lowers it.
+ * - Minions and animals break sooner; undead hold longer. An aggressive preset adds resolve, a defensive one takes it away.
+ * A broken creature fights on if it's undead or aggressive, surrenders if it can talk its way out while engaged,
+ * and otherwise retreats (or lashes out if it is cornered).
+ * @param {ActorPF2e} actor - The NPC.
+ * @param {object} situation - { hpPercent, fallenAllies: [{ name, level }], allyLevels: number[], partyLevel, preset, engagedEnemies }.
+ * @returns {object} { score, state, behavior, reasons, fearless }; behavior is null unless broken.
+ */
+function calculateMorale(actor, situation = {}) {
+    const traits = actor?.system?.traits?.value ?? [];
+    if (traits.includes('mindless')) {
+        return { score: 100, state: MORALE_STATES.STEADY, behavior: null, reasons: ['mindless'], fearless: true };
+    }
 
-        // Check for consecutive misses
-        const recentAttacks = recentActions.filter(a =>
-            a.outcome === 'failure' || a.outcome === 'success' ||
-            a.outcome === 'criticalSuccess' || a.outcome === 'criticalFailure'
-        );
+    const level = actor?.level ?? 0;
+    const reasons = [];
+    let score = 100;
 
-        const consecutiveMisses = recentAttacks.filter(a =>
-            a.outcome === 'failure' || a.outcome === 'criticalFailure'
-        ).length;
+    const hpPercent = situation.hpPercent ?? 100;
+    if (hpPercent < 75) {
+        score -= Math.round((75 - hpPercent) * 0.8);
+        reasons.push(`HP ${hpPercent}%`);
+    }
 
-        if (consecutiveMisses >= 2) {
-            hints.push(`Your last ${consecutiveMisses} attacks missed. Consider a different approach (debuff enemy AC, buff yourself, use a different attack, or target a different enemy).`);
+    const fallenAllies = situation.fallenAllies ?? [];
+    if (fallenAllies.length > 0) {
+        score -= 12 * fallenAllies.length;
+        reasons.push(`${fallenAllies.length} all${fallenAllies.length === 1 ? 'y' : 'ies'} fallen`);
+        const strongestStanding = Math.max(level, ...(situation.allyLevels ?? []));
+        const leader = fallenAllies.filter(ally => ally.level > strongestStanding).sort((a, b) => b.level - a.level)[0];
+        if (leader) {
+            score -= 25;
+            reasons.push(`leader ${leader.name} fallen`);
         }
+    }
 
-        // Check if damage was low despite hitting
-        const totalDamage = lastRoundData.damageDealt || 0;
-        const successfulHits = recentAttacks.filter(a =>
-            a.outcome === 'success' || a.outcome === 'criticalSuccess'
-        ).length;
-
-        if (successfulHits >= 2 && totalDamage < 10) {
-            hints.push("Your hits are landing but damage is low. Consider using a higher damage weapon or spell.");
+    if (typeof situation.partyLevel === 'number') {
+        const levelDifference = Math.round(level - situation.partyLevel);
+        if (levelDifference !== 0) {
+            score += Math.max(-20, Math.min(20, levelDifference * 5));
+            reasons.push(`level ${levelDifference > 0 ? '+' : ''}${levelDifference} vs party`);
         }
+    }
 
-        // Check for effective actions that worked well
-        const stats = memory.statistics?.[combatantId];
-        if (stats?.effectiveActions?.length > 0) {
-            const randomEffective = stats.effectiveActions[Math.floor(Math.random() * stats.effectiveActions.length)];
-            if (Math.random() > 0.5) { // 50% chance to suggest
-                hints.push(`"${randomEffective}" has been effective for you previously.`);
-            }
-        }
-    } catch (e) {
-        console.error("AI analyzeRecentOutcomes: Error analyzing outcomes:", e);
+    if (traits.includes('minion')) { score -= 15; reasons.push('minion'); }
+    if (traits.includes('animal')) { score -= 10; reasons.push('animal'); }
+    if (traits.includes('undead')) { score += 20; reasons.push('undead'); }
+
+    if (situation.preset === TACTICAL_PRESETS.AGGRESSIVE) { score += 10; reasons.push('aggressive'); }
+    else if (situation.preset === TACTICAL_PRESETS.DEFENSIVE) { score -= 10; reasons.push('defensive'); }
+
+    score = Math.max(0, Math.min(100, score));
+    const state = score < MORALE_THRESHOLDS.broken ? MORALE_STATES.BROKEN
+        : score < MORALE_THRESHOLDS.shaken ? MORALE_STATES.SHAKEN : MORALE_STATES.STEADY;
+
+    let behavior = null;
+    if (state === MORALE_STATES.BROKEN) {
+        const engaged = situation.engagedEnemies ?? 0;
+        const canParley = (actor?.system?.abilities?.int?.mod ?? 0) >= -1 && !traits.includes('animal') && !traits.includes('minion');
+        if (traits.includes('undead') || situation.preset === TACTICAL_PRESETS.AGGRESSIVE) behavior = MORALE_BEHAVIORS.DESPERATE;
+        else if (canParley && engaged > 0) behavior = MORALE_BEHAVIORS.SURRENDER;
+        else if (engaged >= 2) behavior = MORALE_BEHAVIORS.DESPERATE; // Cornered
+        else behavior = MORALE_BEHAVIORS.RETREAT;
     }
+    return { score, state, behavior, reasons, fearless: false };
+}
 
-    return hints;
+/**
+ * Applies a GM override from the suggestion card to a calculated morale.
+ * @param {object} morale - From calculateMorale.
+ * @param {string|undefined} override - A key of MORALE_OVERRIDES.
+ * @returns {object} The morale, with `overridden` set when the GM's choice replaced it.
+ */
+function applyMoraleOverride(morale, override) {
+    if (!override || override === 'auto' || !(override in MORALE_OVERRIDES)) return { ...morale, overridden: false };
+    if (override === MORALE_STATES.STEADY || override === MORALE_STATES.SHAKEN) return { ...morale, state: override, behavior: null, overridden: true };
+    return { ...morale, state: MORALE_STATES.BROKEN, behavior: override, overridden: true };
+}
+
+/**
+ * Short morale label for the suggestion card, e.g. "Broken: Retreat (18)".
+ * @param {object} morale - From calculateMorale or applyMoraleOverride.
+ * @returns {string}
+ */
+function describeMorale(morale) {
+    if (morale.fearless) return 'Fearless (mindless)';
+    const label = morale.behavior ? MORALE_OVERRIDES[morale.behavior] : MORALE_OVERRIDES[morale.state];
+    return `${label} (${morale.score})`;
+}
+
+/**
+ * The prompt directive for a shaken or broken creature. Broken morale replaces the tactical directive.
+ * @param {object|null} morale - From gatherGameState.
+ * @returns {string} The directive, or '' for a steady creature.
+ */
+function getMoraleDirectiveForPrompt(morale) {
+    if (!morale || morale.state === MORALE_STATES.STEADY) return '';
+    const why = morale.overridden ? 'set by the GM' : morale.reasons.join(', ');
+
+    if (morale.state === MORALE_STATES.SHAKEN) {
+        return `**MORALE: SHAKEN** (${why})
+- Your resolve is wavering. Avoid needless risks and keep allies between you and the most dangerous enemy
+- Call for help if allies are nearby but not yet fighting, or fall back toward them
+- Break off from a fight you are clearly losing`;
+    }
+    switch (morale.behavior) {
+        case MORALE_BEHAVIORS.SURRENDER:
+            return `**MORALE BROKEN: SURRENDER** (${why}) - This overrides any tactical directive.
+- You give up. Suggest only non-hostile actions: Release your weapon, Step back and beg for mercy or offer information
+- Do NOT attack, cast harmful spells or use hostile abilities. End your turn when there's nothing else to do`;
+        case MORALE_BEHAVIORS.DESPERATE:
+            return `**MORALE BROKEN: DESPERATE ATTACK** (${why}) - This overrides any tactical directive.
+- There's no way out and nothing left to lose. Throw everything at the nearest or most wounded enemy
+- Use your strongest abilities, spells and consumables now. Ignore defensive options`;
+        default:
+            return `**MORALE BROKEN: RETREAT** (${why}) - This overrides any tactical directive.
+- Your priority is escaping. Stride away from enemies toward cover, exits or your allies; Step first when adjacent so you don't provoke reactions
+- Only attack or use abilities that help you get away (e.g. blocking pursuit)`;
+    }
 }
 
 // ============================================================================
-// MULTI-ACTION PLANNING MODE
+// BEHAVIOR PROFILES
 // ============================================================================
 
 /**
- * Crafts a prompt for multi-action turn planning.
- * Requests a complete 3-action plan instead of single actions.
- * @param {Combatant} combatant - The combatant.
- * @param {object} gameState - The gathered game state.
- * @param {object} turnState - The current turn state.
- * @returns {string} The multi-action plan prompt.
+ * How different kinds of creature play, chosen from their traits and Intelligence.
+ * Each profile says what the creature understands about a fight and what it will do:
+ * focus downed characters, recognize spellcasters, flank, use items, retreat.
+ * `enemyFacts` lists the KNOWLEDGE_FACTS it can judge about its enemies; the rest are left out of
+ * its game state, along with what's derived from them (hit and save odds, damage type matchups).
+ * Without `plansAreas` it gets no area spell placements.
  */
-function craftMultiActionPlanPrompt(combatant, gameState, turnState) {
-    // Get the base prompt content (reuse existing logic)
-    const basePrompt = craftSingleActionPrompt(combatant, gameState, turnState);
+const BEHAVIOR_PROFILES = {
+    mindless: {
+        label: 'Mindless',
+        summary: 'Acts on simple drives with no grasp of tactics.',
+        knowledge: 'It knows only what is in front of it. Ignore enemy classes, spells, defenses and odds when choosing',
+        focusDowned: false, recognizeCasters: false, useFlanking: false, useItems: false, retreats: false,
+        enemyFacts: [], plansAreas: false
+    },
+    bestial: {
+        label: 'Bestial',
+        summary: 'Hunts on instinct, like a predator or a pack animal.',
+        knowledge: 'It understands threat, size and injury, not classes or spells',
+        focusDowned: true, recognizeCasters: false, useFlanking: true, useItems: false, retreats: true,
+        enemyFacts: [], plansAreas: false
+    },
+    construct: {
+        label: 'Construct',
+        summary: 'Follows its orders or programming to the letter.',
+        knowledge: 'It knows its orders and the creatures in front of it, nothing more',
+        focusDowned: false, recognizeCasters: false, useFlanking: false, useItems: false, retreats: false,
+        enemyFacts: [], plansAreas: false
+    },
+    undead: {
+        label: 'Undead',
+        summary: 'Driven by hunger or hatred of the living.',
+        knowledge: 'It reads a fight well enough, but hatred matters more to it than tactics',
+        focusDowned: true, recognizeCasters: true, useFlanking: true, useItems: true, retreats: false,
+        enemyFacts: ['ac', 'abilities'], plansAreas: true
+    },
+    dragon: {
+        label: 'Dragon',
+        summary: 'Proud, cunning and territorial; it looks down on lesser creatures.',
+        knowledge: 'It recognizes spellcasters and dangerous weapons, but underestimates foes weaker than itself',
+        focusDowned: false, recognizeCasters: true, useFlanking: false, useItems: false, retreats: true,
+        enemyFacts: ['ac', 'saves', 'abilities'], plansAreas: true
+    },
+    mastermind: {
+        label: 'Mastermind',
+        summary: 'A brilliant tactician (high Intelligence) that plans several moves ahead.',
+        knowledge: "It reads the party's roles and weaknesses and exploits them",
+        focusDowned: true, recognizeCasters: true, useFlanking: true, useItems: true, retreats: true,
+        enemyFacts: Object.keys(KNOWLEDGE_FACTS), plansAreas: true
+    },
+    soldier: {
+        label: 'Soldier',
+        summary: 'A thinking combatant of ordinary intelligence.',
+        knowledge: 'It sizes up armor, weapons and spellcasting the way any trained combatant would',
+        focusDowned: false, recognizeCasters: true, useFlanking: true, useItems: true, retreats: true,
+        enemyFacts: Object.keys(KNOWLEDGE_FACTS), plansAreas: true
+    }
+};
 
-    // Replace the output format section with multi-action plan format
-    const multiActionInstructions = `
-
-**MULTI-ACTION PLAN MODE:**
-You have ${turnState.actionsRemaining} actions remaining. Plan your COMPLETE turn by suggesting all ${turnState.actionsRemaining} actions in sequence.
-
-**Output Format (CRITICAL - MUST be valid JSON):**
-\`\`\`json
-{
-    "plan": [
-        {
-            "sequence": 1,
-            "action": "Action Name (Cost)",
-            "target": "Target Name [ID: tokenId] or Self/None",
-            "rationale": "Brief explanation"
-        },
-        {
-            "sequence": 2,
-            "action": "Action Name (Cost)",
-            "target": "Target Name [ID: tokenId] or Self/None",
-            "rationale": "Brief explanation"
-        },
-        {
-            "sequence": 3,
-            "action": "Action Name (Cost)",
-            "target": "Target Name [ID: tokenId] or Self/None",
-            "rationale": "Brief explanation"
-        }
-    ],
-    "contingency": "If the first action fails, consider [alternative approach].",
-    "overallStrategy": "Brief description of the turn's tactical goal."
-}
-\`\`\`
-
-**Planning Guidelines:**
-1. Consider action synergies - setup actions should enable powerful follow-ups
-2. Account for MAP when planning multiple Strikes
-3. Include movement if needed to reach targets
-4. Consider defensive actions if HP is low
-5. Plan contingencies for if key actions fail (e.g., miss on first Strike)
-6. Prioritize actions that maximize overall turn value
-
-**IMPORTANT:**
-- Total action cost must NOT exceed ${turnState.actionsRemaining}
-- Plan exactly ${turnState.actionsRemaining} actions (or fewer if ending turn early is optimal)
-- Consider the order carefully - earlier actions affect later ones
-`;
-
-    // Append multi-action instructions to the base prompt
-    return basePrompt + multiActionInstructions;
+/**
+ * Picks a creature's behavior profile from its traits and Intelligence modifier.
+ * @param {ActorPF2e} actor - The creature.
+ * @returns {string} A key of BEHAVIOR_PROFILES.
+ */
+function detectBehaviorProfile(actor) {
+    const traits = actor?.system?.traits?.value ?? [];
+    const intModifier = actor?.system?.abilities?.int?.mod ?? 0;
+    if (traits.includes('mindless')) return 'mindless';
+    if (traits.includes('dragon')) return 'dragon';
+    if (intModifier >= 4) return 'mastermind';
+    if (traits.includes('construct')) return 'construct';
+    if (traits.includes('animal') || intModifier <= -4 || (traits.includes('beast') && intModifier <= -3)) return 'bestial';
+    if (traits.includes('undead')) return 'undead';
+    return 'soldier';
 }
 
 /**
- * Parses a multi-action plan response from the LLM.
- * @param {string} rawResponse - The raw LLM response.
- * @returns {object|null} Parsed plan object or null if parsing fails.
+ * The behavior profile an NPC plays by: the GM's override on the actor, or the detected one.
+ * @param {ActorPF2e} actor - The creature.
+ * @returns {object|null} { key, overridden, ...profile }, or null for PCs, when profiles are off, or when the GM chose optimal tactics.
  */
-function parseMultiActionPlan(rawResponse) {
+function getBehaviorProfile(actor) {
+    if (actor?.type !== 'npc') return null;
     try {
-        // Try to extract JSON from the response
-        let jsonMatch = rawResponse.match(/```json\s*([\s\S]*?)\s*```/);
-        let jsonString = jsonMatch ? jsonMatch[1] : null;
-
-        // Fallback: try to find raw JSON object
-        if (!jsonString) {
-            const rawJsonMatch = rawResponse.match(/\{[\s\S]*"plan"[\s\S]*\}/);
-            jsonString = rawJsonMatch ? rawJsonMatch[0] : null;
-        }
-
-        if (!jsonString) {
-            console.warn("AI parseMultiActionPlan: Could not find JSON in response");
-            return null;
-        }
-
-        const parsed = JSON.parse(jsonString);
-
-        // Validate structure
-        if (!parsed.plan || !Array.isArray(parsed.plan)) {
-            console.warn("AI parseMultiActionPlan: Invalid plan structure");
-            return null;
-        }
-
-        // Validate each action in the plan
-        for (const action of parsed.plan) {
-            if (!action.sequence || !action.action) {
-                console.warn("AI parseMultiActionPlan: Invalid action in plan", action);
-                return null;
-            }
-        }
+        if (!game.settings.get(MODULE_ID, 'enableBehaviorProfiles')) return null;
+    } catch (e) { /* Setting not registered yet */ }
 
-        return {
-            plan: parsed.plan,
-            contingency: parsed.contingency || null,
-            overallStrategy: parsed.overallStrategy || null
-        };
-    } catch (e) {
-        console.error("AI parseMultiActionPlan: Error parsing plan:", e);
-        return null;
-    }
+    const override = actor.getFlag(MODULE_ID, FLAGS.BEHAVIOR_PROFILE);
+    if (override === 'none') return null;
+    const key = override in BEHAVIOR_PROFILES ? override : detectBehaviorProfile(actor);
+    return { key, overridden: override in BEHAVIOR_PROFILES, ...BEHAVIOR_PROFILES[key] };
 }
 
 /**
- * Gets the current action plan for an actor.
- * @param {Actor} actor - The actor.
- * @returns {object|null} The stored action plan or null.
+ * The behavior profile section of the prompt, given alongside the tactical directive.
+ * @param {object|null} profile - From getBehaviorProfile.
+ * @returns {string} The section, or '' without a profile.
  */
-function getStoredActionPlan(actor) {
-    if (!actor) return null;
-    return actor.getFlag(MODULE_ID, FLAGS.ACTION_PLAN) || null;
+function getBehaviorProfileForPrompt(profile) {
+    if (!profile) return '';
+    const lines = [
+        `- Knowledge: ${profile.knowledge}`,
+        profile.focusDowned ? '- Finishes off downed or dying characters it can reach' : '- Ignores downed characters and turns to those still standing',
+        profile.recognizeCasters ? '- Recognizes spellcasters and healers and may go after them first' : "- Can't tell spellcasters from anyone else: picks targets by how close they are and who hurt it last",
+        profile.useFlanking ? '- Flanks and works with its allies' : "- Doesn't flank or coordinate with allies on purpose",
+        profile.useItems ? '- Uses items and consumables' : '- Never uses items or consumables',
+        profile.retreats ? '- May retreat when badly hurt' : '- Never retreats'
+    ];
+    return `**BEHAVIOR PROFILE: ${profile.label.toUpperCase()}**${profile.overridden ? ' (set by the GM)' : ''} - ${profile.summary} Play it this way even when a smarter option exists:
+${lines.join('\n')}`;
 }
 
-/**
- * Stores an action plan on an actor.
- * @param {Actor} actor - The actor.
- * @param {object} plan - The action plan to store.
- */
-async function storeActionPlan(actor, plan) {
-    if (!actor) return;
-    await actor.setFlag(MODULE_ID, FLAGS.ACTION_PLAN, {
-        plannedActions: plan.plan,
-        contingency: plan.contingency,
-        overallStrategy: plan.overallStrategy,
-        currentStep: 0,
-        timestamp: Date.now()
-    });
-}
+// ============================================================================
+// FLANKING & POSITIONAL AWARENESS
+// ============================================================================
 
 /**
- * Gets the next action from the stored plan.
- * @param {Actor} actor - The actor.
- * @returns {object|null} The next action or null if plan is exhausted.
+ * Checks if two tokens are adjacent (within 5 feet of each other).
+ * Handles different token sizes.
+ * @param {Token} token1 - First token.
+ * @param {Token} token2 - Second token.
+ * @returns {boolean} True if tokens are adjacent.
  */
-function getNextPlannedAction(actor) {
-    const plan = getStoredActionPlan(actor);
-    if (!plan || !plan.plannedActions) return null;
-
-    const nextAction = plan.plannedActions[plan.currentStep];
-    if (!nextAction) return null;
+function isTokenAdjacent(token1, token2) {
+    if (!token1 || !token2 || !canvas?.grid) return false;
 
-    return {
-        action: nextAction.action,
-        target: nextAction.target,
-        rationale: nextAction.rationale,
-        sequence: nextAction.sequence,
-        isLastAction: plan.currentStep >= plan.plannedActions.length - 1,
-        contingency: plan.contingency,
-        overallStrategy: plan.overallStrategy
-    };
+    try {
+        // Use Foundry's built-in distance measurement
+        const distance = token1.distanceTo(token2);
+        // Adjacent means within reach (typically 5ft, but account for token sizes)
+        // For PF2e, creatures are adjacent if they could make a reach 5ft melee attack
+        return distance <= 5;
+    } catch (e) {
+        console.warn("AI isTokenAdjacent: Error calculating distance:", e);
+        return false;
+    }
 }
 
 /**
- * Advances to the next action in the stored plan.
- * @param {Actor} actor - The actor.
+ * Checks if an attacker is flanking a target with help from an ally.
+ * PF2e flanking requires attacker and ally to be on opposite sides/corners of target.
+ * @param {Token} attackerToken - The attacking token.
+ * @param {Token} targetToken - The target being attacked.
+ * @param {Token} allyToken - The ally potentially providing flanking.
+ * @returns {boolean} True if flanking condition is met.
  */
-async function advancePlanStep(actor) {
-    const plan = getStoredActionPlan(actor);
-    if (!plan) return;
-
-    await actor.setFlag(MODULE_ID, FLAGS.ACTION_PLAN, {
-        ...plan,
-        currentStep: plan.currentStep + 1
-    });
-}
+function checkFlanking(attackerToken, targetToken, allyToken) {
+    if (!attackerToken || !targetToken || !allyToken || !canvas?.grid) return false;
 
-/**
- * Clears the stored action plan.
- * @param {Actor} actor - The actor.
- */
-async function clearActionPlan(actor) {
-    if (!actor) return;
-    await actor.unsetFlag(MODULE_ID, FLAGS.ACTION_PLAN);
-}
+    try {
+        // Both attacker and ally must be adjacent to target
+        if (!isTokenAdjacent(attackerToken, targetToken)) return false;
+        if (!isTokenAdjacent(allyToken, targetToken)) return false;
 
+        // Get center positions
+        const attackerCenter = attackerToken.center;
+        const targetCenter = targetToken.center;
+        const allyCenter = allyToken.center;
 
-/**
- * Cleans up and summarizes HTML description text for prompts.
- * Removes most HTML tags, converts basic formatting to newlines/separators,
- * handles @Localize, strips condition UUIDs, and extracts text from common Foundry/PF2e link formats.
- * Separator logic removed - handled in createAbilityListString now.
- * @param {string|null} descriptionHTML - The HTML content to clean.
- * @returns {string} A cleaned-up plain text summary.
- */
-function summarizeAbilityDetails(descriptionHTML) {
-    if (!descriptionHTML || typeof descriptionHTML !== 'string') {
-        return '';
-    }
+        if (!attackerCenter || !targetCenter || !allyCenter) return false;
 
-    // Basic cleaning and formatting for prompt injection
-    let cleanedDescription = descriptionHTML
-        .replace(/<br\s*\/?>/gi, '\n') // Convert <br> to newlines
-        .replace(/<\/?p>/gi, '\n') // Convert paragraphs to newlines (extra newlines will be collapsed later)
-        .replace(/<hr\s*\/?>/gi, '\n---\n') // Convert <hr> to a separator
-        .replace(/<\/?(?:strong|b|em|i|u)>/gi, '') // Remove basic formatting tags (bold, italic, etc.)
-        .replace(/<a [^>]+>([^<]+)<\/a>/gi, '$1') // Keep only the text content of links
-        // Remove most UUID links, keeping only the text label
-        .replace(/@UUID\[[^\]]+\]\{([^}]+)\}/gi, '$1')
-        .replace(/@Check\[[^\]]+\]\{([^}]+)\}/gi, '$1') // Extract text from @Check links
-        .replace(/@Damage\[([^\]]+)\]/gi, '$1'); // Extract damage formula text from @Damage
+        // Calculate vectors from target to attacker and target to ally
+        const toAttacker = {
+            x: attackerCenter.x - targetCenter.x,
+            y: attackerCenter.y - targetCenter.y
+        };
+        const toAlly = {
+            x: allyCenter.x - targetCenter.x,
+            y: allyCenter.y - targetCenter.y
+        };
 
-    // Handle @Localize tags
-    cleanedDescription = cleanedDescription.replace(/(@Localize\[([^\]]+)\])/g, (match, fullMatch, key) => {
-        if (key) {
-            const localizedText = game.i18n.localize(key);
-            // Replace the tag with the localized text directly
-            return localizedText !== key ? localizedText : fullMatch;
-        }
-        return fullMatch;
-    });
+        // Normalize vectors
+        const attackerMag = Math.sqrt(toAttacker.x ** 2 + toAttacker.y ** 2);
+        const allyMag = Math.sqrt(toAlly.x ** 2 + toAlly.y ** 2);
 
-    // --- REMOVED Separator logic ---
-    // It was too fragile. We will parse Req/Trig/Effect in createAbilityListString.
+        if (attackerMag === 0 || allyMag === 0) return false;
 
-    // Strip specific Condition UUIDs after general UUID handling and localization
-    cleanedDescription = cleanedDescription.replace(/@UUID\[Compendium\.pf2e\.conditionitems\.Item\.[^\]]+\]\{([^}]+)\}/gi, '$1');
+        const attackerNorm = { x: toAttacker.x / attackerMag, y: toAttacker.y / attackerMag };
+        const allyNorm = { x: toAlly.x / allyMag, y: toAlly.y / allyMag };
 
-    // Final cleanup
-    cleanedDescription = cleanedDescription
-        .replace(/\[\[\/gmr ([^#]+)#([^\]]+)\]\]\{([^}]+)\}/gi, '$1 ($3)') // Handle GMR links cleanly
-        .replace(/<[^>]*>/g, ' ') // Remove all remaining HTML tags
-        .replace(/ {2,}/g, ' ') // Collapse multiple spaces to a single space
-        .replace(/\n\s*\n/g, '\n') // Remove empty lines resulting from tag removal
-        .replace(/\n /g, '\n') // Remove leading spaces on new lines
-        .trim(); // Remove leading/trailing whitespace
+        // Calculate dot product - if negative, they're on opposite sides
+        // For flanking, we want them roughly opposite (dot product < -0.5 approximately)
+        // This gives us a ~120 degree cone for "opposite sides"
+        const dotProduct = attackerNorm.x * allyNorm.x + attackerNorm.y * allyNorm.y;
 
-    return cleanedDescription;
+        // Flanking requires being on opposite sides - dot product should be negative
+        // Using -0.5 as threshold allows for some positioning flexibility
+        return dotProduct < -0.5;
+    } catch (e) {
+        console.warn("AI checkFlanking: Error checking flanking:", e);
+        return false;
+    }
 }
 
 /**
- * Decides if a long description should be excluded from the prompt,
- * assuming it's likely flavor text rather than critical mechanics.
- * Uses length thresholds and keyword heuristics.
- * **This should NOT be used for Spells or Conditions/Effects.**
- * @param {string|null} fullDescription - The cleaned description text.
- * @param {string} abilityName - The name of the ability/feat (for logging).
- * @param {number} [absoluteMaxLength=1200] - Absolute max length threshold.
- * @param {number} [heuristicMaxLength=400] - Threshold for keyword heuristic check.
- * @returns {boolean} True if the description should be excluded.
+ * Analyzes flanking opportunities for a combatant.
+ * @param {Token} selfToken - The attacking token.
+ * @param {Array} aliveEnemies - Array of alive enemy combatant info objects.
+ * @param {Array} aliveAllies - Array of alive ally combatant info objects.
+ * @param {object} combat - The combat object.
+ * @returns {object} Object with current flanking situations and opportunities.
  */
-function shouldExcludeDescription(fullDescription, abilityName, absoluteMaxLength = 1200, heuristicMaxLength = 400) {
-    if (!fullDescription) {
-        return false; // Don't exclude if there's no description
-    }
+function analyzeFlanking(selfToken, aliveEnemies, aliveAllies, combat) {
+    const result = {
+        currentlyFlanking: [],      // Enemies we're currently flanking
+        flankingOpportunities: [],  // Enemies we could flank if we moved
+        adjacentAllies: [],         // Allies adjacent to us
+        adjacentEnemies: []         // Enemies adjacent to us
+    };
 
-    // Exclude if simply too long
-    if (fullDescription.length > absoluteMaxLength) {
-        // console.log(`AI Exclude Desc (Too Long: ${fullDescription.length}): ${abilityName}`); // DEBUG
-        return true;
-    }
+    if (!selfToken || !canvas?.tokens) return result;
 
-    // Heuristic: If it's moderately long and seems mostly flavor-oriented, exclude.
-    if (fullDescription.length > heuristicMaxLength) {
-        const lowerDesc = fullDescription.toLowerCase();
-        // Keywords suggesting flavor/lore/roleplaying aspects
-        const flavorKeywords = [
-            'choose a deity', 'anathema', 'edicts', 'sanctification', 'roleplaying',
-            'atone ritual', 'skill training', 'alignment', 'multiclass dedication',
-            'archetype', 'background', 'story', 'appearance', 'personality'
-        ];
-        // Keywords suggesting mechanical/combat relevance
-        const combatKeywords = [
-            'make a strike', 'cast a spell', 'reaction', 'trigger', 'frequency', 'stance',
-            'condition', 'save dc', 'hit points', 'heal', 'round',
-            'minute', 'action', 'area', 'range', 'feet', 'stride', 'step',
-            'attack', 'damage', 'flat check', 'circumstance bonus', 'status bonus',
-            'item bonus', 'penalty', 'damage', 'restore'
-        ];
+    try {
+        // Check each enemy
+        for (const enemy of aliveEnemies) {
+            if (!enemy.tokenId) continue;
+            const enemyToken = canvas.tokens.get(enemy.tokenId);
+            if (!enemyToken) continue;
 
-        const flavorCount = flavorKeywords.reduce((count, keyword) => count + (lowerDesc.includes(keyword) ? 1 : 0), 0);
-        const combatCount = combatKeywords.reduce((count, keyword) => count + (lowerDesc.includes(keyword) ? 1 : 0), 0);
+            const isAdjacent = isTokenAdjacent(selfToken, enemyToken);
+            if (isAdjacent) {
+                result.adjacentEnemies.push({
+                    name: enemy.name,
+                    id: enemy.id,
+                    tokenId: enemy.tokenId
+                });
+            }
 
-        // If it contains multiple flavor keywords and very few (or no) combat keywords, likely exclude.
-        if (flavorCount >= 2 && combatCount <= 1) {
-            // console.log(`AI Exclude Desc (Flavor>Combat): ${abilityName} (Flavor: ${flavorCount}, Combat: ${combatCount})`); // DEBUG
-            return true;
+            // Check if any ally is flanking this enemy with us
+            for (const ally of aliveAllies) {
+                if (!ally.tokenId) continue;
+                const allyToken = canvas.tokens.get(ally.tokenId);
+                if (!allyToken) continue;
+
+                // Check if ally is adjacent to us
+                if (isTokenAdjacent(selfToken, allyToken)) {
+                    // Add to adjacent allies list (avoid duplicates)
+                    if (!result.adjacentAllies.find(a => a.tokenId === ally.tokenId)) {
+                        result.adjacentAllies.push({
+                            name: ally.name,
+                            id: ally.id,
+                            tokenId: ally.tokenId
+                        });
+                    }
+                }
+
+                // Check flanking
+                if (checkFlanking(selfToken, enemyToken, allyToken)) {
+                    result.currentlyFlanking.push({
+                        target: enemy.name,
+                        targetId: enemy.tokenId,
+                        flankingWith: ally.name,
+                        allyId: ally.tokenId
+                    });
+                } else if (isTokenAdjacent(allyToken, enemyToken) && !isAdjacent) {
+                    // Ally is adjacent to enemy but we're not - potential flanking opportunity
+                    result.flankingOpportunities.push({
+                        target: enemy.name,
+                        targetId: enemy.tokenId,
+                        flankingWith: ally.name,
+                        allyId: ally.tokenId,
+                        hint: `Move to opposite side of ${enemy.name} from ${ally.name} to flank`
+                    });
+                }
+            }
         }
+    } catch (e) {
+        console.error("AI analyzeFlanking: Error analyzing flanking:", e);
     }
 
-    return false; // Otherwise, include the description
+    return result;
 }
 
+// ============================================================================
+// AREA PLACEMENT OPTIMIZER
+// ============================================================================
+
+/** Cone and line directions tried, in degrees, on top of the directions toward each enemy. */
+const AREA_PLACEMENT_ANGLE_STEP = 15;
+
 /**
- * Calculates the threat level of an actor based on their current HP percentage.
- * Used for visual threat assessment badges in suggestion cards.
- * @param {Actor} actor - The actor to assess.
- * @returns {object} An object with level ('healthy'|'wounded'|'critical'|'dying'|'unknown'),
- *                   label (localized display text), and cssClass for styling.
+ * Lists the centers of the grid squares a token occupies, in grid squares.
+ * @param {{x: number, y: number}} coordinates - Token top-left position in pixels.
+ * @param {number} footprint - Token width in squares (tiny creatures count as 1).
+ * @param {number} gridSize - Grid square size in pixels.
+ * @returns {{x: number, y: number}[]}
  */
-function getThreatLevel(actor) {
-    if (!actor || !actor.system?.attributes?.hp) {
-        return { level: 'unknown', label: '?', cssClass: 'ai-threat-unknown' };
-    }
+function getTokenSquareCenters(coordinates, footprint, gridSize) {
+    const size = Math.max(1, Math.round(footprint || 1));
+    const left = coordinates.x / gridSize;
+    const top = coordinates.y / gridSize;
+    const centers = [];
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j < size; j++) centers.push({ x: left + i + 0.5, y: top + j + 0.5 });
+    }
+    return centers;
+}
 
-    const hp = actor.system.attributes.hp;
-    const currentHp = hp.value ?? 0;
-    const maxHp = hp.max ?? 1;
+/**
+ * Distance from a point to an axis-aligned rectangle (0 inside it), in the same units.
+ * @param {{x: number, y: number}} point
+ * @param {{left: number, top: number, size: number}} rect
+ * @returns {number}
+ */
+function distanceToRect(point, rect) {
+    const dx = Math.max(rect.left - point.x, 0, point.x - (rect.left + rect.size));
+    const dy = Math.max(rect.top - point.y, 0, point.y - (rect.top + rect.size));
+    return Math.hypot(dx, dy);
+}
 
-    // Check for dying/unconscious status
-    if (currentHp <= 0 || actor.hasCondition?.('dying') || actor.hasCondition?.('unconscious')) {
-        return { level: 'dying', label: game.i18n.localize(`${MODULE_ID}.threat.dying`) || 'Dying', cssClass: 'ai-threat-dying' };
-    }
+/**
+ * Tests whether a square center lies in an area, all in grid squares.
+ * A square counts when its center is inside, so a 10-foot burst covers a 4x4 block without its corners.
+ * @param {{x: number, y: number}} point - Square center.
+ * @param {object} placement - { type, origin, direction (degrees, 0 = east, clockwise), radius (squares), casterRect }.
+ * @returns {boolean}
+ */
+function isSquareInArea(point, placement) {
+    const { type, origin, direction, radius, casterRect } = placement;
+    if (type === 'emanation') return distanceToRect(point, casterRect) <= radius;
+    const dx = point.x - origin.x;
+    const dy = point.y - origin.y;
+    const distance = Math.hypot(dx, dy);
+    if (type === 'burst') return distance <= radius;
+    const radians = direction * Math.PI / 180;
+    const along = dx * Math.cos(radians) + dy * Math.sin(radians);
+    if (type === 'line') {
+        const across = Math.abs(-dx * Math.sin(radians) + dy * Math.cos(radians));
+        return along > 0 && along <= radius && across <= 0.5; // 5-foot wide line
+    }
+    if (type === 'cone') return distance > 0 && distance <= radius && along / distance >= Math.cos(Math.PI / 4); // 90-degree cone
+    return false;
+}
 
-    const hpPercent = (currentHp / maxHp) * 100;
+/**
+ * Finds where to put an area so it catches the most enemies and the fewest allies.
+ * Works on the positions gathered by gatherGameState; hidden creatures (no coordinates) are ignored.
+ * - Burst: every grid intersection within range (measured on the grid) that can reach an enemy.
+ * - Cone/line: starts at the edge of the caster's space, aimed every AREA_PLACEMENT_ANGLE_STEP degrees and at each enemy.
+ * - Emanation: centered on the caster, which it doesn't affect.
+ * Score is enemies hit minus twice the allies hit (the caster counts as an ally). Ties go to the placement that
+ * hits more enemies, then to the one closest to the caster by grid distance.
+ * @param {object} params
+ * @param {{type: string, value: number|string}} params.area - The spell's system.area.
+ * @param {number|null} params.rangeFeet - Spell range in feet (bursts only; null = centered within reach of the caster's space).
+ * @param {object} params.self - { coordinates, footprint }.
+ * @param {object[]} params.enemies - Combatant info with name, tokenId, coordinates, footprint.
+ * @param {object[]} params.allies - Same for allies.
+ * @param {number} params.gridSize - Grid square size in pixels.
+ * @param {number} params.gridDistance - Feet per grid square.
+ * @returns {{best: object|null, bestWithoutAllies: object|null}} Placements with type, origin and direction for a
+ *   MeasuredTemplate (origin in pixels), distance (template feet), enemiesHit and alliesHit ({name, tokenId}), hitsSelf, score
+ *   and originDistance (grid feet from the caster's space).
+ */
+function findBestAreaPlacement({ area, rangeFeet, self, enemies, allies, gridSize, gridDistance }) {
+    const empty = { best: null, bestWithoutAllies: null };
+    const type = area?.type;
+    const areaFeet = parseInt(area?.value, 10) || 0; // system.area.value can be a string
+    const radius = areaFeet / gridDistance;
+    if (!['burst', 'cone', 'line', 'emanation'].includes(type) || radius <= 0 || !self?.coordinates || !gridSize || !gridDistance) return empty;
+
+    const withSquares = (list) => (list || [])
+        .filter(creature => creature?.coordinates)
+        .map(creature => ({ name: creature.name, tokenId: creature.tokenId, squares: getTokenSquareCenters(creature.coordinates, creature.footprint, gridSize) }));
+    const enemySquares = withSquares(enemies);
+    const allySquares = withSquares(allies);
+    if (enemySquares.length === 0) return empty;
+
+    const casterSize = Math.max(1, Math.round(self.footprint || 1));
+    const casterRect = { left: self.coordinates.x / gridSize, top: self.coordinates.y / gridSize, size: casterSize };
+    const casterCenter = { x: casterRect.left + casterSize / 2, y: casterRect.top + casterSize / 2 };
+    const casterSquares = getTokenSquareCenters(self.coordinates, casterSize, gridSize);
+    // Feet from the caster's space to a point, counted on the grid like any PF2e range (every second diagonal is 10 feet)
+    const feetFromCaster = (point) => measureGridSteps(
+        Math.round(Math.max(casterRect.left - point.x, 0, point.x - (casterRect.left + casterSize))),
+        Math.round(Math.max(casterRect.top - point.y, 0, point.y - (casterRect.top + casterSize))),
+        gridDistance
+    );
 
-    if (hpPercent > 66) {
-        return { level: 'healthy', label: game.i18n.localize(`${MODULE_ID}.threat.healthy`) || 'Healthy', cssClass: 'ai-threat-healthy' };
-    } else if (hpPercent > 33) {
-        return { level: 'wounded', label: game.i18n.localize(`${MODULE_ID}.threat.wounded`) || 'Wounded', cssClass: 'ai-threat-wounded' };
+    // --- Candidate placements ---
+    const candidates = [];
+    if (type === 'emanation') {
+        candidates.push({ origin: casterCenter, direction: 0 });
+    } else if (type === 'burst') {
+        const maxRangeFeet = rangeFeet === null || rangeFeet === undefined ? 0 : rangeFeet;
+        const seen = new Set();
+        for (const enemy of enemySquares) {
+            for (const square of enemy.squares) {
+                for (let x = Math.floor(square.x - radius); x <= Math.ceil(square.x + radius); x++) {
+                    for (let y = Math.floor(square.y - radius); y <= Math.ceil(square.y + radius); y++) {
+                        const key = `${x},${y}`;
+                        if (seen.has(key)) continue;
+                        seen.add(key);
+                        if (feetFromCaster({ x, y }) <= maxRangeFeet) candidates.push({ origin: { x, y }, direction: 0 });
+                    }
+                }
+            }
+        }
     } else {
-        return { level: 'critical', label: game.i18n.localize(`${MODULE_ID}.threat.critical`) || 'Critical', cssClass: 'ai-threat-critical' };
+        const directions = new Set();
+        for (let angle = 0; angle < 360; angle += AREA_PLACEMENT_ANGLE_STEP) directions.add(angle);
+        for (const enemy of enemySquares) {
+            for (const square of enemy.squares) {
+                directions.add(Math.round(Math.atan2(square.y - casterCenter.y, square.x - casterCenter.x) * 180 / Math.PI + 360) % 360);
+            }
+        }
+        for (const direction of directions) {
+            const radians = direction * Math.PI / 180;
+            // Start at the edge of the caster's space in the aimed direction
+            const reach = (casterSize / 2) / Math.max(Math.abs(Math.cos(radians)), Math.abs(Math.sin(radians)));
+            candidates.push({ origin: { x: casterCenter.x + Math.cos(radians) * reach, y: casterCenter.y + Math.sin(radians) * reach }, direction });
+        }
+    }
+
+    // --- Score each placement ---
+    let best = null;
+    let bestWithoutAllies = null;
+    const isBetter = (candidate, current) => !current
+        || candidate.score > current.score
+        || (candidate.score === current.score && candidate.enemiesHit.length > current.enemiesHit.length)
+        || (candidate.score === current.score && candidate.enemiesHit.length === current.enemiesHit.length && candidate.originDistance < current.originDistance);
+    for (const candidate of candidates) {
+        const placement = { type, origin: candidate.origin, direction: candidate.direction, radius, casterRect };
+        const caught = (creature) => creature.squares.some(square => isSquareInArea(square, placement));
+        const enemiesHit = enemySquares.filter(caught).map(({ name, tokenId }) => ({ name, tokenId }));
+        if (enemiesHit.length === 0) continue;
+        const alliesHit = allySquares.filter(caught).map(({ name, tokenId }) => ({ name, tokenId }));
+        const hitsSelf = type !== 'emanation' && casterSquares.some(square => isSquareInArea(square, placement));
+        const result = {
+            type,
+            origin: { x: Math.round(candidate.origin.x * gridSize), y: Math.round(candidate.origin.y * gridSize) },
+            direction: candidate.direction,
+            // Emanations are measured from the edge of the caster's space, templates from its center
+            distance: type === 'emanation' ? areaFeet + casterSize * gridDistance / 2 : areaFeet,
+            enemiesHit,
+            alliesHit,
+            hitsSelf,
+            score: enemiesHit.length - 2 * (alliesHit.length + (hitsSelf ? 1 : 0)),
+            originDistance: feetFromCaster(candidate.origin)
+        };
+        if (isBetter(result, best)) best = result;
+        if (alliesHit.length === 0 && !hitsSelf && isBetter(result, bestWithoutAllies)) bestWithoutAllies = result;
     }
+    return { best, bestWithoutAllies: bestWithoutAllies === best ? null : bestWithoutAllies };
 }
 
 /**
- * Gets the tactical preset for an actor, falling back to the default setting if none is set.
- * @param {Actor} actor - The actor to get the preset for.
- * @returns {string} The tactical preset value.
+ * Describes an area placement for the prompt.
+ * @param {object} placement - A placement from findBestAreaPlacement.
+ * @returns {string} E.g. "centered at (1050, 700) catches 3 enemies (Goblin [ID: abc], ...) and no allies".
  */
-function getTacticalPreset(actor) {
-    if (!actor) return TACTICAL_PRESETS.DEFAULT;
+function describeAreaPlacement(placement) {
+    const listCreatures = (creatures) => creatures.map(creature => `${creature.name} [ID: ${creature.tokenId}]`).join(', ');
+    const where = placement.type === 'burst'
+        ? `centered at (${placement.origin.x}, ${placement.origin.y})`
+        : placement.type === 'emanation' ? 'around you' : `aimed at ${placement.direction}° (0° = east, clockwise)`;
+    const allies = [...placement.alliesHit.map(ally => `${ally.name} [ID: ${ally.tokenId}]`), ...(placement.hitsSelf ? ['yourself'] : [])];
+    return `${where} catches ${placement.enemiesHit.length} enem${placement.enemiesHit.length === 1 ? 'y' : 'ies'} (${listCreatures(placement.enemiesHit)}) and ${allies.length > 0 ? `${allies.length} all${allies.length === 1 ? 'y' : 'ies'} (${allies.join(', ')})` : 'no allies'}`;
+}
 
-    const actorPreset = actor.getFlag(MODULE_ID, FLAGS.TACTICAL_PRESET);
-    if (actorPreset && Object.values(TACTICAL_PRESETS).includes(actorPreset)) {
-        return actorPreset;
-    }
+// ============================================================================
+// MOVEMENT PLANNER
+// ============================================================================
 
-    // Fall back to default setting
-    try {
-        return game.settings.get(MODULE_ID, 'defaultTacticalPreset') || TACTICAL_PRESETS.DEFAULT;
-    } catch (e) {
-        return TACTICAL_PRESETS.DEFAULT;
-    }
-}
+/** Most Strides the movement planner looks ahead. */
+const MAX_PLANNED_STRIDES = 3;
 
 /**
- * Gets the tactical context string to include in the AI prompt based on the preset.
- * @param {string} preset - The tactical preset value.
- * @returns {string} The tactical context instructions for the prompt.
+ * Grid distance in feet for a number of squares across and down, counting every second diagonal as double.
+ * @param {number} dx - Squares across.
+ * @param {number} dy - Squares down.
+ * @param {number} gridDistance - Feet per grid square.
+ * @returns {number}
  */
-function getTacticalContextForPrompt(preset) {
-    switch (preset) {
-        case TACTICAL_PRESETS.AGGRESSIVE:
-            return `**TACTICAL DIRECTIVE: AGGRESSIVE**
-- Prioritize dealing maximum damage to enemies
-- Take calculated risks to close distance and engage
-- Focus on offensive abilities and attacks over defensive options
-- Target the most dangerous or wounded enemies first
-- Use powerful abilities even if they have drawbacks`;
-
-        case TACTICAL_PRESETS.DEFENSIVE:
-            return `**TACTICAL DIRECTIVE: DEFENSIVE**
-- Prioritize preserving hit points and avoiding damage
-- Use defensive actions like Raise Shield, Take Cover, or defensive stances
-- Maintain safe distance from dangerous enemies when possible
-- Prioritize healing and recovery when wounded
-- Retreat or reposition when significantly damaged`;
-
-        case TACTICAL_PRESETS.CONTROL:
-            return `**TACTICAL DIRECTIVE: CONTROL**
-- Focus on debuffing enemies and crowd control effects
-- Prioritize abilities that impose conditions (frightened, stunned, slowed, etc.)
-- Target enemies that pose the greatest threat to allies
-- Use area effects to affect multiple enemies when possible
-- Disable key enemies before they can act`;
+function measureGridSteps(dx, dy, gridDistance) {
+    const across = Math.abs(dx);
+    const down = Math.abs(dy);
+    return (Math.max(across, down) + Math.floor(Math.min(across, down) / 2)) * gridDistance;
+}
 
-        case TACTICAL_PRESETS.SUPPORT:
-            return `**TACTICAL DIRECTIVE: SUPPORT**
-- Prioritize healing wounded allies and removing harmful conditions
-- Use buff abilities to enhance ally effectiveness
-- Protect critically wounded allies with positioning or abilities
-- Focus on enabling allies rather than dealing damage directly
-- Maintain awareness of ally positions and health states`;
+/**
+ * Whether a creature with the given reach can reach another creature's space.
+ * Measured to the nearest squares of both spaces; 10-foot reach also covers the second diagonal square.
+ * @param {{x: number, y: number, size: number}} from - Attacker space in grid squares (top-left and width).
+ * @param {{x: number, y: number, size: number}} to - Target space in grid squares.
+ * @param {number} reachFeet - Melee reach in feet.
+ * @param {number} gridDistance - Feet per grid square.
+ * @returns {boolean}
+ */
+function isSpaceWithinReach(from, to, reachFeet, gridDistance) {
+    // Squares between the two spaces along each axis, +1 so adjacent spaces are one square apart
+    const gap = (startA, sizeA, startB, sizeB) => Math.max(0, startA - (startB + sizeB) + 1, startB - (startA + sizeA) + 1);
+    const dx = gap(from.x, from.size, to.x, to.size);
+    const dy = gap(from.y, from.size, to.y, to.size);
+    if (measureGridSteps(dx, dy, gridDistance) <= reachFeet) return true;
+    return reachFeet === 2 * gridDistance && dx === 2 && dy === 2;
+}
 
-        default:
-            return ''; // No specific tactical directive
+/**
+ * Finds the cheapest movement cost to every square reachable within a budget (Dijkstra over the grid).
+ * Diagonals alternate between one and two squares of cost as in PF2e.
+ * @param {object} params
+ * @param {{x: number, y: number}} params.start - Starting square (top-left of the creature's space).
+ * @param {number} params.maxCost - Movement budget in feet.
+ * @param {number} params.gridDistance - Feet per grid square.
+ * @param {Function} params.canEnter - (x, y) => whether the creature's space may pass through this square.
+ * @param {Function} params.canMove - (from, to) => false if a wall blocks the step.
+ * @param {Function} params.extraCost - (x, y) => extra feet for entering the square (difficult terrain).
+ * @returns {Map<string, {x: number, y: number, cost: number, previous: object|null}>} Keyed by "x,y".
+ */
+function findMovementCosts({ start, maxCost, gridDistance, canEnter, canMove, extraCost }) {
+    const reached = new Map();
+    const settled = new Set();
+    // Every cost is a whole number of squares, so a bucket per square of cost keeps the queue ordered
+    const buckets = [[{ x: start.x, y: start.y, diagonalParity: 0, cost: 0, previous: null }]];
+    for (let bucketIndex = 0; bucketIndex < buckets.length; bucketIndex++) {
+        for (const state of buckets[bucketIndex] || []) {
+            const stateKey = `${state.x},${state.y},${state.diagonalParity}`;
+            if (settled.has(stateKey)) continue;
+            settled.add(stateKey);
+            const squareKey = `${state.x},${state.y}`;
+            if (!reached.has(squareKey)) reached.set(squareKey, state);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const next = { x: state.x + dx, y: state.y + dy };
+                    const isDiagonal = dx !== 0 && dy !== 0;
+                    const stepCost = (isDiagonal && state.diagonalParity === 1 ? 2 : 1) * gridDistance + extraCost(next.x, next.y);
+                    const cost = state.cost + stepCost;
+                    if (cost > maxCost || !canEnter(next.x, next.y) || !canMove(state, next)) continue;
+                    const diagonalParity = isDiagonal ? 1 - state.diagonalParity : state.diagonalParity;
+                    if (settled.has(`${next.x},${next.y},${diagonalParity}`)) continue;
+                    const nextBucket = Math.round(cost / gridDistance);
+                    (buckets[nextBucket] ||= []).push({ ...next, diagonalParity, cost, previous: state });
+                }
+            }
+        }
     }
+    return reached;
 }
 
 /**
- * Generates HTML for the standard PF2e action cost icon (A, D, T, R, F, variable, ?).
- * @param {number|string|null} parsedCost - The parsed action cost (e.g., 1, 2, 3, 'R', 'F', '1 to 3', null).
- * @param {string} [description=''] - Optional description text to help identify reactions based on triggers.
- * @returns {string} HTML span element for the action glyph.
+ * Turns a reached square back into the path that leads to it.
+ * @param {object} state - An entry from findMovementCosts.
+ * @returns {{x: number, y: number, cost: number}[]} Squares from the start to the destination.
  */
-function getActionIconHTML(parsedCost, description = '') {
-    const descLower = description?.toLowerCase() || '';
-
-    // Determine if it's likely a Reaction (cost might be null/1 but description indicates Trigger)
-    const isLikelyReaction = (parsedCost === 'R') ||
-        ((parsedCost === null || parsedCost === 1) && (descLower.includes('reaction') || descLower.includes('trigger:')));
+function buildMovementPath(state) {
+    const path = [];
+    for (let step = state; step; step = step.previous) path.unshift({ x: step.x, y: step.y, cost: step.cost });
+    return path;
+}
 
-    if (isLikelyReaction) {
-        return '<span class="action-glyph" title="Reaction">R</span>';
-    }
-    if (parsedCost === 'F' || parsedCost === 0) {
-        return '<span class="action-glyph" title="Free Action">F</span>';
+/**
+ * Plans movement from reached squares: how far 1-3 Strides get, the cheapest way into melee reach of each
+ * enemy, and the cheapest square that flanks each enemy with an ally.
+ * Flanking uses the same rule as checkFlanking: both creatures in reach, on roughly opposite sides.
+ * @param {object} params
+ * @param {Map} params.reached - Result of findMovementCosts.
+ * @param {{x: number, y: number, size: number}} params.self - The mover's space in grid squares.
+ * @param {object[]} params.enemies - { name, tokenId, space } for each enemy.
+ * @param {object[]} params.allies - { name, tokenId, space } for each ally.
+ * @param {Function} params.canEndAt - (x, y) => whether the mover may end its movement here.
+ * @param {number} params.speed - Feet per Stride.
+ * @param {number} params.maxStrides - Strides available this turn.
+ * @param {number} params.reach - Melee reach in feet.
+ * @param {number} params.gridDistance - Feet per grid square.
+ * @returns {object} { strideReach, enemyApproaches, flankSquares }
+ */
+function summarizeMovementOptions({ reached, self, enemies, allies, canEndAt, speed, maxStrides, reach, gridDistance }) {
+    const endable = [...reached.values()].filter(state => state.cost === 0 || canEndAt(state.x, state.y));
+    const stridesFor = (cost) => cost === 0 ? 0 : Math.ceil(cost / speed);
+    const spaceAt = (state) => ({ x: state.x, y: state.y, size: self.size });
+    const cheapest = (states) => states.reduce((best, state) => (!best || state.cost < best.cost ? state : best), null);
+
+    const strideReach = [];
+    for (let strides = 1; strides <= maxStrides; strides++) {
+        const inRange = endable.filter(state => state.cost > 0 && state.cost <= strides * speed);
+        strideReach.push({
+            strides,
+            squares: inRange.length,
+            farthestFeet: inRange.reduce((max, state) => Math.max(max, measureGridSteps(state.x - self.x, state.y - self.y, gridDistance)), 0)
+        });
     }
 
-    // Handle numeric costs directly
-    if (Number.isInteger(parsedCost) && parsedCost >= 1 && parsedCost <= 3) {
-        switch (parsedCost) {
-            case 1: return '<span class="action-glyph" title="Single Action">A</span>';
-            case 2: return '<span class="action-glyph" title="Two Actions">D</span>';
-            case 3: return '<span class="action-glyph" title="Three Actions">T</span>';
+    const enemyApproaches = enemies.map(enemy => {
+        const destination = cheapest(endable.filter(state => isSpaceWithinReach(spaceAt(state), enemy.space, reach, gridDistance)));
+        return {
+            name: enemy.name,
+            tokenId: enemy.tokenId,
+            inReachNow: isSpaceWithinReach(self, enemy.space, reach, gridDistance),
+            strides: destination ? stridesFor(destination.cost) : null,
+            pathFeet: destination ? destination.cost : null,
+            path: destination ? buildMovementPath(destination) : null
+        };
+    });
+
+    const flankSquares = [];
+    for (const enemy of enemies) {
+        const enemyCenter = { x: enemy.space.x + enemy.space.size / 2, y: enemy.space.y + enemy.space.size / 2 };
+        for (const ally of allies) {
+            if (!isSpaceWithinReach(ally.space, enemy.space, gridDistance, gridDistance)) continue;
+            const toAlly = { x: ally.space.x + ally.space.size / 2 - enemyCenter.x, y: ally.space.y + ally.space.size / 2 - enemyCenter.y };
+            const allyLength = Math.hypot(toAlly.x, toAlly.y);
+            const flanks = (state) => {
+                const toSelf = { x: state.x + self.size / 2 - enemyCenter.x, y: state.y + self.size / 2 - enemyCenter.y };
+                const selfLength = Math.hypot(toSelf.x, toSelf.y);
+                return selfLength > 0 && allyLength > 0 && isSpaceWithinReach(spaceAt(state), enemy.space, reach, gridDistance)
+                    && (toSelf.x * toAlly.x + toSelf.y * toAlly.y) / (selfLength * allyLength) < -0.5;
+            };
+            const destination = cheapest(endable.filter(flanks));
+            flankSquares.push({
+                enemyName: enemy.name,
+                enemyTokenId: enemy.tokenId,
+                allyName: ally.name,
+                allyTokenId: ally.tokenId,
+                strides: destination ? stridesFor(destination.cost) : null,
+                pathFeet: destination ? destination.cost : null,
+                path: destination ? buildMovementPath(destination) : null
+            });
         }
     }
+    return { strideReach, enemyApproaches, flankSquares };
+}
 
-    // Handle variable costs like "1 to 3"
-    if (typeof parsedCost === 'string' && parsedCost.includes(' to ')) {
-        // Use the string directly as the display, more informative than a single glyph
-        return `<span title="${parsedCost} Actions">${parsedCost}</span>`;
-    }
-
-    // Fallback for unknown or unusual costs
-    return parsedCost ? `<span title="${parsedCost} Actions">${parsedCost}</span>` : '<span title="Unknown Cost">?</span>';
+/**
+ * How difficult a region makes its terrain: 0 none, 1 difficult, 2 greater difficult.
+ * Reads the core Modify Movement Cost behavior and regions that mark difficult terrain directly.
+ * @param {RegionDocument} region - A scene region.
+ * @returns {number}
+ */
+function getRegionTerrainLevel(region) {
+    let level = 0;
+    for (const behavior of region.behaviors ?? []) {
+        if (behavior.disabled) continue;
+        const system = behavior.system ?? {};
+        const walkMultiplier = Number(system.difficulties?.walk);
+        if (walkMultiplier > 1) level = Math.max(level, walkMultiplier >= 3 ? 2 : 1);
+        const terrain = system.terrain?.difficult ?? system.difficultTerrain;
+        if (terrain) level = Math.max(level, terrain === 'greater' || Number(terrain) >= 2 ? 2 : 1);
+    }
+    return level;
 }
 
-
 /**
- * Parses the action cost from an item's fields or its description HTML.
- * Standardizes the cost representation. Now checks actionType.value directly.
- * @param {string|number|null} timeValue - The value from `item.system.time.value`.
- * @param {string|number|null} actionsValue - The value from `item.system.actions.value`.
- * @param {string|null} [descriptionHTML=null] - The item's description HTML as a fallback.
- * @param {string|null} [actionTypeValue=null] - The value from `item.system.actionType.value` (optional).
- * @returns {number|string|null} The parsed cost: 1, 2, 3, 'R', 'F', '1 to 3', or null if unparseable.
+ * Plans the current combatant's movement on the scene grid, around walls and creatures and through
+ * difficult terrain regions, using its land speed (or fly speed, ignoring terrain, if it has no land speed).
+ * @param {Token} selfToken - The mover's canvas token.
+ * @param {ActorPF2e} actor - The mover.
+ * @param {object[]} aliveEnemies - Enemy combatant info from gatherGameState.
+ * @param {object[]} aliveAllies - Ally combatant info from gatherGameState.
+ * @param {number} actionsRemaining - Actions left this turn (caps the Strides planned).
+ * @param {number} reach - Melee reach in feet.
+ * @returns {object|null} Speed info plus the summarizeMovementOptions result, or null without a usable grid.
  */
-function parseActionCostValue(timeValue, actionsValue, descriptionHTML = null, actionTypeValue = null) {
-    // Helper function to check a string value for standard cost notations
-    const checkStringValue = (value) => {
-        if (value === null || value === undefined) return null;
-        const lowerValue = String(value).toLowerCase().trim();
-        if (lowerValue === 'reaction') return 'R';
-        if (lowerValue === 'free') return 'F';
-        const actionMatch = lowerValue.match(/^(?:(\d+)|one|two|three)\s*action[s]?$/);
-        if (actionMatch) { if (actionMatch[1]) return parseInt(actionMatch[1], 10); if (lowerValue.startsWith('one')) return 1; if (lowerValue.startsWith('two')) return 2; if (lowerValue.startsWith('three')) return 3; }
-        const rangeMatch = lowerValue.match(/^(\d+)\s+to\s+(\d+)(?:\s*action[s]?)?$/);
-        if (rangeMatch?.[1] && rangeMatch?.[2]) { const min = parseInt(rangeMatch[1], 10); const max = parseInt(rangeMatch[2], 10); if (!isNaN(min) && !isNaN(max) && min >= 1 && max >= min && max <= 3) return `${min} to ${max}`; }
-        return null;
+function planTokenMovement(selfToken, actor, aliveEnemies, aliveAllies, actionsRemaining, reach) {
+    const gridSize = canvas?.grid?.size;
+    const gridDistance = canvas?.grid?.distance;
+    if (!selfToken || !gridSize || !gridDistance || canvas.grid.type !== CONST.GRID_TYPES.SQUARE) return null;
+
+    const speedData = actor.system.attributes?.speed;
+    const landSpeed = Number(speedData?.total ?? speedData?.value) || 0;
+    const flySpeed = Number((speedData?.otherSpeeds || []).find(speed => speed.type === 'fly')?.total ?? 0) || 0;
+    const usesFly = landSpeed <= 0 && flySpeed > 0;
+    const speed = usesFly ? flySpeed : landSpeed;
+    const otherSpeeds = (speedData?.otherSpeeds || []).map(other => `${other.label || other.type} ${other.total ?? other.value} ft`).join(', ');
+    const maxStrides = Math.min(MAX_PLANNED_STRIDES, Math.max(0, actionsRemaining));
+    if (speed <= 0 || maxStrides === 0) return { speed, usesFly, otherSpeeds, strideReach: [], enemyApproaches: [], flankSquares: [] };
+
+    const toSpace = (coordinates, footprint) => ({ x: Math.round(coordinates.x / gridSize), y: Math.round(coordinates.y / gridSize), size: Math.max(1, Math.round(footprint || 1)) });
+    const self = toSpace(selfToken.document, selfToken.document.width);
+    const withSpace = (list) => list.filter(creature => creature.coordinates).map(creature => ({ name: creature.name, tokenId: creature.tokenId, space: toSpace(creature.coordinates, creature.footprint) }));
+    const enemies = withSpace(aliveEnemies);
+    const allies = withSpace(aliveAllies);
+    const occupiedBy = (list) => {
+        const squares = new Set();
+        for (const creature of list) {
+            for (let i = 0; i < creature.space.size; i++) for (let j = 0; j < creature.space.size; j++) squares.add(`${creature.space.x + i},${creature.space.y + j}`);
+        }
+        return squares;
+    };
+    const enemySquares = occupiedBy(enemies);
+    const allySquares = occupiedBy(allies);
+    const sceneRect = canvas.dimensions.sceneRect;
+    const spaceSquares = (x, y) => {
+        const squares = [];
+        for (let i = 0; i < self.size; i++) for (let j = 0; j < self.size; j++) squares.push({ x: x + i, y: y + j });
+        return squares;
     };
 
-    // --- Priority Checks ---
-    // 1. Direct actionType check (Added)
-    if (actionTypeValue === 'free') return 'F';
-    if (actionTypeValue === 'reaction') return 'R';
+    // Terrain comes from regions; a flying creature ignores it
+    const elevation = selfToken.document.elevation ?? 0;
+    const terrainRegions = usesFly ? [] : (canvas.scene.regions ?? []).filter(region => getRegionTerrainLevel(region) > 0);
+    const terrainCache = new Map();
+    const squareTerrainLevel = (x, y) => {
+        const key = `${x},${y}`;
+        if (!terrainCache.has(key)) {
+            const point = { x: (x + 0.5) * gridSize, y: (y + 0.5) * gridSize, elevation };
+            terrainCache.set(key, terrainRegions.reduce((level, region) => region.testPoint?.(point, elevation) ? Math.max(level, getRegionTerrainLevel(region)) : level, 0));
+        }
+        return terrainCache.get(key);
+    };
+    const center = (square) => ({ x: (square.x + self.size / 2) * gridSize, y: (square.y + self.size / 2) * gridSize });
+
+    const reached = findMovementCosts({
+        start: self,
+        maxCost: maxStrides * speed,
+        gridDistance,
+        canEnter: (x, y) => spaceSquares(x, y).every(square =>
+            square.x * gridSize >= sceneRect.x && (square.x + 1) * gridSize <= sceneRect.x + sceneRect.width
+            && square.y * gridSize >= sceneRect.y && (square.y + 1) * gridSize <= sceneRect.y + sceneRect.height
+            && !enemySquares.has(`${square.x},${square.y}`)),
+        canMove: (from, to) => !CONFIG.Canvas.polygonBackends.move.testCollision(center(from), center(to), { type: 'move', mode: 'any' }),
+        extraCost: (x, y) => Math.max(...spaceSquares(x, y).map(square => squareTerrainLevel(square.x, square.y))) * gridDistance
+    });
 
-    // 2. system.time.value and system.actions.value (String format)
-    const costFromTimeStr = checkStringValue(timeValue); if (costFromTimeStr !== null) return costFromTimeStr;
-    const costFromActionsStr = checkStringValue(actionsValue); if (costFromActionsStr !== null) return costFromActionsStr;
+    const options = summarizeMovementOptions({
+        reached,
+        self,
+        enemies,
+        allies,
+        canEndAt: (x, y) => spaceSquares(x, y).every(square => !allySquares.has(`${square.x},${square.y}`)),
+        speed,
+        maxStrides,
+        reach,
+        gridDistance
+    });
+    // Paths go out in canvas pixels (token top-left) so the Move button can use them directly
+    const toPixels = (path) => path?.map(step => ({ x: step.x * gridSize, y: step.y * gridSize, cost: step.cost })) ?? null;
+    options.enemyApproaches.forEach(approach => { approach.path = toPixels(approach.path); });
+    options.flankSquares.forEach(flank => { flank.path = toPixels(flank.path); });
+    return { speed, usesFly, otherSpeeds, reach, ...options };
+}
 
-    // 3. system.time.value and system.actions.value (Numeric format)
-    const timeNum = parseInt(String(timeValue), 10); if (!isNaN(timeNum) && String(timeNum) === String(timeValue).trim() && timeNum >= 0 && timeNum <= 3) return timeNum;
-    const actionsNum = parseInt(String(actionsValue), 10); if (!isNaN(actionsNum) && String(actionsNum) === String(actionsValue).trim() && actionsNum >= 0 && actionsNum <= 3) return actionsNum;
+/**
+ * Cuts a planned path down to what the given movement budget covers, keeping only the turning points.
+ * @param {{x: number, y: number, cost: number}[]} path - Path in canvas pixels with cumulative cost.
+ * @param {number} budgetFeet - Movement available.
+ * @returns {{x: number, y: number}[]} Waypoints after the start, ending at the last affordable square.
+ */
+function trimMovementPath(path, budgetFeet) {
+    const affordable = (path || []).filter(step => step.cost <= budgetFeet);
+    const waypoints = [];
+    for (let i = 1; i < affordable.length; i++) {
+        const previous = affordable[i - 1];
+        const next = affordable[i + 1];
+        const turns = !next || Math.sign(next.x - affordable[i].x) !== Math.sign(affordable[i].x - previous.x) || Math.sign(next.y - affordable[i].y) !== Math.sign(affordable[i].y - previous.y);
+        if (turns) waypoints.push({ x: affordable[i].x, y: affordable[i].y });
+    }
+    return waypoints;
+}
 
-    // 4. Description HTML parsing (Fallback)
-    if (descriptionHTML) {
-        // Standard activation glyphs
-        const activationMatchGlyph = descriptionHTML.match(/<strong>Activate<\/strong>\s*<span[^>]+action-glyph[^>]+>([ADTRF])<\/span>/i);
-        if (activationMatchGlyph?.[1]) { const glyph = activationMatchGlyph[1].toUpperCase(); if (glyph === 'A') return 1; if (glyph === 'D') return 2; if (glyph === 'T') return 3; if (glyph === 'R') return 'R'; if (glyph === 'F') return 'F'; }
-        // Text activation costs
-        const textActivationMatch = descriptionHTML.match(/<strong>Activate<\/strong>\s*(\d+|one|two|three)\s*action/i);
-        if (textActivationMatch?.[1]) { const costText = textActivationMatch[1].toLowerCase(); if (costText === '1' || costText === 'one') return 1; if (costText === '2' || costText === 'two') return 2; if (costText === '3' || costText === 'three') return 3; }
-        // Text reaction/free action
-        const textActivationOtherMatch = descriptionHTML.match(/<strong>Activate<\/strong>\s*(Reaction|Free Action)/i);
-        if (textActivationOtherMatch?.[1]) { const costText = textActivationOtherMatch[1].toLowerCase(); if (costText === 'reaction') return 'R'; if (costText === 'free action') return 'F'; }
-        // Interact activation
-        const interactActivationMatch = descriptionHTML.match(/<strong>Activate<\/strong>(?:\s*<span[^>]*>[^<]+<\/span>)?\s*\(?(Interact)\)?/i);
-        if (interactActivationMatch) return 1;
-        // Frequency/Trigger text suggesting Reaction/Free
-        const descLower = descriptionHTML.toLowerCase();
-        if (descLower.includes('<strong>frequency</strong>') && descLower.includes('<strong>trigger</strong>')) return 'R';
-        // Check for "free action" text associated with frequency for NPC blocks etc.
-        if (descLower.includes('<strong>frequency</strong>') && (descLower.includes('free action') || descLower.includes('no action'))) return 'F';
-    }
+// ============================================================================
+// REACTION RISK
+// ============================================================================
 
-    // 5. If actionTypeValue was numeric (e.g., for NPC actions with simple cost) (Added)
-    if (actionTypeValue && !isNaN(parseInt(actionTypeValue, 10)) && parseInt(actionTypeValue, 10) >= 1 && parseInt(actionTypeValue, 10) <= 3) {
-        return parseInt(actionTypeValue, 10);
-    }
+/**
+ * What each kind of reaction trigger responds to, matched against the trigger text.
+ * `move` covers leaving a square within reach; `attack` covers being attacked or damaged.
+ */
+const REACTION_TRIGGER_PATTERNS = {
+    move: /\bmove action\b|\bleaves? a square\b|\bmoves? (?:away|out of|within|from)\b|\bstrides?\b/i,
+    manipulate: /\bmanipulate\b/i,
+    concentrate: /\bconcentrate\b/i,
+    ranged: /\branged (?:attack|strike)\b/i,
+    spell: /\bcasts? a spell\b/i,
+    attack: /\bwould take (?:physical )?damage\b|\b(?:hits|targets|attacks) (?:you|it)\b|\b(?:is|are) (?:hit|targeted)\b/i,
+    allyAttacked: /\b(?:damages|hits|attacks) (?:your |an )?ally\b|\ban ally\b[^.]*\b(?:takes|would take) damage\b/i
+};
 
+/** Reactions whose triggers are known without reading their text. */
+const KNOWN_REACTION_TRIGGERS = {
+    'reactive strike': ['move', 'manipulate', 'ranged'],
+    'attack of opportunity': ['move', 'manipulate', 'ranged'],
+    'stand still': ['move'],
+    'shield block': ['attack'],
+    'nimble dodge': ['attack']
+};
 
-    return null; // Cannot parse cost
-}
+/** How each trigger kind is described to the AI. */
+const REACTION_TRIGGER_LABELS = {
+    move: 'moving out of a square in its reach (Stride; Step is safe)',
+    manipulate: 'manipulate actions (Interact, drawing or drinking, most spells)',
+    concentrate: 'concentrate actions',
+    ranged: 'ranged attacks',
+    spell: 'casting a spell',
+    attack: 'attacking it',
+    allyAttacked: 'damaging its ally'
+};
 
+/**
+ * Works out what a reaction is triggered by, from its name or its trigger text.
+ * @param {string} name - Reaction name.
+ * @param {string} triggerText - Plain trigger text.
+ * @returns {{triggers: string[], rangeFeet: number|null}} Trigger kinds, plus a range if the trigger names one ("within 30 feet").
+ */
+function classifyReactionTrigger(name, triggerText) {
+    const knownTriggers = KNOWN_REACTION_TRIGGERS[(name || '').toLowerCase().trim()];
+    const rangeMatch = (triggerText || '').match(/within (\d+) (?:feet|ft)/i);
+    const triggers = knownTriggers ?? Object.keys(REACTION_TRIGGER_PATTERNS).filter(kind => REACTION_TRIGGER_PATTERNS[kind].test(triggerText || ''));
+    return { triggers, rangeFeet: rangeMatch ? parseInt(rangeMatch[1], 10) : null };
+}
 
 /**
- * Formats a parsed action cost (from parseActionCostValue) into a concise display string for prompts.
- * Example: 1 -> "(1a)", 'R' -> "(R)", "1 to 3" -> "(1-3a)".
- * @param {number|string|null} parsedCost - The standardized cost value.
- * @returns {string} The formatted cost string, e.g., "(1a)", "(R)", "(?)".
+ * Lists a creature's reactions with what triggers them, from its actions and feats.
+ * @param {ActorPF2e} actor - The creature.
+ * @returns {object[]} { name, itemId, trigger, triggers, rangeFeet, description, isStrike, acBonus } for each
+ *   reaction with a recognised trigger. `isStrike` marks reactions that make a Strike, `acBonus` reactions that raise AC.
  */
-function formatParsedCostToDisplay(parsedCost) {
-    if (parsedCost === 'F' || parsedCost === 0) return '(F)';
-    if (parsedCost === 'R') return '(R)';
-    if (parsedCost === 1) return '(1a)';
-    if (parsedCost === 2) return '(2a)';
-    if (parsedCost === 3) return '(3a)';
-    if (typeof parsedCost === 'string' && parsedCost.includes(' to ')) {
-        const parts = parsedCost.split(' to ');
-        if (parts.length === 2) return `(${parts[0]}-${parts[1]}a)`;
+function extractActorReactions(actor) {
+    const reactions = [];
+    for (const item of actor?.items ?? []) {
+        if (!['action', 'feat'].includes(item.type) || item.system?.actionType?.value !== 'reaction') continue;
+        const description = item.system.description?.value || '';
+        const triggerMatch = description.match(/<strong>\s*Trigger\s*<\/strong>\s*([\s\S]*?)(?:<\/p>|<hr|<strong>)/i);
+        const trigger = (triggerMatch?.[1] || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+        const { triggers, rangeFeet } = classifyReactionTrigger(item.name, trigger);
+        if (triggers.length === 0) continue;
+        const plainDescription = description.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+        const acBonusMatch = plainDescription.match(/\+(\d+) circumstance bonus to (?:your )?AC/i);
+        reactions.push({
+            name: item.name,
+            itemId: item.id,
+            trigger,
+            triggers,
+            rangeFeet,
+            description: plainDescription,
+            isStrike: /\b(?:reactive strike|attack of opportunity|retributive strike)\b/i.test(item.name) || /\bmake a (?:melee )?Strike\b/i.test(plainDescription),
+            acBonus: acBonusMatch ? parseInt(acBonusMatch[1], 10) : 0
+        });
     }
-    return '(?)';
+    return reactions;
 }
 
 /**
- * Checks if a spell can likely be cast by the actor based on spell type and available resources.
- * Handles Cantrips, Focus Spells, Prepared, and Spontaneous/Flexible casters.
- * @param {ItemPF2e<SpellPF2e>} spell - The spell item.
- * @param {ActorPF2e} actor - The actor attempting to cast.
- * @returns {boolean} True if the spell seems available to cast, false otherwise.
+ * Melee reach of a creature in feet: its base reach, or longer if a Strike has the reach trait.
+ * @param {ActorPF2e} actor - The creature.
+ * @returns {number}
  */
+function getActorMeleeReach(actor) {
+    const strikeReaches = (actor?.system?.actions ?? [])
+        .filter(action => action.type === 'strike')
+        .flatMap(action => (action.traits ?? []).map(trait => (trait?.name ?? trait)))
+        .map(trait => typeof trait === 'string' && trait.startsWith('reach-') ? parseInt(trait.split('-')[1], 10) : NaN)
+        .filter(reach => !isNaN(reach));
+    return Math.max(Number(actor?.system?.attributes?.reach?.base) || 5, ...strikeReaches);
+}
+
 /**
- * Checks if a specific ability is currently on cooldown for the actor based on AI-managed effects.
- * @param {ActorPF2e} actor - The actor to check.
- * @param {ItemPF2e} ability - The ability (spell, feat, action) item to check.
- * @returns {boolean} True if the ability is on cooldown, false otherwise.
+ * Finds the enemy reactions an action would provoke from where the actor stands.
+ * @param {object} action - What the action does.
+ * @param {string[]} [action.traits] - The action's traits.
+ * @param {boolean} [action.isMove] - Moves the actor (Stride, Fly, ...).
+ * @param {boolean} [action.isStep] - A Step, which never triggers movement reactions.
+ * @param {boolean} [action.isRangedAttack] - A ranged Strike or attack spell.
+ * @param {boolean} [action.isSpell] - Casting a spell.
+ * @param {string|null} [action.targetTokenId] - Token the action attacks, for reactions to being attacked.
+ * @param {object[]} enemies - Enemy info with name, tokenId, numericDistance, meleeReach and reactions.
+ * @returns {object[]} { enemyName, enemyTokenId, reactionName, trigger } for each provoked reaction.
  */
-function isAbilityOnCooldown(actor, ability) {
-    if (!actor || !ability || !ability.system || !ability.slug) {
-        // console.warn("AI isAbilityOnCooldown: Invalid actor or ability provided."); // DEBUG
-        return false; // Cannot determine cooldown without valid data
-    }
-
-    const frequency = ability.system.frequency;
-    // Check if frequency exists, has a 'per' value, and a max value > 0
-    if (!frequency || !frequency.per || !(frequency.max > 0)) {
-        // If no limited frequency, it cannot be on cooldown via our effect mechanism.
-        // console.log(`AI isAbilityOnCooldown: Ability "${ability.name}" has no limited frequency. Not checking AI effect.`); // DEBUG
-        return false;
-    }
-
-    // Construct the expected slug for the cooldown effect
-    const expectedEffectSlug = `pf2e-ai-combat-assistant-cooldown-${ability.slug}-${frequency.per}`;
-
-    // Check actor's current effects for a match
-    for (const effect of actor.itemTypes.effect) {
-        if (effect.slug === expectedEffectSlug) {
-            // Found a matching cooldown effect. Foundry handles expiration, so its presence means it's active.
-            // console.log(`AI isAbilityOnCooldown: Found active cooldown effect "${effect.name}" for ability "${ability.name}".`); // DEBUG
-            return true;
+function findProvokedReactions(action, enemies) {
+    const traits = (action.traits || []).map(trait => String(trait).toLowerCase());
+    const isAttack = traits.includes('attack') || !!action.isRangedAttack;
+    const triggered = {
+        move: !!action.isMove && !action.isStep,
+        manipulate: traits.includes('manipulate'),
+        concentrate: traits.includes('concentrate'),
+        ranged: !!action.isRangedAttack,
+        spell: !!action.isSpell,
+        attack: isAttack
+    };
+    const provoked = [];
+    for (const enemy of enemies || []) {
+        for (const reaction of enemy.reactions || []) {
+            const range = reaction.rangeFeet ?? enemy.meleeReach ?? 5;
+            if (!(enemy.numericDistance <= range)) continue;
+            const trigger = reaction.triggers.find(kind => triggered[kind] && (kind !== 'attack' || action.targetTokenId === enemy.tokenId));
+            if (trigger) provoked.push({ enemyName: enemy.name, enemyTokenId: enemy.tokenId, reactionName: reaction.name, trigger });
         }
     }
-
-    // console.log(`AI isAbilityOnCooldown: No active cooldown effect found for ability "${ability.name}".`); // DEBUG
-    return false; // No matching active cooldown effect found
+    return provoked;
 }
 
-
-function isSpellAvailable(spell, actor) {
-    if (!spell || !actor || !spell.system || !actor.system) {
-        console.warn(`PF2e AI Combat Assistant | Invalid spell or actor object passed to isSpellAvailable.`);
-        return false;
-    }
-    const spellLocationId = spell.system.location?.value;
-    if (!spellLocationId && !spell.isCantrip && !spell.isFocusSpell && !spell.isRitual) {
-        // Check if it's a spell granted by an item (won't have a location)
-        const isItemGranted = actor.items.some(item =>
-            (item.type === 'weapon' || item.type === 'equipment' || item.type === 'consumable' || item.type === 'treasure' || item.type === 'feat' || item.type === 'action') && // Added feat/action check
-            item.system.description?.value?.includes(spell.uuid)
-        );
-        if (!isItemGranted) {
-            // console.warn(`PF2e AI Combat Assistant | Spell "${spell.name}" has no location value and isn't item-granted, assuming unavailable.`); // DEBUG
-            return false;
-        }
-        // Assume item-granted spells are always "available" if the item exists (actual usage might depend on item charges, activation etc.)
-        return true;
-    }
-    if (spell.isCantrip) {
-        return true;
-    }
-    if (spell.isFocusSpell) {
-        const focusPool = actor.system.resources?.focus;
-        return focusPool && typeof focusPool.value === 'number' && focusPool.value > 0;
-    }
-    const spellcastingEntry = actor.spellcasting?.get(spellLocationId);
-    if (!spellcastingEntry || !spellcastingEntry.system) {
-        // console.warn(`PF2e AI Combat Assistant | Could not find spellcasting entry "${spellLocationId}" for spell "${spell.name}".`); // DEBUG
-        return false;
-    }
-    const spellRank = spell.rank;
-    const maxSpellRank = CONFIG.PF2E?.spellLevels ?? 10;
-    if (spellcastingEntry.isSpontaneous || spellcastingEntry.isFlexible) {
-        for (let rank = spellRank; rank <= maxSpellRank; rank++) {
-            const slotKey = `slot${rank}`;
-            const slotData = spellcastingEntry.system.slots?.[slotKey];
-            if (slotData && typeof slotData.value === 'number' && slotData.value > (slotData.expended ?? 0)) {
-                return true;
-            }
-        }
-        return false;
-    }
-    if (spellcastingEntry.isPrepared) {
-        for (let rank = spellRank; rank <= maxSpellRank; rank++) {
-            const slotKey = `slot${rank}`;
-            const slotData = spellcastingEntry.system.slots?.[slotKey];
-            if (!slotData?.prepared) continue;
-            const foundPreparedSlot = slotData.prepared.find(preparedSpell => preparedSpell?.id === spell.id && !preparedSpell?.expended);
-            if (foundPreparedSlot) {
-                return true;
-            }
-        }
-        return false;
-    }
-    console.warn(`PF2e AI Combat Assistant | Unknown spellcasting entry type for "${spell.name}" in entry "${spellLocationId}". Assuming unavailable.`);
-    return false;
+/**
+ * One-line warning for a provoked reaction.
+ * @param {object} provoked - An entry from findProvokedReactions.
+ * @returns {string} E.g. "This would provoke Reactive Strike from Goblin: ranged attacks".
+ */
+function describeProvokedReaction(provoked) {
+    return `This would provoke ${provoked.reactionName} from ${provoked.enemyName}: ${REACTION_TRIGGER_LABELS[provoked.trigger] || provoked.trigger}`;
 }
 
+// ============================================================================
+// COMBAT MEMORY SYSTEM
+// ============================================================================
 
 /**
- * Extracts key details (range, target, save, duration, area, traits) from a spell item.
- * Used internally by formatting helpers.
- * @param {ItemPF2e<SpellPF2e>} spell - The spell item.
- * @returns {object} An object containing extracted details.
+ * Records the outcome of an AI-suggested action into combat memory.
+ * @param {Combat} combat - The combat object.
+ * @param {string} combatantId - The combatant ID who performed the action.
+ * @param {object} actionData - Data about the action taken.
  */
-function _extractSpellDetails(spell) {
-    if (!spell || !spell.system) {
-        return { range: null, targets: null, defense: null, duration: null, area: null, traitsString: '' };
-    }
-    const system = spell.system;
-    const range = system.range?.value || null;
-    const targets = system.target?.value || null;
-    // Corrected savingThrow access
-    const defenseSave = system.defense?.save?.statistic || system.savingThrow?.statistic || null;
-    const defenseBasic = system.defense?.save?.basic ?? system.savingThrow?.basic ?? false;
+async function recordActionOutcome(combat, combatantId, actionData) {
+    if (!combat || !combatantId || !actionData) return;
 
-    let defenseString = defenseSave;
-    if (defenseSave && defenseBasic) { defenseString += " (basic)"; }
-    const duration = system.duration?.value || null;
-    const areaType = system.area?.type || null;
-    const areaValue = system.area?.value || null;
-    let areaString = null;
-    if (areaType && areaValue) { areaString = `${areaValue}-foot ${areaType}`; if (system.area?.details) areaString += ` (${system.area.details})`; }
-    const traits = [...(system.traits?.value || [])];
-    const rarity = system.traits?.rarity || 'common';
-    if (rarity !== 'common' && !traits.includes(rarity)) { traits.unshift(rarity); }
-    const traitsString = traits.length > 0 ? `[${traits.join(', ')}]` : '';
-    return { range: range, targets: targets, defense: defenseString, duration: duration, area: areaString, traitsString: traitsString };
-}
+    try {
+        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
+        if (!enabled) return;
 
-/**
- * Determines the most reliable action cost, preferring system data unless LLM suggests a combo.
- * @param {object} identifyResult - The result from identifySuggestionTypeAndCost.
- * @param {number|string|null} llmCost - The cost suggested by the LLM response.
- * @returns {number|string} The determined authoritative cost (e.g., 1, 2, 'R', '1 to 3'). Defaults to 1 if completely unparseable.
- */
-function determineAuthoritativeCost(identifyResult, llmCost) {
-    const { actualActionCost, costSource, isCombo } = identifyResult;
+        const currentRound = combat.round;
+        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY) || {
+            rounds: {},
+            statistics: {}
+        };
 
-    // **If LLM suggests a combo, trust its cost calculation more.**
-    if (isCombo) {
-        // Validate the LLM's cost for the combo
-        if (llmCost === 'R' || llmCost === 'F') {
-            // console.log(`AI | Authoritative Cost: Using LLM cost (${llmCost}) for combo action.`); // DEBUG
-            return llmCost;
+        // Initialize round data if needed
+        if (!memory.rounds[currentRound]) {
+            memory.rounds[currentRound] = { combatantActions: {} };
         }
-        const numericLLMCost = parseInt(llmCost, 10);
-        if (!isNaN(numericLLMCost) && numericLLMCost >= 1 && numericLLMCost <= 3) {
-            // console.log(`AI | Authoritative Cost: Using LLM cost (${numericLLMCost}) for combo action.`); // DEBUG
-            return numericLLMCost;
+        if (!memory.rounds[currentRound].combatantActions[combatantId]) {
+            memory.rounds[currentRound].combatantActions[combatantId] = {
+                actionsTaken: [],
+                damageDealt: 0,
+                damageReceived: 0,
+                conditionsInflicted: [],
+                conditionsReceived: []
+            };
         }
-        // Handle variable combo costs if LLM suggests (less likely, but possible)
-        if (typeof llmCost === 'string' && llmCost.includes(' to ')) {
-            // console.warn(`AI | Authoritative Cost: LLM suggested variable cost (${llmCost}) for combo. This is unusual. Trying to parse.`); // DEBUG
-            // Cannot reliably determine combo cost from range, fallback needed
+
+        const combatantMemory = memory.rounds[currentRound].combatantActions[combatantId];
+
+        // Record the action
+        combatantMemory.actionsTaken.push({
+            action: actionData.action,
+            target: actionData.target,
+            outcome: actionData.outcome || 'unknown',
+            damage: actionData.damage || 0,
+            timestamp: Date.now()
+        });
+
+        // Update statistics
+        if (actionData.damage) {
+            combatantMemory.damageDealt += actionData.damage;
+        }
+        if (actionData.conditionInflicted) {
+            combatantMemory.conditionsInflicted.push(actionData.conditionInflicted);
         }
 
-        // console.warn(`AI | Authoritative Cost: LLM suggested invalid cost (${llmCost}) for combo. Falling back to identified main action cost or default 1.`); // DEBUG
-        // Fallback for invalid combo cost: use identified cost if available, else default to 1
-        if (actualActionCost !== null && typeof actualActionCost !== 'string') { // Check if identified cost is specific
-            return actualActionCost;
-        } else {
-            return 1; // Default combo cost if primary is variable or missing
+        // Update running statistics for this combatant
+        if (!memory.statistics[combatantId]) {
+            memory.statistics[combatantId] = {
+                totalAttacks: 0,
+                successfulAttacks: 0,
+                totalDamage: 0,
+                effectiveActions: []
+            };
         }
-    }
 
-    // --- NEW Logic: If Item cost is Variable, but LLM gave specific valid cost, trust LLM ---
-    if (typeof actualActionCost === 'string' && actualActionCost.includes(' to ')) {
-        if (llmCost === 'R' || llmCost === 'F') {
-            // This shouldn't happen for variable action spells, but handle defensively
-            // console.warn(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), but LLM suggested ${llmCost}. This is contradictory. Defaulting to 1.`); // DEBUG
-            return 1;
+        const stats = memory.statistics[combatantId];
+        if (actionData.isAttack) {
+            stats.totalAttacks++;
+            if (actionData.outcome === 'success' || actionData.outcome === 'criticalSuccess') {
+                stats.successfulAttacks++;
+            }
         }
-        const numericLLMCost = parseInt(llmCost, 10);
-        if (!isNaN(numericLLMCost) && numericLLMCost >= 1 && numericLLMCost <= 3) {
-            // console.log(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), using specific LLM cost (${numericLLMCost}).`); // DEBUG
-            return numericLLMCost; // Trust the LLM's specific choice
-        } else {
-            // console.warn(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), but LLM cost (${llmCost}) is invalid. Defaulting to 1 action from range.`); // DEBUG
-            // Extract the minimum cost from the range string as a fallback default
-            const minCostMatch = actualActionCost.match(/^(\d+)\s+to/);
-            if (minCostMatch?.[1]) { return parseInt(minCostMatch[1], 10); }
-            return 1; // Absolute fallback
+        if (actionData.damage) {
+            stats.totalDamage += actionData.damage;
+        }
+        if (actionData.wasEffective && !stats.effectiveActions.includes(actionData.action)) {
+            stats.effectiveActions.push(actionData.action);
         }
-    }
-
-    // --- Original logic for non-combo, non-variable-override suggestions ---
-    // Trust direct item data if it's specific and not from LLM initially
-    if (actualActionCost !== null && typeof actualActionCost !== 'string' && costSource !== "LLM") {
-        // console.log(`AI | Authoritative Cost: Using specific item cost (${actualActionCost}).`); // DEBUG
-        return actualActionCost;
-    }
 
-    // If no specific item cost, validate and use LLM cost suggestion
-    let validatedLLMCost = llmCost;
-    if (validatedLLMCost === 'R' || validatedLLMCost === 'F') {
-        // console.log(`AI | Authoritative Cost: Using LLM cost (${validatedLLMCost}).`); // DEBUG
-        return validatedLLMCost;
-    }
-    const numericCost = parseInt(validatedLLMCost, 10);
-    if (!isNaN(numericCost) && numericCost >= 1 && numericCost <= 3) {
-        // console.log(`AI | Authoritative Cost: Using valid numeric LLM cost (${numericCost}).`); // DEBUG
-        return numericCost; // Accept numeric 1-3
+        await combat.setFlag(MODULE_ID, FLAGS.COMBAT_MEMORY, memory);
+    } catch (e) {
+        console.error("AI recordActionOutcome: Error recording action outcome:", e);
     }
-
-    // If we reach here, LLM cost was invalid and item cost was missing, variable, or also LLM-derived initially.
-    console.warn(`PF2e AI Combat Assistant | LLM suggested cost (${llmCost}) was invalid or out of range (1-3, R, F) and could not be resolved against item cost (${actualActionCost}). Defaulting authoritative cost to 1 action.`);
-    return 1; // Default to 1 action if cost is unusable
 }
 
 /**
- * Clears AI-related flags (turn state, processing status, cached strikes) from an actor.
- * Used at the end of a turn, on errors, or when combat ends.
- * @param {ActorPF2e | null} actor - The actor whose flags should be cleared.
+ * Gets a formatted summary of combat memory for the prompt.
+ * Limited to last 2-3 rounds for token efficiency.
+ * @param {Combat} combat - The combat object.
+ * @param {string} combatantId - The combatant ID.
+ * @param {number} roundsBack - How many rounds back to include (default 2).
+ * @returns {string} Formatted memory summary for the prompt.
  */
-async function clearAITurnFlags(actor) {
-    if (!actor || !actor.id) {
-        // console.warn("PF2e AI Combat Assistant | clearAITurnFlags called with null or invalid actor."); // DEBUG
-        return;
-    }
-    try {
-        await actor.unsetFlag(MODULE_ID, FLAGS.TURN_STATE);
-        await actor.unsetFlag(MODULE_ID, FLAGS.IS_PROCESSING);
-        await actor.unsetFlag(MODULE_ID, FLAGS.CACHED_STRIKES);
-        // console.log(`PF2e AI Combat Assistant | Cleared AI flags for actor ${actor.name} (${actor.id}).`); // DEBUG
-    } catch (error) {
-        console.error(`PF2e AI Combat Assistant | Error clearing flags for actor ${actor.name} (${actor.id}):`, error);
-    }
-}
+function getCombatMemorySummary(combat, combatantId, roundsBack = 2) {
+    if (!combat || !combatantId) return '';
 
-/**
- * Updates the actor's MAP flag based on the traits of the confirmed action.
- * Increases MAP if the action has the 'attack' trait.
- * Called *after* _onConfirmActionClick successfully updates other state.
- * @param {ActorPF2e} actor - The actor who performed the action.
- * @param {string[]} actionTraits - Array of traits from the confirmed action.
- */
-async function _updateMAPBasedOnTrait(actor, actionTraits) {
-    if (!actor || !Array.isArray(actionTraits)) return;
+    try {
+        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
+        if (!enabled) return '';
 
-    // Only update MAP if the action has the 'attack' trait
-    if (!actionTraits.includes('attack')) {
-        // console.log(`PF2e AI Combat Assistant | Action confirmed without 'attack' trait. MAP unchanged.`); // DEBUG
-        return;
-    }
+        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
+        if (!memory || !memory.rounds) return '';
 
-    try {
-        // Need to re-get state as it might have just been updated by confirm handler
-        const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
-        if (!currentTurnState) {
-            console.error(`PF2e AI Combat Assistant | MAP Update Error: Turn state missing for ${actor.name} when trying to update MAP.`);
-            return; // Cannot update MAP if state is missing
-        }
+        const currentRound = combat.round;
+        const summaryLines = [];
 
-        const currentMAP = currentTurnState.currentMAP ?? 0;
-        const isAgile = actionTraits.includes('agile');
-        let nextMAP = currentMAP;
+        // Get actions from recent rounds
+        for (let round = Math.max(1, currentRound - roundsBack); round < currentRound; round++) {
+            const roundData = memory.rounds[round]?.combatantActions?.[combatantId];
+            if (!roundData || roundData.actionsTaken.length === 0) continue;
 
-        // PF2e MAP progression: 0 -> -5 (or -4 agile) -> -10 (or -8 agile) -> -10 (or -8 agile) ...
-        // We store the actual penalty value (0, 4, 5, 8, 10) for internal calculations
-        const penaltyIncrement = isAgile ? 4 : 5;
+            const roundSummary = roundData.actionsTaken.map(a => {
+                let line = `${a.action}`;
+                if (a.target) line += ` vs ${a.target}`;
+                if (a.outcome) line += ` -> ${a.outcome}`;
+                if (a.damage) line += ` (${a.damage} dmg)`;
+                return line;
+            }).join('; ');
 
-        if (currentMAP === 0) {
-            nextMAP = penaltyIncrement; // First attack: 0 -> 4 (agile) or 5 (non-agile)
-        } else if (currentMAP === 4 || currentMAP === 5) {
-            // Second attack: 4/5 -> 8 (agile) or 10 (non-agile)
-            nextMAP = isAgile ? 8 : 10;
-        } else {
-            // Third+ attack: Stays at 8 (agile) or 10 (non-agile)
-            nextMAP = isAgile ? 8 : 10;
+            summaryLines.push(`Round ${round}: ${roundSummary}`);
         }
 
-        // Only update the flag if the MAP value actually needs to change
-        if (nextMAP !== currentMAP) {
-            // console.log(`PF2e AI Combat Assistant | Attack trait confirmed. Updating MAP for ${actor.name}: ${currentMAP} -> ${nextMAP} (Agile: ${isAgile})`); // DEBUG
-            // Use dot notation to update only the MAP field within the TURN_STATE flag
-            await actor.setFlag(MODULE_ID, `${FLAGS.TURN_STATE}.currentMAP`, nextMAP);
-        } else {
-            // console.log(`PF2e AI Combat Assistant | Attack trait confirmed, but MAP already at maximum (${currentMAP}).`); // DEBUG
+        // Add statistics if available
+        const stats = memory.statistics?.[combatantId];
+        if (stats && stats.totalAttacks > 0) {
+            const hitRate = Math.round((stats.successfulAttacks / stats.totalAttacks) * 100);
+            summaryLines.push(`Overall: ${hitRate}% hit rate (${stats.successfulAttacks}/${stats.totalAttacks} attacks)`);
+            if (stats.effectiveActions.length > 0) {
+                summaryLines.push(`Effective actions: ${stats.effectiveActions.join(', ')}`);
+            }
         }
 
-    } catch (error) {
-        console.error(`PF2e AI Combat Assistant | Error updating MAP flag for ${actor.name} after attack confirmation:`, error);
+        return summaryLines.length > 0 ? summaryLines.join('\n') : '';
+    } catch (e) {
+        console.error("AI getCombatMemorySummary: Error getting memory summary:", e);
+        return '';
     }
 }
 
-// --- Foundry VTT Hooks ---
+/**
+ * Analyzes recent outcomes to provide adaptive hints.
+ * @param {Combat} combat - The combat object.
+ * @param {string} combatantId - The combatant ID.
+ * @returns {string[]} Array of tactical hints based on recent performance.
+ */
+function analyzeRecentOutcomes(combat, combatantId) {
+    const hints = [];
 
-Hooks.once('init', () => {
-    console.log("PF2e AI Combat Assistant | Initializing Module");
-});
+    try {
+        const enabled = game.settings.get(MODULE_ID, 'enableCombatMemory');
+        if (!enabled) return hints;
 
-Hooks.once('ready', () => {
-    console.log("PF2e AI Combat Assistant | Foundry Ready");
-    registerSettings();
-    console.log("PF2e AI Combat Assistant | Settings Initialized");
-});
+        const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
+        if (!memory || !memory.rounds) return hints;
 
-// Hooks.on('createCombat', ...) // Removed - Designation now handled in renderCombatTracker
+        const currentRound = combat.round;
 
-// Hooks.on('createCombatant', ...) // Removed - Designation now handled in renderCombatTracker
+        // Look at last round's actions
+        const lastRoundData = memory.rounds[currentRound - 1]?.combatantActions?.[combatantId];
+        if (!lastRoundData) return hints;
 
-Hooks.on('updateCombat', async (combat, updateData, options, userId) => {
-    // Check if the turn or round changed in an active combat
-    if (!combat.started || (updateData.turn === undefined && updateData.round === undefined)) return;
-    // Ignore trivial updates (like initiative changes outside of turn/round advance)
-    if (options?.diff === false && options?.advanceTime === 0) return;
+        const recentActions = lastRoundData.actionsTaken;
+        if (!recentActions || recentActions.length === 0) return hints;
 
-    await new Promise(resolve => setTimeout(resolve, 75)); // Short delay to ensure combatant data is updated
+        // Check for consecutive misses
+        const recentAttacks = recentActions.filter(a =>
+            a.outcome === 'failure' || a.outcome === 'success' ||
+            a.outcome === 'criticalSuccess' || a.outcome === 'criticalFailure'
+        );
 
-    const previousCombatantId = combat.previous?.combatantId;
-    const currentCombatant = combat.combatant;
+        const consecutiveMisses = recentAttacks.filter(a =>
+            a.outcome === 'failure' || a.outcome === 'criticalFailure'
+        ).length;
 
-    // --- Cleanup previous combatant's AI flags ---
-    if (previousCombatantId && (updateData.turn !== undefined || updateData.round !== undefined)) {
-        const previousCombatant = combat.combatants.get(previousCombatantId);
-        if (previousCombatant?.actor?.getFlag(MODULE_ID, FLAGS.IS_PROCESSING)) {
-            try {
-                // console.log(`PF2e AI Combat Assistant | Turn ended for ${previousCombatant.name}, clearing AI processing flags.`); // DEBUG
-                await clearAITurnFlags(previousCombatant.actor);
-            } catch (flagError) {
-                console.error(`PF2e AI Combat Assistant | Error clearing flags for previous combatant ${previousCombatant.name}:`, flagError);
-            }
-        }
-    }
-
-    // --- Offer AI control for the current combatant ---
-    if (!currentCombatant?.actor) return; // No actor for the current turn
-
-    const actor = currentCombatant.actor;
-
-    // Skip offer if the actor has an active player owner and the setting is GM-only
-    const hasActivePlayerOwner = actor.hasPlayerOwner && game.users.some(user => user.active && actor.testUserPermission(user, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER));
-    if (hasActivePlayerOwner && !game.settings.get(MODULE_ID, 'showOfferToPlayers') && !game.user.isGM) {
-        // console.log(`AI Offer Skipped: Player ${game.user.name} has owner, GM-only setting active.`); // DEBUG
-        return; // Player owns this token, GM-only setting, player is not GM -> no offer shown to this player
-    }
-    if (!hasActivePlayerOwner && !game.user.isGM) {
-        // console.log(`AI Offer Skipped: Player ${game.user.name} does not own NPC, GM-only setting active.`); // DEBUG
-        return; // Player does not own token, GM-only setting active -> no offer shown to this player
-    }
-
-    // Generate a unique ID for this specific turn's offer to prevent duplicates
-    const uniqueOfferId = `ai-offer-${combat.id}-${combat.round}-${combat.turn}`;
+        if (consecutiveMisses >= 2) {
+            hints.push(`Your last ${consecutiveMisses} attacks missed. Consider a different approach (debuff enemy AC, buff yourself, use a different attack, or target a different enemy).`);
+        }
 
-    // --- MODIFICATION START: Clean up previous unactioned AI offers ---
-    const offerMessagesToDelete = [];
-    for (const message of game.messages) {
-        // Check if it's an AI offer message using the flag
-        if (message.flags?.[MODULE_ID]?.[FLAGS.OFFER_ID]) {
-            // Check if the buttons are still enabled (indicating it wasn't actioned)
-            // We need to parse the HTML content to check button state.
-            // This is a bit fragile, but necessary without storing state differently.
-            const contentHtml = $(`<div>${message.content}</div>`); // Wrap in div to parse
-            const acceptButton = contentHtml.find('button.ai-accept-control');
-            const declineButton = contentHtml.find('button.ai-decline-control');
+        // Check if damage was low despite hitting
+        const totalDamage = lastRoundData.damageDealt || 0;
+        const successfulHits = recentAttacks.filter(a =>
+            a.outcome === 'success' || a.outcome === 'criticalSuccess'
+        ).length;
 
-            // If buttons exist and *neither* is disabled, it's likely unactioned
-            if (acceptButton.length > 0 && declineButton.length > 0 && !acceptButton.prop('disabled') && !declineButton.prop('disabled')) {
-                offerMessagesToDelete.push(message.id);
-            }
+        if (successfulHits >= 2 && totalDamage < 10) {
+            hints.push("Your hits are landing but damage is low. Consider using a higher damage weapon or spell.");
         }
-    }
 
-    if (offerMessagesToDelete.length > 0) {
-        try {
-            console.log(`PF2e AI Combat Assistant | Deleting ${offerMessagesToDelete.length} previous unactioned AI offer messages.`); // DEBUG
-            await ChatMessage.deleteDocuments(offerMessagesToDelete);
-        } catch (deleteError) {
-            console.error(`PF2e AI Combat Assistant | Error deleting previous AI offer messages:`, deleteError);
+        // Check for effective actions that worked well
+        const stats = memory.statistics?.[combatantId];
+        if (stats?.effectiveActions?.length > 0) {
+            const randomEffective = stats.effectiveActions[Math.floor(Math.random() * stats.effectiveActions.length)];
+            if (Math.random() > 0.5) { // 50% chance to suggest
+                hints.push(`"${randomEffective}" has been effective for you previously.`);
+            }
         }
+    } catch (e) {
+        console.error("AI analyzeRecentOutcomes: Error analyzing outcomes:", e);
     }
-    // --- MODIFICATION END ---
 
-    const offerContent = `
-        <div style="border: 1px solid #ccc; padding: 5px; margin-top: 5px;">
-            <strong>Turn: ${currentCombatant.name}</strong> (Round ${combat.round ?? '?'}, Turn ${(combat.turn ?? -1) + 1})<br>Use AI suggestions for this turn?
-            <hr style="margin:3px 0 5px 0;">
-            <button class="ai-accept-control" data-combatant-id="${currentCombatant.id}" title="Let the AI suggest actions"><i class="fas fa-robot"></i> Accept AI</button>
-            <button class="ai-decline-control" data-combatant-id="${currentCombatant.id}" title="Control manually"><i class="fas fa-user"></i> Decline AI</button>
-            <button class="ai-skip-turn" data-combatant-id="${currentCombatant.id}" title="Skip this combatant's turn"><i class="fas fa-forward"></i> Skip Turn</button>
-        </div>`;
+    return hints;
+}
 
-    try {
-        await ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ token: currentCombatant.token || actor.prototypeToken }),
-            content: offerContent,
-            whisper: getWhisperRecipientsOffer(), // Respect setting for who sees the offer
-            flags: { [MODULE_ID]: { [FLAGS.OFFER_ID]: uniqueOfferId } } // Add the unique ID flag
-        });
-    } catch (chatError) {
-        console.error(`PF2e AI Combat Assistant | Failed to create AI offer message:`, chatError);
-    }
-});
+// ============================================================================
+// MULTI-ACTION PLANNING MODE
+// ============================================================================
 
-Hooks.on('renderChatMessage', (message, html, data) => {
-    // Prevent duplicate listeners
-    const listenerFlagAttribute = `data-ai-listeners-added-${message.id}`;
-    if (html.attr(listenerFlagAttribute)) return;
-    html.attr(listenerFlagAttribute, 'true');
+/**
+ * Crafts a prompt for multi-action turn planning.
+ * Requests a complete 3-action plan instead of single actions.
+ * @param {Combatant} combatant - The combatant.
+ * @param {object} gameState - The gathered game state.
+ * @param {object} turnState - The current turn state.
+ * @param {string|null} [skippedAction=null] - A suggestion the user skipped (forces a replan without it).
+ * @param {string|null} [manualNotes=null] - Manual notes from the GM/player.
+ * @param {Array<object>} [interimResults=[]] - Roll results recorded so far this turn.
+ * @param {object} [compaction={}] - Prompt compaction from buildPromptWithinBudget.
+ * @returns {string} The multi-action plan prompt.
+ */
+function craftMultiActionPlanPrompt(combatant, gameState, turnState, skippedAction = null, manualNotes = null, interimResults = [], compaction = {}) {
+    // Get the base prompt content (reuse existing logic)
+    let basePrompt = craftSingleActionPrompt(combatant, gameState, turnState, skippedAction, manualNotes, interimResults, compaction);
 
-    // Designation listeners removed - Handled by renderCombatTracker hook now
+    // Drop the single-action task/output format so it doesn't conflict with the JSON plan format below
+    const taskIndex = basePrompt.lastIndexOf('**Task:**');
+    if (taskIndex !== -1) basePrompt = basePrompt.substring(0, taskIndex).trimEnd();
 
-    // --- AI Control & Suggestion Listeners (Respect showOfferToPlayers setting visibility) ---
-    // Players might see these if setting allows, but some actions might still be GM-only
-    html.find('button.ai-accept-control').off('click').on('click', _onAcceptControlClick);
-    html.find('button.ai-decline-control').off('click').on('click', _onDeclineControlClick);
-    html.find('button.ai-skip-turn').off('click').on('click', _onSkipTurnClick); // Added Skip Turn listener
-    html.find('button.ai-confirm-action').off('click').on('click', _onConfirmActionClick);
-    html.find('button.ai-skip-action').off('click').on('click', _onSkipActionClick);
-    html.find('button.ai-apply-condition-reduction').off('click').on('click', _onApplyConditionReductionClick); // ADDED listener for new button
-    html.find('button.ai-retry-turn').off('click').on('click', _onRetryTurnClick); // ADDED listener for Retry button
-    html.find('button.ai-end-turn').off('click').on('click', _onEndTurnClick);
-    // GM-Only execution buttons (will be disabled visually via generateSuggestionButtons if not GM)
-    html.find('button.ai-cast-spell').off('click').on('click', _onCastSpellClick);
-    html.find('button.ai-execute-strike').off('click').on('click', _onExecuteStrikeClick);
-    // Removed listener for ai-show-item as button is removed
-    // html.find('button.ai-show-item').off('click').on('click', _onShowItemClick);
-    // Next Turn button (typically on end-of-turn messages, GM only)
-    html.find('button.ai-next-turn-btn').off('click').on('click', _onNextTurnClick);
-    // MAP Adjustment Radios
-    html.find('input.ai-map-adjust-radio').off('change').on('change', _onManualMAPAdjust);
-});
+    // Replace the output format section with multi-action plan format
+    const multiActionInstructions = `
 
-Hooks.on('deleteCombat', async (combat, options, userId) => {
-    // console.log(`PF2e AI Combat Assistant | Combat ${combat.id} deleted. Cleaning up AI flags.`); // DEBUG
-    if (!combat?.combatants) return;
+**MULTI-ACTION PLAN MODE:**
+You have ${turnState.actionsRemaining} actions remaining. Plan your COMPLETE turn by suggesting all ${turnState.actionsRemaining} actions in sequence.
 
-    for (const combatant of combat.combatants) {
-        if (combatant.actor) {
-            try {
-                await clearAITurnFlags(combatant.actor);
-            } catch (error) {
-                console.error(`PF2e AI Combat Assistant | Error clearing flags for actor ${combatant.actor.name} during combat deletion:`, error);
-            }
+**Output Format (CRITICAL - MUST be valid JSON):**
+\`\`\`json
+{
+    "plan": [
+        {
+            "sequence": 1,
+            "action": "Action Name",
+            "cost": 1,
+            "target": "Target Name [ID: tokenId] or Self/None",
+            "rationale": "Brief explanation"
+        },
+        {
+            "sequence": 2,
+            "action": "Action Name",
+            "cost": 1,
+            "target": "Target Name [ID: tokenId] or Self/None",
+            "rationale": "Brief explanation"
+        },
+        {
+            "sequence": 3,
+            "action": "Action Name",
+            "cost": 1,
+            "target": "Target Name [ID: tokenId] or Self/None",
+            "rationale": "Brief explanation"
         }
-    }
-});
+    ],
+    "contingency": "If the first action fails, consider [alternative approach].",
+    "overallStrategy": "Brief description of the turn's tactical goal."
+}
+\`\`\`
 
-Hooks.on('deleteCombatant', async (combatant, options, userId) => {
-    const combat = combatant.combat;
-    // console.log(`PF2e AI Combat Assistant | Combatant ${combatant?.name ?? 'Unknown'} deleted/removed. Cleaning flags.`); // DEBUG
+**Planning Guidelines:**
+1. Consider action synergies - setup actions should enable powerful follow-ups
+2. Account for MAP when planning multiple Strikes
+3. Include movement if needed to reach targets
+4. Consider defensive actions if HP is low
+5. Plan contingencies for if key actions fail (e.g., miss on first Strike)
+6. Prioritize actions that maximize overall turn value
 
-    // Clear AI flags from the actor regardless of who deleted it
-    if (combatant.actor) {
-        try {
-            await clearAITurnFlags(combatant.actor);
-        } catch (error) {
-            console.error(`PF2e AI Combat Assistant | Error clearing flags for deleted combatant ${combatant.actor.name}:`, error);
-        }
-    }
+**IMPORTANT:**
+- "cost" is the number of actions (1, 2 or 3), or "R"/"F" for reactions and free actions
+- Use the same naming rules as single suggestions: include the chosen Rank for leveled spells and the chosen action count for variable-cost actions
+- Total action cost must NOT exceed ${turnState.actionsRemaining}
+${describeQuickenedActions(turnState) ? `- ${describeQuickenedActions(turnState)}: make sure one planned action fits that restriction` : ''}
+- Plan exactly ${turnState.actionsRemaining} actions (or fewer if ending turn early is optimal)
+- Consider the order carefully - earlier actions affect later ones
+`;
 
-    // Remove designation entry from combat flags (GM only)
-    if (!combat || !game.user.isGM) return;
+    // Append multi-action instructions to the base prompt
+    return basePrompt + multiActionInstructions;
+}
+
+/**
+ * Parses a multi-action plan response from the LLM.
+ * @param {string} rawResponse - The raw LLM response.
+ * @returns {object|null} Parsed plan object or null if parsing fails.
+ */
+function parseMultiActionPlan(rawResponse) {
     try {
-        const currentDesignations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS);
-        if (currentDesignations && combatant.id in currentDesignations) {
-            // console.log(`PF2e AI Combat Assistant | Removing designation for deleted combatant ${combatant.name}.`); // DEBUG
-            const updatedDesignations = { ...currentDesignations };
-            delete updatedDesignations[combatant.id];
-            await combat.setFlag(MODULE_ID, FLAGS.DESIGNATIONS, updatedDesignations);
+        // Try to extract JSON from the response
+        let jsonMatch = rawResponse.match(/```json\s*([\s\S]*?)\s*```/);
+        let jsonString = jsonMatch ? jsonMatch[1] : null;
+
+        // Fallback: try to find raw JSON object
+        if (!jsonString) {
+            const rawJsonMatch = rawResponse.match(/\{[\s\S]*"plan"[\s\S]*\}/);
+            jsonString = rawJsonMatch ? rawJsonMatch[0] : null;
         }
-    } catch (error) {
-        console.warn(`PF2e AI Combat Assistant | Could not remove designation for deleted combatant ${combatant.name}:`, error);
-    }
-});
 
-// --- Chat Button Handlers (Designation handlers removed) ---
+        if (!jsonString) {
+            console.warn("AI parseMultiActionPlan: Could not find JSON in response");
+            return null;
+        }
 
+        const parsed = JSON.parse(jsonString);
 
-async function _onAcceptControlClick(event) {
-    event.preventDefault();
-    // console.log("PF2e AI Combat Assistant | Accept AI clicked."); // DEBUG
-    const button = $(event.currentTarget);
-    const combatantId = button.data('combatantId');
-    const combat = game.combat; // Get the current active combat
+        // Validate structure
+        if (!parsed.plan || !Array.isArray(parsed.plan)) {
+            console.warn("AI parseMultiActionPlan: Invalid plan structure");
+            return null;
+        }
 
-    if (!combat) { ui.notifications.error("PF2e AI Combat Assistant Error: No active combat found!"); return; }
-    const combatant = combat.combatants.get(combatantId);
-    const actor = combatant?.actor;
-    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Error: Combatant or Actor not found!"); return; }
+        // Validate each action in the plan
+        for (const action of parsed.plan) {
+            if (!action.sequence || !action.action) {
+                console.warn("AI parseMultiActionPlan: Invalid action in plan", action);
+                return null;
+            }
+        }
 
-    // Disable buttons on the offer card
-    button.closest('.message-content').find('button').prop('disabled', true);
-    button.html('<i class="fas fa-spinner fa-spin"></i> Accepted');
+        return {
+            plan: parsed.plan,
+            contingency: parsed.contingency || null,
+            overallStrategy: parsed.overallStrategy || null
+        };
+    } catch (e) {
+        console.error("AI parseMultiActionPlan: Error parsing plan:", e);
+        return null;
+    }
+}
 
-    // --- Critical Check: Is it still this combatant's turn? ---
-    if (combat.combatant?.id !== combatantId) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: It is no longer ${combatant.name}'s turn! Cannot start AI control.`);
-        button.html('<i class="fas fa-times"></i> Not Turn');
-        // Don't clear flags here, the updateCombat hook should handle cleanup
-        return;
-    }
+/**
+ * Gets the current action plan for an actor.
+ * @param {Actor} actor - The actor.
+ * @returns {object|null} The stored action plan or null.
+ */
+function getStoredActionPlan(actor) {
+    if (!actor) return null;
+    return actor.getFlag(MODULE_ID, FLAGS.ACTION_PLAN) || null;
+}
 
-    try {
-        // Set flags to indicate AI is processing this actor's turn
-        await actor.setFlag(MODULE_ID, FLAGS.IS_PROCESSING, true);
-        // Initialize turn state: 3 actions, empty history, MAP 0, empty manual notes
-        await actor.setFlag(MODULE_ID, FLAGS.TURN_STATE, {
-            actionsRemaining: 3,
-            actionsTakenDescriptions: [],
-            currentMAP: 0,
-            manualNotes: "" // Initialize manual notes
-        });
-        // Clear any cached strikes from a potential previous run
-        await actor.unsetFlag(MODULE_ID, FLAGS.CACHED_STRIKES);
+/**
+ * Stores an action plan on an actor.
+ * @param {Actor} actor - The actor.
+ * @param {object} plan - The action plan to store.
+ */
+async function storeActionPlan(actor, plan) {
+    if (!actor) return;
+    await actor.setFlag(MODULE_ID, FLAGS.ACTION_PLAN, {
+        plannedActions: plan.plan,
+        contingency: plan.contingency,
+        overallStrategy: plan.overallStrategy,
+        currentStep: 0,
+        timestamp: Date.now()
+    });
+}
 
-        // Post a message indicating AI is taking over
-        ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
-            content: `<i>${combatant.name} accepts AI guidance...</i>`,
-            whisper: getWhisperRecipientsSuggestions() // Use suggestion visibility
-        });
+/**
+ * Gets the next action from the stored plan.
+ * @param {Actor} actor - The actor.
+ * @returns {object|null} The next action or null if plan is exhausted.
+ */
+function getNextPlannedAction(actor) {
+    const plan = getStoredActionPlan(actor);
+    if (!plan || !plan.plannedActions) return null;
 
-        // Initiate the first suggestion request (pass null for manual notes initially)
-        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
-        await requestNextAISuggestion(combatant, combat, null, null); // Pass null for skippedAction and manualNotes
+    const nextAction = plan.plannedActions[plan.currentStep];
+    if (!nextAction) return null;
 
-    } catch (error) {
-        console.error(`PF2e AI Combat Assistant | Error initializing AI turn:`, error);
-        ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
-            content: `<i style="color:red;">Error starting AI turn: ${error.message}</i>`,
-            whisper: getWhisperRecipientsSuggestions()
-        });
-        // Clean up flags on error
-        await clearAITurnFlags(actor);
-        // Re-enable buttons on the original offer card in case of init error
-        button.closest('.message-content').find('button').prop('disabled', false);
-        button.html('<i class="fas fa-robot"></i> Accept AI');
-    }
+    return {
+        action: nextAction.action,
+        target: nextAction.target,
+        rationale: nextAction.rationale,
+        sequence: nextAction.sequence,
+        isLastAction: plan.currentStep >= plan.plannedActions.length - 1,
+        contingency: plan.contingency,
+        overallStrategy: plan.overallStrategy
+    };
 }
 
-async function _onDeclineControlClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    // Disable buttons on the offer card
-    button.closest('.message-content').find('button').prop('disabled', true);
-    button.html('<i class="fas fa-check"></i> Manual Control');
+/**
+ * Advances to the next action in the stored plan.
+ * @param {Actor} actor - The actor.
+ */
+async function advancePlanStep(actor) {
+    const plan = getStoredActionPlan(actor);
+    if (!plan) return;
 
-    const combatant = game.combat?.combatants.get(button.data('combatantId'));
-    if (combatant) {
-        ChatMessage.create({
-            speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor?.prototypeToken }),
-            content: `<i>${combatant.name} controlled manually this turn...</i>`,
-            whisper: getWhisperRecipientsOffer() // Respect offer visibility
-        });
-    }
+    await actor.setFlag(MODULE_ID, FLAGS.ACTION_PLAN, {
+        ...plan,
+        currentStep: plan.currentStep + 1
+    });
 }
 
 /**
- * Handles clicking the "Skip Turn" button on the AI offer message.
- * Advances the combat tracker to the next turn.
- * @param {Event} event - The click event.
- * @private
+ * Keeps the stored plan in step with a confirmed action. A card for the plan's current step moves the
+ * plan on; any other card (a single-action fallback, or a step the plan has already passed) means the
+ * turn went off plan, so the plan is dropped and the next suggestion plans the rest of the turn afresh.
+ * @param {Actor} actor - The actor.
+ * @param {number|null} planStepIndex - The plan step the confirmed card offered (0-based), or null if it wasn't a plan step.
  */
-async function _onSkipTurnClick(event) {
-    event.preventDefault();
-    console.log("PF2e AI Combat Assistant | Skip Turn button clicked."); // DEBUG
+async function syncPlanWithConfirmedAction(actor, planStepIndex) {
+    const plan = getStoredActionPlan(actor);
+    if (!plan) return;
+    if (planStepIndex === plan.currentStep) await advancePlanStep(actor);
+    else await clearActionPlan(actor);
+}
 
-    const button = event.currentTarget;
-    const combatantId = button.dataset.combatantId;
-    const combat = game.combat;
+/**
+ * Clears the stored action plan.
+ * @param {Actor} actor - The actor.
+ */
+async function clearActionPlan(actor) {
+    if (!actor) return;
+    await actor.unsetFlag(MODULE_ID, FLAGS.ACTION_PLAN);
+}
 
-    if (!combat) {
-        ui.notifications.warn("PF2e AI Combat Assistant: No active combat found.");
-        return;
-    }
+/**
+ * Converts a stored plan step into the same shape `parseLLMSuggestion` returns,
+ * so planned steps can flow through the normal identification/button pipeline.
+ * Accepts an explicit `cost` field or a trailing cost in the action name, e.g. "Strike (1)".
+ * @param {object} step - A planned action ({ action, target, rationale, cost? }).
+ * @returns {object|null} { description, target, cost, rationale, narrative } or null if unusable.
+ */
+function plannedStepToSuggestion(step) {
+    if (!step?.action) return null;
+    let description = String(step.action).trim();
+    let cost = null;
 
-    const combatant = combat.combatants.get(combatantId);
+    const normalizeCost = (value) => {
+        if (value === null || value === undefined) return null;
+        const upper = String(value).trim().toUpperCase();
+        if (upper === 'R' || upper === 'REACTION') return 'R';
+        if (upper === 'F' || upper === 'FREE' || upper === '0') return 'F';
+        const numeric = parseInt(upper, 10);
+        return (!isNaN(numeric) && numeric >= 1 && numeric <= 3) ? numeric : null;
+    };
 
-    if (!combatant) {
-        ui.notifications.error(`PF2e AI Combat Assistant: Could not find combatant with ID ${combatantId}.`);
-        return;
+    // Strip a trailing "(1)", "(2 actions)", "(R)" cost marker - but keep "(Rank 3, 2 actions)" intact
+    const costSuffixMatch = description.match(/\s*\((\d|R|F|reaction|free)(?:\s*(?:a|actions?))?\)\s*$/i);
+    if (costSuffixMatch) {
+        cost = normalizeCost(costSuffixMatch[1]);
+        description = description.substring(0, costSuffixMatch.index).trim();
     }
+    cost = normalizeCost(step.cost) ?? cost ?? 1;
 
-    // Check permissions - Only GM or the user controlling the current combatant should skip
-    const isGM = game.user.isGM;
-    const isOwner = combatant.actor?.testUserPermission(game.user, "OWNER");
-    const isCurrentTurn = combat.combatant?.id === combatantId;
+    return {
+        description: description,
+        target: step.target || 'None',
+        cost: cost,
+        rationale: step.rationale || null,
+        narrative: ''
+    };
+}
 
-    if (!isGM && !isOwner) {
-        ui.notifications.warn("PF2e AI Combat Assistant: You do not have permission to skip this turn.");
-        return;
-    }
+/**
+ * Looks through recent chat events for evidence that the last planned step failed:
+ * one of this actor's own rolls failing, or a target succeeding at a save against it.
+ * @param {string} actorName - The acting combatant's name (as it appears in recent events).
+ * @param {string[]} recentEvents - Events from gatherGameState.
+ * @param {number} [sinceIndex=0] - Only consider events after this index (events seen before the step was offered).
+ * @returns {string|null} The failing event string, or null if no failure was found.
+ */
+function findPlanStepFailure(actorName, recentEvents, sinceIndex = 0) {
+    if (!actorName || !Array.isArray(recentEvents)) return null;
+    const actorNameLower = actorName.toLowerCase();
+    const newEvents = recentEvents.slice(Math.max(0, sinceIndex));
 
-    if (!isCurrentTurn) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: It is not currently ${combatant.name}'s turn.`);
-        // Allow GM override maybe? For now, strict check.
-        return;
+    for (let i = newEvents.length - 1; i >= 0; i--) {
+        const eventString = newEvents[i];
+        const outcomeMatch = eventString.match(/->\s*(CriticalFailure|Failure|CriticalSuccess|Success)\b/i);
+        if (!outcomeMatch) continue;
+        const outcome = outcomeMatch[1].toLowerCase();
+        const isOwnRoll = eventString.toLowerCase().startsWith(`${actorNameLower}:`);
+
+        if (isOwnRoll && (outcome === 'failure' || outcome === 'criticalfailure')) return eventString;
+        if (!isOwnRoll && /\bSave vs\b/i.test(eventString) && (outcome === 'success' || outcome === 'criticalsuccess')) return eventString;
     }
+    return null;
+}
 
-    console.log(`PF2e AI Combat Assistant | Skipping turn for ${combatant.name}.`);
-    ui.notifications.info(`Skipping turn for ${combatant.name}.`);
+/**
+ * Posts the full-turn plan as a single chat card listing every step with its cost and target.
+ * @param {Combatant} combatant - The planning combatant.
+ * @param {Actor} actor - The combatant's actor.
+ * @param {object} plan - The parsed plan ({ plan, contingency, overallStrategy }).
+ */
+async function postActionPlanCard(combatant, actor, plan) {
+    const stepsHTML = plan.plan.map(step => {
+        const stepSuggestion = plannedStepToSuggestion(step);
+        if (!stepSuggestion) return '';
+        const targetText = stepSuggestion.target ? stepSuggestion.target.replace(/ \[ID:\s*[^\]]+\]/ig, '') : 'None';
+        const rationaleText = stepSuggestion.rationale ? `<div style="font-size: 0.85em; color: #666;">${stepSuggestion.rationale.replace(/ \[ID:\s*[^\]]+\]/ig, '')}</div>` : '';
+        return `<li style="margin-bottom: 3px;">${getActionIconHTML(stepSuggestion.cost, stepSuggestion.description)} <strong>${stepSuggestion.description}</strong> <i>(Target: ${targetText})</i>${rationaleText}</li>`;
+    }).join('');
+
+    const planContent = `
+        <div class="ai-action-plan" style="border: 1px solid #ccc; padding: 5px; margin-top: 5px;">
+            <strong>${combatant.name}'s Turn Plan</strong>
+            ${plan.overallStrategy ? `<p style="margin: 3px 0; font-style: italic;">${plan.overallStrategy}</p>` : ''}
+            <ol style="margin: 5px 0; padding-left: 20px;">${stepsHTML}</ol>
+            ${plan.contingency ? `<div style="font-size: 0.9em; padding-top: 3px; border-top: 1px dashed #ccc;"><strong>Contingency:</strong> ${plan.contingency}</div>` : ''}
+        </div>`;
 
     try {
-        // Disable buttons on the message to prevent double clicks
-        $(button).closest('.chat-message').find('button').prop('disabled', true);
-        await combat.nextTurn();
-    } catch (error) {
-        console.error(`PF2e AI Combat Assistant | Error skipping turn for ${combatant.name}:`, error);
-        ui.notifications.error(`PF2e AI Combat Assistant: Failed to skip turn. See console (F12) for details.`);
-        // Re-enable buttons on error? Maybe not, state might be inconsistent.
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+            content: planContent,
+            whisper: getWhisperRecipientsSuggestions()
+        });
+    } catch (chatError) {
+        console.error(`PF2e AI Combat Assistant | Failed to create action plan message:`, chatError);
     }
 }
 
-async function _onConfirmActionClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const suggestionCard = button.closest('.message-content');
-    const combatantId = button.data('combatantId');
-    // Correctly retrieve the cost used for validation (passed from requestNextAISuggestion -> generateSuggestionButtons)
-    const actionCostForValidation = parseInt(button.data('actionCost'), 10);
-    const actionDescription = decodeURIComponent(button.data('actionDesc') || 'Unknown Action'); // Full description from LLM/parsing
-    const messageId = suggestionCard.closest('.chat-message').data('messageId'); // Get message ID
-    const combat = game.combat;
-
-    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Confirm Error: No active combat."); return; }
-    const combatant = combat.combatants.get(combatantId);
-    const actor = combatant?.actor;
-    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Confirm Error: Combatant or Actor not found."); return; }
 
-    // --- Get Manual Notes from Text Input ---
-    let manualNotes = "";
-    if (messageId) {
-        const inputId = game.messages.get(messageId)?.getFlag(MODULE_ID, FLAGS.MANUAL_NOTES_INPUT_ID);
-        if (inputId) {
-            manualNotes = $(`#${inputId}`).val() || "";
-            // console.log(`AI Confirm: Retrieved Manual Notes: "${manualNotes}"`); // DEBUG
-        } else {
-            // console.warn(`AI Confirm: Could not find input field ID flag on message ${messageId}`); // DEBUG
-        }
-    } else {
-        console.warn("AI Confirm: Could not find message ID to retrieve manual notes.");
+/**
+ * Cleans up and summarizes HTML description text for prompts.
+ * Removes most HTML tags, converts basic formatting to newlines/separators,
+ * handles @Localize, strips condition UUIDs, and extracts text from common Foundry/PF2e link formats.
+ * Separator logic removed - handled in createAbilityListString now.
+ * @param {string|null} descriptionHTML - The HTML content to clean.
+ * @returns {string} A cleaned-up plain text summary.
+ */
+function summarizeAbilityDetails(descriptionHTML) {
+    if (!descriptionHTML || typeof descriptionHTML !== 'string') {
+        return '';
     }
 
+    // Basic cleaning and formatting for prompt injection
+    let cleanedDescription = descriptionHTML
+        .replace(/<br\s*\/?>/gi, '\n') // Convert <br> to newlines
+        .replace(/<\/?p>/gi, '\n') // Convert paragraphs to newlines (extra newlines will be collapsed later)
+        .replace(/<hr\s*\/?>/gi, '\n---\n') // Convert <hr> to a separator
+        .replace(/<\/?(?:strong|b|em|i|u)>/gi, '') // Remove basic formatting tags (bold, italic, etc.)
+        .replace(/<a [^>]+>([^<]+)<\/a>/gi, '$1') // Keep only the text content of links
+        // Remove most UUID links, keeping only the text label
+        .replace(/@UUID\[[^\]]+\]\{([^}]+)\}/gi, '$1')
+        .replace(/@Check\[[^\]]+\]\{([^}]+)\}/gi, '$1') // Extract text from @Check links
+        .replace(/@Damage\[([^\]]+)\]/gi, '$1'); // Extract damage formula text from @Damage
 
-    // Disable buttons on suggestion card
-    suggestionCard.find('button').prop('disabled', true);
-    suggestionCard.find('input[type="radio"]').prop('disabled', true); // Disable MAP radios too
-    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
-    button.html('<i class="fas fa-spinner fa-spin"></i> Confirmed...');
+    // Handle @Localize tags
+    cleanedDescription = cleanedDescription.replace(/(@Localize\[([^\]]+)\])/g, (match, fullMatch, key) => {
+        if (key) {
+            const localizedText = game.i18n.localize(key);
+            // Replace the tag with the localized text directly
+            return localizedText !== key ? localizedText : fullMatch;
+        }
+        return fullMatch;
+    });
 
-    // --- Critical Check: Is it still this combatant's turn? ---
-    if (combat.combatant?.id !== combatantId) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot confirm action for ${combatant.name}.`);
-        button.html('<i class="fas fa-times"></i> Turn Ended');
-        await clearAITurnFlags(actor); // Clean up flags if turn ended unexpectedly
-        return;
-    }
+    // --- REMOVED Separator logic ---
+    // It was too fragile. We will parse Req/Trig/Effect in createAbilityListString.
 
-    // Get current state
-    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
-    if (!currentTurnState) {
-        ui.notifications.error("PF2e AI Combat Assistant Confirm Error: Turn state flag missing!");
-        button.html('<i class="fas fa-times"></i> State Error');
-        await clearAITurnFlags(actor);
-        return;
+    // Strip specific Condition UUIDs after general UUID handling and localization
+    cleanedDescription = cleanedDescription.replace(/@UUID\[Compendium\.pf2e\.conditionitems\.Item\.[^\]]+\]\{([^}]+)\}/gi, '$1');
+
+    // Final cleanup
+    cleanedDescription = cleanedDescription
+        .replace(/\[\[\/gmr ([^#]+)#([^\]]+)\]\]\{([^}]+)\}/gi, '$1 ($3)') // Handle GMR links cleanly
+        .replace(/<[^>]*>/g, ' ') // Remove all remaining HTML tags
+        .replace(/ {2,}/g, ' ') // Collapse multiple spaces to a single space
+        .replace(/\n\s*\n/g, '\n') // Remove empty lines resulting from tag removal
+        .replace(/\n /g, '\n') // Remove leading spaces on new lines
+        .trim(); // Remove leading/trailing whitespace
+
+    return cleanedDescription;
+}
+
+/**
+ * Decides if a long description should be excluded from the prompt,
+ * assuming it's likely flavor text rather than critical mechanics.
+ * Uses length thresholds and keyword heuristics.
+ * **This should NOT be used for Spells or Conditions/Effects.**
+ * @param {string|null} fullDescription - The cleaned description text.
+ * @param {string} abilityName - The name of the ability/feat (for logging).
+ * @param {number} [absoluteMaxLength=1200] - Absolute max length threshold.
+ * @param {number} [heuristicMaxLength=400] - Threshold for keyword heuristic check.
+ * @returns {boolean} True if the description should be excluded.
+ */
+function shouldExcludeDescription(fullDescription, abilityName, absoluteMaxLength = 1200, heuristicMaxLength = 400) {
+    if (!fullDescription) {
+        return false; // Don't exclude if there's no description
     }
 
-    // Validate action cost against remaining actions
-    // Allow 0 cost actions (Free/Reactions handled by logic, combos have final cost)
-    if (isNaN(actionCostForValidation) || actionCostForValidation < 0 || actionCostForValidation > currentTurnState.actionsRemaining) {
-        ui.notifications.error(`PF2e AI Combat Assistant Confirm Error: Action cost (${actionCostForValidation}) is invalid or exceeds remaining actions (${currentTurnState.actionsRemaining}).`);
-        button.html('<i class="fas fa-times"></i> Cost Error');
-        // Re-enable buttons on this card if cost was the issue
-        suggestionCard.find('button').prop('disabled', false);
-        suggestionCard.find('input[type="radio"]').prop('disabled', false);
-        suggestionCard.find('.ai-manual-notes-input').prop('disabled', false);
-        button.html('<i class="fas fa-check"></i> Confirm');
-        return;
+    // Exclude if simply too long
+    if (fullDescription.length > absoluteMaxLength) {
+        // console.log(`AI Exclude Desc (Too Long: ${fullDescription.length}): ${abilityName}`); // DEBUG
+        return true;
     }
 
-    // --- Identify Traits for MAP update ---
-    let identifiedTraits = [];
-    try {
-        // Re-identify the suggestion to get the traits of the main action, even if it's a combo
-        const identifyResult = await identifySuggestionTypeAndCost(actionDescription, actor, {}); // Pass empty gameState as we only need identification
-        if (identifyResult && Array.isArray(identifyResult.traits)) {
-            identifiedTraits = identifyResult.traits;
-        } else {
-            // console.warn(`AI Confirm: Could not reliably re-identify action "${actionDescription.substring(0, 30)}..." to get traits for MAP. MAP will not auto-update.`); // DEBUG
+    // Heuristic: If it's moderately long and seems mostly flavor-oriented, exclude.
+    if (fullDescription.length > heuristicMaxLength) {
+        const lowerDesc = fullDescription.toLowerCase();
+        // Keywords suggesting flavor/lore/roleplaying aspects
+        const flavorKeywords = [
+            'choose a deity', 'anathema', 'edicts', 'sanctification', 'roleplaying',
+            'atone ritual', 'skill training', 'alignment', 'multiclass dedication',
+            'archetype', 'background', 'story', 'appearance', 'personality'
+        ];
+        // Keywords suggesting mechanical/combat relevance
+        const combatKeywords = [
+            'make a strike', 'cast a spell', 'reaction', 'trigger', 'frequency', 'stance',
+            'condition', 'save dc', 'hit points', 'heal', 'round',
+            'minute', 'action', 'area', 'range', 'feet', 'stride', 'step',
+            'attack', 'damage', 'flat check', 'circumstance bonus', 'status bonus',
+            'item bonus', 'penalty', 'damage', 'restore'
+        ];
+
+        const flavorCount = flavorKeywords.reduce((count, keyword) => count + (lowerDesc.includes(keyword) ? 1 : 0), 0);
+        const combatCount = combatKeywords.reduce((count, keyword) => count + (lowerDesc.includes(keyword) ? 1 : 0), 0);
+
+        // If it contains multiple flavor keywords and very few (or no) combat keywords, likely exclude.
+        if (flavorCount >= 2 && combatCount <= 1) {
+            // console.log(`AI Exclude Desc (Flavor>Combat): ${abilityName} (Flavor: ${flavorCount}, Combat: ${combatCount})`); // DEBUG
+            return true;
         }
-        // console.log(`AI Confirm: Identified traits for MAP check: [${identifiedTraits.join(', ')}] for action: "${actionDescription}"`); // DEBUG
-    } catch (identifyError) {
-        // console.warn(`AI Confirm: Error during re-identification for MAP check:`, identifyError); // DEBUG
     }
-    // --- End Trait Identification ---
 
-    // Update Turn State
-    const newActionsRemaining = Math.max(0, currentTurnState.actionsRemaining - actionCostForValidation); // Use the validated cost
+    return false; // Otherwise, include the description
+}
 
-    // --- Extract Narrative and Clean Description ---
-    // The full description is stored in actionDescription (e.g., "Cast Fireball (Rank 3), Area | Rationale: Good AoE | NARRATIVE: Unleashes fire!")
-    // We need to separate the core action description from the rationale and narrative parts.
-    let cleanedActionDesc = actionDescription;
-    let narrativeForThisAction = "";
-    const rationaleSeparator = " | Rationale: ";
-    const narrativeSeparator = " | NARRATIVE: "; // Assuming this separator might exist if parsing failed earlier
+/**
+ * Calculates the threat level of an actor based on their current HP percentage.
+ * Used for visual threat assessment badges in suggestion cards.
+ * @param {Actor} actor - The actor to assess.
+ * @returns {object} An object with level ('healthy'|'wounded'|'critical'|'dying'|'unknown'),
+ *                   label (localized display text), and cssClass for styling.
+ */
+function getThreatLevel(actor) {
+    if (!actor || !actor.system?.attributes?.hp) {
+        return { level: 'unknown', label: '?', cssClass: 'ai-threat-unknown' };
+    }
 
-    // Attempt to extract narrative using the separator first
-    const narrativeIndex = cleanedActionDesc.indexOf(narrativeSeparator);
-    if (narrativeIndex !== -1) {
-        narrativeForThisAction = cleanedActionDesc.substring(narrativeIndex + narrativeSeparator.length).trim();
-        cleanedActionDesc = cleanedActionDesc.substring(0, narrativeIndex).trim();
+    const hp = actor.system.attributes.hp;
+    const currentHp = hp.value ?? 0;
+    const maxHp = hp.max ?? 1;
+
+    // Check for dying/unconscious status
+    if (currentHp <= 0 || actor.hasCondition?.('dying') || actor.hasCondition?.('unconscious')) {
+        return { level: 'dying', label: game.i18n.localize(`${MODULE_ID}.threat.dying`) || 'Dying', cssClass: 'ai-threat-dying' };
     }
 
-     // Attempt to remove rationale using the separator
-    const rationaleIndex = cleanedActionDesc.indexOf(rationaleSeparator);
-     if (rationaleIndex !== -1) {
-         // We don't need the rationale itself here, just remove it from the description
-         cleanedActionDesc = cleanedActionDesc.substring(0, rationaleIndex).trim();
-     }
+    const hpPercent = (currentHp / maxHp) * 100;
 
-     // Fallback: If separators weren't found, try the parseLLMSuggestion logic again
-     // This is less ideal performance-wise but provides a backup.
-     if (!narrativeForThisAction && rationaleIndex === -1) { // Only re-parse if BOTH separators failed
-         const tempParsed = parseLLMSuggestion(actionDescription); // Re-parse to get parts if needed
-         if (tempParsed) {
-             cleanedActionDesc = tempParsed.description || cleanedActionDesc; // Use parsed description if available
-             narrativeForThisAction = tempParsed.narrative || ""; // Use parsed narrative if available
-             // Rationale is implicitly removed by taking tempParsed.description
-         }
-     }
-    // --- End Extraction ---
+    if (hpPercent > 66) {
+        return { level: 'healthy', label: game.i18n.localize(`${MODULE_ID}.threat.healthy`) || 'Healthy', cssClass: 'ai-threat-healthy' };
+    } else if (hpPercent > 33) {
+        return { level: 'wounded', label: game.i18n.localize(`${MODULE_ID}.threat.wounded`) || 'Wounded', cssClass: 'ai-threat-wounded' };
+    } else {
+        return { level: 'critical', label: game.i18n.localize(`${MODULE_ID}.threat.critical`) || 'Critical', cssClass: 'ai-threat-critical' };
+    }
+}
 
-    const newActionsTakenDescriptions = [...(currentTurnState.actionsTakenDescriptions || []), cleanedActionDesc]; // Store cleaned description
-    const newNarrativesTaken = [...(currentTurnState.narrativesTaken || []), narrativeForThisAction].filter(n => n && n.length > 0); // Store narrative, filter empty strings
+/**
+ * Gets the tactical preset for an actor, falling back to the default setting if none is set.
+ * @param {Actor} actor - The actor to get the preset for.
+ * @returns {string} The tactical preset value.
+ */
+function getTacticalPreset(actor) {
+    if (!actor) return TACTICAL_PRESETS.DEFAULT;
 
-    // Create the new state object, preserving existing MAP for now, clearing manual notes
-    const newTurnState = {
-        ...currentTurnState,
-        actionsRemaining: newActionsRemaining,
-        actionsTakenDescriptions: newActionsTakenDescriptions,
-        narrativesTaken: newNarrativesTaken, // Add narratives array
-        manualNotes: "" // Clear manual notes after confirming
-    };
+    const actorPreset = actor.getFlag(MODULE_ID, FLAGS.TACTICAL_PRESET);
+    if (actorPreset && Object.values(TACTICAL_PRESETS).includes(actorPreset)) {
+        return actorPreset;
+    }
 
+    // Fall back to default setting
     try {
-        // Save the updated state (excluding MAP update for now)
-        await actor.setFlag(MODULE_ID, FLAGS.TURN_STATE, newTurnState);
-        // console.log(`PF2e AI Combat Assistant Action Confirmed: "${actionDescription}". State Updated: Actions Left=${newActionsRemaining}`); // DEBUG
-
-        // NOW, update MAP based on the identified traits *after* state is saved
-        await _updateMAPBasedOnTrait(actor, identifiedTraits);
+        return game.settings.get(MODULE_ID, 'defaultTacticalPreset') || TACTICAL_PRESETS.DEFAULT;
+    } catch (e) {
+        return TACTICAL_PRESETS.DEFAULT;
+    }
+}
 
-        // --- Record action for combat memory ---
-        try {
-            const isAttack = identifiedTraits.includes('attack') ||
-                            cleanedActionDesc.toLowerCase().includes('strike') ||
-                            cleanedActionDesc.toLowerCase().includes('attack');
-            await recordActionOutcome(combat, combatantId, {
-                action: cleanedActionDesc,
-                target: null, // Will be populated by outcome tracking if available
-                outcome: 'confirmed', // Initial state - will be updated by outcome tracking
-                damage: 0,
-                isAttack: isAttack,
-                wasEffective: false // Will be updated based on outcome
-            });
-        } catch (memoryError) {
-            console.warn("AI Confirm: Error recording action to combat memory:", memoryError);
-        }
+/**
+ * Gets the tactical context string to include in the AI prompt based on the preset.
+ * @param {string} preset - The tactical preset value.
+ * @returns {string} The tactical context instructions for the prompt.
+ */
+function getTacticalContextForPrompt(preset) {
+    switch (preset) {
+        case TACTICAL_PRESETS.AGGRESSIVE:
+            return `**TACTICAL DIRECTIVE: AGGRESSIVE**
+- Prioritize dealing maximum damage to enemies
+- Take calculated risks to close distance and engage
+- Focus on offensive abilities and attacks over defensive options
+- Target the most dangerous or wounded enemies first
+- Use powerful abilities even if they have drawbacks`;
 
-        // --- Store the ID of the *suggestion* message that was just confirmed ---
-        // Subsequent chat messages will be processed by handleChatMessage if their ID is greater
-        lastConfirmedActionMessageIds.set(combatant.id, messageId);
-        // console.log(`AI Confirm | Stored last processed msg ID: ${messageId} for ${combatant.name}`); // DEBUG
+        case TACTICAL_PRESETS.DEFENSIVE:
+            return `**TACTICAL DIRECTIVE: DEFENSIVE**
+- Prioritize preserving hit points and avoiding damage
+- Use defensive actions like Raise Shield, Take Cover, or defensive stances
+- Maintain safe distance from dangerous enemies when possible
+- Prioritize healing and recovery when wounded
+- Retreat or reposition when significantly damaged`;
 
-        // Request the next suggestion, passing the retrieved manual notes AND the updated turn state
-        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
-        await requestNextAISuggestion(combatant, combat, null, manualNotes, newTurnState); // Pass updated state
+        case TACTICAL_PRESETS.CONTROL:
+            return `**TACTICAL DIRECTIVE: CONTROL**
+- Focus on debuffing enemies and crowd control effects
+- Prioritize abilities that impose conditions (frightened, stunned, slowed, etc.)
+- Target enemies that pose the greatest threat to allies
+- Use area effects to affect multiple enemies when possible
+- Disable key enemies before they can act`;
 
+        case TACTICAL_PRESETS.SUPPORT:
+            return `**TACTICAL DIRECTIVE: SUPPORT**
+- Prioritize healing wounded allies and removing harmful conditions
+- Use buff abilities to enhance ally effectiveness
+- Protect critically wounded allies with positioning or abilities
+- Focus on enabling allies rather than dealing damage directly
+- Maintain awareness of ally positions and health states`;
 
-    } catch (stateUpdateError) {
-        console.error(`PF2e AI Combat Assistant State Update Error after confirming action:`, stateUpdateError);
-        ui.notifications.error("PF2e AI Combat Assistant Error: Failed state update...");
-        button.html('<i class="fas fa-times"></i> State Error');
-        await clearAITurnFlags(actor); // Clear flags on error
-        // Don't re-enable buttons here, state is likely broken
+        default:
+            return ''; // No specific tactical directive
     }
 }
 
+/**
+ * Generates HTML for the standard PF2e action cost icon (A, D, T, R, F, variable, ?).
+ * @param {number|string|null} parsedCost - The parsed action cost (e.g., 1, 2, 3, 'R', 'F', '1 to 3', null).
+ * @param {string} [description=''] - Optional description text to help identify reactions based on triggers.
+ * @returns {string} HTML span element for the action glyph.
+ */
+function getActionIconHTML(parsedCost, description = '') {
+    const descLower = description?.toLowerCase() || '';
 
-async function _onSkipActionClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const suggestionCard = button.closest('.message-content');
-    const combatantId = button.data('combatantId');
-    const skippedActionDescription = decodeURIComponent(button.data('actionDesc') || 'Unknown Action');
-    const messageId = suggestionCard.closest('.chat-message').data('messageId'); // Get message ID
-    const combat = game.combat;
+    // Determine if it's likely a Reaction (cost might be null/1 but description indicates Trigger)
+    const isLikelyReaction = (parsedCost === 'R') ||
+        ((parsedCost === null || parsedCost === 1) && (descLower.includes('reaction') || descLower.includes('trigger:')));
 
-    // console.log(`PF2e AI Combat Assistant | Skip Clicked. Combatant ID: ${combatantId}`); // DEBUG
+    if (isLikelyReaction) {
+        return '<span class="action-glyph" title="Reaction">R</span>';
+    }
+    if (parsedCost === 'F' || parsedCost === 0) {
+        return '<span class="action-glyph" title="Free Action">F</span>';
+    }
 
-    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Skip Error: No active combat."); return; }
-    const combatant = combat.combatants.get(combatantId);
-    if (!combatant) { ui.notifications.error(`PF2e AI Combat Assistant Skip Error: Combatant not found.`); suggestionCard.find('button').prop('disabled', true); button.html('<i class="fas fa-times"></i> Error'); return; }
-    const actor = combatant.actor;
-    if (!actor) { ui.notifications.error(`PF2e AI Combat Assistant Skip Error: Actor missing.`); suggestionCard.find('button').prop('disabled', true); button.html('<i class="fas fa-times"></i> Error'); return; }
+    // Handle numeric costs directly
+    if (Number.isInteger(parsedCost) && parsedCost >= 1 && parsedCost <= 3) {
+        switch (parsedCost) {
+            case 1: return '<span class="action-glyph" title="Single Action">A</span>';
+            case 2: return '<span class="action-glyph" title="Two Actions">D</span>';
+            case 3: return '<span class="action-glyph" title="Three Actions">T</span>';
+        }
+    }
 
-    // --- Get Manual Notes from Text Input ---
-    let manualNotes = "";
-    if (messageId) {
-        const inputId = game.messages.get(messageId)?.getFlag(MODULE_ID, FLAGS.MANUAL_NOTES_INPUT_ID);
-        if (inputId) {
-            manualNotes = $(`#${inputId}`).val() || "";
-            // console.log(`AI Skip: Retrieved Manual Notes: "${manualNotes}"`); // DEBUG
-        } else {
-            // console.warn(`AI Skip: Could not find input field ID flag on message ${messageId}`); // DEBUG
-        }
-    } else {
-        console.warn("AI Skip: Could not find message ID to retrieve manual notes.");
+    // Handle variable costs like "1 to 3"
+    if (typeof parsedCost === 'string' && parsedCost.includes(' to ')) {
+        // Use the string directly as the display, more informative than a single glyph
+        return `<span title="${parsedCost} Actions">${parsedCost}</span>`;
     }
 
-    // Disable buttons on the card being skipped
-    suggestionCard.find('button').prop('disabled', true);
-    suggestionCard.find('input[type="radio"]').prop('disabled', true); // Disable MAP radios too
-    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
-    button.html('<i class="fas fa-spinner fa-spin"></i> Skipping...');
+    // Fallback for unknown or unusual costs
+    return parsedCost ? `<span title="${parsedCost} Actions">${parsedCost}</span>` : '<span title="Unknown Cost">?</span>';
+}
 
-    // --- Critical Check: Is it still this combatant's turn? ---
-    if (combat.combatant?.id !== combatantId) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot skip action for ${combatant.name}.`);
-        button.html('<i class="fas fa-times"></i> Turn Ended');
-        await clearAITurnFlags(actor); // Clean up flags
-        return;
-    }
 
-    // --- Critical Check: Is AI still processing? ---
-    if (!actor.getFlag(MODULE_ID, FLAGS.IS_PROCESSING) || !actor.getFlag(MODULE_ID, FLAGS.TURN_STATE)) {
-        ui.notifications.error("PF2e AI Combat Assistant Skip Error: AI state is missing or not active!");
-        button.html('<i class="fas fa-times"></i> State Error');
-        await clearAITurnFlags(actor); // Clean up flags
-        return;
-    }
+/**
+ * Parses the action cost from an item's fields or its description HTML.
+ * Standardizes the cost representation. Now checks actionType.value directly.
+ * @param {string|number|null} timeValue - The value from `item.system.time.value`.
+ * @param {string|number|null} actionsValue - The value from `item.system.actions.value`.
+ * @param {string|null} [descriptionHTML=null] - The item's description HTML as a fallback.
+ * @param {string|null} [actionTypeValue=null] - The value from `item.system.actionType.value` (optional).
+ * @returns {number|string|null} The parsed cost: 1, 2, 3, 'R', 'F', '1 to 3', or null if unparseable.
+ */
+function parseActionCostValue(timeValue, actionsValue, descriptionHTML = null, actionTypeValue = null) {
+    // Helper function to check a string value for standard cost notations
+    const checkStringValue = (value) => {
+        if (value === null || value === undefined) return null;
+        const lowerValue = String(value).toLowerCase().trim();
+        if (lowerValue === 'reaction') return 'R';
+        if (lowerValue === 'free') return 'F';
+        const actionMatch = lowerValue.match(/^(?:(\d+)|one|two|three)\s*action[s]?$/);
+        if (actionMatch) { if (actionMatch[1]) return parseInt(actionMatch[1], 10); if (lowerValue.startsWith('one')) return 1; if (lowerValue.startsWith('two')) return 2; if (lowerValue.startsWith('three')) return 3; }
+        const rangeMatch = lowerValue.match(/^(\d+)\s+to\s+(\d+)(?:\s*action[s]?)?$/);
+        if (rangeMatch?.[1] && rangeMatch?.[2]) { const min = parseInt(rangeMatch[1], 10); const max = parseInt(rangeMatch[2], 10); if (!isNaN(min) && !isNaN(max) && min >= 1 && max >= min && max <= 3) return `${min} to ${max}`; }
+        return null;
+    };
 
-    // --- Update State with Manual Notes ---
-    try {
-        let currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
-        if (!currentTurnState) {
-            ui.notifications.error("PF2e AI Combat Assistant Skip Error: Could not retrieve turn state to reset actions.");
-            button.html('<i class="fas fa-times"></i> State Error');
-            await clearAITurnFlags(actor);
-            return;
-        }
-        let updatedTurnState = deepClone(currentTurnState); // Use deepClone for safety
-        // Actions remaining are preserved from currentTurnState
-        updatedTurnState.manualNotes = manualNotes; // Include latest notes
+    // --- Priority Checks ---
+    // 1. Direct actionType check (Added)
+    if (actionTypeValue === 'free') return 'F';
+    if (actionTypeValue === 'reaction') return 'R';
 
-        await actor.setFlag(MODULE_ID, FLAGS.TURN_STATE, updatedTurnState);
-        // console.log("AI Skip: Updated turn state with manual notes.", updatedTurnState); // DEBUG
+    // 2. system.time.value and system.actions.value (String format)
+    const costFromTimeStr = checkStringValue(timeValue); if (costFromTimeStr !== null) return costFromTimeStr;
+    const costFromActionsStr = checkStringValue(actionsValue); if (costFromActionsStr !== null) return costFromActionsStr;
 
-        // Request next suggestion, passing the skipped action, notes, AND the updated state
-        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
-        await requestNextAISuggestion(combatant, combat, skippedActionDescription, manualNotes, updatedTurnState); // Pass updated state
+    // 3. system.time.value and system.actions.value (Numeric format)
+    const timeNum = parseInt(String(timeValue), 10); if (!isNaN(timeNum) && String(timeNum) === String(timeValue).trim() && timeNum >= 0 && timeNum <= 3) return timeNum;
+    const actionsNum = parseInt(String(actionsValue), 10); if (!isNaN(actionsNum) && String(actionsNum) === String(actionsValue).trim() && actionsNum >= 0 && actionsNum <= 3) return actionsNum;
 
-    } catch (e) {
-        console.error("AI Skip: Failed to reset actions or request next suggestion:", e);
-        ui.notifications.error("PF2e AI Combat Assistant Skip Error: Failed to process skip.");
-        button.html('<i class="fas fa-times"></i> Error');
-        await clearAITurnFlags(actor); // Clean up on error
+    // 4. Description HTML parsing (Fallback)
+    if (descriptionHTML) {
+        // Standard activation glyphs
+        const activationMatchGlyph = descriptionHTML.match(/<strong>Activate<\/strong>\s*<span[^>]+action-glyph[^>]+>([ADTRF])<\/span>/i);
+        if (activationMatchGlyph?.[1]) { const glyph = activationMatchGlyph[1].toUpperCase(); if (glyph === 'A') return 1; if (glyph === 'D') return 2; if (glyph === 'T') return 3; if (glyph === 'R') return 'R'; if (glyph === 'F') return 'F'; }
+        // Text activation costs
+        const textActivationMatch = descriptionHTML.match(/<strong>Activate<\/strong>\s*(\d+|one|two|three)\s*action/i);
+        if (textActivationMatch?.[1]) { const costText = textActivationMatch[1].toLowerCase(); if (costText === '1' || costText === 'one') return 1; if (costText === '2' || costText === 'two') return 2; if (costText === '3' || costText === 'three') return 3; }
+        // Text reaction/free action
+        const textActivationOtherMatch = descriptionHTML.match(/<strong>Activate<\/strong>\s*(Reaction|Free Action)/i);
+        if (textActivationOtherMatch?.[1]) { const costText = textActivationOtherMatch[1].toLowerCase(); if (costText === 'reaction') return 'R'; if (costText === 'free action') return 'F'; }
+        // Interact activation
+        const interactActivationMatch = descriptionHTML.match(/<strong>Activate<\/strong>(?:\s*<span[^>]*>[^<]+<\/span>)?\s*\(?(Interact)\)?/i);
+        if (interactActivationMatch) return 1;
+        // Frequency/Trigger text suggesting Reaction/Free
+        const descLower = descriptionHTML.toLowerCase();
+        if (descLower.includes('<strong>frequency</strong>') && descLower.includes('<strong>trigger</strong>')) return 'R';
+        // Check for "free action" text associated with frequency for NPC blocks etc.
+        if (descLower.includes('<strong>frequency</strong>') && (descLower.includes('free action') || descLower.includes('no action'))) return 'F';
     }
 
+    // 5. If actionTypeValue was numeric (e.g., for NPC actions with simple cost) (Added)
+    if (actionTypeValue && !isNaN(parseInt(actionTypeValue, 10)) && parseInt(actionTypeValue, 10) >= 1 && parseInt(actionTypeValue, 10) <= 3) {
+        return parseInt(actionTypeValue, 10);
+    }
 
-    // Requesting next suggestion is now handled within the try...catch block above
-}
-
-async function _onEndTurnClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const suggestionCard = button.closest('.message-content');
-    const combatantId = button.data('combatantId');
-    const combat = game.combat;
 
-    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant End Turn Error: No active combat."); return; }
-    const combatant = combat.combatants.get(combatantId);
-    const actor = combatant?.actor;
+    return null; // Cannot parse cost
+}
 
-    // Disable buttons on the card
-    suggestionCard.find('button').prop('disabled', true);
-    suggestionCard.find('input[type="radio"]').prop('disabled', true);
-    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
-    button.html('<i class="fas fa-spinner fa-spin"></i> Ending AI...');
 
-    if (!actor) {
-        button.html('<i class="fas fa-ban"></i> AI Ended (No Actor)');
-        // console.warn("PF2e AI Combat Assistant: Actor not found when trying to end AI turn manually."); // DEBUG
-        return; // Cannot clear flags if no actor
+/**
+ * Formats a parsed action cost (from parseActionCostValue) into a concise display string for prompts.
+ * Example: 1 -> "(1a)", 'R' -> "(R)", "1 to 3" -> "(1-3a)".
+ * @param {number|string|null} parsedCost - The standardized cost value.
+ * @returns {string} The formatted cost string, e.g., "(1a)", "(R)", "(?)".
+ */
+function formatParsedCostToDisplay(parsedCost) {
+    if (parsedCost === 'F' || parsedCost === 0) return '(F)';
+    if (parsedCost === 'R') return '(R)';
+    if (parsedCost === 1) return '(1a)';
+    if (parsedCost === 2) return '(2a)';
+    if (parsedCost === 3) return '(3a)';
+    if (typeof parsedCost === 'string' && parsedCost.includes(' to ')) {
+        const parts = parsedCost.split(' to ');
+        if (parts.length === 2) return `(${parts[0]}-${parts[1]}a)`;
     }
+    return '(?)';
+}
 
-    // Get final state and gather fresh game state for summary
-    const finalTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+/**
+ * Checks if a spell can likely be cast by the actor based on spell type and available resources.
+ * Handles Cantrips, Focus Spells, Prepared, and Spontaneous/Flexible casters.
+ * @param {ItemPF2e<SpellPF2e>} spell - The spell item.
+ * @param {ActorPF2e} actor - The actor attempting to cast.
+ * @returns {boolean} True if the spell seems available to cast, false otherwise.
+ */
+/**
+ * Checks if a specific ability is currently on cooldown for the actor based on AI-managed effects.
+ * @param {ActorPF2e} actor - The actor to check.
+ * @param {ItemPF2e} ability - The ability (spell, feat, action) item to check.
+ * @returns {boolean} True if the ability is on cooldown, false otherwise.
+ */
+function isAbilityOnCooldown(actor, ability) {
+    if (!actor || !ability || !ability.system || !ability.slug) {
+        // console.warn("AI isAbilityOnCooldown: Invalid actor or ability provided."); // DEBUG
+        return false; // Cannot determine cooldown without valid data
+    }
 
-    let narrativeSummary = "The turn was ended manually."; // Default summary
-    let recentEvents = [];
-    try {
-        // Gather final game state to get recent events
-        const gameState = await gatherGameState(combatant, combat, 0, actor); // Assume 0 actions left for final state
-        recentEvents = gameState?.recentEvents || [];
+    const frequency = ability.system.frequency;
+    // Check if frequency exists, has a 'per' value, and a max value > 0
+    if (!frequency || !frequency.per || !(frequency.max > 0)) {
+        // If no limited frequency, it cannot be on cooldown via our effect mechanism.
+        // console.log(`AI isAbilityOnCooldown: Ability "${ability.name}" has no limited frequency. Not checking AI effect.`); // DEBUG
+        return false;
+    }
 
-        // --- Generate Narrative Summary using LLM ---
-        const summaryPrompt = craftTurnSummaryPrompt(combatant, finalTurnState?.actionsTakenDescriptions, recentEvents);
-        // console.log("PF2e AI Combat Assistant | Manual Turn End Summary Prompt:", summaryPrompt); // DEBUG
-        const apiKey = game.settings.get(MODULE_ID, 'apiKey');
-        const endpoint = game.settings.get(MODULE_ID, 'llmEndpoint');
-        const modelName = game.settings.get(MODULE_ID, 'aiModel');
+    // Construct the expected slug for the cooldown effect
+    const expectedEffectSlug = `pf2e-ai-combat-assistant-cooldown-${ability.slug}-${frequency.per}`;
 
-        if (apiKey && endpoint && modelName) {
-            const llmResponse = await callLLM(summaryPrompt, apiKey, endpoint, modelName);
-            // Use the entire trimmed response as the narrative, assuming the prompt instructions were followed.
-            if (llmResponse && llmResponse.trim()) {
-                narrativeSummary = llmResponse.trim();
-            } else {
-                console.warn("PF2e AI Combat Assistant | Received empty or invalid narrative summary from LLM response (manual end):", llmResponse);
-                narrativeSummary = "The AI finished its turn (manually ended), but the narrative summary was empty.";
-            }
-        } else {
-            console.warn("PF2e AI Combat Assistant | LLM settings missing, cannot generate narrative summary (manual end).");
-            narrativeSummary = "LLM settings missing; narrative summary unavailable.";
+    // Check actor's current effects for a match
+    for (const effect of actor.itemTypes.effect) {
+        if (effect.slug === expectedEffectSlug) {
+            // Found a matching cooldown effect. Foundry handles expiration, so its presence means it's active.
+            // console.log(`AI isAbilityOnCooldown: Found active cooldown effect "${effect.name}" for ability "${ability.name}".`); // DEBUG
+            return true;
         }
-        // --- End Narrative Summary Generation ---
-
-    } catch (gatherOrLLMError) {
-        console.error("PF2e AI Combat Assistant | Error during manual turn end summary generation:", gatherOrLLMError);
-        narrativeSummary = "An error occurred while summarizing the manually ended turn.";
     }
 
-    // Get intended actions list for details block
-    const actionsListHtml = finalTurnState?.actionsTakenDescriptions?.map(desc => `<li>${desc}</li>`).join('') || '<li>No actions recorded.</li>';
-    // Format recent events for details block
-    const recentEventsHtml = recentEvents.length > 0
-        ? recentEvents.map(event => `<li>${event}</li>`).join('')
-        : '<li>No significant events recorded.</li>';
-
-    // Get speaker data which respects token name visibility
-    const speakerData = ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken });
-    const displayName = speakerData.alias || actor.name; // Use alias (respects Anonymous) or fallback to actor name
-
-    // Construct the final message with the narrative
-    // Construct the final message with Intended Actions first, then Narrative
-    const manualEndContent = `
-         <strong>${displayName}'s AI Turn Ended Manually</strong><br>
-         Intended Actions:<ul>${actionsListHtml}</ul>
-         <p style="margin: 5px 0 5px 0; font-style: italic; border-top: 1px dashed #ccc; padding-top: 5px;">${narrativeSummary}</p>
-         <details>
-             <summary style="cursor: pointer; font-size: 0.9em;">Recorded Events (GM Only)</summary>
-             <div style="padding-left: 15px; font-size: 0.9em;">
-                 <ul>${recentEventsHtml}</ul>
-             </div>
-         </details>
-         <hr style="margin:5px 0;">
-         <button class="ai-next-turn-btn" data-combatant-id="${combatant.id}" title="Advance turn (GM Only)"><i class="fas fa-arrow-right"></i> Next Turn</button>
-     `;
-
-    // Determine whisper recipients based on setting
-    const whisperRecipients = game.settings.get(MODULE_ID, 'whisperTurnSummary')
-        ? ChatMessage.getWhisperRecipients("GM")
-        : [];
-
-    // Create the chat message
-    ChatMessage.create({
-        speaker: speakerData, // Use the pre-calculated speaker data
-        content: manualEndContent,
-        whisper: whisperRecipients // Set whisper based on setting
-    });
+    // console.log(`AI isAbilityOnCooldown: No active cooldown effect found for ability "${ability.name}".`); // DEBUG
+    return false; // No matching active cooldown effect found
+}
 
-    try {
-        await clearAITurnFlags(actor);
-        lastConfirmedActionMessageIds.delete(combatant.id); // Clear last action ID map entry on turn end
-        // console.log(`AI End Turn | Cleared last processed msg ID for ${combatant.name}`); // DEBUG
-    } catch (flagClearError) {
-        console.error(`PF2e AI Combat Assistant | Error clearing flags on manual end turn:`, flagClearError);
-    }
 
-    button.html('<i class="fas fa-ban"></i> AI Ended');
-
-    // Notify GM if they aren't seeing player messages
-    if (game.user.isGM && !game.settings.get(MODULE_ID, 'showOfferToPlayers')) {
-        ui.notifications.info(`${combatant.name}'s AI turn ended manually.`);
+function isSpellAvailable(spell, actor) {
+    if (!spell || !actor || !spell.system || !actor.system) {
+        console.warn(`PF2e AI Combat Assistant | Invalid spell or actor object passed to isSpellAvailable.`);
+        return false;
     }
-}
-// --- NEW Handler for Apply Condition Reduction Button ---
-async function _onApplyConditionReductionClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const actorId = button.data('actor-id');
-    const stunnedChange = parseInt(button.data('stunned-change'), 10);
-    const slowedChange = parseInt(button.data('slowed-change'), 10);
-
-    if (!actorId) {
-        console.error("AI Apply Condition: Missing actor ID.");
-        ui.notifications.error("AI Apply Condition: Missing actor ID.");
-        return;
+    const spellLocationId = spell.system.location?.value;
+    if (!spellLocationId && !spell.isCantrip && !spell.isFocusSpell && !spell.isRitual) {
+        // Check if it's a spell granted by an item (won't have a location)
+        const isItemGranted = actor.items.some(item =>
+            (item.type === 'weapon' || item.type === 'equipment' || item.type === 'consumable' || item.type === 'treasure' || item.type === 'feat' || item.type === 'action') && // Added feat/action check
+            item.system.description?.value?.includes(spell.uuid)
+        );
+        if (!isItemGranted) {
+            // console.warn(`PF2e AI Combat Assistant | Spell "${spell.name}" has no location value and isn't item-granted, assuming unavailable.`); // DEBUG
+            return false;
+        }
+        // Assume item-granted spells are always "available" if the item exists (actual usage might depend on item charges, activation etc.)
+        return true;
     }
-    // --- Get Actor from Combatant/Token ---
-    const combatant = game.combat?.combatants.find(c => c.actorId === actorId);
-    const tokenDocument = combatant?.token;
-    const actor = tokenDocument?.actor; // Get the potentially synthetic actor from the token
-
-    if (!actor) {
-        console.error(`AI Apply Condition: Could not find token actor instance for actor ID ${actorId} in the current combat.`);
-        ui.notifications.error(`AI Apply Condition: Could not find token actor instance.`);
-        return;
+    if (spell.isCantrip) {
+        return true;
     }
-    // --- End Actor Fetching ---
-
-    // GM Check - Only allow GMs to click this button
-    if (!game.user.isGM) {
-        ui.notifications.warn("Only GMs can apply AI condition changes.");
-        return;
+    if (spell.isFocusSpell) {
+        const focusPool = actor.system.resources?.focus;
+        return focusPool && typeof focusPool.value === 'number' && focusPool.value > 0;
     }
-
-    try {
-        let updates = [];
-        let notification = [`Applied condition changes for ${actor.name}:`];
-
-        // Handle Stunned using standard Actor methods
-        if (stunnedChange !== 0) {
-            const stunnedCondition = actor.itemTypes.condition.find(c => c.slug === 'stunned');
-            if (stunnedCondition) {
-                const currentValue = stunnedCondition.system?.value?.value ?? 0; // Get value from system data
-                if (stunnedChange === -1 || currentValue <= stunnedChange) { // Remove
-                    await actor.deleteEmbeddedDocuments("Item", [stunnedCondition.id]);
-                    notification.push(`- Removed Stunned ${currentValue}.`);
-                } else { // Reduce
-                    const newValue = currentValue - stunnedChange;
-                    await actor.updateEmbeddedDocuments("Item", [{ _id: stunnedCondition.id, "system.value.value": newValue }]);
-                    notification.push(`- Reduced Stunned ${currentValue} by ${stunnedChange} (New: ${newValue}).`);
-                }
-            } else {
-                 notification.push(`- Stunned condition not found on actor.`);
+    const spellcastingEntry = actor.spellcasting?.get(spellLocationId);
+    if (!spellcastingEntry || !spellcastingEntry.system) {
+        // console.warn(`PF2e AI Combat Assistant | Could not find spellcasting entry "${spellLocationId}" for spell "${spell.name}".`); // DEBUG
+        return false;
+    }
+    const spellRank = spell.rank;
+    const maxSpellRank = CONFIG.PF2E?.spellLevels ?? 10;
+    if (spellcastingEntry.isSpontaneous || spellcastingEntry.isFlexible) {
+        for (let rank = spellRank; rank <= maxSpellRank; rank++) {
+            const slotKey = `slot${rank}`;
+            const slotData = spellcastingEntry.system.slots?.[slotKey];
+            if (slotData && typeof slotData.value === 'number' && slotData.value > (slotData.expended ?? 0)) {
+                return true;
             }
         }
-
-        // Handle Slowed using standard Actor methods
-        if (slowedChange !== 0) {
-            const slowedCondition = actor.itemTypes.condition.find(c => c.slug === 'slowed');
-             if (slowedCondition) {
-                const currentValue = slowedCondition.system?.value?.value ?? 0; // Get value from system data
-                if (slowedChange === -1 || currentValue <= slowedChange) { // Remove
-                    await actor.deleteEmbeddedDocuments("Item", [slowedCondition.id]);
-                    notification.push(`- Removed Slowed ${currentValue}.`);
-                } else { // Reduce
-                    const newValue = currentValue - slowedChange;
-                     await actor.updateEmbeddedDocuments("Item", [{ _id: slowedCondition.id, "system.value.value": newValue }]);
-                    notification.push(`- Reduced Slowed ${currentValue} by ${slowedChange} (New: ${newValue}).`);
-                }
-            } else {
-                 notification.push(`- Slowed condition not found on actor.`);
+        return false;
+    }
+    if (spellcastingEntry.isPrepared) {
+        for (let rank = spellRank; rank <= maxSpellRank; rank++) {
+            const slotKey = `slot${rank}`;
+            const slotData = spellcastingEntry.system.slots?.[slotKey];
+            if (!slotData?.prepared) continue;
+            const foundPreparedSlot = slotData.prepared.find(preparedSpell => preparedSpell?.id === spell.id && !preparedSpell?.expended);
+            if (foundPreparedSlot) {
+                return true;
             }
         }
+        return false;
+    }
+    console.warn(`PF2e AI Combat Assistant | Unknown spellcasting entry type for "${spell.name}" in entry "${spellLocationId}". Assuming unavailable.`);
+    return false;
+}
 
-        ui.notifications.info(notification.join('\n'));
-        // Optionally disable the button after clicking
-        button.prop('disabled', true).find('i').removeClass('fa-check').addClass('fa-check-double');
-
-        // --- Check if turn should end (from 0-action start message) ---
-        const endTurn = button.data('end-turn') === true;
-        if (endTurn) {
-            const combat = game.combat;
-            if (combat && combat.combatant?.actorId === actorId) {
-                console.log(`AI Apply Condition: Ending turn for ${actor.name} after applying 0-action condition changes.`);
-                await combat.nextTurn();
-            } else {
-                 console.warn(`AI Apply Condition: Tried to end turn for ${actor.name}, but combat state changed.`);
-                 ui.notifications.warn(`Could not automatically end turn for ${actor.name}. Combat state may have changed.`);
-            }
-        }
-        // --- End Turn Check ---
 
-    } catch (error) {
-        console.error(`AI Apply Condition: Error applying changes for actor ${actorId}:`, error);
-        ui.notifications.error(`AI Apply Condition: Error applying changes. See console.`);
+/**
+ * Extracts key details (range, target, save, duration, area, traits) from a spell item.
+ * Used internally by formatting helpers.
+ * @param {ItemPF2e<SpellPF2e>} spell - The spell item.
+ * @returns {object} An object containing extracted details.
+ */
+function _extractSpellDetails(spell) {
+    if (!spell || !spell.system) {
+        return { range: null, targets: null, defense: null, duration: null, area: null, traitsString: '' };
     }
+    const system = spell.system;
+    const range = system.range?.value || null;
+    const targets = system.target?.value || null;
+    // Corrected savingThrow access
+    const defenseSave = system.defense?.save?.statistic || system.savingThrow?.statistic || null;
+    const defenseBasic = system.defense?.save?.basic ?? system.savingThrow?.basic ?? false;
+
+    let defenseString = defenseSave;
+    if (defenseSave && defenseBasic) { defenseString += " (basic)"; }
+    const duration = system.duration?.value || null;
+    const areaType = system.area?.type || null;
+    const areaValue = system.area?.value || null;
+    let areaString = null;
+    if (areaType && areaValue) { areaString = `${areaValue}-foot ${areaType}`; if (system.area?.details) areaString += ` (${system.area.details})`; }
+    const traits = [...(system.traits?.value || [])];
+    const rarity = system.traits?.rarity || 'common';
+    if (rarity !== 'common' && !traits.includes(rarity)) { traits.unshift(rarity); }
+    const traitsString = traits.length > 0 ? `[${traits.join(', ')}]` : '';
+    return { range: range, targets: targets, defense: defenseString, duration: duration, area: areaString, traitsString: traitsString };
 }
-// --- END NEW Handler ---
 
-// --- NEW Handler for Retry Turn Button ---
-async function _onRetryTurnClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const combatantId = button.data('combatant-id');
+/**
+ * Determines the most reliable action cost, preferring system data unless LLM suggests a combo.
+ * @param {object} identifyResult - The result from identifySuggestionTypeAndCost.
+ * @param {number|string|null} llmCost - The cost suggested by the LLM response.
+ * @returns {number|string} The determined authoritative cost (e.g., 1, 2, 'R', '1 to 3'). Defaults to 1 if completely unparseable.
+ */
+function determineAuthoritativeCost(identifyResult, llmCost) {
+    const { actualActionCost, costSource, isCombo } = identifyResult;
 
-    if (!game.user.isGM) {
-        ui.notifications.warn("Only GMs can retry AI turns.");
-        return;
-    }
+    // **If LLM suggests a combo, trust its cost calculation more.**
+    if (isCombo) {
+        // Validate the LLM's cost for the combo
+        if (llmCost === 'R' || llmCost === 'F') {
+            // console.log(`AI | Authoritative Cost: Using LLM cost (${llmCost}) for combo action.`); // DEBUG
+            return llmCost;
+        }
+        const numericLLMCost = parseInt(llmCost, 10);
+        if (!isNaN(numericLLMCost) && numericLLMCost >= 1 && numericLLMCost <= 3) {
+            // console.log(`AI | Authoritative Cost: Using LLM cost (${numericLLMCost}) for combo action.`); // DEBUG
+            return numericLLMCost;
+        }
+        // Handle variable combo costs if LLM suggests (less likely, but possible)
+        if (typeof llmCost === 'string' && llmCost.includes(' to ')) {
+            // console.warn(`AI | Authoritative Cost: LLM suggested variable cost (${llmCost}) for combo. This is unusual. Trying to parse.`); // DEBUG
+            // Cannot reliably determine combo cost from range, fallback needed
+        }
 
-    if (!combatantId) {
-        console.error("AI Retry Turn: Missing combatant ID.");
-        ui.notifications.error("AI Retry Turn: Missing combatant ID.");
-        return;
+        // console.warn(`AI | Authoritative Cost: LLM suggested invalid cost (${llmCost}) for combo. Falling back to identified main action cost or default 1.`); // DEBUG
+        // Fallback for invalid combo cost: use identified cost if available, else default to 1
+        if (actualActionCost !== null && typeof actualActionCost !== 'string') { // Check if identified cost is specific
+            return actualActionCost;
+        } else {
+            return 1; // Default combo cost if primary is variable or missing
+        }
     }
 
-    const combat = game.combat;
-    if (!combat) {
-        console.error("AI Retry Turn: No active combat found.");
-        ui.notifications.error("AI Retry Turn: No active combat.");
-        return;
+    // --- NEW Logic: If Item cost is Variable, but LLM gave specific valid cost, trust LLM ---
+    if (typeof actualActionCost === 'string' && actualActionCost.includes(' to ')) {
+        if (llmCost === 'R' || llmCost === 'F') {
+            // This shouldn't happen for variable action spells, but handle defensively
+            // console.warn(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), but LLM suggested ${llmCost}. This is contradictory. Defaulting to 1.`); // DEBUG
+            return 1;
+        }
+        const numericLLMCost = parseInt(llmCost, 10);
+        if (!isNaN(numericLLMCost) && numericLLMCost >= 1 && numericLLMCost <= 3) {
+            // console.log(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), using specific LLM cost (${numericLLMCost}).`); // DEBUG
+            return numericLLMCost; // Trust the LLM's specific choice
+        } else {
+            // console.warn(`AI | Authoritative Cost: Item cost is variable (${actualActionCost}), but LLM cost (${llmCost}) is invalid. Defaulting to 1 action from range.`); // DEBUG
+            // Extract the minimum cost from the range string as a fallback default
+            const minCostMatch = actualActionCost.match(/^(\d+)\s+to/);
+            if (minCostMatch?.[1]) { return parseInt(minCostMatch[1], 10); }
+            return 1; // Absolute fallback
+        }
     }
 
-    const combatant = combat.combatants.get(combatantId);
-    if (!combatant) {
-        console.error(`AI Retry Turn: Could not find combatant with ID ${combatantId}.`);
-        ui.notifications.error("AI Retry Turn: Combatant not found.");
-        return;
+    // --- Original logic for non-combo, non-variable-override suggestions ---
+    // Trust direct item data if it's specific and not from LLM initially
+    if (actualActionCost !== null && typeof actualActionCost !== 'string' && costSource !== "LLM") {
+        // console.log(`AI | Authoritative Cost: Using specific item cost (${actualActionCost}).`); // DEBUG
+        return actualActionCost;
     }
 
-    // Ensure it's actually this combatant's turn before retrying
-    if (combat.combatant?.id !== combatant.id) {
-         console.warn(`AI Retry Turn: Attempted retry for ${combatant.name}, but it's not their turn.`);
-         ui.notifications.warn(`Cannot retry turn for ${combatant.name}, it's not their turn.`);
-         return;
+    // If no specific item cost, validate and use LLM cost suggestion
+    let validatedLLMCost = llmCost;
+    if (validatedLLMCost === 'R' || validatedLLMCost === 'F') {
+        // console.log(`AI | Authoritative Cost: Using LLM cost (${validatedLLMCost}).`); // DEBUG
+        return validatedLLMCost;
+    }
+    const numericCost = parseInt(validatedLLMCost, 10);
+    if (!isNaN(numericCost) && numericCost >= 1 && numericCost <= 3) {
+        // console.log(`AI | Authoritative Cost: Using valid numeric LLM cost (${numericCost}).`); // DEBUG
+        return numericCost; // Accept numeric 1-3
     }
 
-    console.log(`AI Retry Turn: Retrying turn for ${combatant.name} (ID: ${combatantId})`);
-    ui.notifications.info(`Retrying AI turn start for ${combatant.name}...`);
+    // If we reach here, LLM cost was invalid and item cost was missing, variable, or also LLM-derived initially.
+    console.warn(`PF2e AI Combat Assistant | LLM suggested cost (${llmCost}) was invalid or out of range (1-3, R, F) and could not be resolved against item cost (${actualActionCost}). Defaulting authoritative cost to 1 action.`);
+    return 1; // Default to 1 action if cost is unusable
+}
 
-    // Re-call the main suggestion function to restart the process
-    // Pass null for skippedAction and manualNotes initially for a fresh start
-    await requestNextAISuggestion(combatant, combat, null, null, null);
+// ============================================================================
+// ACTION ECONOMY
+// ============================================================================
 
-    // Optionally disable the retry button after clicking
-    button.prop('disabled', true);
+/** Actions a creature gets each turn unless its AI Notes override it. */
+const DEFAULT_ACTIONS_PER_TURN = 3;
+
+/**
+ * Reads what a quickened action may be used for from its source's description,
+ * e.g. Haste: "can use the extra action only for Strike and Stride actions".
+ * @param {string} descriptionHTML - Description of the item granting quickened.
+ * @returns {string[]|null} Allowed action names, or null if the text doesn't say.
+ */
+function parseQuickenedRestriction(descriptionHTML) {
+    const text = (descriptionHTML || '').replace(/<[^>]*>/g, ' ').replace(/@\w+\[[^\]]*\]\{([^}]*)\}/g, '$1').replace(/\s+/g, ' ');
+    const match = text.match(/(?:extra|additional) action (?:only )?(?:to|for) ([^.;]+)/i) || text.match(/only (?:to|for) ([^.;]+?) actions?\b/i);
+    if (!match) return null;
+    const allowed = match[1]
+        .split(/,|\bor\b|\band\b/i)
+        .map(part => part.replace(/\bactions?\b/gi, '').replace(/^\s*(?:a|an|the)\s+/i, '').trim())
+        .filter(Boolean);
+    return allowed.length > 0 ? allowed : null;
 }
-// --- END NEW Handler ---
 
+/**
+ * Works out what the actor's quickened action may be used for.
+ * @param {ActorPF2e} actor - The (token) actor.
+ * @param {ItemPF2e} quickened - The quickened condition item.
+ * @returns {{allowed: string[]|null, source: string|null}} Allowed actions (null = no known restriction) and the source's name.
+ */
+function getQuickenedRestriction(actor, quickened) {
+    // Prefer the item that granted the condition, then any effect that mentions quickened
+    const candidates = [quickened?.grantedBy, ...(actor.itemTypes?.effect ?? []).filter(effect => /quickened/i.test(effect.system?.description?.value || ''))].filter(Boolean);
+    for (const item of candidates) {
+        const allowed = parseQuickenedRestriction(item.system?.description?.value);
+        if (allowed) return { allowed, source: item.name.replace(/^(?:Spell )?Effect:\s*/i, '') };
+    }
+    return { allowed: null, source: candidates[0]?.name ?? null };
+}
 
 /**
- * Applies a temporary cooldown effect to an actor after using a limited-use ability.
- * @param {ActorPF2e} actor - The actor who used the ability.
- * @param {ItemPF2e} ability - The ability (spell, feat, action) item that was used.
+ * Calculates the actions available at the start of a turn from PF2e conditions.
+ * - Quickened adds one action, which may be restricted by its source.
+ * - Stunned with a value consumes that many actions (reduce it by the actions lost); stunned with a duration consumes all.
+ * - Slowed removes its value in actions; actions lost to stunned count toward it.
+ * The restricted quickened action is given up first.
+ * @param {ActorPF2e} actor - The combatant's (token) actor.
+ * @returns {object} Turn state fields: actionsRemaining, baseActions, stunnedValueAtStart, slowedValueAtStart,
+ *   actionsLostToStunnedAtStart, quickenedActionsRemaining, quickenedRestriction.
  */
-async function applyCooldownEffect(actor, ability) {
-    if (!actor || !ability || !ability.system || !ability.slug) return;
+function calculateTurnActionBudget(actor) {
+    const conditions = actor?.itemTypes?.condition ?? [];
+    const findCondition = (slug) => conditions.find(c => (c.slug || c.name?.slugify?.()) === slug);
+    const stunned = findCondition('stunned');
+    const slowed = findCondition('slowed');
+    const quickened = findCondition('quickened');
+
+    const baseActions = Math.max(0, Number(actor?.getFlag(MODULE_ID, FLAGS.ACTIONS_PER_TURN)) || DEFAULT_ACTIONS_PER_TURN);
+    const quickenedActions = quickened ? 1 : 0;
+    const totalActions = baseActions + quickenedActions;
+
+    const stunnedValue = stunned ? (stunned.system?.value?.value ?? null) : 0;
+    const slowedValue = slowed?.system?.value?.value ?? 0;
+    const actionsLostToStunned = stunned ? (stunnedValue === null ? totalActions : Math.min(stunnedValue, totalActions)) : 0;
+    const actionsLost = Math.min(totalActions, Math.max(actionsLostToStunned, slowedValue));
+    const quickenedActionsRemaining = Math.max(0, quickenedActions - actionsLost);
 
-    const frequency = ability.system.frequency;
-    if (!frequency || !frequency.per || !(frequency.max > 0)) {
-        // console.log(`AI applyCooldownEffect: Ability "${ability.name}" has no limited frequency. No effect applied.`); // DEBUG
-        return; // Only apply effects for limited-use abilities
-    }
+    return {
+        actionsRemaining: totalActions - actionsLost,
+        baseActions,
+        stunnedValueAtStart: stunnedValue ?? 0,
+        slowedValueAtStart: slowedValue,
+        actionsLostToStunnedAtStart: actionsLostToStunned,
+        quickenedActionsRemaining,
+        quickenedRestriction: quickenedActionsRemaining > 0 ? getQuickenedRestriction(actor, quickened) : null
+    };
+}
 
-    let durationInRounds = 0;
-    switch (frequency.per) {
-        case 'round':
-        case 'turn': // Treat turn-based frequency like round-based for effect duration
-            durationInRounds = 1;
-            break;
-        case 'minute':
-            durationInRounds = 10;
-            break;
-        case 'hour':
-            durationInRounds = 600;
-            break;
-        case 'day':
-            durationInRounds = 14400;
-            break;
-        case 'combat':
-            // For 'per combat', set a long duration (e.g., 1 day) as a simple approximation.
-            // A more complex solution might involve linking to the combat ID.
-            durationInRounds = 14400;
-            // console.log(`AI applyCooldownEffect: Using 1-day duration for 'per combat' frequency on "${ability.name}".`); // DEBUG
-            break;
-        default:
-            // console.warn(`AI applyCooldownEffect: Unknown frequency period "${frequency.per}" for ability "${ability.name}". Cannot apply effect.`); // DEBUG
-            return; // Don't apply effect for unknown periods
-    }
+/**
+ * Checks whether an action may use the restricted quickened action.
+ * @param {string} description - Suggested action description.
+ * @param {object|null} restriction - turnState.quickenedRestriction.
+ * @returns {boolean}
+ */
+function isQuickenedActionAllowed(description, restriction) {
+    if (!restriction?.allowed) return true; // Unknown restriction: leave it to the GM
+    const lowerDescription = (description || '').toLowerCase();
+    return restriction.allowed.some(name => {
+        const firstWord = name.toLowerCase().split(/\s+/)[0];
+        return new RegExp(`\\b${firstWord.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(lowerDescription);
+    });
+}
 
-    if (durationInRounds <= 0) {
-        // console.warn(`AI applyCooldownEffect: Calculated duration is zero or less for "${ability.name}". Cannot apply effect.`); // DEBUG
-        return;
-    }
+/**
+ * Checks an action against the turn's action budget, including the quickened restriction.
+ * @param {string} description - Action description.
+ * @param {number|string} cost - Action cost (numbers count; reactions/free actions always fit).
+ * @param {object} turnState - The turn state.
+ * @returns {{allowed: boolean, usesQuickened: number, reason: string|null}} usesQuickened is how many quickened actions the action consumes.
+ */
+function checkActionAgainstBudget(description, cost, turnState) {
+    const numericCost = typeof cost === 'number' ? cost : parseInt(cost, 10);
+    if (isNaN(numericCost) || numericCost <= 0) return { allowed: true, usesQuickened: 0, reason: null };
+    const quickenedLeft = turnState.quickenedActionsRemaining ?? 0;
+    const unrestrictedLeft = Math.max(0, (turnState.actionsRemaining ?? 0) - quickenedLeft);
+    if (quickenedLeft > 0 && isQuickenedActionAllowed(description, turnState.quickenedRestriction)) {
+        // Spend the restricted action first so the flexible ones stay available
+        return { allowed: numericCost <= turnState.actionsRemaining, usesQuickened: Math.min(quickenedLeft, numericCost), reason: null };
+    }
+    if (numericCost <= unrestrictedLeft) return { allowed: true, usesQuickened: 0, reason: null };
+    const allowedText = turnState.quickenedRestriction?.allowed?.join(' or ');
+    return {
+        allowed: false,
+        usesQuickened: 0,
+        reason: quickenedLeft > 0 && allowedText
+            ? `only ${unrestrictedLeft} unrestricted action(s) left; the quickened action can only be used for ${allowedText}`
+            : `costs ${numericCost} but only ${turnState.actionsRemaining} action(s) remain`
+    };
+}
 
-    const effectSlug = `pf2e-ai-combat-assistant-cooldown-${ability.slug}-${frequency.per}`;
-    const effectName = `Cooldown: ${ability.name} (${frequency.per})`;
+/**
+ * Describes the turn's quickened action for prompts and cards.
+ * @param {object} turnState - The turn state.
+ * @returns {string} E.g. "1 of them is a quickened action (Haste) usable only for Strike or Stride", or ''.
+ */
+function describeQuickenedActions(turnState) {
+    if (!(turnState?.quickenedActionsRemaining > 0)) return '';
+    const restriction = turnState.quickenedRestriction;
+    const sourceText = restriction?.source ? ` (${restriction.source})` : '';
+    const useText = restriction?.allowed ? `usable only for ${restriction.allowed.join(' or ')}` : 'usable only as its source allows';
+    return `${turnState.quickenedActionsRemaining} of them is a quickened action${sourceText} ${useText}`;
+}
 
-    const effectData = {
-        _id: null, // Let Foundry generate ID
-        name: effectName,
-        type: 'effect',
-        img: ability.img || 'icons/svg/misc/clock.svg', // Use ability icon or fallback
-        system: {
-            slug: effectSlug,
-            description: {
-                value: `This effect indicates that the AI has used the limited-use ability "${ability.name}" and it is currently on cooldown based on its frequency (${frequency.max} per ${frequency.per}).`,
-                chat: '', // No chat description needed
-                unidentified: false
-            },
-            rules: [], // No specific rules needed for this marker effect
-            traits: {
-                value: [], // No traits needed
-                rarity: 'common',
-                custom: ''
-            },
-            level: { value: ability.level ?? 0 }, // Use ability level if available
-            source: { value: `PF2e AI Combat Assistant Module` },
-            duration: {
-                value: durationInRounds,
-                unit: 'rounds',
-                sustained: false,
-                expiry: 'turn-start' // Expire at the start of the actor's turn
-            },
-            start: { // Set start time for duration calculation
-                value: game.time.worldTime,
-                initiative: game.combat?.combatant?.initiative ?? null
-            },
-            target: null, // Not targeted
-            tokenIcon: { show: true }, // Show icon on token
-            unidentified: false,
-            context: null // Not linked to a specific roll
-        },
-        flags: {
-            [MODULE_ID]: {
-                isCooldown: true,
-                sourceAbilityUuid: ability.uuid,
-                sourceAbilityName: ability.name,
-                frequencyPer: frequency.per
-            }
-        }
-    };
+/**
+ * Pending turn state updates per actor UUID. Confirming an action and storing a roll result both
+ * read the flag, change it and write it back; queuing them keeps one from overwriting the other.
+ * @type {Map<string, Promise>}
+ */
+const turnStateUpdateQueues = new Map();
+
+/**
+ * Changes an actor's turn state after the updates already queued for it. The flag is read when the
+ * update runs, so results stored while an earlier update was in progress are kept.
+ * @param {ActorPF2e} actor - The acting creature.
+ * @param {Function} update - Receives a copy of the current turn state and returns the new one, or null to leave it unchanged.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Write the new state in place of the flag rather than merging it in, so no key
+ *   left out of it survives. The update also runs when there is no turn state (it then receives null), e.g. to reopen a finished turn.
+ * @returns {Promise<object|null>} The turn state written, or null if there was none or nothing changed.
+ */
+function updateTurnState(actor, update, { replace = false } = {}) {
+    const previous = turnStateUpdateQueues.get(actor.uuid) ?? Promise.resolve();
+    const queued = previous.catch(() => {}).then(async () => {
+        const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+        if (!currentTurnState && !replace) return null;
+        const newTurnState = await update(currentTurnState ? foundry.utils.deepClone(currentTurnState) : null);
+        if (!newTurnState) return null;
+        if (replace) await actor.unsetFlag(MODULE_ID, FLAGS.TURN_STATE);
+        await actor.setFlag(MODULE_ID, FLAGS.TURN_STATE, newTurnState);
+        return newTurnState;
+    });
+    turnStateUpdateQueues.set(actor.uuid, queued);
+    queued.catch(() => {}).finally(() => {
+        if (turnStateUpdateQueues.get(actor.uuid) === queued) turnStateUpdateQueues.delete(actor.uuid);
+    });
+    return queued;
+}
 
+/**
+ * Clears AI-related flags (turn state, processing status, cached strikes) from an actor.
+ * Used at the end of a turn, on errors, or when combat ends.
+ * @param {ActorPF2e | null} actor - The actor whose flags should be cleared.
+ */
+async function clearAITurnFlags(actor) {
+    if (!actor || !actor.id) {
+        // console.warn("PF2e AI Combat Assistant | clearAITurnFlags called with null or invalid actor."); // DEBUG
+        return;
+    }
     try {
-        // console.log(`AI applyCooldownEffect: Creating effect "${effectName}" (Slug: ${effectSlug}) on ${actor.name} for ${durationInRounds} rounds.`); // DEBUG
-        await actor.createEmbeddedDocuments("Item", [effectData]);
-        // console.log(`AI applyCooldownEffect: Successfully created cooldown effect for "${ability.name}".`); // DEBUG
+        await actor.unsetFlag(MODULE_ID, FLAGS.TURN_STATE);
+        await actor.unsetFlag(MODULE_ID, FLAGS.IS_PROCESSING);
+        await actor.unsetFlag(MODULE_ID, FLAGS.CACHED_STRIKES);
+        await actor.unsetFlag(MODULE_ID, FLAGS.ACTION_PLAN);
+        // console.log(`PF2e AI Combat Assistant | Cleared AI flags for actor ${actor.name} (${actor.id}).`); // DEBUG
     } catch (error) {
-        console.error(`PF2e AI Combat Assistant | Error creating cooldown effect for "${ability.name}" on ${actor.name}:`, error);
+        console.error(`PF2e AI Combat Assistant | Error clearing flags for actor ${actor.name} (${actor.id}):`, error);
     }
 }
 
-async function _onCastSpellClick(event) {
-    event.preventDefault();
-    const button = $(event.currentTarget);
-    const suggestionCard = button.closest('.message-content'); // Keep reference for inputs
-    const spellId = button.data('spellId');
-    const entryId = button.data('entryId');
-    const combatantId = button.data('combatantId');
-    const spellUUID = button.data('spellUuid');
-    const requestedRankStr = button.data('spellRank'); // Get rank from button
-    const combat = game.combat;
-
-    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Cast Error: No active combat."); return; }
-    const combatant = combat.combatants.get(combatantId);
-    const actor = combatant?.actor;
-    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Cast Error: Combatant or Actor not found."); return; }
+/**
+ * Updates the actor's MAP flag based on the traits of the confirmed action.
+ * Increases MAP if the action has the 'attack' trait.
+ * Called *after* _onConfirmActionClick successfully updates other state.
+ * @param {ActorPF2e} actor - The actor who performed the action.
+ * @param {string[]} actionTraits - Array of traits from the confirmed action.
+ */
+async function _updateMAPBasedOnTrait(actor, actionTraits) {
+    if (!actor || !Array.isArray(actionTraits)) return;
 
-    // --- Critical Check: Is it still this combatant's turn? ---
-    if (combat.combatant?.id !== combatantId) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: Not ${combatant.name}'s turn! Cannot cast spell.`);
-        // Do not disable buttons here, just prevent action
+    // Only update MAP if the action has the 'attack' trait
+    if (!actionTraits.includes('attack')) {
+        // console.log(`PF2e AI Combat Assistant | Action confirmed without 'attack' trait. MAP unchanged.`); // DEBUG
         return;
     }
 
-    // --- GM Only Check ---
-    if (!game.user.isGM) {
-        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can execute Cast actions from suggestions currently.");
-        return;
-    }
+    try {
+        // Need to re-get state as it might have just been updated by confirm handler
+        const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+        if (!currentTurnState) {
+            console.error(`PF2e AI Combat Assistant | MAP Update Error: Turn state missing for ${actor.name} when trying to update MAP.`);
+            return; // Cannot update MAP if state is missing
+        }
 
-    let spellToCast = null;
-    let spellcastingEntry = null;
-    let isItemGrantedSpell = false;
+        const currentMAP = currentTurnState.currentMAP ?? 0;
+        const isAgile = actionTraits.includes('agile');
+        let nextMAP = currentMAP;
 
-    // --- Identify the Spell and Entry ---
-    // Priority 1: Spell ID and Entry ID (Standard spells from spellbook)
-    if (entryId && spellId) {
-        spellcastingEntry = actor.spellcasting?.get(entryId);
-        if (!spellcastingEntry) {
-            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Spellcasting entry '${entryId}' not found on ${actor.name}.`);
-            return;
+        // PF2e MAP progression: 0 -> -5 (or -4 agile) -> -10 (or -8 agile) -> -10 (or -8 agile) ...
+        // We store the actual penalty value (0, 4, 5, 8, 10) for internal calculations
+        const penaltyIncrement = isAgile ? 4 : 5;
+
+        if (currentMAP === 0) {
+            nextMAP = penaltyIncrement; // First attack: 0 -> 4 (agile) or 5 (non-agile)
+        } else if (currentMAP === 4 || currentMAP === 5) {
+            // Second attack: 4/5 -> 8 (agile) or 10 (non-agile)
+            nextMAP = isAgile ? 8 : 10;
+        } else {
+            // Third+ attack: Stays at 8 (agile) or 10 (non-agile)
+            nextMAP = isAgile ? 8 : 10;
         }
-        spellToCast = spellcastingEntry.spells?.get(spellId);
-        if (!spellToCast) {
-            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Spell '${spellId}' not found in entry '${entryId}'.`);
-            return;
+
+        // Only update the flag if the MAP value actually needs to change
+        if (nextMAP !== currentMAP) {
+            // console.log(`PF2e AI Combat Assistant | Attack trait confirmed. Updating MAP for ${actor.name}: ${currentMAP} -> ${nextMAP} (Agile: ${isAgile})`); // DEBUG
+            // Use dot notation to update only the MAP field within the TURN_STATE flag
+            await actor.setFlag(MODULE_ID, `${FLAGS.TURN_STATE}.currentMAP`, nextMAP);
+        } else {
+            // console.log(`PF2e AI Combat Assistant | Attack trait confirmed, but MAP already at maximum (${currentMAP}).`); // DEBUG
         }
-        isItemGrantedSpell = false; // Explicitly false for spellbook spells
-        // console.log(`PF2e AI Combat Assistant: Identified spellbook spell '${spellToCast.name}' from entry '${spellcastingEntry.name}'.`); // DEBUG
+
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Error updating MAP flag for ${actor.name} after attack confirmation:`, error);
     }
-    // Priority 2: Item Spell UUID (Fallback if no entry/spell ID)
-    else if (spellUUID) {
-        try {
-            spellToCast = await fromUuid(spellUUID);
-            if (!spellToCast || spellToCast.type !== 'spell') {
-                ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Could not resolve UUID '${spellUUID}' or it is not a spell.`);
-                return;
-            }
-            // Find *any* suitable spellcasting entry to use for the cast method
-            // This is imperfect, might need refinement based on how PF2e handles item casts
-            spellcastingEntry = actor.spellcasting?.find(e => e.canCast(spellToCast, { origin: actor })) // Check if entry *could* cast it
-                || actor.spellcasting?.[0]; // Fallback to first entry
-            if (!spellcastingEntry) {
-                ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Cannot cast item spell '${spellToCast.name}' - no suitable spellcasting entry found on ${actor.name}.`);
-                return;
-            }
-            isItemGrantedSpell = true;
+}
+
+// --- Foundry VTT Hooks ---
+
+Hooks.once('init', () => {
+    console.log("PF2e AI Combat Assistant | Initializing Module");
+    // Public API for other modules
+    const moduleData = game.modules.get(MODULE_ID);
+    if (moduleData) moduleData.api = { registerLLMProvider, openLLMInspector, queueMockLLMResponses, resetMockLLM };
+});
+
+Hooks.once('ready', () => {
+    console.log("PF2e AI Combat Assistant | Foundry Ready");
+    registerSettings();
+    loadLLMExchangeLog();
+    // Let other modules add LLM provider adapters (also possible any time via the module API)
+    Hooks.callAll('pf2eAiCombatAssistant.registerLLMProviders', registerLLMProvider);
+    console.log("PF2e AI Combat Assistant | Settings Initialized");
+});
+
+// Hooks.on('createCombat', ...) // Removed - Designation now handled in renderCombatTracker
+
+// Hooks.on('createCombatant', ...) // Removed - Designation now handled in renderCombatTracker
+
+Hooks.on('updateCombat', async (combat, updateData, options, userId) => {
+    // Check if the turn or round changed in an active combat
+    if (!combat.started || (updateData.turn === undefined && updateData.round === undefined)) return;
+    // Ignore trivial updates (like initiative changes outside of turn/round advance)
+    if (options?.diff === false && options?.advanceTime === 0) return;
+
+    await new Promise(resolve => setTimeout(resolve, 75)); // Short delay to ensure combatant data is updated
+
+    const previousCombatantId = combat.previous?.combatantId;
+    const currentCombatant = combat.combatant;
+
+    // --- Cleanup previous combatant's AI flags ---
+    if (previousCombatantId && (updateData.turn !== undefined || updateData.round !== undefined)) {
+        const previousCombatant = combat.combatants.get(previousCombatantId);
+        if (previousCombatant?.actor?.getFlag(MODULE_ID, FLAGS.IS_PROCESSING)) {
+            try {
+                // console.log(`PF2e AI Combat Assistant | Turn ended for ${previousCombatant.name}, clearing AI processing flags.`); // DEBUG
+                await clearAITurnFlags(previousCombatant.actor);
+            } catch (flagError) {
+                console.error(`PF2e AI Combat Assistant | Error clearing flags for previous combatant ${previousCombatant.name}:`, flagError);
+            }
+        }
+    }
+
+    // --- Offer AI control for the current combatant ---
+    if (!currentCombatant?.actor) return; // No actor for the current turn
+
+    const actor = currentCombatant.actor;
+
+    // Skip offer if the actor has an active player owner and the setting is GM-only
+    const hasActivePlayerOwner = actor.hasPlayerOwner && game.users.some(user => user.active && actor.testUserPermission(user, CONST.DOCUMENT_OWNERSHIP_LEVELS.OWNER));
+    if (hasActivePlayerOwner && !game.settings.get(MODULE_ID, 'showOfferToPlayers') && !game.user.isGM) {
+        // console.log(`AI Offer Skipped: Player ${game.user.name} has owner, GM-only setting active.`); // DEBUG
+        return; // Player owns this token, GM-only setting, player is not GM -> no offer shown to this player
+    }
+    if (!hasActivePlayerOwner && !game.user.isGM) {
+        // console.log(`AI Offer Skipped: Player ${game.user.name} does not own NPC, GM-only setting active.`); // DEBUG
+        return; // Player does not own token, GM-only setting active -> no offer shown to this player
+    }
+
+    // A running enemy block continues without an offer click, or ends at the first creature outside it
+    if (game.user.isGM && await checkEnemyBlockAtTurnStart(combat)) return;
+
+    // Generate a unique ID for this specific turn's offer to prevent duplicates
+    const uniqueOfferId = `ai-offer-${combat.id}-${combat.round}-${combat.turn}`;
+
+    // --- MODIFICATION START: Clean up previous unactioned AI offers ---
+    const offerMessagesToDelete = [];
+    for (const message of game.messages) {
+        // Check if it's an AI offer message using the flag
+        if (message.flags?.[MODULE_ID]?.[FLAGS.OFFER_ID]) {
+            // Check if the buttons are still enabled (indicating it wasn't actioned)
+            // We need to parse the HTML content to check button state.
+            // This is a bit fragile, but necessary without storing state differently.
+            const contentHtml = $(`<div>${message.content}</div>`); // Wrap in div to parse
+            const acceptButton = contentHtml.find('button.ai-accept-control');
+            const declineButton = contentHtml.find('button.ai-decline-control');
+
+            // If buttons exist and *neither* is disabled, it's likely unactioned
+            if (acceptButton.length > 0 && declineButton.length > 0 && !acceptButton.prop('disabled') && !declineButton.prop('disabled')) {
+                offerMessagesToDelete.push(message.id);
+            }
+        }
+    }
+
+    if (offerMessagesToDelete.length > 0) {
+        try {
+            console.log(`PF2e AI Combat Assistant | Deleting ${offerMessagesToDelete.length} previous unactioned AI offer messages.`); // DEBUG
+            await ChatMessage.deleteDocuments(offerMessagesToDelete);
+        } catch (deleteError) {
+            console.error(`PF2e AI Combat Assistant | Error deleting previous AI offer messages:`, deleteError);
+        }
+    }
+    // --- MODIFICATION END ---
+
+    // Several AI-controlled NPCs in a row can be planned and run together
+    const enemyBlock = game.user.isGM && !activeEnemyBlock ? findEnemyBlock(combat) : [];
+    const enemyBlockButton = enemyBlock.length >= 2
+        ? `<button class="ai-run-enemy-block" data-combatant-id="${currentCombatant.id}" title="Plan the next ${enemyBlock.length} AI turns, preview them, then run them all"><i class="fas fa-users"></i> Run Enemy Block (${enemyBlock.length})</button>`
+        : '';
+
+    const offerContent = `
+        <div style="border: 1px solid #ccc; padding: 5px; margin-top: 5px;">
+            <strong>Turn: ${currentCombatant.name}</strong> (Round ${combat.round ?? '?'}, Turn ${(combat.turn ?? -1) + 1})<br>Use AI suggestions for this turn?
+            <hr style="margin:3px 0 5px 0;">
+            <button class="ai-accept-control" data-combatant-id="${currentCombatant.id}" title="Let the AI suggest actions"><i class="fas fa-robot"></i> Accept AI</button>
+            <button class="ai-decline-control" data-combatant-id="${currentCombatant.id}" title="Control manually"><i class="fas fa-user"></i> Decline AI</button>
+            <button class="ai-skip-turn" data-combatant-id="${currentCombatant.id}" title="Skip this combatant's turn"><i class="fas fa-forward"></i> Skip Turn</button>
+            ${enemyBlockButton}
+        </div>`;
+
+    try {
+        const offerMessage = await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: currentCombatant.token || actor.prototypeToken }),
+            content: offerContent,
+            whisper: getWhisperRecipientsOffer(), // Respect setting for who sees the offer
+            flags: { [MODULE_ID]: { [FLAGS.OFFER_ID]: uniqueOfferId } } // Add the unique ID flag
+        });
+        // Autopilot actors and creatures in a running enemy block accept the offer themselves
+        if (offerMessage && (isAutopilotEnabled(actor) || isEnemyBlockRunning(currentCombatant))) {
+            await new Promise(resolve => setTimeout(resolve, 500)); // Let the card render
+            await clickAutopilotButton(offerMessage, 'button.ai-accept-control', _onAcceptControlClick);
+        }
+    } catch (chatError) {
+        console.error(`PF2e AI Combat Assistant | Failed to create AI offer message:`, chatError);
+    }
+});
+
+Hooks.on('renderChatMessage', (message, html, data) => {
+    // Prevent duplicate listeners
+    const listenerFlagAttribute = `data-ai-listeners-added-${message.id}`;
+    if (html.attr(listenerFlagAttribute)) return;
+    html.attr(listenerFlagAttribute, 'true');
+
+    // Designation listeners removed - Handled by renderCombatTracker hook now
+
+    // --- AI Control & Suggestion Listeners (Respect showOfferToPlayers setting visibility) ---
+    // Players might see these if setting allows, but some actions might still be GM-only
+    html.find('button.ai-accept-control').off('click').on('click', _onAcceptControlClick);
+    html.find('button.ai-decline-control').off('click').on('click', _onDeclineControlClick);
+    html.find('button.ai-skip-turn').off('click').on('click', _onSkipTurnClick); // Added Skip Turn listener
+    html.find('button.ai-confirm-action').off('click').on('click', _onConfirmActionClick);
+    html.find('button.ai-skip-action').off('click').on('click', _onSkipActionClick);
+    html.find('button.ai-apply-condition-reduction').off('click').on('click', _onApplyConditionReductionClick); // ADDED listener for new button
+    html.find('button.ai-retry-turn').off('click').on('click', _onRetryTurnClick); // ADDED listener for Retry button
+    html.find('button.ai-plan-contingency').off('click').on('click', _onPlanContingencyClick);
+    html.find('button.ai-cancel-suggestion').off('click').on('click', _onCancelSuggestionClick);
+    html.find('button.ai-retry-suggestion').off('click').on('click', _onRetrySuggestionClick);
+    html.find('button.ai-end-turn').off('click').on('click', _onEndTurnClick);
+    // GM-Only execution buttons (will be disabled visually via generateSuggestionButtons if not GM)
+    html.find('button.ai-cast-spell').off('click').on('click', _onCastSpellClick);
+    html.find('button.ai-execute-strike').off('click').on('click', _onExecuteStrikeClick);
+    html.find('button.ai-move-token').off('click').on('click', _onMoveTokenAlongPathClick);
+    html.find('button.ai-use-reaction').off('click').on('click', _onUseReactionClick);
+    html.find('button.ai-dismiss-reaction').off('click').on('click', _onDismissReactionClick);
+    html.find('button.ai-delay-turn').off('click').on('click', _onDelayTurnClick);
+    html.find('button.ai-undo-action').off('click').on('click', _onUndoActionClick);
+    html.find('button.ai-morale-override').off('click').on('click', _onMoraleOverrideClick);
+    html.find('button.ai-use-readied').off('click').on('click', _onUseReadiedActionClick);
+    html.find('button.ai-run-enemy-block').off('click').on('click', _onRunEnemyBlockClick);
+    html.find('button.ai-approve-enemy-block').off('click').on('click', _onApproveEnemyBlockClick);
+    html.find('button.ai-cancel-enemy-block').off('click').on('click', _onCancelEnemyBlockClick);
+    // Removed listener for ai-show-item as button is removed
+    // html.find('button.ai-show-item').off('click').on('click', _onShowItemClick);
+    // Next Turn button (typically on end-of-turn messages, GM only)
+    html.find('button.ai-next-turn-btn').off('click').on('click', _onNextTurnClick);
+    // MAP Adjustment Radios
+    html.find('input.ai-map-adjust-radio').off('change').on('change', _onManualMAPAdjust);
+});
+
+Hooks.on('deleteCombat', async (combat, options, userId) => {
+    // console.log(`PF2e AI Combat Assistant | Combat ${combat.id} deleted. Cleaning up AI flags.`); // DEBUG
+    if (!combat?.combatants) return;
+
+    for (const combatant of combat.combatants) {
+        if (combatant.actor) {
+            try {
+                await clearAITurnFlags(combatant.actor);
+                await clearReadiedAction(combatant.actor);
+                await clearActionJournal(combatant.actor);
+            } catch (error) {
+                console.error(`PF2e AI Combat Assistant | Error clearing flags for actor ${combatant.actor.name} during combat deletion:`, error);
+            }
+        }
+    }
+});
+
+Hooks.on('deleteCombatant', async (combatant, options, userId) => {
+    const combat = combatant.combat;
+    // console.log(`PF2e AI Combat Assistant | Combatant ${combatant?.name ?? 'Unknown'} deleted/removed. Cleaning flags.`); // DEBUG
+
+    // Clear AI flags from the actor regardless of who deleted it
+    if (combatant.actor) {
+        try {
+            await clearAITurnFlags(combatant.actor);
+        } catch (error) {
+            console.error(`PF2e AI Combat Assistant | Error clearing flags for deleted combatant ${combatant.actor.name}:`, error);
+        }
+    }
+
+    // Remove designation entry from combat flags (GM only)
+    if (!combat || !game.user.isGM) return;
+
+    // A creature leaving a running fight counts as a lost ally for its side's morale
+    const side = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS)?.[combatant.id] || 'enemy';
+    if (combat.started) {
+        try {
+            await recordFallenCombatant(combat, combatant, side);
+        } catch (error) {
+            console.warn(`PF2e AI Combat Assistant | Could not record ${combatant.name} as fallen for morale:`, error);
+        }
+    }
+
+    try {
+        const currentDesignations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS);
+        if (currentDesignations && combatant.id in currentDesignations) {
+            // console.log(`PF2e AI Combat Assistant | Removing designation for deleted combatant ${combatant.name}.`); // DEBUG
+            const updatedDesignations = { ...currentDesignations };
+            delete updatedDesignations[combatant.id];
+            await combat.setFlag(MODULE_ID, FLAGS.DESIGNATIONS, updatedDesignations);
+        }
+    } catch (error) {
+        console.warn(`PF2e AI Combat Assistant | Could not remove designation for deleted combatant ${combatant.name}:`, error);
+    }
+});
+
+// --- Chat Button Handlers (Designation handlers removed) ---
+
+
+async function _onAcceptControlClick(event) {
+    event.preventDefault();
+    // console.log("PF2e AI Combat Assistant | Accept AI clicked."); // DEBUG
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const combat = game.combat; // Get the current active combat
+
+    if (!combat) { ui.notifications.error("PF2e AI Combat Assistant Error: No active combat found!"); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Error: Combatant or Actor not found!"); return; }
+
+    // Disable buttons on the offer card
+    button.closest('.message-content').find('button').prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Accepted');
+
+    // --- Critical Check: Is it still this combatant's turn? ---
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: It is no longer ${combatant.name}'s turn! Cannot start AI control.`);
+        button.html('<i class="fas fa-times"></i> Not Turn');
+        // Don't clear flags here, the updateCombat hook should handle cleanup
+        return;
+    }
+
+    try {
+        // Set flags to indicate AI is processing this actor's turn
+        await actor.setFlag(MODULE_ID, FLAGS.IS_PROCESSING, true);
+        // Initialize turn state: action budget from conditions, empty history, MAP 0, empty manual notes
+        await actor.setFlag(MODULE_ID, FLAGS.TURN_STATE, {
+            ...calculateTurnActionBudget(actor),
+            actionsTakenDescriptions: [],
+            interimResults: [],
+            currentMAP: 0,
+            manualNotes: "" // Initialize manual notes
+        });
+        // Clear any cached strikes from a potential previous run
+        await actor.unsetFlag(MODULE_ID, FLAGS.CACHED_STRIKES);
+
+        // Post a message indicating AI is taking over
+        ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+            content: `<i>${combatant.name} accepts AI guidance...</i>`,
+            whisper: getWhisperRecipientsSuggestions() // Use suggestion visibility
+        });
+
+        // Initiate the first suggestion request (pass null for manual notes initially)
+        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
+        await requestNextAISuggestion(combatant, combat, null, null); // Pass null for skippedAction and manualNotes
+
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Error initializing AI turn:`, error);
+        ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+            content: `<i style="color:red;">Error starting AI turn: ${error.message}</i>`,
+            whisper: getWhisperRecipientsSuggestions()
+        });
+        // Clean up flags on error
+        await clearAITurnFlags(actor);
+        // Re-enable buttons on the original offer card in case of init error
+        button.closest('.message-content').find('button').prop('disabled', false);
+        button.html('<i class="fas fa-robot"></i> Accept AI');
+    }
+}
+
+async function _onDeclineControlClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    // Disable buttons on the offer card
+    button.closest('.message-content').find('button').prop('disabled', true);
+    button.html('<i class="fas fa-check"></i> Manual Control');
+
+    const combatant = game.combat?.combatants.get(button.data('combatantId'));
+    if (combatant) {
+        ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor?.prototypeToken }),
+            content: `<i>${combatant.name} controlled manually this turn...</i>`,
+            whisper: getWhisperRecipientsOffer() // Respect offer visibility
+        });
+    }
+}
+
+/**
+ * Handles clicking the "Skip Turn" button on the AI offer message.
+ * Advances the combat tracker to the next turn.
+ * @param {Event} event - The click event.
+ * @private
+ */
+async function _onSkipTurnClick(event) {
+    event.preventDefault();
+    console.log("PF2e AI Combat Assistant | Skip Turn button clicked."); // DEBUG
+
+    const button = event.currentTarget;
+    const combatantId = button.dataset.combatantId;
+    const combat = game.combat;
+
+    if (!combat) {
+        ui.notifications.warn("PF2e AI Combat Assistant: No active combat found.");
+        return;
+    }
+
+    const combatant = combat.combatants.get(combatantId);
+
+    if (!combatant) {
+        ui.notifications.error(`PF2e AI Combat Assistant: Could not find combatant with ID ${combatantId}.`);
+        return;
+    }
+
+    // Check permissions - Only GM or the user controlling the current combatant should skip
+    const isGM = game.user.isGM;
+    const isOwner = combatant.actor?.testUserPermission(game.user, "OWNER");
+    const isCurrentTurn = combat.combatant?.id === combatantId;
+
+    if (!isGM && !isOwner) {
+        ui.notifications.warn("PF2e AI Combat Assistant: You do not have permission to skip this turn.");
+        return;
+    }
+
+    if (!isCurrentTurn) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: It is not currently ${combatant.name}'s turn.`);
+        // Allow GM override maybe? For now, strict check.
+        return;
+    }
+
+    console.log(`PF2e AI Combat Assistant | Skipping turn for ${combatant.name}.`);
+    ui.notifications.info(`Skipping turn for ${combatant.name}.`);
+
+    try {
+        // Disable buttons on the message to prevent double clicks
+        $(button).closest('.chat-message').find('button').prop('disabled', true);
+        await combat.nextTurn();
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Error skipping turn for ${combatant.name}:`, error);
+        ui.notifications.error(`PF2e AI Combat Assistant: Failed to skip turn. See console (F12) for details.`);
+        // Re-enable buttons on error? Maybe not, state might be inconsistent.
+    }
+}
+
+async function _onConfirmActionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    // Correctly retrieve the cost used for validation (passed from requestNextAISuggestion -> generateSuggestionButtons)
+    const actionCostForValidation = parseInt(button.data('actionCost'), 10);
+    const actionDescription = decodeURIComponent(button.data('actionDesc') || 'Unknown Action'); // Full description from LLM/parsing
+    const planStepIndex = Number.isInteger(button.data('planStep')) ? button.data('planStep') : null; // Only cards for a plan step carry it
+    const messageId = suggestionCard.closest('.chat-message').data('messageId'); // Get message ID
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Confirm Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Confirm Error: Combatant or Actor not found."); return; }
+
+    // --- Get Manual Notes from Text Input ---
+    let manualNotes = "";
+    if (messageId) {
+        const inputId = game.messages.get(messageId)?.getFlag(MODULE_ID, FLAGS.MANUAL_NOTES_INPUT_ID);
+        if (inputId) {
+            manualNotes = $(`#${inputId}`).val() || "";
+            // console.log(`AI Confirm: Retrieved Manual Notes: "${manualNotes}"`); // DEBUG
+        } else {
+            // console.warn(`AI Confirm: Could not find input field ID flag on message ${messageId}`); // DEBUG
+        }
+    } else {
+        console.warn("AI Confirm: Could not find message ID to retrieve manual notes.");
+    }
+
+
+    // Disable buttons on suggestion card
+    suggestionCard.find('button').prop('disabled', true);
+    suggestionCard.find('input[type="radio"]').prop('disabled', true); // Disable MAP radios too
+    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
+    button.html('<i class="fas fa-spinner fa-spin"></i> Confirmed...');
+
+    // --- Critical Check: Is it still this combatant's turn? ---
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot confirm action for ${combatant.name}.`);
+        button.html('<i class="fas fa-times"></i> Turn Ended');
+        await clearAITurnFlags(actor); // Clean up flags if turn ended unexpectedly
+        return;
+    }
+
+    // Get current state
+    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+    if (!currentTurnState) {
+        ui.notifications.error("PF2e AI Combat Assistant Confirm Error: Turn state flag missing!");
+        button.html('<i class="fas fa-times"></i> State Error');
+        await clearAITurnFlags(actor);
+        return;
+    }
+
+    // Validate action cost against remaining actions
+    // Allow 0 cost actions (Free/Reactions handled by logic, combos have final cost)
+    if (isNaN(actionCostForValidation) || actionCostForValidation < 0 || actionCostForValidation > currentTurnState.actionsRemaining) {
+        ui.notifications.error(`PF2e AI Combat Assistant Confirm Error: Action cost (${actionCostForValidation}) is invalid or exceeds remaining actions (${currentTurnState.actionsRemaining}).`);
+        button.html('<i class="fas fa-times"></i> Cost Error');
+        // Re-enable buttons on this card if cost was the issue
+        suggestionCard.find('button').prop('disabled', false);
+        suggestionCard.find('input[type="radio"]').prop('disabled', false);
+        suggestionCard.find('.ai-manual-notes-input').prop('disabled', false);
+        button.html('<i class="fas fa-check"></i> Confirm');
+        return;
+    }
+    // A Ready is paid for as Ready, whatever action it holds back
+    const readiedAction = parseTurnFlowSuggestion(actionDescription.split(' | ')[0], null);
+    const isReady = readiedAction?.type === 'ready';
+    const budgetCheck = checkActionAgainstBudget(isReady ? 'Ready' : actionDescription, actionCostForValidation, currentTurnState);
+    if (!budgetCheck.allowed) {
+        ui.notifications.error(`PF2e AI Combat Assistant Confirm Error: "${actionDescription.split(' | ')[0]}" doesn't fit the action budget (${budgetCheck.reason}).`);
+        suggestionCard.find('button').prop('disabled', false);
+        suggestionCard.find('input[type="radio"]').prop('disabled', false);
+        suggestionCard.find('.ai-manual-notes-input').prop('disabled', false);
+        button.html('<i class="fas fa-check"></i> Confirm');
+        return;
+    }
+
+    // Snapshot the state this confirm is about to change; it's journaled for Undo only once the confirm goes through
+    let journalEntry = null;
+    try {
+        journalEntry = createActionJournalEntry(combat, combatant, messageId, actionDescription, currentTurnState);
+    } catch (journalError) {
+        console.warn(`PF2e AI Combat Assistant | Could not snapshot the confirmed action for ${actor.name}; it can't be undone:`, journalError);
+    }
+
+    // --- Identify Traits for MAP update ---
+    let identifiedTraits = [];
+    if (isReady) {
+        // Readying makes no attack now, so MAP is left alone; the readied action waits for its trigger as a reaction
+        try {
+            await storeReadiedAction(actor, readiedAction, currentTurnState.currentMAP, combat.round);
+        } catch (readyError) {
+            console.error(`PF2e AI Combat Assistant | Could not store the readied action for ${actor.name}:`, readyError);
+            ui.notifications.warn(`PF2e AI Combat Assistant: The readied action for ${actor.name} won't be watched for. Use it manually when the trigger happens.`);
+        }
+    } else {
+        try {
+            // Re-identify the suggestion to get the traits of the main action, even if it's a combo
+            const identifyResult = await identifySuggestionTypeAndCost(actionDescription, actor, {}); // Pass empty gameState as we only need identification
+            if (identifyResult && Array.isArray(identifyResult.traits)) {
+                identifiedTraits = identifyResult.traits;
+            } else {
+                // console.warn(`AI Confirm: Could not reliably re-identify action "${actionDescription.substring(0, 30)}..." to get traits for MAP. MAP will not auto-update.`); // DEBUG
+            }
+            // console.log(`AI Confirm: Identified traits for MAP check: [${identifiedTraits.join(', ')}] for action: "${actionDescription}"`); // DEBUG
+        } catch (identifyError) {
+            // console.warn(`AI Confirm: Error during re-identification for MAP check:`, identifyError); // DEBUG
+        }
+    }
+    // --- End Trait Identification ---
+
+    // --- Extract Narrative and Clean Description ---
+    // The full description is stored in actionDescription (e.g., "Cast Fireball (Rank 3), Area | Rationale: Good AoE | NARRATIVE: Unleashes fire!")
+    // We need to separate the core action description from the rationale and narrative parts.
+    let cleanedActionDesc = actionDescription;
+    let narrativeForThisAction = "";
+    const rationaleSeparator = " | Rationale: ";
+    const narrativeSeparator = " | NARRATIVE: "; // Assuming this separator might exist if parsing failed earlier
+
+    // Attempt to extract narrative using the separator first
+    const narrativeIndex = cleanedActionDesc.indexOf(narrativeSeparator);
+    if (narrativeIndex !== -1) {
+        narrativeForThisAction = cleanedActionDesc.substring(narrativeIndex + narrativeSeparator.length).trim();
+        cleanedActionDesc = cleanedActionDesc.substring(0, narrativeIndex).trim();
+    }
+
+     // Attempt to remove rationale using the separator
+    const rationaleIndex = cleanedActionDesc.indexOf(rationaleSeparator);
+     if (rationaleIndex !== -1) {
+         // We don't need the rationale itself here, just remove it from the description
+         cleanedActionDesc = cleanedActionDesc.substring(0, rationaleIndex).trim();
+     }
+
+     // Fallback: If separators weren't found, try the parseLLMSuggestion logic again
+     // This is less ideal performance-wise but provides a backup.
+     if (!narrativeForThisAction && rationaleIndex === -1) { // Only re-parse if BOTH separators failed
+         const tempParsed = parseLLMSuggestion(actionDescription); // Re-parse to get parts if needed
+         if (tempParsed) {
+             cleanedActionDesc = tempParsed.description || cleanedActionDesc; // Use parsed description if available
+             narrativeForThisAction = tempParsed.narrative || ""; // Use parsed narrative if available
+             // Rationale is implicitly removed by taking tempParsed.description
+         }
+     }
+    // --- End Extraction ---
+
+    // Roll results the actor produced since its last confirmed action belong to this action
+    let pendingOutcomes = [];
+
+    try {
+        // Save the updated state (excluding MAP update for now), built from the flag as it is now:
+        // roll results may have been stored while this action was being identified
+        const newTurnState = await updateTurnState(actor, (latestTurnState) => {
+            const interimResults = latestTurnState.interimResults || [];
+            pendingOutcomes = interimResults.filter(r => r.isOwnAction && !r.recorded);
+            // Create the new state object, preserving existing MAP for now, clearing manual notes
+            return {
+                ...latestTurnState,
+                actionsRemaining: Math.max(0, latestTurnState.actionsRemaining - actionCostForValidation), // Use the validated cost
+                quickenedActionsRemaining: Math.max(0, (latestTurnState.quickenedActionsRemaining ?? 0) - budgetCheck.usesQuickened),
+                actionsTakenDescriptions: [...(latestTurnState.actionsTakenDescriptions || []), cleanedActionDesc], // Store cleaned description
+                narrativesTaken: [...(latestTurnState.narrativesTaken || []), narrativeForThisAction].filter(n => n && n.length > 0), // Store narrative, filter empty strings
+                interimResults: interimResults.map(r => ({ ...r, recorded: true })), // Mark as written to combat memory
+                manualNotes: "" // Clear manual notes after confirming
+            };
+        });
+        if (!newTurnState) throw new Error("Turn state flag was removed before the action could be saved.");
+        // console.log(`PF2e AI Combat Assistant Action Confirmed: "${actionDescription}". State Updated: Actions Left=${newTurnState.actionsRemaining}`); // DEBUG
+
+        // NOW, update MAP based on the identified traits *after* state is saved
+        await _updateMAPBasedOnTrait(actor, identifiedTraits);
+
+        // Move a stored multi-action plan on to its next step, or drop it if this action wasn't the planned one
+        await syncPlanWithConfirmedAction(actor, planStepIndex);
+
+        // --- Record action for combat memory ---
+        try {
+            const isAttack = identifiedTraits.includes('attack') ||
+                            cleanedActionDesc.toLowerCase().includes('strike') ||
+                            cleanedActionDesc.toLowerCase().includes('attack');
+            const { outcome, target, damage } = summarizeInterimOutcomes(pendingOutcomes);
+            await recordActionOutcome(combat, combatantId, {
+                action: cleanedActionDesc,
+                target: target, // From the roll context, null if no roll was made
+                outcome: outcome, // 'confirmed' if no roll was made
+                damage: damage,
+                isAttack: isAttack,
+                wasEffective: damage > 0 || outcome === 'success' || outcome === 'criticalSuccess'
+            });
+        } catch (memoryError) {
+            console.warn("AI Confirm: Error recording action to combat memory:", memoryError);
+        }
+
+        // --- Store the ID of the *suggestion* message that was just confirmed ---
+        // Subsequent chat messages will be processed by handleChatMessage if they were posted after it
+        lastConfirmedActionMessageIds.set(combatant.id, messageId);
+        // console.log(`AI Confirm | Stored last processed msg ID: ${messageId} for ${combatant.name}`); // DEBUG
+
+        // The action is saved, so it can now be undone
+        if (journalEntry) {
+            try {
+                await recordActionJournalEntry(actor, journalEntry);
+            } catch (journalError) {
+                console.warn(`PF2e AI Combat Assistant | Could not journal the confirmed action for ${actor.name}; it can't be undone:`, journalError);
+            }
+        }
+
+        // Request the next suggestion, passing the retrieved manual notes AND the updated turn state
+        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
+        await requestNextAISuggestion(combatant, combat, null, manualNotes, newTurnState); // Pass updated state
+
+
+    } catch (stateUpdateError) {
+        console.error(`PF2e AI Combat Assistant State Update Error after confirming action:`, stateUpdateError);
+        ui.notifications.error("PF2e AI Combat Assistant Error: Failed state update...");
+        button.html('<i class="fas fa-times"></i> State Error');
+        await clearAITurnFlags(actor); // Clear flags on error
+        // Don't re-enable buttons here, state is likely broken
+    }
+}
+
+
+// --- Action Journal (Undo) ---
+
+/**
+ * The combatant's action journal for its current turn: the state before each confirmed action, newest last.
+ * @param {ActorPF2e} actor - The acting creature.
+ * @returns {Array<object>} Journal entries.
+ */
+function getActionJournal(actor) {
+    return actor?.getFlag(MODULE_ID, FLAGS.ACTION_JOURNAL) ?? [];
+}
+
+/**
+ * Empties a creature's action journal, at the start of its turn or when combat ends.
+ * @param {ActorPF2e} actor - The acting creature.
+ */
+async function clearActionJournal(actor) {
+    if (actor?.getFlag(MODULE_ID, FLAGS.ACTION_JOURNAL)) await actor.unsetFlag(MODULE_ID, FLAGS.ACTION_JOURNAL);
+}
+
+/**
+ * Copies the part of combat memory a confirmed action writes: the combatant's entry for this round and its statistics.
+ * @param {Combat} combat - The combat.
+ * @param {string} combatantId - The acting combatant.
+ * @returns {object} { round, combatantActions, statistics }, null where nothing was recorded yet.
+ */
+function snapshotCombatMemory(combat, combatantId) {
+    const memory = combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
+    return {
+        round: combat.round,
+        combatantActions: foundry.utils.deepClone(memory?.rounds?.[combat.round]?.combatantActions?.[combatantId] ?? null),
+        statistics: foundry.utils.deepClone(memory?.statistics?.[combatantId] ?? null)
+    };
+}
+
+/**
+ * Puts a combatant's combat memory back to a snapshot from snapshotCombatMemory.
+ * @param {Combat} combat - The combat.
+ * @param {string} combatantId - The acting combatant.
+ * @param {object} snapshot - The snapshot to restore.
+ */
+async function restoreCombatMemory(combat, combatantId, snapshot) {
+    const memory = foundry.utils.deepClone(combat.getFlag(MODULE_ID, FLAGS.COMBAT_MEMORY));
+    if (!memory || !snapshot) return;
+
+    const roundData = memory.rounds?.[snapshot.round];
+    if (roundData?.combatantActions) {
+        if (snapshot.combatantActions) roundData.combatantActions[combatantId] = snapshot.combatantActions;
+        else delete roundData.combatantActions[combatantId];
+    }
+    if (memory.statistics) {
+        if (snapshot.statistics) memory.statistics[combatantId] = snapshot.statistics;
+        else delete memory.statistics[combatantId];
+    }
+    // setFlag merges into the stored object, which would keep the removed entries
+    await combat.unsetFlag(MODULE_ID, FLAGS.COMBAT_MEMORY);
+    await combat.setFlag(MODULE_ID, FLAGS.COMBAT_MEMORY, memory);
+}
+
+/**
+ * Snapshots everything a confirm is about to change: turn state (actions, MAP, descriptions), the stored plan,
+ * the readied action and combat memory, plus the cooldown effects and rolls made since the suggestion card.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant} combatant - The acting combatant.
+ * @param {string} suggestionMessageId - The suggestion card being confirmed.
+ * @param {string} actionDescription - The confirmed action.
+ * @param {object} turnState - Turn state before the confirm.
+ * @returns {object} The journal entry, for recordActionJournalEntry once the confirm has gone through.
+ */
+function createActionJournalEntry(combat, combatant, suggestionMessageId, actionDescription, turnState) {
+    const actor = combatant.actor;
+    // Cooldowns are applied when the card's Cast/Strike/Use button runs, i.e. after the card was posted
+    const suggestionTime = game.messages.get(suggestionMessageId)?.timestamp ?? Date.now();
+    const cooldownEffectIds = (actor.itemTypes?.effect ?? [])
+        .filter(effect => effect.getFlag(MODULE_ID, 'isCooldown') && (effect._stats?.createdTime ?? 0) >= suggestionTime)
+        .map(effect => effect.id);
+    // The rolls not yet written to combat memory are the ones this action made
+    const rollMessageIds = (turnState.interimResults || [])
+        .filter(result => result.isOwnAction && !result.recorded && result.messageId)
+        .map(result => result.messageId);
+
+    return {
+        round: combat.round,
+        turn: combat.turn,
+        description: actionDescription.split(' | ')[0],
+        suggestionMessageId,
+        previousConfirmedMessageId: lastConfirmedActionMessageIds.get(combatant.id) ?? null,
+        turnState: foundry.utils.deepClone(turnState),
+        actionPlan: foundry.utils.deepClone(getStoredActionPlan(actor)),
+        readiedAction: foundry.utils.deepClone(actor.getFlag(MODULE_ID, FLAGS.READIED_ACTION) ?? null),
+        memory: snapshotCombatMemory(combat, combatant.id),
+        cooldownEffectIds,
+        rollMessageIds
+    };
+}
+
+/**
+ * Adds a confirmed action's entry to the actor's journal, so Undo can restore the state before it.
+ * @param {Actor} actor - The acting creature.
+ * @param {object} entry - From createActionJournalEntry.
+ */
+async function recordActionJournalEntry(actor, entry) {
+    await actor.setFlag(MODULE_ID, FLAGS.ACTION_JOURNAL, [...getActionJournal(actor), entry]);
+}
+
+/**
+ * Handles the morale Override button on a suggestion card: lets the GM fix an NPC's morale for the rest of
+ * the combat (or return it to Auto). It applies from the next suggestion.
+ * @param {Event} event - The click event.
+ */
+async function _onMoraleOverrideClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can override morale.");
+        return;
+    }
+    const combatant = combat?.combatants.get(combatantId);
+    if (!combatant) {
+        ui.notifications.error("PF2e AI Combat Assistant Error: Combatant not found in current combat!");
+        return;
+    }
+
+    const currentOverride = getMoraleFlag(combat).overrides[combatantId] || 'auto';
+    const moraleOptions = Object.entries(MORALE_OVERRIDES)
+        .map(([value, label]) => `<option value="${value}" ${value === currentOverride ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    new Dialog({
+        title: `Morale: ${combatant.name}`,
+        content: `
+        <form>
+            <div class="form-group">
+                <label>Morale:</label>
+                <select name="morale">${moraleOptions}</select>
+            </div>
+            <p class="notes" style="font-size: 0.85em; color: #666;">
+                Auto works morale out from HP, fallen allies, level against the party, traits and tactical preset. The choice applies from the next suggestion.
+            </p>
+        </form>`,
+        buttons: {
+            save: {
+                icon: '<i class="fas fa-save"></i>',
+                label: "Save",
+                callback: async (html) => {
+                    const override = html.find('select[name="morale"]').val();
+                    try {
+                        await combat.setFlag(MODULE_ID, FLAGS.MORALE, { overrides: { [combatantId]: override } });
+                        console.log(`PF2e AI Combat Assistant | Morale for ${combatant.name} set to ${override} by the GM.`);
+                        ui.notifications.info(`Morale for ${combatant.name}: ${MORALE_OVERRIDES[override]}. Applies from the next suggestion.`);
+                    } catch (error) {
+                        console.error(`PF2e AI Combat Assistant | Failed to save morale override for ${combatant.name}:`, error);
+                        ui.notifications.error("PF2e AI Combat Assistant Error: Failed to save morale override. Check console.");
+                    }
+                }
+            },
+            cancel: {
+                icon: '<i class="fas fa-times"></i>',
+                label: "Cancel"
+            }
+        },
+        default: "save"
+    }).render(true);
+}
+
+/**
+ * Handles the Undo button on the latest suggestion (or Turn Complete) card: restores the state from before the
+ * last confirmed action, removes the cooldown effects it applied and, if the GM agrees, deletes its roll messages.
+ * The confirmed suggestion card is then reopened so it can be used again.
+ * @param {Event} event - The click event.
+ */
+async function _onUndoActionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const card = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can undo confirmed actions.");
+        return;
+    }
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Undo Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Undo Error: Combatant or Actor not found."); return; }
+
+    const journal = getActionJournal(actor);
+    const entry = journal[journal.length - 1];
+    if (combat.combatant?.id !== combatantId || !entry || entry.round !== combat.round || entry.turn !== combat.turn) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: ${combatant.name} has no confirmed action this turn to undo.`);
+        button.prop('disabled', true);
+        return;
+    }
+
+    // Deleting the rolls is optional: the GM may want to keep a roll that was made correctly
+    const rollMessageIds = (entry.rollMessageIds || []).filter(id => game.messages.has(id));
+    let deleteRolls = false;
+    if (rollMessageIds.length > 0) {
+        deleteRolls = await Dialog.confirm({
+            title: `Undo ${entry.description}`,
+            content: `<p>Also delete the ${rollMessageIds.length} roll message(s) made for <strong>${entry.description}</strong>?</p><p>Damage or conditions already applied from them are not reverted.</p>`,
+            defaultYes: false
+        }) === true;
+    }
+
+    card.find('button').prop('disabled', true);
+    card.find('input').prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Undoing...');
+
+    try {
+        const restoredTurnState = foundry.utils.deepClone(entry.turnState);
+        if (deleteRolls) {
+            restoredTurnState.interimResults = (restoredTurnState.interimResults || []).filter(result => !rollMessageIds.includes(result.messageId));
+            await ChatMessage.deleteDocuments(rollMessageIds);
+        }
+
+        // Replace rather than merge, so nothing recorded after the snapshot survives. Queued like any other
+        // turn state change, so a roll result being stored right now can't write over the restored state.
+        await updateTurnState(actor, () => restoredTurnState, { replace: true });
+        await actor.setFlag(MODULE_ID, FLAGS.IS_PROCESSING, true); // Undoing the last action reopens a completed turn
+        await clearActionPlan(actor);
+        if (entry.actionPlan) await actor.setFlag(MODULE_ID, FLAGS.ACTION_PLAN, entry.actionPlan);
+        if (entry.readiedAction) await actor.setFlag(MODULE_ID, FLAGS.READIED_ACTION, entry.readiedAction);
+        else await clearReadiedAction(actor);
+        await restoreCombatMemory(combat, combatant.id, entry.memory);
+
+        const cooldownEffectIds = (entry.cooldownEffectIds || []).filter(id => actor.items.has(id));
+        if (cooldownEffectIds.length > 0) await actor.deleteEmbeddedDocuments("Item", cooldownEffectIds);
+
+        if (entry.previousConfirmedMessageId) lastConfirmedActionMessageIds.set(combatant.id, entry.previousConfirmedMessageId);
+        else lastConfirmedActionMessageIds.delete(combatant.id);
+        await actor.setFlag(MODULE_ID, FLAGS.ACTION_JOURNAL, journal.slice(0, -1));
+
+        button.html('<i class="fas fa-undo"></i> Undone');
+        ui.notifications.info(`PF2e AI Combat Assistant: Undid "${entry.description}" for ${combatant.name}.`);
+
+        // Reopen the card that was confirmed; if it's gone, ask for a new suggestion from the restored state
+        const confirmedCard = $(`.chat-message[data-message-id="${entry.suggestionMessageId}"] .message-content`);
+        if (confirmedCard.length > 0) {
+            confirmedCard.find('button').prop('disabled', false);
+            confirmedCard.find('input[type="radio"]').prop('disabled', false);
+            confirmedCard.find('.ai-manual-notes-input').prop('disabled', false);
+            confirmedCard.find('button.ai-confirm-action').html('<i class="fas fa-check"></i> Confirm');
+        } else {
+            await requestNextAISuggestion(combatant, combat, null, null, restoredTurnState);
+        }
+    } catch (undoError) {
+        console.error(`PF2e AI Combat Assistant | Error undoing '${entry.description}' for ${actor.name}:`, undoError);
+        ui.notifications.error(`PF2e AI Combat Assistant Undo Error: ${undoError.message || 'Could not undo the action.'}`);
+        button.html('<i class="fas fa-times"></i> Undo Failed');
+    }
+}
+
+
+async function _onSkipActionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    const skippedActionDescription = decodeURIComponent(button.data('actionDesc') || 'Unknown Action');
+    const messageId = suggestionCard.closest('.chat-message').data('messageId'); // Get message ID
+    const combat = game.combat;
+
+    // console.log(`PF2e AI Combat Assistant | Skip Clicked. Combatant ID: ${combatantId}`); // DEBUG
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Skip Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    if (!combatant) { ui.notifications.error(`PF2e AI Combat Assistant Skip Error: Combatant not found.`); suggestionCard.find('button').prop('disabled', true); button.html('<i class="fas fa-times"></i> Error'); return; }
+    const actor = combatant.actor;
+    if (!actor) { ui.notifications.error(`PF2e AI Combat Assistant Skip Error: Actor missing.`); suggestionCard.find('button').prop('disabled', true); button.html('<i class="fas fa-times"></i> Error'); return; }
+
+    // --- Get Manual Notes from Text Input ---
+    let manualNotes = "";
+    if (messageId) {
+        const inputId = game.messages.get(messageId)?.getFlag(MODULE_ID, FLAGS.MANUAL_NOTES_INPUT_ID);
+        if (inputId) {
+            manualNotes = $(`#${inputId}`).val() || "";
+            // console.log(`AI Skip: Retrieved Manual Notes: "${manualNotes}"`); // DEBUG
+        } else {
+            // console.warn(`AI Skip: Could not find input field ID flag on message ${messageId}`); // DEBUG
+        }
+    } else {
+        console.warn("AI Skip: Could not find message ID to retrieve manual notes.");
+    }
+
+    // Disable buttons on the card being skipped
+    suggestionCard.find('button').prop('disabled', true);
+    suggestionCard.find('input[type="radio"]').prop('disabled', true); // Disable MAP radios too
+    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
+    button.html('<i class="fas fa-spinner fa-spin"></i> Skipping...');
+
+    // --- Critical Check: Is it still this combatant's turn? ---
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot skip action for ${combatant.name}.`);
+        button.html('<i class="fas fa-times"></i> Turn Ended');
+        await clearAITurnFlags(actor); // Clean up flags
+        return;
+    }
+
+    // --- Critical Check: Is AI still processing? ---
+    if (!actor.getFlag(MODULE_ID, FLAGS.IS_PROCESSING) || !actor.getFlag(MODULE_ID, FLAGS.TURN_STATE)) {
+        ui.notifications.error("PF2e AI Combat Assistant Skip Error: AI state is missing or not active!");
+        button.html('<i class="fas fa-times"></i> State Error');
+        await clearAITurnFlags(actor); // Clean up flags
+        return;
+    }
+
+    // --- Update State with Manual Notes ---
+    try {
+        // Actions remaining are preserved from the current turn state
+        const updatedTurnState = await updateTurnState(actor, (currentTurnState) => ({ ...currentTurnState, manualNotes })); // Include latest notes
+        if (!updatedTurnState) {
+            ui.notifications.error("PF2e AI Combat Assistant Skip Error: Could not retrieve turn state to reset actions.");
+            button.html('<i class="fas fa-times"></i> State Error');
+            await clearAITurnFlags(actor);
+            return;
+        }
+        // console.log("AI Skip: Updated turn state with manual notes.", updatedTurnState); // DEBUG
+
+        // Request next suggestion, passing the skipped action, notes, AND the updated state
+        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
+        await requestNextAISuggestion(combatant, combat, skippedActionDescription, manualNotes, updatedTurnState); // Pass updated state
+
+    } catch (e) {
+        console.error("AI Skip: Failed to reset actions or request next suggestion:", e);
+        ui.notifications.error("PF2e AI Combat Assistant Skip Error: Failed to process skip.");
+        button.html('<i class="fas fa-times"></i> Error');
+        await clearAITurnFlags(actor); // Clean up on error
+    }
+
+
+    // Requesting next suggestion is now handled within the try...catch block above
+}
+
+/**
+ * Handles the "Use Contingency" button shown on a plan step when the previous step's roll failed.
+ * Discards the rest of the stored plan and replans the remaining actions with the contingency as guidance.
+ * @param {Event} event - The click event.
+ * @private
+ */
+async function _onPlanContingencyClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    const messageId = suggestionCard.closest('.chat-message').data('messageId');
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Contingency Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Contingency Error: Combatant or Actor not found."); return; }
+
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot replan for ${combatant.name}.`);
+        return;
+    }
+
+    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+    const storedPlan = getStoredActionPlan(actor);
+    if (!currentTurnState || !storedPlan?.contingency) {
+        ui.notifications.error("PF2e AI Combat Assistant Contingency Error: No active plan or contingency found.");
+        button.prop('disabled', true);
+        return;
+    }
+
+    // Keep any notes the user typed on this card alongside the contingency
+    let manualNotes = "";
+    const inputId = messageId ? game.messages.get(messageId)?.getFlag(MODULE_ID, FLAGS.MANUAL_NOTES_INPUT_ID) : null;
+    if (inputId) manualNotes = $(`#${inputId}`).val() || "";
+    const contingencyNotes = `The previous planned action failed. Follow the contingency plan: ${storedPlan.contingency}${manualNotes.trim() ? ` ${manualNotes.trim()}` : ''}`;
+
+    suggestionCard.find('button').prop('disabled', true);
+    suggestionCard.find('input[type="radio"]').prop('disabled', true);
+    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Replanning...');
+
+    try {
+        await clearActionPlan(actor);
+        const updatedTurnState = await updateTurnState(actor, (latestTurnState) => ({ ...latestTurnState, manualNotes: contingencyNotes }));
+        if (!updatedTurnState) throw new Error("Turn state flag was removed before replanning.");
+
+        await new Promise(resolve => setTimeout(resolve, 150)); // Short delay
+        await requestNextAISuggestion(combatant, combat, null, contingencyNotes, updatedTurnState);
+    } catch (e) {
+        console.error("AI Contingency: Failed to replan from contingency:", e);
+        ui.notifications.error("PF2e AI Combat Assistant Contingency Error: Failed to replan.");
+        button.html('<i class="fas fa-times"></i> Error');
+    }
+}
+
+/**
+ * Handles the Cancel button on the "Thinking..." card. Aborts the in-flight LLM request for the combatant.
+ * Only the client that started the request holds its AbortController.
+ * @param {Event} event - The click event.
+ * @private
+ */
+function _onCancelSuggestionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+
+    const cancelController = activeSuggestionRequests.get(combatantId);
+    if (!cancelController) {
+        ui.notifications.warn("PF2e AI Combat Assistant: This request is running on another user's client (or has already finished) and can only be cancelled there.");
+        return;
+    }
+
+    button.prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Cancelling...');
+    cancelController.abort();
+}
+
+/**
+ * Handles the "Request Again" button posted after a suggestion was cancelled.
+ * Continues the turn from the stored turn state, or restarts it if no action was taken yet.
+ * @param {Event} event - The click event.
+ * @private
+ */
+async function _onRetrySuggestionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Retry Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Retry Error: Combatant or Actor not found."); return; }
+
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, cannot request a suggestion for ${combatant.name}.`);
+        return;
+    }
+    if (!actor.getFlag(MODULE_ID, FLAGS.IS_PROCESSING)) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: AI control for ${combatant.name} has already ended.`);
+        return;
+    }
+
+    suggestionCard.find('button').prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Requesting...');
+
+    // Before the first confirmed action the turn start (action count from conditions) hasn't been finalised, so start fresh
+    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+    const resumeTurnState = currentTurnState?.actionsTakenDescriptions?.length > 0 ? deepClone(currentTurnState) : null;
+    await requestNextAISuggestion(combatant, combat, null, currentTurnState?.manualNotes || null, resumeTurnState);
+}
+
+async function _onEndTurnClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant End Turn Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+
+    // Disable buttons on the card
+    suggestionCard.find('button').prop('disabled', true);
+    suggestionCard.find('input[type="radio"]').prop('disabled', true);
+    suggestionCard.find('.ai-manual-notes-input').prop('disabled', true); // Disable manual input
+    button.html('<i class="fas fa-spinner fa-spin"></i> Ending AI...');
+
+    if (!actor) {
+        button.html('<i class="fas fa-ban"></i> AI Ended (No Actor)');
+        // console.warn("PF2e AI Combat Assistant: Actor not found when trying to end AI turn manually."); // DEBUG
+        return; // Cannot clear flags if no actor
+    }
+
+    // Get final state and gather fresh game state for summary
+    const finalTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+
+    let narrativeSummary = "The turn was ended manually."; // Default summary
+    let recentEvents = [];
+    try {
+        // Gather final game state to get recent events
+        const gameState = await gatherGameState(combatant, combat, 0, actor); // Assume 0 actions left for final state
+        recentEvents = gameState?.recentEvents || [];
+
+        // --- Generate Narrative Summary using LLM ---
+        const summaryPrompt = craftTurnSummaryPrompt(combatant, finalTurnState?.actionsTakenDescriptions, recentEvents);
+        // console.log("PF2e AI Combat Assistant | Manual Turn End Summary Prompt:", summaryPrompt); // DEBUG
+        const { apiKey, endpoint, modelName, isConfigured } = getLLMConnectionSettings();
+
+        if (isConfigured) {
+            const llmResponse = await callLLM(summaryPrompt, apiKey, endpoint, modelName, { logLabel: `turn summary: ${combatant.name}` });
+            // Use the entire trimmed response as the narrative, assuming the prompt instructions were followed.
+            if (llmResponse && llmResponse.trim()) {
+                narrativeSummary = llmResponse.trim();
+            } else {
+                console.warn("PF2e AI Combat Assistant | Received empty or invalid narrative summary from LLM response (manual end):", llmResponse);
+                narrativeSummary = "The AI finished its turn (manually ended), but the narrative summary was empty.";
+            }
+        } else {
+            console.warn("PF2e AI Combat Assistant | LLM settings missing, cannot generate narrative summary (manual end).");
+            narrativeSummary = "LLM settings missing; narrative summary unavailable.";
+        }
+        // --- End Narrative Summary Generation ---
+
+    } catch (gatherOrLLMError) {
+        console.error("PF2e AI Combat Assistant | Error during manual turn end summary generation:", gatherOrLLMError);
+        narrativeSummary = "An error occurred while summarizing the manually ended turn.";
+    }
+
+    // Get intended actions list for details block
+    const actionsListHtml = finalTurnState?.actionsTakenDescriptions?.map(desc => `<li>${desc}</li>`).join('') || '<li>No actions recorded.</li>';
+    // Format recent events for details block
+    const recentEventsHtml = recentEvents.length > 0
+        ? recentEvents.map(event => `<li>${event}</li>`).join('')
+        : '<li>No significant events recorded.</li>';
+
+    // Get speaker data which respects token name visibility
+    const speakerData = ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken });
+    const displayName = speakerData.alias || actor.name; // Use alias (respects Anonymous) or fallback to actor name
+
+    // Construct the final message with the narrative
+    // Construct the final message with Intended Actions first, then Narrative
+    const manualEndContent = `
+         <strong>${displayName}'s AI Turn Ended Manually</strong><br>
+         Intended Actions:<ul>${actionsListHtml}</ul>
+         <p style="margin: 5px 0 5px 0; font-style: italic; border-top: 1px dashed #ccc; padding-top: 5px;">${narrativeSummary}</p>
+         <details>
+             <summary style="cursor: pointer; font-size: 0.9em;">Recorded Events (GM Only)</summary>
+             <div style="padding-left: 15px; font-size: 0.9em;">
+                 <ul>${recentEventsHtml}</ul>
+             </div>
+         </details>
+         <hr style="margin:5px 0;">
+         <button class="ai-next-turn-btn" data-combatant-id="${combatant.id}" title="Advance turn (GM Only)"><i class="fas fa-arrow-right"></i> Next Turn</button>
+     `;
+
+    // Determine whisper recipients based on setting
+    const whisperRecipients = game.settings.get(MODULE_ID, 'whisperTurnSummary')
+        ? ChatMessage.getWhisperRecipients("GM")
+        : [];
+
+    // Create the chat message
+    ChatMessage.create({
+        speaker: speakerData, // Use the pre-calculated speaker data
+        content: manualEndContent,
+        whisper: whisperRecipients // Set whisper based on setting
+    });
+
+    try {
+        await clearAITurnFlags(actor);
+        lastConfirmedActionMessageIds.delete(combatant.id); // Clear last action ID map entry on turn end
+        // console.log(`AI End Turn | Cleared last processed msg ID for ${combatant.name}`); // DEBUG
+    } catch (flagClearError) {
+        console.error(`PF2e AI Combat Assistant | Error clearing flags on manual end turn:`, flagClearError);
+    }
+
+    button.html('<i class="fas fa-ban"></i> AI Ended');
+
+    // Notify GM if they aren't seeing player messages
+    if (game.user.isGM && !game.settings.get(MODULE_ID, 'showOfferToPlayers')) {
+        ui.notifications.info(`${combatant.name}'s AI turn ended manually.`);
+    }
+}
+// --- NEW Handler for Apply Condition Reduction Button ---
+async function _onApplyConditionReductionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const actorId = button.data('actor-id');
+    const stunnedChange = parseInt(button.data('stunned-change'), 10);
+    const slowedChange = parseInt(button.data('slowed-change'), 10);
+
+    if (!actorId) {
+        console.error("AI Apply Condition: Missing actor ID.");
+        ui.notifications.error("AI Apply Condition: Missing actor ID.");
+        return;
+    }
+    // --- Get Actor from Combatant/Token ---
+    const combatant = game.combat?.combatants.find(c => c.actorId === actorId);
+    const tokenDocument = combatant?.token;
+    const actor = tokenDocument?.actor; // Get the potentially synthetic actor from the token
+
+    if (!actor) {
+        console.error(`AI Apply Condition: Could not find token actor instance for actor ID ${actorId} in the current combat.`);
+        ui.notifications.error(`AI Apply Condition: Could not find token actor instance.`);
+        return;
+    }
+    // --- End Actor Fetching ---
+
+    // GM Check - Only allow GMs to click this button
+    if (!game.user.isGM) {
+        ui.notifications.warn("Only GMs can apply AI condition changes.");
+        return;
+    }
+
+    try {
+        let updates = [];
+        let notification = [`Applied condition changes for ${actor.name}:`];
+
+        // Handle Stunned using standard Actor methods
+        if (stunnedChange !== 0) {
+            const stunnedCondition = actor.itemTypes.condition.find(c => c.slug === 'stunned');
+            if (stunnedCondition) {
+                const currentValue = stunnedCondition.system?.value?.value ?? 0; // Get value from system data
+                if (stunnedChange === -1 || currentValue <= stunnedChange) { // Remove
+                    await actor.deleteEmbeddedDocuments("Item", [stunnedCondition.id]);
+                    notification.push(`- Removed Stunned ${currentValue}.`);
+                } else { // Reduce
+                    const newValue = currentValue - stunnedChange;
+                    await actor.updateEmbeddedDocuments("Item", [{ _id: stunnedCondition.id, "system.value.value": newValue }]);
+                    notification.push(`- Reduced Stunned ${currentValue} by ${stunnedChange} (New: ${newValue}).`);
+                }
+            } else {
+                 notification.push(`- Stunned condition not found on actor.`);
+            }
+        }
+
+        // Handle Slowed using standard Actor methods
+        if (slowedChange !== 0) {
+            const slowedCondition = actor.itemTypes.condition.find(c => c.slug === 'slowed');
+             if (slowedCondition) {
+                const currentValue = slowedCondition.system?.value?.value ?? 0; // Get value from system data
+                if (slowedChange === -1 || currentValue <= slowedChange) { // Remove
+                    await actor.deleteEmbeddedDocuments("Item", [slowedCondition.id]);
+                    notification.push(`- Removed Slowed ${currentValue}.`);
+                } else { // Reduce
+                    const newValue = currentValue - slowedChange;
+                     await actor.updateEmbeddedDocuments("Item", [{ _id: slowedCondition.id, "system.value.value": newValue }]);
+                    notification.push(`- Reduced Slowed ${currentValue} by ${slowedChange} (New: ${newValue}).`);
+                }
+            } else {
+                 notification.push(`- Slowed condition not found on actor.`);
+            }
+        }
+
+        ui.notifications.info(notification.join('\n'));
+        // Optionally disable the button after clicking
+        button.prop('disabled', true).find('i').removeClass('fa-check').addClass('fa-check-double');
+
+        // --- Check if turn should end (from 0-action start message) ---
+        const endTurn = button.data('end-turn') === true;
+        if (endTurn) {
+            const combat = game.combat;
+            if (combat && combat.combatant?.actorId === actorId) {
+                console.log(`AI Apply Condition: Ending turn for ${actor.name} after applying 0-action condition changes.`);
+                await combat.nextTurn();
+            } else {
+                 console.warn(`AI Apply Condition: Tried to end turn for ${actor.name}, but combat state changed.`);
+                 ui.notifications.warn(`Could not automatically end turn for ${actor.name}. Combat state may have changed.`);
+            }
+        }
+        // --- End Turn Check ---
+
+    } catch (error) {
+        console.error(`AI Apply Condition: Error applying changes for actor ${actorId}:`, error);
+        ui.notifications.error(`AI Apply Condition: Error applying changes. See console.`);
+    }
+}
+// --- END NEW Handler ---
+
+// --- NEW Handler for Retry Turn Button ---
+async function _onRetryTurnClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatant-id');
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("Only GMs can retry AI turns.");
+        return;
+    }
+
+    if (!combatantId) {
+        console.error("AI Retry Turn: Missing combatant ID.");
+        ui.notifications.error("AI Retry Turn: Missing combatant ID.");
+        return;
+    }
+
+    const combat = game.combat;
+    if (!combat) {
+        console.error("AI Retry Turn: No active combat found.");
+        ui.notifications.error("AI Retry Turn: No active combat.");
+        return;
+    }
+
+    const combatant = combat.combatants.get(combatantId);
+    if (!combatant) {
+        console.error(`AI Retry Turn: Could not find combatant with ID ${combatantId}.`);
+        ui.notifications.error("AI Retry Turn: Combatant not found.");
+        return;
+    }
+
+    // Ensure it's actually this combatant's turn before retrying
+    if (combat.combatant?.id !== combatant.id) {
+         console.warn(`AI Retry Turn: Attempted retry for ${combatant.name}, but it's not their turn.`);
+         ui.notifications.warn(`Cannot retry turn for ${combatant.name}, it's not their turn.`);
+         return;
+    }
+
+    console.log(`AI Retry Turn: Retrying turn for ${combatant.name} (ID: ${combatantId})`);
+    ui.notifications.info(`Retrying AI turn start for ${combatant.name}...`);
+
+    // Re-call the main suggestion function to restart the process
+    // Pass null for skippedAction and manualNotes initially for a fresh start
+    await requestNextAISuggestion(combatant, combat, null, null, null);
+
+    // Optionally disable the retry button after clicking
+    button.prop('disabled', true);
+}
+// --- END NEW Handler ---
+
+
+/**
+ * Applies a temporary cooldown effect to an actor after using a limited-use ability.
+ * @param {ActorPF2e} actor - The actor who used the ability.
+ * @param {ItemPF2e} ability - The ability (spell, feat, action) item that was used.
+ */
+async function applyCooldownEffect(actor, ability) {
+    if (!actor || !ability || !ability.system || !ability.slug) return;
+
+    const frequency = ability.system.frequency;
+    if (!frequency || !frequency.per || !(frequency.max > 0)) {
+        // console.log(`AI applyCooldownEffect: Ability "${ability.name}" has no limited frequency. No effect applied.`); // DEBUG
+        return; // Only apply effects for limited-use abilities
+    }
+
+    let durationInRounds = 0;
+    switch (frequency.per) {
+        case 'round':
+        case 'turn': // Treat turn-based frequency like round-based for effect duration
+            durationInRounds = 1;
+            break;
+        case 'minute':
+            durationInRounds = 10;
+            break;
+        case 'hour':
+            durationInRounds = 600;
+            break;
+        case 'day':
+            durationInRounds = 14400;
+            break;
+        case 'combat':
+            // For 'per combat', set a long duration (e.g., 1 day) as a simple approximation.
+            // A more complex solution might involve linking to the combat ID.
+            durationInRounds = 14400;
+            // console.log(`AI applyCooldownEffect: Using 1-day duration for 'per combat' frequency on "${ability.name}".`); // DEBUG
+            break;
+        default:
+            // console.warn(`AI applyCooldownEffect: Unknown frequency period "${frequency.per}" for ability "${ability.name}". Cannot apply effect.`); // DEBUG
+            return; // Don't apply effect for unknown periods
+    }
+
+    if (durationInRounds <= 0) {
+        // console.warn(`AI applyCooldownEffect: Calculated duration is zero or less for "${ability.name}". Cannot apply effect.`); // DEBUG
+        return;
+    }
+
+    const effectSlug = `pf2e-ai-combat-assistant-cooldown-${ability.slug}-${frequency.per}`;
+    const effectName = `Cooldown: ${ability.name} (${frequency.per})`;
+
+    const effectData = {
+        _id: null, // Let Foundry generate ID
+        name: effectName,
+        type: 'effect',
+        img: ability.img || 'icons/svg/misc/clock.svg', // Use ability icon or fallback
+        system: {
+            slug: effectSlug,
+            description: {
+                value: `This effect indicates that the AI has used the limited-use ability "${ability.name}" and it is currently on cooldown based on its frequency (${frequency.max} per ${frequency.per}).`,
+                chat: '', // No chat description needed
+                unidentified: false
+            },
+            rules: [], // No specific rules needed for this marker effect
+            traits: {
+                value: [], // No traits needed
+                rarity: 'common',
+                custom: ''
+            },
+            level: { value: ability.level ?? 0 }, // Use ability level if available
+            source: { value: `PF2e AI Combat Assistant Module` },
+            duration: {
+                value: durationInRounds,
+                unit: 'rounds',
+                sustained: false,
+                expiry: 'turn-start' // Expire at the start of the actor's turn
+            },
+            start: { // Set start time for duration calculation
+                value: game.time.worldTime,
+                initiative: game.combat?.combatant?.initiative ?? null
+            },
+            target: null, // Not targeted
+            tokenIcon: { show: true }, // Show icon on token
+            unidentified: false,
+            context: null // Not linked to a specific roll
+        },
+        flags: {
+            [MODULE_ID]: {
+                isCooldown: true,
+                sourceAbilityUuid: ability.uuid,
+                sourceAbilityName: ability.name,
+                frequencyPer: frequency.per
+            }
+        }
+    };
+
+    try {
+        // console.log(`AI applyCooldownEffect: Creating effect "${effectName}" (Slug: ${effectSlug}) on ${actor.name} for ${durationInRounds} rounds.`); // DEBUG
+        await actor.createEmbeddedDocuments("Item", [effectData]);
+        // console.log(`AI applyCooldownEffect: Successfully created cooldown effect for "${ability.name}".`); // DEBUG
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Error creating cooldown effect for "${ability.name}" on ${actor.name}:`, error);
+    }
+}
+
+/**
+ * Replaces the user's targets with the given tokens.
+ * @param {Token[]} tokens - Tokens to target.
+ */
+function setUserTargets(tokens) {
+    for (const target of [...game.user.targets]) {
+        target.setTarget(false, { user: game.user, releaseOthers: false });
+    }
+    for (const token of tokens) {
+        token.setTarget(true, { user: game.user, releaseOthers: false });
+    }
+}
+
+/**
+ * Targets the tokens a Strike or Cast button was suggested against, so attack rolls and saves
+ * resolve against the right creatures. For an area with no more than one suggested creature,
+ * the user is asked to target the affected tokens first, unless Autopilot is running the action,
+ * in which case the suggested targets are used as they are.
+ * @param {jQuery} button - The Strike or Cast button.
+ * @param {object} [options]
+ * @param {boolean} [options.isArea=false] - The action affects an area (e.g. a burst spell).
+ * @param {boolean} [options.singleTarget=false] - The action hits one creature (Strikes); only the first token is targeted.
+ * @param {string} [options.actionName='This action'] - Name shown in the prompt.
+ * @param {boolean} [options.isAutopilot=false] - Autopilot is running the action; never prompt.
+ * @returns {Promise<boolean>} False if the user cancelled the prompt.
+ */
+async function applySuggestionButtonTargets(button, { isArea = false, singleTarget = false, actionName = 'This action', isAutopilot = false } = {}) {
+    const tokens = (button.attr('data-target-token-ids') || '').split(',').filter(Boolean)
+        .map(id => canvas.tokens?.get(id))
+        .filter(token => token?.actor && !token.actor.isDefeated);
+    if (tokens.length > 0) setUserTargets(singleTarget ? tokens.slice(0, 1) : tokens);
+
+    const affectsArea = isArea || button.attr('data-targets-area') === 'true';
+    if (singleTarget || !affectsArea || tokens.length > 1 || isAutopilot) return true;
+    const currentTargets = [...game.user.targets].map(token => token.name).join(', ') || 'None';
+    const confirmed = await Dialog.confirm({
+        title: `Targets for ${actionName}`,
+        content: `<p>${actionName} affects an area. Target every creature in it, then click <strong>Yes</strong> to continue.</p><p><strong>Suggested targets:</strong> ${currentTargets}</p>`,
+        defaultYes: true
+    });
+    return !!confirmed;
+}
+
+/**
+ * Places the MeasuredTemplate the area optimizer chose for a Cast button.
+ * @param {jQuery} button - Cast button with data-template-* attributes.
+ * @param {ItemPF2e} spell - The spell being cast.
+ * @returns {Promise<MeasuredTemplateDocument|null>} The placed template.
+ */
+async function placeSuggestedTemplate(button, spell) {
+    const areaType = button.attr('data-template-type');
+    const templateShapes = { burst: 'circle', emanation: 'circle', cone: 'cone', line: 'ray' };
+    if (!templateShapes[areaType] || !canvas?.scene) return null;
+    const [template] = await canvas.scene.createEmbeddedDocuments('MeasuredTemplate', [{
+        t: templateShapes[areaType],
+        x: Number(button.attr('data-template-x')),
+        y: Number(button.attr('data-template-y')),
+        distance: Number(button.attr('data-template-distance')),
+        direction: Number(button.attr('data-template-direction')) || 0,
+        angle: areaType === 'cone' ? 90 : 0,
+        width: areaType === 'line' ? canvas.scene.grid.distance : 0,
+        flags: { pf2e: { areaShape: areaType, origin: { type: 'spell', uuid: spell.uuid, name: spell.name, slug: spell.slug, traits: spell.system?.traits?.value ?? [] } } }
+    }]);
+    return template ?? null;
+}
+
+async function _onCastSpellClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content'); // Keep reference for inputs
+    const spellId = button.data('spellId');
+    const entryId = button.data('entryId');
+    const combatantId = button.data('combatantId');
+    const spellUUID = button.data('spellUuid');
+    const requestedRankStr = button.data('spellRank'); // Get rank from button
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Cast Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Cast Error: Combatant or Actor not found."); return; }
+
+    // --- Critical Check: Is it still this combatant's turn? ---
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Not ${combatant.name}'s turn! Cannot cast spell.`);
+        // Do not disable buttons here, just prevent action
+        return;
+    }
+
+    // --- GM Only Check ---
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can execute Cast actions from suggestions currently.");
+        return;
+    }
+
+    let spellToCast = null;
+    let spellcastingEntry = null;
+    let isItemGrantedSpell = false;
+
+    // --- Identify the Spell and Entry ---
+    // Priority 1: Spell ID and Entry ID (Standard spells from spellbook)
+    if (entryId && spellId) {
+        spellcastingEntry = actor.spellcasting?.get(entryId);
+        if (!spellcastingEntry) {
+            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Spellcasting entry '${entryId}' not found on ${actor.name}.`);
+            return;
+        }
+        spellToCast = spellcastingEntry.spells?.get(spellId);
+        if (!spellToCast) {
+            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Spell '${spellId}' not found in entry '${entryId}'.`);
+            return;
+        }
+        isItemGrantedSpell = false; // Explicitly false for spellbook spells
+        // console.log(`PF2e AI Combat Assistant: Identified spellbook spell '${spellToCast.name}' from entry '${spellcastingEntry.name}'.`); // DEBUG
+    }
+    // Priority 2: Item Spell UUID (Fallback if no entry/spell ID)
+    else if (spellUUID) {
+        try {
+            spellToCast = await fromUuid(spellUUID);
+            if (!spellToCast || spellToCast.type !== 'spell') {
+                ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Could not resolve UUID '${spellUUID}' or it is not a spell.`);
+                return;
+            }
+            // Find *any* suitable spellcasting entry to use for the cast method
+            // This is imperfect, might need refinement based on how PF2e handles item casts
+            spellcastingEntry = actor.spellcasting?.find(e => e.canCast(spellToCast, { origin: actor })) // Check if entry *could* cast it
+                || actor.spellcasting?.[0]; // Fallback to first entry
+            if (!spellcastingEntry) {
+                ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Cannot cast item spell '${spellToCast.name}' - no suitable spellcasting entry found on ${actor.name}.`);
+                return;
+            }
+            isItemGrantedSpell = true;
             // console.log(`PF2e AI Combat Assistant: Identified item spell '${spellToCast.name}' via UUID, using entry '${spellcastingEntry.name}' for casting method.`); // DEBUG
         } catch (uuidError) {
             ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Error resolving item spell UUID '${spellUUID}': ${uuidError.message}`);
             return;
         }
     }
-    // Error if neither method worked
-    else {
-        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Missing data (UUID or EntryID/SpellID) to identify spell.`);
+    // Error if neither method worked
+    else {
+        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Missing data (UUID or EntryID/SpellID) to identify spell.`);
+        return;
+    }
+
+    // --- Determine Slot/Resource for Casting ---
+    let targetSlotRank = null;
+    let targetSlotIndex = null; // Only relevant for prepared slots
+    const maxSpellRank = CONFIG.PF2E?.spellLevels ?? 10;
+    const baseSpellRank = spellToCast.rank;
+    let requestedRank = parseInt(requestedRankStr, 10);
+    if (isNaN(requestedRank) || requestedRank < baseSpellRank) {
+        // console.warn(`PF2e AI Combat Assistant Cast: Invalid requested rank '${requestedRankStr}' for spell '${spellToCast.name}' (Base Rank: ${baseSpellRank}). Falling back to default slot finding.`); // DEBUG
+        requestedRank = null; // Invalidate if not a number or below base rank
+    }
+
+    if (isItemGrantedSpell) {
+        // For item spells, assume it's cast at its base rank unless overwritten? PF2e might handle this internally.
+        targetSlotRank = baseSpellRank;
+        targetSlotIndex = null; // Not applicable
+    } else if (spellcastingEntry) {
+        if (spellToCast.isCantrip) {
+            targetSlotRank = baseSpellRank;
+            targetSlotIndex = null;
+        } else if (spellToCast.isFocusSpell) {
+            if (actor.system.resources?.focus?.value > 0) {
+                targetSlotRank = baseSpellRank; // Focus spells cast at base rank
+                targetSlotIndex = null;
+            }
+        } else if (spellcastingEntry.isPrepared) {
+            // --- Prepared Casting ---
+            let foundRequestedRank = false;
+            // console.log(`PF2e AI Combat Assistant Cast (Prepared): Requested Rank = ${requestedRank}, Spell ID = ${spellId}`); // DEBUG
+            if (requestedRank !== null) {
+                // 1. Check if the SPECIFIC requested rank has an available prepared slot
+                const slotKey = `slot${requestedRank}`;
+                const slotData = spellcastingEntry.system.slots?.[slotKey];
+                console.log(`   Checking Rank ${requestedRank} (Slot Key: ${slotKey}). Slot Data:`, slotData);
+                if (slotData?.prepared) {
+                    const foundIndex = slotData.prepared.findIndex((prep, idx) => {
+                        const isMatch = prep?.id === spellId && !prep?.expended;
+                        // console.log(`      Rank ${requestedRank} Slot ${idx}: Prep ID=${prep?.id}, Target ID=${spellId}, Expended=${prep?.expended}, Match=${isMatch}`); // DEBUG
+                        return isMatch;
+                    });
+                    console.log(`      Found Index for Spell ID ${spellId} at Rank ${requestedRank}: ${foundIndex}`);
+                    if (foundIndex !== -1) {
+                        targetSlotRank = requestedRank;
+                        targetSlotIndex = foundIndex;
+                        foundRequestedRank = true;
+                        console.log(`   SUCCESS: Using requested prepared rank ${targetSlotRank}, Slot Index ${targetSlotIndex} for '${spellToCast.name}'.`);
+                    } else {
+                        console.log(`      Spell ID ${spellId} not found or expended in Rank ${requestedRank} prepared slots.`);
+                    }
+                } else {
+                    console.log(`      No prepared slots found for Rank ${requestedRank}.`);
+                }
+                if (!foundRequestedRank) {
+                     console.warn(`   WARN: Requested prepared rank ${requestedRank} for '${spellToCast.name}' not available/prepared. Falling back.`);
+                }
+            }
+
+            // 2. Fallback: Find highest available prepared slot if requested rank failed
+            // 2. Fallback: Find highest available prepared slot if requested rank failed
+            if (!foundRequestedRank) {
+                console.log(`   FALLBACK: Searching for highest available prepared rank for Spell ID ${spellId}...`);
+                let highestAvailablePreparedRank = -1;
+                let highestFoundIndex = -1; // Store the index for the highest rank found
+                for (let rank = maxSpellRank; rank >= baseSpellRank; rank--) {
+                    const slotKey = `slot${rank}`;
+                    const slotData = spellcastingEntry.system.slots?.[slotKey];
+                    // console.log(`      Fallback Check Rank ${rank} (Slot Key: ${slotKey}). Slot Data:`, slotData); // Verbose
+                    if (!slotData?.prepared) continue;
+                    const foundIndex = slotData.prepared.findIndex((prep, idx) => {
+                         const isMatch = prep?.id === spellId && !prep?.expended;
+                         // console.log(`         Fallback Rank ${rank} Slot ${idx}: Prep ID=${prep?.id}, Target ID=${spellId}, Expended=${prep?.expended}, Match=${isMatch}`); // DEBUG
+                         return isMatch;
+                    });
+                    // console.log(`         Found Index at Rank ${rank}: ${foundIndex}`); // Verbose
+                    if (foundIndex !== -1) {
+                        // Found an available slot for this spell at this rank
+                        if (rank > highestAvailablePreparedRank) {
+                            // If this rank is higher than any previously found, update tracking
+                            highestAvailablePreparedRank = rank;
+                            highestFoundIndex = foundIndex; // *** Assign the index found for this rank ***
+                            console.log(`         Found higher available rank: ${rank}, Index: ${foundIndex}`);
+                        }
+                        // We keep checking lower ranks in case the user *wants* a lower rank,
+                        // but the fallback prioritizes the *highest* available.
+                    }
+                }
+                // Assign the highest found rank and its index *after* checking all ranks
+                if (highestAvailablePreparedRank !== -1) {
+                    targetSlotRank = highestAvailablePreparedRank;
+                    targetSlotIndex = highestFoundIndex; // Use the index found for the highest rank
+                    console.log(`   FALLBACK SUCCESS: Using highest available prepared rank ${targetSlotRank}, Slot Index ${targetSlotIndex} for '${spellToCast.name}'.`);
+                } else {
+                    console.warn(`   FALLBACK FAILED: No available prepared slot found for Spell ID ${spellId} at any rank.`);
+                }
+            }
+        } else if (spellcastingEntry.isSpontaneous || spellcastingEntry.isFlexible) {
+            // --- Spontaneous/Flexible Casting ---
+            let foundRequestedRank = false;
+            if (requestedRank !== null) {
+                 // 1. Check if the SPECIFIC requested rank has available slots
+                 const slotKey = `slot${requestedRank}`;
+                 const slotData = spellcastingEntry.system.slots?.[slotKey];
+                 if (slotData && slotData.value > (slotData.expended ?? 0)) {
+                     targetSlotRank = requestedRank;
+                     targetSlotIndex = null; // No specific slot index
+                     foundRequestedRank = true;
+                     // console.log(`PF2e AI Combat Assistant Cast: Using requested spontaneous rank ${targetSlotRank} for '${spellToCast.name}'.`); // DEBUG
+                 } else {
+                     // console.warn(`PF2e AI Combat Assistant Cast: Requested spontaneous rank ${requestedRank} for '${spellToCast.name}' has no slots available. Falling back.`); // DEBUG
+                 }
+            }
+
+            // 2. Fallback: Find lowest available slot if requested rank failed
+            if (!foundRequestedRank) {
+                for (let rank = baseSpellRank; rank <= maxSpellRank; rank++) {
+                    const slotKey = `slot${rank}`;
+                    const slotData = spellcastingEntry.system.slots?.[slotKey];
+                    if (slotData && slotData.value > (slotData.expended ?? 0)) {
+                        targetSlotRank = rank;
+                        targetSlotIndex = null;
+                        // console.log(`PF2e AI Combat Assistant Cast: Fallback - Using lowest available spontaneous rank ${targetSlotRank} for '${spellToCast.name}'.`); // DEBUG
+                        break; // Use the lowest available
+                    }
+                }
+            }
+        }
+        // If no resource found after checking types
+        if (targetSlotRank === null && !spellToCast.isCantrip) {
+            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: No available slot/resource found for '${spellToCast.name}' in entry '${spellcastingEntry.name}'.`);
+            return;
+        }
+    } else {
+        // Should not happen if spell/entry identification worked
+        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Could not determine casting resource for '${spellToCast.name}'.`);
+        return;
+    }
+
+    // --- Target the suggested creatures so attack rolls and saves resolve against them ---
+    const hasSuggestedTemplate = !!button.attr('data-template-type');
+    if (!(await applySuggestionButtonTargets(button, { isArea: !hasSuggestedTemplate && !!spellToCast.system?.area, actionName: spellToCast.name, isAutopilot: !!event.isAutopilot }))) return;
+    if (hasSuggestedTemplate) {
+        try {
+            await placeSuggestedTemplate(button, spellToCast);
+        } catch (templateError) {
+            console.warn(`PF2e AI Combat Assistant | Could not place the template for '${spellToCast.name}':`, templateError);
+        }
+    }
+
+    // --- Execute the Cast ---
+    const originalButtonContent = button.html();
+    button.html('<i class="fas fa-spinner fa-spin"></i> Casting...');
+
+    try {
+        const castRank = targetSlotRank; // The rank determined above
+
+        // --- DETAILED LOGGING ---
+        console.groupCollapsed(`PF2e AI Combat Assistant | Attempting Spell Cast: ${spellToCast.name}`);
+        console.log(`Spell:`, spellToCast);
+        console.log(`Actor:`, actor);
+        console.log(`Spellcasting Entry:`, spellcastingEntry);
+        console.log(`Is Item Spell:`, isItemGrantedSpell);
+        console.log(`Requested Rank (from button):`, requestedRank);
+        console.log(`Base Spell Rank:`, baseSpellRank);
+        console.log(`Determined Target Rank:`, targetSlotRank);
+        console.log(`Determined Target Slot Index (Prepared Only):`, targetSlotIndex);
+        console.groupEnd();
+        // --- END LOGGING ---
+
+        if (targetSlotRank === null) {
+             throw new Error(`Could not determine a valid rank to cast the spell at.`);
+        }
+
+        // console.log(`PF2e AI Combat Assistant | GM executing cast: ${spellToCast.name} from ${isItemGrantedSpell ? 'item' : 'entry ' + spellcastingEntry.name} at rank ${castRank} (Slot Index: ${targetSlotIndex})...`); // DEBUG
+
+        // Use the spellcasting entry's cast method
+        await spellcastingEntry.cast(spellToCast, { rank: castRank, slotId: targetSlotIndex });
+
+        // *** APPLY COOLDOWN EFFECT ON SUCCESS ***
+        await applyCooldownEffect(actor, spellToCast);
+        // *** END COOLDOWN EFFECT ***
+
+        // Success! Keep button disabled as the action was taken.
+        button.html(originalButtonContent); // Optionally reset appearance
+        // console.log(`PF2e AI Combat Assistant | Cast successful via spellcasting entry method.`); // DEBUG
+        return true; // Lets Autopilot know the cast went through
+
+    } catch (castError) {
+        console.error(`PF2e AI Combat Assistant | Error casting spell '${spellToCast.name}':`, castError);
+        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: ${castError.message || 'Could not cast spell.'}`);
+        // Re-enable buttons on failure
+        button.html(originalButtonContent);
+    }
+}
+
+async function _onExecuteStrikeClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const suggestionCard = button.closest('.message-content');
+    const strikeIdentifier = button.data('strikeIdentifier'); // Can be slug or label
+    const originatingItemId = button.data('originatingItemId'); // <<< NEW: Get originating item ID
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Strike Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Strike Error: Attacker Combatant or Actor not found."); return; }
+
+    // --- Critical Check: Is it still this combatant's turn? ---
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Not ${combatant.name}'s turn! Cannot execute strike.`);
+        return;
+    }
+
+    // --- GM Only Check ---
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can execute Strike actions from suggestions currently.");
+        return;
+    }
+
+    if (!strikeIdentifier) {
+        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Missing strike identifier on button.`);
+        return;
+    }
+
+    // --- Find the Strike Action ---
+    // Use the actor's current actions for reliability
+    const strikeActions = actor.system.actions?.filter(a => a.type === 'strike');
+    const strikeAction = strikeActions?.find(action =>
+        action.slug === strikeIdentifier || action.label === strikeIdentifier || action.name === strikeIdentifier
+    );
+
+    if (!strikeAction) {
+        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Could not find strike action matching identifier "${strikeIdentifier}" on ${actor.name}. Check if the action exists or if the identifier is correct.`);
+        return;
+    }
+    // Check if the strike has rollable variants (basic requirement)
+    if (typeof strikeAction.variants?.[0]?.roll !== 'function') {
+        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Strike action "${strikeAction.label || strikeAction.name}" found, but no rollable variant[0].`);
+        return;
+    }
+
+    // --- Determine which MAP variant to use ---
+    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+    const currentMAP = currentTurnState?.currentMAP ?? 0; // Default to 0 if state missing
+    let variantIndex = 0; // Default to first variant (MAP 0)
+    // Note: PF2e system stores MAP penalties as 0, 5/4, 10/8 internally usually
+    if (currentMAP === 5 || currentMAP === 4) { // Second attack penalty
+        variantIndex = 1;
+    } else if (currentMAP === 10 || currentMAP === 8) { // Third attack penalty
+        variantIndex = 2;
+    }
+    // Ensure the selected variant exists
+    if (!strikeAction.variants[variantIndex]) {
+        // console.warn(`PF2e AI Combat Assistant: Strike "${strikeAction.label}" - MAP is ${currentMAP}, calculated variant index ${variantIndex}, but variant doesn't exist. Falling back to last available variant.`); // DEBUG
+        variantIndex = strikeAction.variants.length - 1;
+        if (variantIndex < 0) {
+            ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Strike action "${strikeAction.label}" has no valid variants.`);
+            return;
+        }
+    }
+
+    // --- Target the suggested creature so the attack roll resolves against it ---
+    await applySuggestionButtonTargets(button, { singleTarget: true, isAutopilot: !!event.isAutopilot });
+
+    // --- Execute the Strike ---
+    const originalButtonContent = button.html();
+    button.html('<i class="fas fa-spinner fa-spin"></i> Rolling Strike...');
+
+    try {
+        const variantLabel = strikeAction.variants[variantIndex]?.label || `Variant ${variantIndex}`;
+        // console.log(`PF2e AI Combat Assistant | GM Rolling strike "${strikeAction.label || strikeAction.name}" using ${variantLabel} (MAP ${currentMAP})...`); // DEBUG
+
+        // Roll the selected variant
+        // Use a simplified event object focusing on shiftKey for MAP selection
+        const fakeEvent = { shiftKey: variantIndex > 0, ctrlKey: false, metaKey: false, type: 'click' };
+        await strikeAction.variants[variantIndex].roll({ event: fakeEvent });
+
+        // console.log(`PF2e AI Combat Assistant | Strike roll initiated.`); // DEBUG
+
+        // *** APPLY COOLDOWN EFFECT IF ORIGINATING ITEM ID EXISTS ***
+        if (originatingItemId) {
+            const originatingItem = actor.items.get(originatingItemId);
+            if (originatingItem) {
+                // console.log(`AI _onExecuteStrikeClick: Found originating item "${originatingItem.name}" (ID: ${originatingItemId}). Applying cooldown.`); // DEBUG
+                await applyCooldownEffect(actor, originatingItem);
+            } else {
+                console.warn(`AI _onExecuteStrikeClick: Could not find originating item with ID "${originatingItemId}" on actor ${actor.name} to apply cooldown.`);
+            }
+        } else {
+            // console.log(`AI _onExecuteStrikeClick: No originating item ID provided for strike "${strikeIdentifier}". No cooldown applied.`); // DEBUG
+        }
+        // *** END COOLDOWN EFFECT ***
+
+        button.html(originalButtonContent); // Reset appearance
+        return true; // Lets Autopilot know the strike was rolled
+
+    } catch (strikeError) {
+        console.error(`PF2e AI Combat Assistant | Error rolling strike '${strikeAction.label || strikeAction.name}':`, strikeError);
+        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: ${strikeError.message || 'Could not roll strike.'}`);
+        // Re-enable buttons on failure
+        button.html(originalButtonContent);
+    }
+}
+
+/**
+ * Moves the combatant's token along the path the movement planner found for a Stride or Step suggestion.
+ * Uses the core waypoint movement where the Foundry version has it, otherwise steps the token square by square.
+ * @param {Event} event - Click on the Move button.
+ * @returns {Promise<boolean|undefined>} True once the token has moved.
+ */
+async function _onMoveTokenAlongPathClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Move Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const tokenDocument = combatant?.token;
+    if (!tokenDocument) { ui.notifications.error("PF2e AI Combat Assistant Move Error: Combatant token not found."); return; }
+
+    if (combat.combatant?.id !== combatantId) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: Not ${combatant.name}'s turn! Cannot move the token.`);
+        return;
+    }
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can move tokens from suggestions currently.");
+        return;
+    }
+
+    let waypoints = [];
+    try {
+        waypoints = JSON.parse(decodeURIComponent(button.attr('data-path') || '[]'));
+    } catch (parseError) {
+        console.error("PF2e AI Combat Assistant | Could not read the movement path from the Move button:", parseError);
+    }
+    if (!Array.isArray(waypoints) || waypoints.length === 0) {
+        ui.notifications.error("PF2e AI Combat Assistant Move Error: The suggestion has no usable path.");
+        return;
+    }
+
+    const originalButtonContent = button.html();
+    button.html('<i class="fas fa-spinner fa-spin"></i> Moving...');
+    try {
+        if (typeof tokenDocument.move === 'function') {
+            await tokenDocument.move(waypoints.map(point => ({ x: point.x, y: point.y })));
+        } else {
+            // Older cores: one update per waypoint, with time for each leg to animate
+            for (const point of waypoints) {
+                await tokenDocument.update({ x: point.x, y: point.y });
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+        }
+        button.html('<i class="fas fa-check"></i> Moved').prop('disabled', true);
+        return true; // Lets Autopilot know the token moved
+    } catch (moveError) {
+        console.error(`PF2e AI Combat Assistant | Error moving ${combatant.name} along the suggested path:`, moveError);
+        ui.notifications.error(`PF2e AI Combat Assistant Move Error: ${moveError.message || 'Could not move the token.'}`);
+        button.html(originalButtonContent);
+    }
+}
+
+// ============================================================================
+// AUTOPILOT
+// ============================================================================
+
+/** Time to wait for further chat messages after the last one an executed action produced. */
+const AUTOPILOT_SETTLE_MS = 1500;
+/** Longest time to wait for an executed action's chat messages. */
+const AUTOPILOT_RESULT_TIMEOUT_MS = 15000;
+
+/**
+ * Whether Autopilot runs this actor's AI turns. Only NPCs can opt in, and only the active GM runs it.
+ * @param {ActorPF2e} actor - The combatant's actor.
+ * @returns {boolean}
+ */
+function isAutopilotEnabled(actor) {
+    if (actor?.type !== 'npc' || !actor.getFlag(MODULE_ID, FLAGS.AUTOPILOT)) return false;
+    return game.user.isGM && (!game.users.activeGM || game.users.activeGM.id === game.user.id);
+}
+
+/**
+ * Finds a button on a chat card, preferring the rendered card so its listeners and state are used.
+ * Falls back to a detached copy of the card if the chat log hasn't rendered it.
+ * @param {ChatMessage} message - The chat card.
+ * @param {string} selector - Button selector.
+ * @returns {jQuery} The button (empty if the card has none).
+ */
+function findAutopilotButton(message, selector) {
+    const rendered = $(`.chat-message[data-message-id="${message.id}"]`).find(selector).first();
+    if (rendered.length > 0) return rendered;
+    const detached = $(`<li class="chat-message" data-message-id="${message.id}"><div class="message-content">${message.content}</div></li>`);
+    return detached.find(selector).first();
+}
+
+/**
+ * Runs a chat button's click handler as if the GM had clicked it.
+ * The event carries `isAutopilot` so handlers skip prompts that would wait for the GM.
+ * @param {ChatMessage} message - The chat card.
+ * @param {string} selector - Button selector.
+ * @param {Function} handler - The button's click handler.
+ * @returns {Promise<*>} The handler's result, or undefined if the card has no such button.
+ */
+async function clickAutopilotButton(message, selector, handler) {
+    const button = findAutopilotButton(message, selector);
+    if (button.length === 0) return undefined;
+    return handler({ preventDefault: () => { }, currentTarget: button[0], isAutopilot: true });
+}
+
+/**
+ * Collects the PF2e chat messages (attack, damage, spell and item cards) the combatant posts
+ * from now on, until none has arrived for AUTOPILOT_SETTLE_MS or AUTOPILOT_RESULT_TIMEOUT_MS has passed.
+ * Call it before executing the action so no message is missed.
+ * @param {Combatant} combatant - The acting combatant.
+ * @returns {Promise<ChatMessage[]>} The messages, oldest first.
+ */
+function waitForCombatantChatMessages(combatant) {
+    return new Promise(resolve => {
+        const messages = [];
+        let settleTimer = null;
+        let hookId = null;
+        const finish = () => {
+            Hooks.off('createChatMessage', hookId);
+            clearTimeout(settleTimer);
+            clearTimeout(timeoutTimer);
+            resolve(messages);
+        };
+        hookId = Hooks.on('createChatMessage', (message) => {
+            if (!message.flags?.pf2e || message.flags?.[MODULE_ID]) return; // Only the system's own cards
+            const speakerToken = ChatMessage.getSpeakerToken(message.speaker);
+            const isCombatant = message.speaker?.actor === combatant.actorId || (!!speakerToken?.id && speakerToken.id === combatant.tokenId);
+            if (!isCombatant) return;
+            messages.push(message);
+            clearTimeout(settleTimer);
+            settleTimer = setTimeout(finish, AUTOPILOT_SETTLE_MS);
+        });
+        const timeoutTimer = setTimeout(finish, AUTOPILOT_RESULT_TIMEOUT_MS);
+    });
+}
+
+/**
+ * Checks a suggestion against the configured pause points.
+ * @param {object} identifyResult - Result of identifySuggestionTypeAndCost.
+ * @param {boolean} [hasMovementPath=false] - Whether the card has a planned path to move the token along.
+ * @returns {Promise<string|null>} Why the GM should take this action, or null to carry on.
+ */
+async function getAutopilotPauseReason(identifyResult, hasMovementPath = false) {
+    let pauseSpellRank = 0;
+    let pauseOnIncapacitation = true;
+    try {
+        pauseSpellRank = Number(game.settings.get(MODULE_ID, 'autopilotPauseSpellRank')) || 0;
+        pauseOnIncapacitation = game.settings.get(MODULE_ID, 'autopilotPauseOnIncapacitation');
+    } catch (e) { /* Settings not registered yet, use defaults */ }
+
+    const traits = identifyResult.traits || [];
+    if (pauseOnIncapacitation && traits.includes('incapacitation')) return 'incapacitation effect';
+    if (identifyResult.isSpellSuggestion && pauseSpellRank > 0) {
+        const spellRank = Number(identifyResult.spellRankForButton) || (await fromUuid(identifyResult.spellLinkUUID).catch(() => null))?.rank || 0;
+        if (spellRank >= pauseSpellRank) return `rank ${spellRank} spell`;
+    }
+    if (identifyResult.isCombo) return 'several actions combined';
+    if (traits.includes('move') && !hasMovementPath) return 'the token has to be moved';
+    return null;
+}
+
+/**
+ * Uses a consumable or an action/feat for Autopilot. Actions the actor doesn't own as an item
+ * (e.g. Demoralize) go through the PF2e system's action macros when it has one.
+ * @param {ActorPF2e} actor - The acting actor.
+ * @param {object} identifyResult - Result of identifySuggestionTypeAndCost.
+ * @returns {Promise<boolean>} Whether the item or action was used.
+ */
+async function executeAutopilotItem(actor, identifyResult) {
+    if (identifyResult.isConsumableSuggestion) {
+        const consumable = await fromUuid(identifyResult.consumableItemUUID).catch(() => null);
+        if (consumable?.actor?.id !== actor.id || typeof consumable.consume !== 'function') return false;
+        await consumable.consume();
+        return true;
+    }
+
+    const actionItem = identifyResult.actionUUIDForLink ? await fromUuid(identifyResult.actionUUIDForLink).catch(() => null) : null;
+    if (actionItem?.actor?.id === actor.id && typeof actionItem.toMessage === 'function') {
+        await actionItem.toMessage(undefined, { create: true });
+        await applyCooldownEffect(actor, actionItem);
+        return true;
+    }
+    const slug = actionItem?.slug || identifyResult.actionNameForLink?.slugify?.();
+    const systemAction = slug ? game.pf2e?.actions?.get?.(slug) : null;
+    if (typeof systemAction?.use === 'function') {
+        await systemAction.use({ actors: [actor] });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Rolls damage for a Strike Autopilot just made, if the attack hit.
+ * @param {Combatant} combatant - The attacking combatant.
+ * @param {string} strikeIdentifier - Strike slug or label from the Strike button.
+ * @param {ChatMessage[]} attackMessages - Messages the attack produced.
+ * @returns {Promise<void>} Resolves once the damage roll is in chat.
+ */
+async function rollAutopilotStrikeDamage(combatant, strikeIdentifier, attackMessages) {
+    const outcome = attackMessages.map(message => message.flags?.pf2e?.context).find(context => context?.type === 'attack-roll')?.outcome;
+    if (outcome !== 'success' && outcome !== 'criticalSuccess') return;
+    const strikeAction = combatant.actor.system.actions?.find(action => action.type === 'strike' &&
+        (action.slug === strikeIdentifier || action.label === strikeIdentifier || action.name === strikeIdentifier));
+    const rollDamage = outcome === 'criticalSuccess' ? strikeAction?.critical : strikeAction?.damage;
+    if (typeof rollDamage !== 'function') return;
+
+    const damageMessages = waitForCombatantChatMessages(combatant);
+    await rollDamage({ event: { shiftKey: false, ctrlKey: false, metaKey: false, type: 'click' } });
+    await damageMessages;
+}
+
+/**
+ * Hands the current suggestion back to the GM. The suggestion card stays usable, and Autopilot
+ * picks up again with the next suggestion once the GM confirms or skips it.
+ * @param {Combatant} combatant - The acting combatant.
+ * @param {string} reason - Short reason shown to the GM.
+ */
+async function pauseAutopilot(combatant, reason) {
+    ui.notifications.info(`PF2e AI Combat Assistant: Autopilot paused for ${combatant.name} (${reason}).`);
+    await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor.prototypeToken }),
+        content: `<i>Autopilot paused (${reason}). Carry out the suggestion and click <strong>Confirm</strong>, or <strong>Skip</strong> it. Autopilot resumes with the next suggestion.</i>`,
+        whisper: ChatMessage.getWhisperRecipients("GM")
+    });
+}
+
+/**
+ * Carries out a suggestion card for an Autopilot actor: executes the Strike, spell, consumable or
+ * action, waits for its chat messages, then confirms it. Confirming requests the next suggestion,
+ * which runs this again until the actions are used up.
+ * Targets are already set from the suggestion's [ID: tokenId] when the card is posted.
+ * @param {ChatMessage} message - The suggestion card.
+ * @param {Combatant} combatant - The acting combatant.
+ * @param {object} identifyResult - Result of identifySuggestionTypeAndCost for the suggestion.
+ */
+async function runAutopilotStep(message, combatant, identifyResult) {
+    const actor = combatant.actor;
+    const isStillActive = () => game.combat?.combatant?.id === combatant.id && !!actor.getFlag(MODULE_ID, FLAGS.IS_PROCESSING);
+    await new Promise(resolve => setTimeout(resolve, 500)); // Let the card render so its buttons are used
+    if (!isStillActive()) return;
+
+    const moveButton = findAutopilotButton(message, 'button.ai-move-token');
+    const pauseReason = await getAutopilotPauseReason(identifyResult, moveButton.length > 0);
+    if (pauseReason) return pauseAutopilot(combatant, pauseReason);
+
+    // A Stride or Step with a planned path: move the token, then confirm
+    if (moveButton.length > 0) {
+        let moved = false;
+        try {
+            moved = await clickAutopilotButton(message, 'button.ai-move-token', _onMoveTokenAlongPathClick);
+        } catch (error) {
+            console.error(`PF2e AI Combat Assistant | Autopilot could not move ${combatant.name}:`, error);
+        }
+        if (!moved) return pauseAutopilot(combatant, 'the token has to be moved');
+        if (!isStillActive()) return;
+        return clickAutopilotButton(message, 'button.ai-confirm-action', _onConfirmActionClick);
+    }
+
+    const strikeButton = findAutopilotButton(message, 'button.ai-execute-strike');
+    const resultMessages = waitForCombatantChatMessages(combatant);
+    let executed = false;
+    try {
+        if (identifyResult.isSpellSuggestion) {
+            executed = await clickAutopilotButton(message, 'button.ai-cast-spell', _onCastSpellClick);
+        } else if (identifyResult.isConsumableSuggestion || identifyResult.isGenericActionSuggestion) {
+            executed = await executeAutopilotItem(actor, identifyResult);
+            // Actions that include a Strike (e.g. Power Attack) get a Strike Component button
+            if (executed && strikeButton.length > 0) executed = await clickAutopilotButton(message, 'button.ai-execute-strike', _onExecuteStrikeClick);
+        } else if (strikeButton.length > 0) {
+            executed = await clickAutopilotButton(message, 'button.ai-execute-strike', _onExecuteStrikeClick);
+        }
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Autopilot could not execute the suggestion for ${combatant.name}:`, error);
+        executed = false;
+    }
+    if (!executed) return pauseAutopilot(combatant, "couldn't be carried out automatically");
+
+    const messages = await resultMessages;
+    if (strikeButton.length > 0) await rollAutopilotStrikeDamage(combatant, strikeButton.data('strikeIdentifier'), messages);
+
+    if (!isStillActive()) return;
+    await clickAutopilotButton(message, 'button.ai-confirm-action', _onConfirmActionClick);
+}
+
+// ============================================================================
+// ENEMY BLOCK
+// ============================================================================
+
+/**
+ * The block of consecutive AI turns being planned or run on this client (the active GM), or null.
+ * `plans` maps combatant IDs to the turn plan shown in the preview (null if none could be made).
+ * @type {{id: string, combatId: string, round: number, combatantIds: string[], lastTurn: number, plans: object, approved: boolean, offerMessageId: string|null}|null}
+ */
+let activeEnemyBlock = null;
+
+/**
+ * The enemy NPCs acting back to back from the current turn, up to the first player-owned or
+ * Friendly-designated combatant or the end of the round, so a block never mixes sides and one
+ * side's plans are never shown alongside the other's. Undesignated combatants count as enemies.
+ * Defeated combatants in between are passed over.
+ * @param {Combat} combat - The combat.
+ * @returns {Combatant[]}
+ */
+function findEnemyBlock(combat) {
+    if (!combat?.turns || !Number.isInteger(combat.turn)) return [];
+    const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+    const block = [];
+    for (const combatant of combat.turns.slice(combat.turn)) {
+        if (block.length > 0 && (combatant.defeated || combatant.actor?.isDefeated)) continue;
+        if (!combatant.actor || combatant.actor.hasPlayerOwner || (designations[combatant.id] || 'enemy') !== 'enemy') break;
+        block.push(combatant);
+    }
+    return block;
+}
+
+/**
+ * Whether a combatant's turn is part of an approved enemy block, so it runs without clicks.
+ * @param {Combatant} combatant - The combatant.
+ * @returns {boolean}
+ */
+function isEnemyBlockRunning(combatant) {
+    const block = activeEnemyBlock;
+    return !!block?.approved && game.combat?.id === block.combatId && game.combat.round === block.round && block.combatantIds.includes(combatant?.id);
+}
+
+/**
+ * The plan shown in the block preview for a combatant in a running enemy block.
+ * @param {Combatant} combatant - The combatant.
+ * @returns {object|null} A parsed multi-action plan, or null.
+ */
+function getEnemyBlockPlan(combatant) {
+    return isEnemyBlockRunning(combatant) ? activeEnemyBlock.plans[combatant.id] ?? null : null;
+}
+
+/**
+ * Ends the enemy block and, if it was running, tells the GM why.
+ * @param {string} reason - E.g. "initiative reached Valeros".
+ */
+async function finishEnemyBlock(reason) {
+    const wasRunning = activeEnemyBlock?.approved;
+    activeEnemyBlock = null;
+    if (!wasRunning) return;
+    await ChatMessage.create({
+        content: `<i><i class="fas fa-users"></i> Enemy block finished: ${reason}.</i>`,
+        whisper: ChatMessage.getWhisperRecipients("GM")
+    });
+}
+
+/**
+ * Keeps a running enemy block in step with the turn that just started. The block ends at the first
+ * combatant outside it; defeated combatants between its members are passed over.
+ * @param {Combat} combat - The combat.
+ * @returns {Promise<boolean>} True if the turn was passed over and no offer should be made.
+ */
+async function checkEnemyBlockAtTurnStart(combat) {
+    const block = activeEnemyBlock;
+    if (!block) return false;
+    const current = combat.combatant;
+    if (isEnemyBlockRunning(current) && !current.actor?.hasPlayerOwner) return false;
+    const sameRound = block.approved && combat.id === block.combatId && combat.round === block.round;
+    if (sameRound && combat.turn < block.lastTurn && (current?.defeated || current?.actor?.isDefeated)) {
+        await combat.nextTurn();
+        return true;
+    }
+    await finishEnemyBlock(sameRound && current ? `initiative reached ${current.name}` : 'the round ended');
+    return false;
+}
+
+/**
+ * Passes the turn on once a creature in a running enemy block has finished.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant} combatant - The creature that finished its turn.
+ */
+async function advanceEnemyBlock(combat, combatant) {
+    await new Promise(resolve => setTimeout(resolve, 1000)); // Let the turn summary post first
+    if (combat.combatant?.id === combatant.id && isEnemyBlockRunning(combatant)) await combat.nextTurn();
+}
+
+/**
+ * Plans every turn in an enemy block, one creature after another. Each creature is told what the
+ * creatures before it in the block plan to do, so their turns fit together.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant[]} block - From findEnemyBlock.
+ * @returns {Promise<object>} Parsed plans keyed by combatant ID (null where none could be made).
+ */
+async function planEnemyBlock(combat, block) {
+    const { apiKey, endpoint, modelName, isConfigured } = getLLMConnectionSettings();
+    if (!isConfigured) throw new Error("LLM API Key, Endpoint, or Model Name not configured.");
+    const plans = {};
+    const plannedSummaries = [];
+    for (const combatant of block) {
+        const actor = combatant.actor;
+        const turnState = { ...calculateTurnActionBudget(actor), actionsTakenDescriptions: [], interimResults: [], currentMAP: 0, manualNotes: '' };
+        if (turnState.actionsRemaining <= 0) {
+            plans[combatant.id] = null;
+            continue;
+        }
+        const gameState = await gatherGameState(combatant, combat, turnState.actionsRemaining, actor);
+        const blockNotes = plannedSummaries.length > 0 ? `Creatures acting just before you this round plan to: ${plannedSummaries.join('; ')}.` : null;
+        const { prompt } = buildPromptWithinBudget(compaction =>
+            craftMultiActionPlanPrompt(combatant, gameState, turnState, null, blockNotes, [], compaction));
+        const planResponse = await callLLM(prompt, apiKey, endpoint, modelName, { logLabel: `enemy block plan: ${combatant.name}` });
+        const parsedPlan = planResponse ? parseMultiActionPlan(planResponse) : null;
+        if (parsedPlan && parsedPlan.plan.length > 0) {
+            parsedPlan.plan.sort((a, b) => a.sequence - b.sequence);
+            plans[combatant.id] = parsedPlan;
+            plannedSummaries.push(`${combatant.name}: ${parsedPlan.plan.map(step => `${step.action}${step.target && !/^(?:none|self)$/i.test(step.target) ? ` (${step.target})` : ''}`).join(', then ')}`);
+        } else {
+            console.warn(`PF2e AI Combat Assistant | Enemy block plan could not be parsed for ${combatant.name}. It will get suggestions turn by turn.`);
+            plans[combatant.id] = null;
+        }
+    }
+    return plans;
+}
+
+/**
+ * Whispers the GM a preview of every planned turn in the enemy block, with one button to run them all.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant[]} block - The creatures in the block.
+ * @param {object} plans - From planEnemyBlock.
+ * @param {string} blockId - ID of the block, checked when the preview is approved.
+ */
+async function postEnemyBlockPreview(combat, block, plans, blockId) {
+    const turnsHTML = block.map(combatant => {
+        const plan = plans[combatant.id];
+        if (!plan) return `<li style="margin-bottom: 3px;"><strong>${combatant.name}</strong> <i style="color: #666;">(no plan; suggestions are made during its turn)</i></li>`;
+        const stepsHTML = plan.plan.map(step => {
+            const stepSuggestion = plannedStepToSuggestion(step);
+            if (!stepSuggestion) return '';
+            const targetText = stepSuggestion.target ? stepSuggestion.target.replace(/ \[ID:\s*[^\]]+\]/ig, '') : 'None';
+            return `<li>${getActionIconHTML(stepSuggestion.cost, stepSuggestion.description)} ${stepSuggestion.description} <i>(Target: ${targetText})</i></li>`;
+        }).join('');
+        return `<li style="margin-bottom: 3px;"><strong>${combatant.name}</strong>${plan.overallStrategy ? ` - <i>${plan.overallStrategy}</i>` : ''}<ol style="margin: 2px 0; padding-left: 18px; font-size: 0.9em;">${stepsHTML}</ol></li>`;
+    }).join('');
+    const lastTurn = combat.turns.findIndex(turn => turn.id === block[block.length - 1].id);
+    const stopCombatant = combat.turns[lastTurn + 1];
+
+    const content = `
+        <div class="ai-enemy-block-preview" style="border: 1px solid #ccc; padding: 5px; margin-top: 5px;">
+            <strong><i class="fas fa-users"></i> Enemy Block: ${block.length} turns</strong>
+            <div style="font-size: 0.85em; color: #666;">Stops ${stopCombatant ? `before ${stopCombatant.name}'s turn` : 'at the end of the round'}. Each turn is executed and confirmed like Autopilot, then the turn is passed on.</div>
+            <ol style="margin: 5px 0; padding-left: 20px;">${turnsHTML}</ol>
+            <div class="ai-suggestion-buttons" style="margin-top: 5px;">
+                <button class="ai-approve-enemy-block" data-block-id="${blockId}" title="Run every turn in the block"><i class="fas fa-play"></i> Run All</button>
+                <button class="ai-cancel-enemy-block" data-block-id="${blockId}" title="Run the turns one at a time instead"><i class="fas fa-times"></i> Cancel</button>
+            </div>
+        </div>`;
+    await ChatMessage.create({ content: content, whisper: ChatMessage.getWhisperRecipients("GM") });
+}
+
+async function _onRunEnemyBlockClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const combat = game.combat;
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can run an enemy block.");
+        return;
+    }
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Enemy Block Error: No active combat."); return; }
+    const block = findEnemyBlock(combat);
+    if (block[0]?.id !== combatantId || block.length < 2) {
+        ui.notifications.warn("PF2e AI Combat Assistant: This turn no longer starts a block of AI turns.");
+        button.prop('disabled', true);
+        return;
+    }
+    if (activeEnemyBlock) {
+        ui.notifications.warn("PF2e AI Combat Assistant: An enemy block is already being planned or run.");
+        return;
+    }
+
+    const originalButtonContent = button.html();
+    button.prop('disabled', true).html('<i class="fas fa-spinner fa-spin"></i> Planning...');
+    const blockId = foundry.utils.randomID(8);
+    activeEnemyBlock = {
+        id: blockId,
+        combatId: combat.id,
+        round: combat.round,
+        combatantIds: block.map(combatant => combatant.id),
+        lastTurn: combat.turns.findIndex(turn => turn.id === block[block.length - 1].id),
+        plans: {},
+        approved: false,
+        offerMessageId: button.closest('.chat-message').data('messageId') ?? null
+    };
+    try {
+        const plans = await planEnemyBlock(combat, block);
+        if (activeEnemyBlock?.id !== blockId) return; // The turn moved on while planning
+        activeEnemyBlock.plans = plans;
+        await postEnemyBlockPreview(combat, block, plans, blockId);
+        button.html('<i class="fas fa-check"></i> Planned');
+    } catch (planError) {
+        console.error("PF2e AI Combat Assistant | Error planning the enemy block:", planError);
+        ui.notifications.error(`PF2e AI Combat Assistant Enemy Block Error: ${planError.message || 'Could not plan the turns.'}`);
+        if (activeEnemyBlock?.id === blockId) activeEnemyBlock = null;
+        button.prop('disabled', false).html(originalButtonContent);
+    }
+}
+
+async function _onApproveEnemyBlockClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const blockId = button.data('blockId');
+    const combat = game.combat;
+    const block = activeEnemyBlock;
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can run an enemy block.");
+        return;
+    }
+    button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
+    if (!combat || block?.id !== blockId || combat.id !== block.combatId || combat.combatant?.id !== block.combatantIds[0]) {
+        ui.notifications.warn("PF2e AI Combat Assistant: This enemy block is no longer current.");
+        return;
+    }
+
+    block.approved = true;
+    button.html('<i class="fas fa-check"></i> Running');
+    // The first creature's turn has already been offered: accept it, unless the GM already did
+    const combatant = combat.combatant;
+    const offerMessage = block.offerMessageId ? game.messages.get(block.offerMessageId) : null;
+    if (offerMessage && !combatant.actor?.getFlag(MODULE_ID, FLAGS.IS_PROCESSING)) {
+        await clickAutopilotButton(offerMessage, 'button.ai-accept-control', _onAcceptControlClick);
+    }
+}
+
+function _onCancelEnemyBlockClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    if (activeEnemyBlock?.id === button.data('blockId') && !activeEnemyBlock.approved) activeEnemyBlock = null;
+    button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
+    button.html('<i class="fas fa-check"></i> Cancelled');
+}
+
+// ============================================================================
+// REACTION ADVISOR
+// ============================================================================
+
+/**
+ * Last known top-left position of each token, so a move can be checked from the square it left.
+ * Keyed by token ID.
+ * @type {Map<string, {x: number, y: number}>}
+ */
+const lastKnownTokenPositions = new Map();
+
+/**
+ * Whether a combatant has spent its reaction. A reaction comes back at the start of the creature's own turn.
+ * @param {{round: number, turn: number}|null} usage - When the reaction was last used.
+ * @param {number} round - Current combat round.
+ * @param {number} turn - Current turn index.
+ * @param {number} ownTurn - The combatant's turn index.
+ * @returns {boolean}
+ */
+function isReactionSpent(usage, round, turn, ownTurn) {
+    if (!usage) return false;
+    const regainRound = usage.turn < ownTurn ? usage.round : usage.round + 1;
+    return round < regainRound || (round === regainRound && turn < ownTurn);
+}
+
+/**
+ * Whether a combatant still has its reaction this round.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant} combatant - The combatant.
+ * @returns {boolean}
+ */
+function hasReactionAvailable(combat, combatant) {
+    const usage = (combat.getFlag(MODULE_ID, FLAGS.REACTIONS_USED) || {})[combatant.id] ?? null;
+    const ownTurn = combat.turns.findIndex(turnCombatant => turnCombatant.id === combatant.id);
+    return !isReactionSpent(usage, combat.round, combat.turn ?? 0, ownTurn);
+}
+
+/**
+ * Records that a combatant used its reaction.
+ * @param {Combat} combat - The combat.
+ * @param {Combatant} combatant - The combatant.
+ * @param {string} reactionName - The reaction used.
+ */
+async function markReactionUsed(combat, combatant, reactionName) {
+    await combat.setFlag(MODULE_ID, FLAGS.REACTIONS_USED, {
+        [combatant.id]: { round: combat.round, turn: combat.turn ?? 0, reaction: reactionName }
+    });
+}
+
+/**
+ * Decides whether a triggered reaction is worth using.
+ * @param {object} reaction - From extractActorReactions.
+ * @param {object} trigger - What happened: { kind, outcome, attackTotal, targetAC }.
+ * @param {object} reactor - { hpPercent, shield } for the creature that would react.
+ * @returns {{usable: boolean, use: boolean, reason: string}}
+ */
+function recommendReaction(reaction, trigger, reactor) {
+    if (/shield block/i.test(reaction.name)) {
+        const shield = reactor.shield;
+        if (!shield || !shield.raised || shield.broken) return { usable: false, use: false, reason: 'Shield is not raised' };
+        const shieldHp = shield.hp?.value ?? 0;
+        if (shieldHp <= shield.hardness && reactor.hpPercent > 25) {
+            return { usable: true, use: false, reason: `Shield (${shieldHp} HP, Hardness ${shield.hardness}) would likely break` };
+        }
+        return { usable: true, use: true, reason: `Shield absorbs up to ${shield.hardness} damage` };
+    }
+    if (trigger.kind === 'attack' && reaction.acBonus > 0) {
+        if (trigger.attackTotal === null || trigger.targetAC === null) return { usable: true, use: true, reason: `+${reaction.acBonus} AC against the attack` };
+        if (trigger.outcome === 'criticalSuccess') {
+            return trigger.attackTotal < trigger.targetAC + 10 + reaction.acBonus
+                ? { usable: true, use: true, reason: `+${reaction.acBonus} AC turns the critical hit into a hit` }
+                : { usable: true, use: false, reason: 'Still a critical hit with the bonus' };
+        }
+        return trigger.attackTotal < trigger.targetAC + reaction.acBonus
+            ? { usable: true, use: true, reason: `+${reaction.acBonus} AC turns the hit into a miss` }
+            : { usable: true, use: false, reason: 'Still a hit with the bonus' };
+    }
+    if (reaction.isStrike) {
+        const disrupts = trigger.kind === 'manipulate' && /disrupt/i.test(reaction.description || '');
+        return { usable: true, use: true, reason: `Free Strike with no multiple attack penalty${disrupts ? '; a critical hit disrupts the action' : ''}` };
+    }
+    if (trigger.kind === 'allyAttacked') return { usable: true, use: true, reason: 'Protects the damaged ally' };
+    return { usable: true, use: true, reason: 'The trigger matches' };
+}
+
+/**
+ * Grid space of a token document in squares.
+ * @param {{x: number, y: number, width: number}} position - Token document or a stored position with width.
+ * @returns {{x: number, y: number, size: number}}
+ */
+function getTokenGridSpace(position) {
+    const gridSize = canvas.grid.size;
+    return { x: Math.round(position.x / gridSize), y: Math.round(position.y / gridSize), size: Math.max(1, Math.round(position.width || 1)) };
+}
+
+/**
+ * Reads the reaction triggers in a chat message: being hit, an ally being damaged, ranged attacks,
+ * and manipulate or concentrate actions and spells.
+ * @param {ChatMessage} message - A newly created chat message.
+ * @returns {object[]} Triggers as { kind, tokenDocument, description, ... }.
+ */
+function collectMessageReactionTriggers(message) {
+    const speaker = message.speaker || {};
+    const tokenDocument = speaker.token && speaker.scene === canvas.scene?.id ? canvas.scene.tokens.get(speaker.token) : null;
+    if (!tokenDocument) return [];
+    const context = message.flags?.pf2e?.context;
+    const item = message.item;
+    const name = tokenDocument.name;
+    const resolveToken = (uuid) => {
+        try {
+            const document = uuid ? fromUuidSync(uuid) : null;
+            return document?.documentName === 'Token' ? document : null;
+        } catch (e) {
+            return null;
+        }
+    };
+    const triggers = [];
+
+    if (context?.type === 'attack-roll' || context?.type === 'spell-attack-roll') {
+        const targetToken = resolveToken(context.target?.token);
+        const outcome = context.outcome ?? null;
+        if (targetToken && (outcome === 'success' || outcome === 'criticalSuccess')) {
+            const attackTotal = message.rolls?.[0]?.total ?? null;
+            const targetAC = targetToken.actor?.system?.attributes?.ac?.value ?? null;
+            triggers.push({
+                kind: 'attack', tokenDocument, targetTokenId: targetToken.id, outcome, attackTotal, targetAC,
+                description: `${name} ${outcome === 'criticalSuccess' ? 'critically hit' : 'hit'} ${targetToken.name}${attackTotal !== null && targetAC !== null ? ` (${attackTotal} vs AC ${targetAC})` : ''}`
+            });
+        }
+        const isRanged = item?.type === 'spell' ? !/touch/i.test(item.system?.range?.value || '') : !!item?.isRanged;
+        if (isRanged) triggers.push({ kind: 'ranged', tokenDocument, description: `${name} made a ranged attack` });
+    } else if (context?.type === 'damage-roll') {
+        const targetToken = resolveToken(context.target?.token);
+        if (targetToken) triggers.push({ kind: 'allyAttacked', tokenDocument, targetTokenId: targetToken.id, description: `${name} damaged ${targetToken.name}` });
+    } else if (!context?.type || ['spell-cast', 'skill-check'].includes(context.type)) {
+        const traits = new Set([...(item?.system?.traits?.value || []), ...(context?.traits || []).map(trait => trait?.name ?? trait)]);
+        const actionName = item?.name || context?.title || 'an action';
+        for (const kind of ['manipulate', 'concentrate']) {
+            if (traits.has(kind)) triggers.push({ kind, tokenDocument, description: `${name} used ${actionName} (${kind})` });
+        }
+        if (item?.type === 'spell') triggers.push({ kind: 'spell', tokenDocument, description: `${name} cast ${item.name}` });
+    }
+    return triggers;
+}
+
+/**
+ * Whether the AI runs this combatant: a creature no player owns, so the GM (and this module) acts for it.
+ * Player characters decide their own reactions, whatever side they are designated to.
+ * @param {Combatant} combatant - The combatant to check.
+ * @returns {boolean}
+ */
+function isAIControlledCombatant(combatant) {
+    return !!combatant?.actor && !combatant.actor.hasPlayerOwner;
+}
+
+/**
+ * Checks the AI-controlled combatants for reactions to the given triggers, and whispers the GM
+ * one card per creature that has a usable reaction.
+ * Only creatures on the other side from the trigger, acting off-turn with their reaction still
+ * available, are considered. Undesignated combatants count as enemies.
+ * @param {Combat} combat - The active combat.
+ * @param {object[]} triggers - From collectMessageReactionTriggers, or a token move.
+ */
+async function adviseReactions(combat, triggers) {
+    if (triggers.length === 0) return;
+    const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+    const gridDistance = canvas.grid.distance;
+    const triggerCombatant = combat.combatants.find(combatant => combatant.tokenId === triggers[0].tokenDocument.id);
+    if (!triggerCombatant) return;
+    const triggerSide = designations[triggerCombatant.id] || 'enemy';
+
+    for (const reactorCombatant of combat.combatants) {
+        const reactorSide = designations[reactorCombatant.id] || 'enemy';
+        const actor = reactorCombatant.actor;
+        const reactorToken = reactorCombatant.token;
+        if (!isAIControlledCombatant(reactorCombatant) || reactorSide === triggerSide || reactorCombatant.id === combat.combatant?.id) continue;
+        if (!actor || !reactorToken || reactorCombatant.defeated || actor.isDefeated) continue;
+        if (!hasReactionAvailable(combat, reactorCombatant)) continue;
+
+        const reactions = extractActorReactions(actor);
+        if (reactions.length === 0) continue;
+        const reach = getActorMeleeReach(actor);
+        const reactorSpace = getTokenGridSpace(reactorToken);
+        const hpData = actor.system.attributes?.hp;
+        const reactorInfo = { hpPercent: hpData?.max > 0 ? Math.round((hpData.value / hpData.max) * 100) : 100, shield: actor.attributes?.shield ?? null };
+
+        const options = [];
+        for (const trigger of triggers) {
+            if (trigger.kind === 'attack' && trigger.targetTokenId !== reactorToken.id) continue;
+            if (trigger.kind === 'allyAttacked') {
+                const damagedCombatant = combat.combatants.find(combatant => combatant.tokenId === trigger.targetTokenId);
+                if (!damagedCombatant || damagedCombatant.id === reactorCombatant.id || (designations[damagedCombatant.id] || 'enemy') !== reactorSide) continue;
+            }
+            const triggerSpace = trigger.fromSpace ?? getTokenGridSpace(trigger.tokenDocument);
+            for (const reaction of reactions) {
+                if (!reaction.triggers.includes(trigger.kind)) continue;
+                if (trigger.kind !== 'attack' && !isSpaceWithinReach(reactorSpace, triggerSpace, reaction.rangeFeet ?? reach, gridDistance)) continue;
+                const advice = recommendReaction(reaction, trigger, reactorInfo);
+                if (advice.usable) options.push({ reaction, trigger, ...advice });
+            }
+        }
+        if (options.length === 0) continue;
+        await postReactionAdvice(reactorCombatant, options.find(option => option.use) || options[0], options);
+    }
+}
+
+/**
+ * Whispers the GM a compact card recommending (or advising against) a reaction, with a button to use it.
+ * @param {Combatant} combatant - The creature that can react.
+ * @param {object} chosen - The recommended option: { reaction, trigger, use, reason }.
+ * @param {object[]} options - Every usable option, to list the alternatives.
+ */
+async function postReactionAdvice(combatant, chosen, options) {
+    const alternatives = [...new Set(options.filter(option => option.reaction.name !== chosen.reaction.name).map(option => option.reaction.name))];
+    const content = `
+        <div class="ai-reaction-advice">
+            <strong><i class="fas fa-bolt"></i> Reaction: ${chosen.reaction.name}</strong>
+            <div style="font-size: 0.9em; color: #666;">Trigger: ${chosen.trigger.description}${chosen.trigger.kind === 'move' && chosen.trigger.squaresMoved === 1 ? ' (no trigger if it was a Step)' : ''}</div>
+            <div style="font-size: 0.9em; margin-top: 3px; color: ${chosen.use ? '#006400' : '#800000'};"><strong>${chosen.use ? 'Recommended' : 'Not recommended'}:</strong> ${chosen.reason}</div>
+            ${alternatives.length > 0 ? `<div style="font-size: 0.85em; color: #666;">Also available: ${alternatives.join(', ')}</div>` : ''}
+            <div class="ai-suggestion-buttons" style="margin-top: 5px;">
+                <button class="ai-use-reaction" data-combatant-id="${combatant.id}" data-item-id="${chosen.reaction.itemId}" data-trigger-token-id="${chosen.trigger.tokenDocument.id}" title="Use the reaction (rolls the Strike for Strike reactions)"><i class="fas fa-bolt"></i> Use ${chosen.reaction.name}</button>
+                <button class="ai-dismiss-reaction" title="Don't react"><i class="fas fa-times"></i> Ignore</button>
+            </div>
+        </div>`;
+    await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor.prototypeToken }),
+        content: content,
+        whisper: ChatMessage.getWhisperRecipients("GM"),
+        flags: { [MODULE_ID]: { reactionAdvice: true } }
+    });
+}
+
+/**
+ * Whether this client watches the combat for reactions and readied triggers: the active GM, with a combat running.
+ * @returns {boolean}
+ */
+function isReactionTrackingClient() {
+    if (!game.user.isGM || (game.users.activeGM && game.users.activeGM.id !== game.user.id)) return false;
+    return !!(game.combat?.started && canvas?.grid?.size);
+}
+
+/**
+ * Whether this client runs the reaction advisor: the reaction tracking client, with the setting on.
+ * @returns {boolean}
+ */
+function isReactionAdvisorActive() {
+    if (!isReactionTrackingClient()) return false;
+    try {
+        return game.settings.get(MODULE_ID, 'enableReactionAdvisor');
+    } catch (e) {
+        return false; // Setting not registered yet
+    }
+}
+
+/**
+ * Remembers where every combatant's token stands, so the next move can be measured from there.
+ * @param {Combat} combat - The combat.
+ */
+function recordCombatantPositions(combat) {
+    for (const combatant of combat?.combatants ?? []) {
+        if (combatant.token) lastKnownTokenPositions.set(combatant.tokenId, { x: combatant.token.x, y: combatant.token.y, width: combatant.token.width });
+    }
+}
+
+Hooks.on('createChatMessage', async (message) => {
+    if (message.flags?.[MODULE_ID] || !isReactionTrackingClient()) return;
+    const combat = game.combat;
+    try {
+        // A reaction posted by a combatant spends its reaction, whether or not it came from the advisor
+        const speakerCombatant = message.speaker?.token ? combat.combatants.find(combatant => combatant.tokenId === message.speaker.token) : null;
+        if (speakerCombatant && message.item?.system?.actionType?.value === 'reaction') {
+            await markReactionUsed(combat, speakerCombatant, message.item.name);
+            return;
+        }
+        const triggers = collectMessageReactionTriggers(message);
+        if (isReactionAdvisorActive()) await adviseReactions(combat, triggers);
+        await checkReadiedTriggers(combat, triggers);
+    } catch (error) {
+        console.error("PF2e AI Combat Assistant | Reaction advisor failed to check a chat message:", error);
+    }
+});
+
+Hooks.on('updateToken', async (tokenDocument, changes) => {
+    if (!('x' in changes || 'y' in changes)) return;
+    const previous = lastKnownTokenPositions.get(tokenDocument.id);
+    lastKnownTokenPositions.set(tokenDocument.id, { x: tokenDocument.x, y: tokenDocument.y, width: tokenDocument.width });
+    if (!previous || !isReactionTrackingClient()) return;
+    try {
+        const fromSpace = getTokenGridSpace(previous);
+        const toSpace = getTokenGridSpace(tokenDocument);
+        const squaresMoved = Math.max(Math.abs(toSpace.x - fromSpace.x), Math.abs(toSpace.y - fromSpace.y));
+        if (squaresMoved === 0) return;
+        const moveTrigger = { kind: 'move', tokenDocument, fromSpace, squaresMoved, description: `${tokenDocument.name} moved out of a square in reach` };
+        if (isReactionAdvisorActive()) await adviseReactions(game.combat, [moveTrigger]);
+        await checkReadiedTriggers(game.combat, [moveTrigger, { kind: 'approach', tokenDocument, fromSpace, toSpace, description: `${tokenDocument.name} came into reach` }]);
+    } catch (error) {
+        console.error("PF2e AI Combat Assistant | Reaction advisor failed to check a token move:", error);
+    }
+});
+
+Hooks.on('updateCombat', (combat) => recordCombatantPositions(combat));
+
+async function _onUseReactionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const itemId = button.data('itemId');
+    const triggerTokenId = button.data('triggerTokenId');
+    const combat = game.combat;
+
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can use reactions from the advisor.");
+        return;
+    }
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Reaction Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    const reactionItem = actor?.items.get(itemId);
+    if (!reactionItem) { ui.notifications.error("PF2e AI Combat Assistant Reaction Error: Reaction not found on the actor."); return; }
+    if (!hasReactionAvailable(combat, combatant)) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: ${combatant.name} has already used its reaction this round.`);
         return;
     }
 
-    // --- Determine Slot/Resource for Casting ---
-    let targetSlotRank = null;
-    let targetSlotIndex = null; // Only relevant for prepared slots
-    const maxSpellRank = CONFIG.PF2E?.spellLevels ?? 10;
-    const baseSpellRank = spellToCast.rank;
-    let requestedRank = parseInt(requestedRankStr, 10);
-    if (isNaN(requestedRank) || requestedRank < baseSpellRank) {
-        // console.warn(`PF2e AI Combat Assistant Cast: Invalid requested rank '${requestedRankStr}' for spell '${spellToCast.name}' (Base Rank: ${baseSpellRank}). Falling back to default slot finding.`); // DEBUG
-        requestedRank = null; // Invalidate if not a number or below base rank
+    const originalButtonContent = button.html();
+    button.html('<i class="fas fa-spinner fa-spin"></i> Reacting...');
+    try {
+        const triggerToken = canvas.tokens.get(triggerTokenId);
+        if (triggerToken) setUserTargets([triggerToken]);
+        await reactionItem.toMessage();
+
+        // Strike reactions roll the best ready melee Strike against the triggering creature
+        const reaction = extractActorReactions(actor).find(entry => entry.itemId === itemId);
+        if (reaction?.isStrike) {
+            const meleeStrike = (actor.system.actions ?? [])
+                .filter(action => action.type === 'strike' && action.ready && !action.item?.isRanged && typeof action.variants?.[0]?.roll === 'function')
+                .sort((a, b) => (b.variants[0]?.bonus ?? -99) - (a.variants[0]?.bonus ?? -99))[0];
+            if (meleeStrike) await meleeStrike.variants[0].roll({ event: { shiftKey: false, ctrlKey: false, metaKey: false, type: 'click' } });
+        }
+
+        await markReactionUsed(combat, combatant, reactionItem.name);
+        button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
+        button.html('<i class="fas fa-check"></i> Used');
+    } catch (reactionError) {
+        console.error(`PF2e AI Combat Assistant | Error using reaction '${reactionItem.name}':`, reactionError);
+        ui.notifications.error(`PF2e AI Combat Assistant Reaction Error: ${reactionError.message || 'Could not use the reaction.'}`);
+        button.html(originalButtonContent);
     }
+}
 
-    if (isItemGrantedSpell) {
-        // For item spells, assume it's cast at its base rank unless overwritten? PF2e might handle this internally.
-        targetSlotRank = baseSpellRank;
-        targetSlotIndex = null; // Not applicable
-    } else if (spellcastingEntry) {
-        if (spellToCast.isCantrip) {
-            targetSlotRank = baseSpellRank;
-            targetSlotIndex = null;
-        } else if (spellToCast.isFocusSpell) {
-            if (actor.system.resources?.focus?.value > 0) {
-                targetSlotRank = baseSpellRank; // Focus spells cast at base rank
-                targetSlotIndex = null;
-            }
-        } else if (spellcastingEntry.isPrepared) {
-            // --- Prepared Casting ---
-            let foundRequestedRank = false;
-            // console.log(`PF2e AI Combat Assistant Cast (Prepared): Requested Rank = ${requestedRank}, Spell ID = ${spellId}`); // DEBUG
-            if (requestedRank !== null) {
-                // 1. Check if the SPECIFIC requested rank has an available prepared slot
-                const slotKey = `slot${requestedRank}`;
-                const slotData = spellcastingEntry.system.slots?.[slotKey];
-                console.log(`   Checking Rank ${requestedRank} (Slot Key: ${slotKey}). Slot Data:`, slotData);
-                if (slotData?.prepared) {
-                    const foundIndex = slotData.prepared.findIndex((prep, idx) => {
-                        const isMatch = prep?.id === spellId && !prep?.expended;
-                        // console.log(`      Rank ${requestedRank} Slot ${idx}: Prep ID=${prep?.id}, Target ID=${spellId}, Expended=${prep?.expended}, Match=${isMatch}`); // DEBUG
-                        return isMatch;
-                    });
-                    console.log(`      Found Index for Spell ID ${spellId} at Rank ${requestedRank}: ${foundIndex}`);
-                    if (foundIndex !== -1) {
-                        targetSlotRank = requestedRank;
-                        targetSlotIndex = foundIndex;
-                        foundRequestedRank = true;
-                        console.log(`   SUCCESS: Using requested prepared rank ${targetSlotRank}, Slot Index ${targetSlotIndex} for '${spellToCast.name}'.`);
-                    } else {
-                        console.log(`      Spell ID ${spellId} not found or expended in Rank ${requestedRank} prepared slots.`);
-                    }
-                } else {
-                    console.log(`      No prepared slots found for Rank ${requestedRank}.`);
-                }
-                if (!foundRequestedRank) {
-                     console.warn(`   WARN: Requested prepared rank ${requestedRank} for '${spellToCast.name}' not available/prepared. Falling back.`);
-                }
-            }
+function _onDismissReactionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
+    button.html('<i class="fas fa-check"></i> Ignored');
+}
 
-            // 2. Fallback: Find highest available prepared slot if requested rank failed
-            // 2. Fallback: Find highest available prepared slot if requested rank failed
-            if (!foundRequestedRank) {
-                console.log(`   FALLBACK: Searching for highest available prepared rank for Spell ID ${spellId}...`);
-                let highestAvailablePreparedRank = -1;
-                let highestFoundIndex = -1; // Store the index for the highest rank found
-                for (let rank = maxSpellRank; rank >= baseSpellRank; rank--) {
-                    const slotKey = `slot${rank}`;
-                    const slotData = spellcastingEntry.system.slots?.[slotKey];
-                    // console.log(`      Fallback Check Rank ${rank} (Slot Key: ${slotKey}). Slot Data:`, slotData); // Verbose
-                    if (!slotData?.prepared) continue;
-                    const foundIndex = slotData.prepared.findIndex((prep, idx) => {
-                         const isMatch = prep?.id === spellId && !prep?.expended;
-                         // console.log(`         Fallback Rank ${rank} Slot ${idx}: Prep ID=${prep?.id}, Target ID=${spellId}, Expended=${prep?.expended}, Match=${isMatch}`); // DEBUG
-                         return isMatch;
-                    });
-                    // console.log(`         Found Index at Rank ${rank}: ${foundIndex}`); // Verbose
-                    if (foundIndex !== -1) {
-                        // Found an available slot for this spell at this rank
-                        if (rank > highestAvailablePreparedRank) {
-                            // If this rank is higher than any previously found, update tracking
-                            highestAvailablePreparedRank = rank;
-                            highestFoundIndex = foundIndex; // *** Assign the index found for this rank ***
-                            console.log(`         Found higher available rank: ${rank}, Index: ${foundIndex}`);
-                        }
-                        // We keep checking lower ranks in case the user *wants* a lower rank,
-                        // but the fallback prioritizes the *highest* available.
-                    }
-                }
-                // Assign the highest found rank and its index *after* checking all ranks
-                if (highestAvailablePreparedRank !== -1) {
-                    targetSlotRank = highestAvailablePreparedRank;
-                    targetSlotIndex = highestFoundIndex; // Use the index found for the highest rank
-                    console.log(`   FALLBACK SUCCESS: Using highest available prepared rank ${targetSlotRank}, Slot Index ${targetSlotIndex} for '${spellToCast.name}'.`);
-                } else {
-                    console.warn(`   FALLBACK FAILED: No available prepared slot found for Spell ID ${spellId} at any rank.`);
-                }
-            }
-        } else if (spellcastingEntry.isSpontaneous || spellcastingEntry.isFlexible) {
-            // --- Spontaneous/Flexible Casting ---
-            let foundRequestedRank = false;
-            if (requestedRank !== null) {
-                 // 1. Check if the SPECIFIC requested rank has available slots
-                 const slotKey = `slot${requestedRank}`;
-                 const slotData = spellcastingEntry.system.slots?.[slotKey];
-                 if (slotData && slotData.value > (slotData.expended ?? 0)) {
-                     targetSlotRank = requestedRank;
-                     targetSlotIndex = null; // No specific slot index
-                     foundRequestedRank = true;
-                     // console.log(`PF2e AI Combat Assistant Cast: Using requested spontaneous rank ${targetSlotRank} for '${spellToCast.name}'.`); // DEBUG
-                 } else {
-                     // console.warn(`PF2e AI Combat Assistant Cast: Requested spontaneous rank ${requestedRank} for '${spellToCast.name}' has no slots available. Falling back.`); // DEBUG
-                 }
-            }
+// ============================================================================
+// DELAY AND READY
+// ============================================================================
 
-            // 2. Fallback: Find lowest available slot if requested rank failed
-            if (!foundRequestedRank) {
-                for (let rank = baseSpellRank; rank <= maxSpellRank; rank++) {
-                    const slotKey = `slot${rank}`;
-                    const slotData = spellcastingEntry.system.slots?.[slotKey];
-                    if (slotData && slotData.value > (slotData.expended ?? 0)) {
-                        targetSlotRank = rank;
-                        targetSlotIndex = null;
-                        // console.log(`PF2e AI Combat Assistant Cast: Fallback - Using lowest available spontaneous rank ${targetSlotRank} for '${spellToCast.name}'.`); // DEBUG
-                        break; // Use the lowest available
-                    }
-                }
-            }
-        }
-        // If no resource found after checking types
-        if (targetSlotRank === null && !spellToCast.isCantrip) {
-            ui.notifications.error(`PF2e AI Combat Assistant Cast Error: No available slot/resource found for '${spellToCast.name}' in entry '${spellcastingEntry.name}'.`);
-            return;
-        }
+/** Trigger text meaning a creature comes into reach (or within a distance), checked on token moves. */
+const READIED_APPROACH_PATTERN = /\b(?:comes?|moves?|steps?|gets?|enters?)\b[^.]*?\b(?:within|into|in)\s+(?:my |its |your |melee )?reach\b|\b(?:comes?|moves?|steps?|gets?)\s+(?:adjacent|next) to\b|\b(?:comes?|moves?|gets?)\s+within\s+\d+\s*(?:feet|ft)\b/i;
+
+/**
+ * Recognises a Delay or Ready suggestion.
+ * Delay names the creature to act after as its TARGET (or "Delay until X"); Ready reads "Ready: <action> when <trigger>".
+ * @param {string} description - The suggested ACTION.
+ * @param {string|null} target - The suggested TARGET.
+ * @returns {object|null} { type: 'delay', afterTokenId, afterName } or { type: 'ready', action, trigger },
+ *   or null for any other action.
+ */
+function parseTurnFlowSuggestion(description, target) {
+    const text = (description || '').trim();
+    if (/^Delay\b/i.test(text)) {
+        const targetText = /^(?:none|self)?$/i.test((target || '').trim()) ? '' : target.trim();
+        const afterText = targetText || text.match(/\b(?:until\s+after|after|until)\s+(.+)$/i)?.[1] || '';
+        return {
+            type: 'delay',
+            afterTokenId: afterText.match(/\[ID:\s*([^\]]+)\]/i)?.[1]?.trim() ?? null,
+            afterName: afterText.replace(/\s*\[ID:[^\]]*\]/ig, '').trim() || null
+        };
+    }
+    const readyMatch = text.match(/^Ready\b\s*[:\-]?\s*(.*?)(?:\s+(?:when|if|once|as soon as)\s+(.+))?$/i);
+    if (!readyMatch) return null;
+    return { type: 'ready', action: readyMatch[1].replace(/[,;]\s*$/, '').trim(), trigger: (readyMatch[2] || '').replace(/\.\s*$/, '').trim() };
+}
+
+/**
+ * Works out what sets off a readied action from its trigger text.
+ * @param {string} triggerText - E.g. "an enemy comes within reach".
+ * @returns {{kinds: string[], rangeFeet: number|null}} Trigger kinds as for reactions, plus 'approach' for a creature
+ *   coming into reach. Empty if the trigger can't be watched for.
+ */
+function classifyReadiedTrigger(triggerText) {
+    const { triggers, rangeFeet } = classifyReactionTrigger('', triggerText);
+    if (READIED_APPROACH_PATTERN.test(triggerText || '')) return { kinds: ['approach', ...triggers.filter(kind => kind !== 'move')], rangeFeet };
+    return { kinds: triggers, rangeFeet };
+}
+
+/**
+ * Initiative that puts a delaying creature right after another one.
+ * @param {number} afterInitiative - Initiative of the creature to act after.
+ * @param {number|null} followerInitiative - Initiative of the creature now acting right after it, if any.
+ * @returns {number}
+ */
+function calculateDelayInitiative(afterInitiative, followerInitiative) {
+    if (followerInitiative === null || followerInitiative === undefined) return afterInitiative - 1;
+    if (followerInitiative < afterInitiative) return (afterInitiative + followerInitiative) / 2;
+    return afterInitiative - 0.01; // A tie can't be split, so the delayer goes after the tied creatures
+}
+
+/**
+ * Moves the creature whose turn it is down the initiative order and passes the turn to whoever acted next.
+ * Foundry re-sorts `combat.turns` when the initiative update is applied, so the new order is read once it's awaited.
+ * @param {Combat} combat - The combat; `combatantId` must be the current combatant.
+ * @param {string} combatantId - The delaying combatant.
+ * @param {string} afterCombatantId - The combatant to act after.
+ * @param {number} newInitiative - From calculateDelayInitiative.
+ * @returns {Promise<void>}
+ * @throws {Error} If the turn order didn't put the delaying combatant after the other one.
+ */
+async function applyDelayInitiative(combat, combatantId, afterCombatantId, newInitiative) {
+    const nextCombatant = combat.turns[combat.turn + 1];
+    await combat.setInitiative(combatantId, newInitiative);
+    const delayedIndex = combat.turns.findIndex(turn => turn.id === combatantId);
+    if (delayedIndex < combat.turns.findIndex(turn => turn.id === afterCombatantId)) {
+        throw new Error('The initiative order did not update.');
+    }
+    // diff: false broadcasts the turn change even if the re-sort already left the turn index on the next creature
+    await combat.update({ turn: combat.turns.findIndex(turn => turn.id === nextCombatant.id) }, { diff: false });
+}
+
+/**
+ * Combatants still to act this round, in initiative order.
+ * @param {Combat|null} combat - The combat.
+ * @returns {Combatant[]}
+ */
+function getCombatantsActingLater(combat) {
+    if (!combat?.turns || !Number.isInteger(combat.turn)) return [];
+    return combat.turns.slice(combat.turn + 1).filter(combatant => combatant.actor && !combatant.defeated && !combatant.actor.isDefeated);
+}
+
+/**
+ * Checks a Delay or Ready suggestion against the rules and the turn so far.
+ * Delay must come before any action and name a creature still to act; Ready needs 2 actions, a trigger
+ * and a single action to ready.
+ * @param {object} turnFlow - From parseTurnFlowSuggestion.
+ * @param {Combat} combat - The combat.
+ * @param {ActorPF2e} actor - The acting creature.
+ * @param {object} turnState - Current turn state.
+ * @param {object} gameState - Current game state, to identify the readied action.
+ * @returns {Promise<{allowed: boolean, reason?: string, afterCombatant?: Combatant}>}
+ */
+async function validateTurnFlowSuggestion(turnFlow, combat, actor, turnState, gameState) {
+    if (turnFlow.type === 'delay') {
+        if ((turnState.actionsTakenDescriptions || []).length > 0) return { allowed: false, reason: 'Delay is only possible before using any action this turn' };
+        const actingLater = getCombatantsActingLater(combat);
+        const afterCombatant = actingLater.find(later => turnFlow.afterTokenId && later.tokenId === turnFlow.afterTokenId)
+            ?? actingLater.find(later => turnFlow.afterName && later.name.toLowerCase() === turnFlow.afterName.toLowerCase());
+        if (!afterCombatant) return { allowed: false, reason: `${turnFlow.afterName || 'no creature'} is not still to act this round` };
+        return { allowed: true, afterCombatant };
+    }
+    if (!turnFlow.action || !turnFlow.trigger) return { allowed: false, reason: 'Ready needs an action and a trigger ("Ready: <action> when <trigger>")' };
+    const budgetCheck = checkActionAgainstBudget('Ready', 2, turnState); // The readied action itself isn't paid for now
+    if (turnState.actionsRemaining < 2 || !budgetCheck.allowed) return { allowed: false, reason: budgetCheck.reason || 'Ready costs 2 actions' };
+    const identified = await identifySuggestionTypeAndCost(turnFlow.action, actor, gameState);
+    if (parseInt(identified.actualActionCost, 10) > 1) return { allowed: false, reason: 'only a single action can be readied' };
+    return { allowed: true };
+}
+
+/**
+ * Posts the card for a Delay or Ready suggestion. Delay gets a button that moves the creature down the
+ * initiative order; Ready is confirmed like any other action and then waits for its trigger.
+ * @param {Combatant} combatant - The acting combatant.
+ * @param {object} turnFlow - From parseTurnFlowSuggestion.
+ * @param {object} turnFlowCheck - From validateTurnFlowSuggestion.
+ * @param {object} parsedSuggestion - The parsed LLM suggestion.
+ * @param {object} turnState - Current turn state.
+ * @param {number|null} [planStepIndex=null] - The multi-action plan step this suggestion came from, if any.
+ * @returns {Promise<ChatMessage>}
+ */
+async function postTurnFlowSuggestion(combatant, turnFlow, turnFlowCheck, parsedSuggestion, turnState, planStepIndex = null) {
+    const actor = combatant.actor;
+    const isDelay = turnFlow.type === 'delay';
+    let fullDescription = parsedSuggestion.description;
+    if (parsedSuggestion.target) fullDescription += ` | TARGET: ${parsedSuggestion.target}`;
+    if (parsedSuggestion.rationale) fullDescription += ` | Rationale: ${parsedSuggestion.rationale}`;
+    if (parsedSuggestion.narrative) fullDescription += ` | NARRATIVE: ${parsedSuggestion.narrative}`;
+    const actionButtons = generateSuggestionButtons({ combatantId: combatant.id, cost: isDelay ? 0 : 2, authoritativeCostString: isDelay ? 'F' : 2, encodedDesc: encodeURIComponent(fullDescription), actor: actor, canUndo: getActionJournal(actor).length > 0, planStep: planStepIndex });
+
+    let headingHTML, detailHTML, primaryButtonsHTML;
+    if (isDelay) {
+        const gmOnlyTitle = game.user.isGM ? '' : ' (GM Only)';
+        const afterCombatant = turnFlowCheck.afterCombatant;
+        headingHTML = `${getActionIconHTML('F')} <strong>Delay</strong> <i>(until after ${afterCombatant.name})</i>`;
+        detailHTML = `${combatant.name} moves down the initiative order to act right after ${afterCombatant.name}, with all ${turnState.actionsRemaining} actions.`;
+        primaryButtonsHTML = `<button class="ai-delay-turn" data-combatant-id="${combatant.id}" data-after-combatant-id="${afterCombatant.id}" title="Change initiative and pass the turn on${gmOnlyTitle}" ${game.user.isGM ? '' : 'disabled'}><i class="fas fa-hourglass-start"></i> Delay</button>`;
     } else {
-        // Should not happen if spell/entry identification worked
-        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: Could not determine casting resource for '${spellToCast.name}'.`);
-        return;
+        const mapDisplayLabels = { 0: "0", 4: "-4 (Agile)", 5: "-5", 8: "-8 (Agile)", 10: "-10" };
+        headingHTML = `${getActionIconHTML(2)} <strong>Ready: ${turnFlow.action}</strong> <i>(Trigger: ${turnFlow.trigger.replace(/ \[ID:\s*[^\]]+\]/ig, '')})</i>`;
+        detailHTML = `Used as ${combatant.name}'s reaction if the trigger happens before its next turn. A readied Strike keeps the current MAP (${mapDisplayLabels[turnState.currentMAP ?? 0] ?? turnState.currentMAP}).`;
+        primaryButtonsHTML = actionButtons.primary;
     }
+    const rationaleHTML = parsedSuggestion.rationale
+        ? `<p style="margin: 8px 0 0 0; padding-top: 5px; border-top: 1px dashed #ccc; font-size: 0.9em; font-style: italic;"><strong>Rationale:</strong> ${parsedSuggestion.rationale.replace(/ \[ID:\s*[^\]]+\]/ig, '')}</p>`
+        : '';
 
-    // --- Execute the Cast ---
-    const originalButtonContent = button.html();
-    button.html('<i class="fas fa-spinner fa-spin"></i> Casting...');
+    const content = `
+        <div style="margin-bottom: 5px;">
+            ${headingHTML}
+            <div class="ai-action-counter" style="font-size: 0.9em; color: #666; margin-top: 2px;">(${turnState.actionsRemaining} actions remaining this turn)</div>
+            <div style="font-size: 0.85em; color: #666; margin-top: 3px;">${detailHTML}</div>
+        </div>
+        <div class="ai-suggestion-buttons" style="margin-top: 8px;">
+            ${primaryButtonsHTML}
+        </div>
+        <div class="ai-suggestion-controls" style="margin-top: 5px;">
+            ${actionButtons.secondary}
+        </div>
+        ${rationaleHTML}`;
+    return ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+        content: content,
+        whisper: getWhisperRecipientsSuggestions(),
+        flags: { [MODULE_ID]: { [FLAGS.OFFER_ID]: foundry.utils.randomID(10) } }
+    });
+}
 
-    try {
-        const castRank = targetSlotRank; // The rank determined above
+/**
+ * The action a combatant has readied, if it is still waiting for its trigger.
+ * @param {Combatant} combatant - The combatant.
+ * @returns {object|null} { action, trigger, triggerKinds, rangeFeet, mapAtReady, round }.
+ */
+function getReadiedAction(combatant) {
+    return combatant?.actor?.getFlag(MODULE_ID, FLAGS.READIED_ACTION) ?? null;
+}
 
-        // --- DETAILED LOGGING ---
-        console.groupCollapsed(`PF2e AI Combat Assistant | Attempting Spell Cast: ${spellToCast.name}`);
-        console.log(`Spell:`, spellToCast);
-        console.log(`Actor:`, actor);
-        console.log(`Spellcasting Entry:`, spellcastingEntry);
-        console.log(`Is Item Spell:`, isItemGrantedSpell);
-        console.log(`Requested Rank (from button):`, requestedRank);
-        console.log(`Base Spell Rank:`, baseSpellRank);
-        console.log(`Determined Target Rank:`, targetSlotRank);
-        console.log(`Determined Target Slot Index (Prepared Only):`, targetSlotIndex);
-        console.groupEnd();
-        // --- END LOGGING ---
+/**
+ * Stores a confirmed Ready so its trigger can be watched for until the creature's next turn.
+ * @param {ActorPF2e} actor - The readying creature.
+ * @param {object} ready - { action, trigger } from parseTurnFlowSuggestion.
+ * @param {number} currentMAP - The creature's MAP when it readied; a readied Strike uses it.
+ * @param {number} round - Current combat round.
+ */
+async function storeReadiedAction(actor, ready, currentMAP, round) {
+    const { kinds, rangeFeet } = classifyReadiedTrigger(ready.trigger);
+    await actor.setFlag(MODULE_ID, FLAGS.READIED_ACTION, {
+        action: ready.action, trigger: ready.trigger, triggerKinds: kinds, rangeFeet, mapAtReady: currentMAP ?? 0, round
+    });
+}
 
-        if (targetSlotRank === null) {
-             throw new Error(`Could not determine a valid rank to cast the spell at.`);
-        }
+/**
+ * Removes a creature's readied action, once used or expired.
+ * @param {ActorPF2e} actor - The readying creature.
+ */
+async function clearReadiedAction(actor) {
+    if (actor?.getFlag(MODULE_ID, FLAGS.READIED_ACTION)) await actor.unsetFlag(MODULE_ID, FLAGS.READIED_ACTION);
+}
 
-        // console.log(`PF2e AI Combat Assistant | GM executing cast: ${spellToCast.name} from ${isItemGrantedSpell ? 'item' : 'entry ' + spellcastingEntry.name} at rank ${castRank} (Slot Index: ${targetSlotIndex})...`); // DEBUG
+/**
+ * The Strike a readied action makes: a Strike named in the action, or the best ready Strike for a plain "Strike".
+ * @param {ActorPF2e} actor - The readying creature.
+ * @param {string} actionText - The readied action.
+ * @returns {object|null} The PF2e strike action, or null if the readied action isn't a Strike.
+ */
+function findReadiedStrike(actor, actionText) {
+    const strikes = (actor?.system?.actions ?? []).filter(action => action.type === 'strike' && action.ready && Array.isArray(action.variants));
+    const text = (actionText || '').toLowerCase();
+    const named = strikes.find(strike => strike.label && text.includes(strike.label.toLowerCase()));
+    if (named) return named;
+    if (!/\bstrike\b/.test(text)) return null;
+    return strikes.sort((a, b) => (b.variants[0]?.bonus ?? -99) - (a.variants[0]?.bonus ?? -99))[0] ?? null;
+}
 
-        // Use the spellcasting entry's cast method
-        await spellcastingEntry.cast(spellToCast, { rank: castRank, slotId: targetSlotIndex });
+/**
+ * Looks for readied actions set off by the given triggers, and whispers the GM a card for each.
+ * Only creatures hostile to the readying creature set off its trigger, and it needs its reaction.
+ * @param {Combat} combat - The active combat.
+ * @param {object[]} triggers - From collectMessageReactionTriggers, or a token move ('move' and 'approach').
+ */
+async function checkReadiedTriggers(combat, triggers) {
+    if (triggers.length === 0) return;
+    const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+    const gridDistance = canvas.grid.distance;
+    const triggerCombatant = combat.combatants.find(combatant => combatant.tokenId === triggers[0].tokenDocument.id);
+    if (!triggerCombatant) return;
+    const triggerSide = designations[triggerCombatant.id] || 'enemy';
+
+    for (const readier of combat.combatants) {
+        const readied = getReadiedAction(readier);
+        if (!readied || !readier.token || readier.id === combat.combatant?.id || readier.id === triggerCombatant.id) continue;
+        if ((designations[readier.id] || 'enemy') === triggerSide || !hasReactionAvailable(combat, readier)) continue;
+
+        // Without a range in the trigger, a melee Strike or "comes within reach" is measured against the creature's reach
+        const strike = findReadiedStrike(readier.actor, readied.action);
+        const usesReach = (strike && !strike.item?.isRanged) || readied.triggerKinds.includes('approach');
+        const rangeFeet = readied.rangeFeet ?? (usesReach ? getActorMeleeReach(readier.actor) : null);
+        const readierSpace = getTokenGridSpace(readier.token);
+        const inRange = (space) => rangeFeet === null || isSpaceWithinReach(readierSpace, space, rangeFeet, gridDistance);
+        const trigger = triggers.find(candidate => {
+            if (!readied.triggerKinds.includes(candidate.kind)) return false;
+            if (candidate.kind === 'approach') return inRange(candidate.toSpace) && !inRange(candidate.fromSpace);
+            return inRange(candidate.fromSpace ?? getTokenGridSpace(candidate.tokenDocument));
+        });
+        if (trigger) await postReadiedTriggerCard(readier, readied, trigger);
+    }
+}
 
-        // *** APPLY COOLDOWN EFFECT ON SUCCESS ***
-        await applyCooldownEffect(actor, spellToCast);
-        // *** END COOLDOWN EFFECT ***
+/**
+ * Whispers the GM a card to carry out a readied action.
+ * @param {Combatant} combatant - The readying creature.
+ * @param {object} readied - Its readied action.
+ * @param {object} trigger - What happened: { tokenDocument, description }.
+ */
+async function postReadiedTriggerCard(combatant, readied, trigger) {
+    const strike = findReadiedStrike(combatant.actor, readied.action);
+    const mapText = readied.mapAtReady > 0 ? `MAP -${readied.mapAtReady}` : 'no MAP';
+    const content = `
+        <div class="ai-readied-trigger">
+            <strong><i class="fas fa-hourglass-half"></i> Readied: ${readied.action}</strong>
+            <div style="font-size: 0.9em; color: #666;">Trigger: ${readied.trigger} (${trigger.description})</div>
+            <div style="font-size: 0.9em; margin-top: 3px;">Uses ${combatant.name}'s reaction.${strike ? ` ${strike.label} is rolled with ${mapText}, as when it was readied.` : ''}</div>
+            <div class="ai-suggestion-buttons" style="margin-top: 5px;">
+                <button class="ai-use-readied" data-combatant-id="${combatant.id}" data-trigger-token-id="${trigger.tokenDocument.id}" title="Use the readied action against the triggering creature"><i class="fas fa-bolt"></i> Use Readied Action</button>
+                <button class="ai-dismiss-reaction" title="Don't react"><i class="fas fa-times"></i> Ignore</button>
+            </div>
+        </div>`;
+    await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor.prototypeToken }),
+        content: content,
+        whisper: ChatMessage.getWhisperRecipients("GM"),
+        flags: { [MODULE_ID]: { readiedTrigger: true } }
+    });
+}
 
-        // Success! Keep button disabled as the action was taken.
-        button.html(originalButtonContent); // Optionally reset appearance
-        // console.log(`PF2e AI Combat Assistant | Cast successful via spellcasting entry method.`); // DEBUG
-        // Consider confirming the action automatically here if desired? Or leave it manual.
+Hooks.on('updateCombat', async (combat, updateData) => {
+    if ((updateData.turn === undefined && updateData.round === undefined) || combat.id !== game.combat?.id || !isReactionTrackingClient()) return;
+    const current = combat.combatant;
+    if (!current) return;
+    try {
+        // A readied action lasts until the start of the creature's next turn
+        await clearReadiedAction(current.actor);
 
-    } catch (castError) {
-        console.error(`PF2e AI Combat Assistant | Error casting spell '${spellToCast.name}':`, castError);
-        ui.notifications.error(`PF2e AI Combat Assistant Cast Error: ${castError.message || 'Could not cast spell.'}`);
-        // Re-enable buttons on failure
-        button.html(originalButtonContent);
+        // Triggers that can't be watched for are brought up as each hostile creature starts its turn
+        const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+        for (const readier of combat.combatants) {
+            const readied = getReadiedAction(readier);
+            if (!readied || readied.triggerKinds.length > 0 || readier.id === current.id || !current.token) continue;
+            if ((designations[readier.id] || 'enemy') === (designations[current.id] || 'enemy') || !hasReactionAvailable(combat, readier)) continue;
+            await postReadiedTriggerCard(readier, readied, { tokenDocument: current.token, description: `${current.name}'s turn is starting; watch for the trigger` });
+        }
+    } catch (error) {
+        console.error("PF2e AI Combat Assistant | Error checking readied actions at turn start:", error);
     }
-}
+});
 
-async function _onExecuteStrikeClick(event) {
+async function _onDelayTurnClick(event) {
     event.preventDefault();
     const button = $(event.currentTarget);
     const suggestionCard = button.closest('.message-content');
-    const strikeIdentifier = button.data('strikeIdentifier'); // Can be slug or label
-    const originatingItemId = button.data('originatingItemId'); // <<< NEW: Get originating item ID
     const combatantId = button.data('combatantId');
+    const afterCombatantId = button.data('afterCombatantId');
     const combat = game.combat;
 
-    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Strike Error: No active combat."); return; }
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can change the initiative order.");
+        return false;
+    }
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Delay Error: No active combat."); return false; }
     const combatant = combat.combatants.get(combatantId);
-    const actor = combatant?.actor;
-    if (!actor) { ui.notifications.error("PF2e AI Combat Assistant Strike Error: Attacker Combatant or Actor not found."); return; }
-
-    // --- Critical Check: Is it still this combatant's turn? ---
+    const afterCombatant = combat.combatants.get(afterCombatantId);
+    if (!combatant?.actor || !afterCombatant) { ui.notifications.error("PF2e AI Combat Assistant Delay Error: Combatant not found."); return false; }
     if (combat.combatant?.id !== combatantId) {
-        ui.notifications.warn(`PF2e AI Combat Assistant: Not ${combatant.name}'s turn! Cannot execute strike.`);
-        return;
+        ui.notifications.warn(`PF2e AI Combat Assistant: Turn has advanced, ${combatant.name} can no longer Delay.`);
+        suggestionCard.find('button').prop('disabled', true);
+        return false;
     }
-
-    // --- GM Only Check ---
-    if (!game.user.isGM) {
-        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can execute Strike actions from suggestions currently.");
-        return;
+    const afterIndex = combat.turns.findIndex(turn => turn.id === afterCombatantId);
+    if (afterIndex <= combat.turn) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: ${afterCombatant.name} has already acted this round.`);
+        return false;
     }
 
-    if (!strikeIdentifier) {
-        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Missing strike identifier on button.`);
-        return;
+    const originalButtonContent = button.html();
+    suggestionCard.find('button').prop('disabled', true);
+    button.html('<i class="fas fa-spinner fa-spin"></i> Delaying...');
+    try {
+        // Whoever would act next takes the turn once the delaying creature has moved down the order
+        const newInitiative = calculateDelayInitiative(afterCombatant.initiative, combat.turns[afterIndex + 1]?.initiative ?? null);
+        await clearAITurnFlags(combatant.actor);
+        await applyDelayInitiative(combat, combatantId, afterCombatantId, newInitiative);
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: combatant.token || combatant.actor.prototypeToken }),
+            content: `<i>${combatant.name} delays until after ${afterCombatant.name} (initiative ${newInitiative}).</i>`,
+            whisper: getWhisperRecipientsSuggestions()
+        });
+        button.html('<i class="fas fa-check"></i> Delayed');
+        return true;
+    } catch (delayError) {
+        console.error(`PF2e AI Combat Assistant | Error delaying ${combatant.name}:`, delayError);
+        ui.notifications.error(`PF2e AI Combat Assistant Delay Error: ${delayError.message || 'Could not change the initiative order.'}`);
+        suggestionCard.find('button').prop('disabled', false);
+        button.html(originalButtonContent);
+        return false;
     }
+}
 
-    // --- Find the Strike Action ---
-    // Use the actor's current actions for reliability
-    const strikeActions = actor.system.actions?.filter(a => a.type === 'strike');
-    const strikeAction = strikeActions?.find(action =>
-        action.slug === strikeIdentifier || action.label === strikeIdentifier || action.name === strikeIdentifier
-    );
+async function _onUseReadiedActionClick(event) {
+    event.preventDefault();
+    const button = $(event.currentTarget);
+    const combatantId = button.data('combatantId');
+    const triggerTokenId = button.data('triggerTokenId');
+    const combat = game.combat;
 
-    if (!strikeAction) {
-        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Could not find strike action matching identifier "${strikeIdentifier}" on ${actor.name}. Check if the action exists or if the identifier is correct.`);
+    if (!game.user.isGM) {
+        ui.notifications.warn("PF2e AI Combat Assistant: Only GMs can use readied actions.");
         return;
     }
-    // Check if the strike has rollable variants (basic requirement)
-    if (typeof strikeAction.variants?.[0]?.roll !== 'function') {
-        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Strike action "${strikeAction.label || strikeAction.name}" found, but no rollable variant[0].`);
+    if (!combat) { ui.notifications.warn("PF2e AI Combat Assistant Ready Error: No active combat."); return; }
+    const combatant = combat.combatants.get(combatantId);
+    const actor = combatant?.actor;
+    const readied = getReadiedAction(combatant);
+    if (!actor || !readied) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: ${combatant?.name ?? 'The creature'} no longer has a readied action.`);
+        button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
         return;
     }
-
-    // --- Determine which MAP variant to use ---
-    const currentTurnState = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
-    const currentMAP = currentTurnState?.currentMAP ?? 0; // Default to 0 if state missing
-    let variantIndex = 0; // Default to first variant (MAP 0)
-    // Note: PF2e system stores MAP penalties as 0, 5/4, 10/8 internally usually
-    if (currentMAP === 5 || currentMAP === 4) { // Second attack penalty
-        variantIndex = 1;
-    } else if (currentMAP === 10 || currentMAP === 8) { // Third attack penalty
-        variantIndex = 2;
-    }
-    // Ensure the selected variant exists
-    if (!strikeAction.variants[variantIndex]) {
-        // console.warn(`PF2e AI Combat Assistant: Strike "${strikeAction.label}" - MAP is ${currentMAP}, calculated variant index ${variantIndex}, but variant doesn't exist. Falling back to last available variant.`); // DEBUG
-        variantIndex = strikeAction.variants.length - 1;
-        if (variantIndex < 0) {
-            ui.notifications.error(`PF2e AI Combat Assistant Strike Error: Strike action "${strikeAction.label}" has no valid variants.`);
-            return;
-        }
+    if (!hasReactionAvailable(combat, combatant)) {
+        ui.notifications.warn(`PF2e AI Combat Assistant: ${combatant.name} has already used its reaction this round.`);
+        return;
     }
 
-    // --- Execute the Strike ---
     const originalButtonContent = button.html();
-    button.html('<i class="fas fa-spinner fa-spin"></i> Rolling Strike...');
-
+    button.html('<i class="fas fa-spinner fa-spin"></i> Reacting...');
     try {
-        const variantLabel = strikeAction.variants[variantIndex]?.label || `Variant ${variantIndex}`;
-        // console.log(`PF2e AI Combat Assistant | GM Rolling strike "${strikeAction.label || strikeAction.name}" using ${variantLabel} (MAP ${currentMAP})...`); // DEBUG
-
-        // Roll the selected variant
-        // Use a simplified event object focusing on shiftKey for MAP selection
-        const fakeEvent = { shiftKey: variantIndex > 0, ctrlKey: false, metaKey: false, type: 'click' };
-        await strikeAction.variants[variantIndex].roll({ event: fakeEvent });
-
-        // console.log(`PF2e AI Combat Assistant | Strike roll initiated.`); // DEBUG
-
-        // *** APPLY COOLDOWN EFFECT IF ORIGINATING ITEM ID EXISTS ***
-        if (originatingItemId) {
-            const originatingItem = actor.items.get(originatingItemId);
-            if (originatingItem) {
-                // console.log(`AI _onExecuteStrikeClick: Found originating item "${originatingItem.name}" (ID: ${originatingItemId}). Applying cooldown.`); // DEBUG
-                await applyCooldownEffect(actor, originatingItem);
-            } else {
-                console.warn(`AI _onExecuteStrikeClick: Could not find originating item with ID "${originatingItemId}" on actor ${actor.name} to apply cooldown.`);
-            }
+        const triggerToken = canvas.tokens.get(triggerTokenId);
+        if (triggerToken) setUserTargets([triggerToken]);
+
+        // A readied Strike takes the multiple attack penalty the creature had when it used Ready
+        const strike = findReadiedStrike(actor, readied.action);
+        const variantIndex = readied.mapAtReady >= 8 ? 2 : readied.mapAtReady > 0 ? 1 : 0;
+        if (typeof strike?.variants[variantIndex]?.roll === 'function') {
+            await strike.variants[variantIndex].roll({ event: { shiftKey: false, ctrlKey: false, metaKey: false, type: 'click' } });
         } else {
-            // console.log(`AI _onExecuteStrikeClick: No originating item ID provided for strike "${strikeIdentifier}". No cooldown applied.`); // DEBUG
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+                content: `<strong>Readied action:</strong> ${readied.action} <i>(Trigger: ${readied.trigger})</i>`
+            });
         }
-        // *** END COOLDOWN EFFECT ***
-
-        button.html(originalButtonContent); // Reset appearance
-        // Consider confirming the action automatically here?
 
-    } catch (strikeError) {
-        console.error(`PF2e AI Combat Assistant | Error rolling strike '${strikeAction.label || strikeAction.name}':`, strikeError);
-        ui.notifications.error(`PF2e AI Combat Assistant Strike Error: ${strikeError.message || 'Could not roll strike.'}`);
-        // Re-enable buttons on failure
+        await markReactionUsed(combat, combatant, `Ready (${readied.action})`);
+        await clearReadiedAction(actor);
+        button.closest('.ai-suggestion-buttons').find('button').prop('disabled', true);
+        button.html('<i class="fas fa-check"></i> Used');
+    } catch (readyError) {
+        console.error(`PF2e AI Combat Assistant | Error using readied action '${readied.action}':`, readyError);
+        ui.notifications.error(`PF2e AI Combat Assistant Ready Error: ${readyError.message || 'Could not use the readied action.'}`);
         button.html(originalButtonContent);
     }
 }
@@ -3920,6 +7751,36 @@ async function _onManualMAPAdjust(event) {
 
 // --- Core AI Logic Functions ---
 
+/**
+ * In-flight suggestion requests, keyed by combatant ID. The Cancel button on the
+ * "Thinking..." card aborts the controller, which callLLM links to its own request.
+ * @type {Map<string, AbortController>}
+ */
+const activeSuggestionRequests = new Map();
+
+/** Minimum time between "Thinking..." card updates while streaming, to limit chat message writes. */
+const STREAM_UPDATE_INTERVAL_MS = 750;
+
+/**
+ * Builds the content of the "Thinking..." card, with a Cancel button and the streamed text so far.
+ * @param {Combatant} combatant - The combatant the AI is thinking for.
+ * @param {object} turnState - The current turn state.
+ * @param {string} [partialText=''] - Response text streamed so far.
+ * @returns {string} HTML content for the chat message.
+ */
+function buildThinkingMessageContent(combatant, turnState, partialText = '') {
+    // Show the tail of the stream so the card doesn't grow without bound
+    const previewText = partialText.length > 600 ? `…${partialText.slice(-600)}` : partialText;
+    const previewHTML = previewText
+        ? `<div class="ai-stream-preview" style="margin-top: 5px; padding: 3px; font-size: 0.85em; color: #555; white-space: pre-wrap; max-height: 150px; overflow-y: auto; border-top: 1px dashed #ccc;">${Handlebars.escapeExpression(previewText)}</div>`
+        : '';
+    return `<div class="ai-thinking">
+        <i>${combatant.name} (AI) thinking... (${turnState.actionsRemaining}a left, MAP ${turnState.currentMAP})</i>
+        <button class="ai-cancel-suggestion" data-combatant-id="${combatant.id}" title="Cancel this AI request" style="margin-top: 3px; padding: 1px 5px; font-size: 0.9em;"><i class="fas fa-ban"></i> Cancel</button>
+        ${previewHTML}
+    </div>`;
+}
+
 // `requestNextAISuggestion`: Orchestrates the AI request cycle, includes manual notes.
 async function requestNextAISuggestion(combatant, combat, skippedAction = null, manualNotes = null, updatedTurnState = null) { // Add updatedTurnState parameter
     const suggestionInstanceId = foundry.utils.randomID(10); // Unique ID for MAP radio group and input field
@@ -3941,20 +7802,24 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
     let turnState;
 
     if (!updatedTurnState) {
-        // Initialize turn state with defaults - Action calculation moved AFTER gatherGameState
-        console.log(`AI (${actor.name}): Initializing turn state (action calculation deferred).`); // DEBUG
+        // Initialize turn state; the action budget comes from the token actor's conditions (stunned, slowed, quickened)
+        console.log(`AI (${actor.name}): Initializing turn state.`); // DEBUG
         turnState = {
-            actionsRemaining: 3, // Default, will be recalculated
-            stunnedValueAtStart: 0, // Default, will be updated
-            slowedValueAtStart: 0, // Default, will be updated
+            ...calculateTurnActionBudget(combatant.actor ?? actor),
             currentMAP: 0,
             actionsTaken: [],
             actionsTakenDescriptions: [],
+            interimResults: [],
             history: [],
             manualNotes: manualNotes || '',
             lastSuggestion: null,
             lastGameState: null
         };
+        await clearActionPlan(actor); // A fresh turn always starts with a fresh plan
+        await clearActionJournal(combatant.actor ?? actor); // Undo never reaches into an earlier turn
+        // A creature in a running enemy block starts from the plan shown in the block preview
+        const enemyBlockPlan = getEnemyBlockPlan(combatant);
+        if (enemyBlockPlan) await storeActionPlan(actor, enemyBlockPlan);
 
     } else {
         // Continue with the existing turn state passed from the previous step
@@ -3962,6 +7827,9 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
         // Ensure condition values are carried over if they exist, otherwise default to 0
         turnState.stunnedValueAtStart = turnState.stunnedValueAtStart ?? 0;
         turnState.slowedValueAtStart = turnState.slowedValueAtStart ?? 0; // ADDED check for slowed
+        // Roll results are written to the flag by handleChatMessage; prefer the stored copy over a stale passed-in one
+        const storedInterimResults = actor.getFlag(MODULE_ID, FLAGS.TURN_STATE)?.interimResults;
+        turnState.interimResults = storedInterimResults ?? turnState.interimResults ?? [];
         // turnState.actionsLostToSlowedAtStart = turnState.actionsLostToSlowedAtStart ?? 0; // REMOVED - No longer part of turnState
         // Carry over manual notes if provided mid-turn
         if (manualNotes && manualNotes.trim() !== "") {
@@ -3996,12 +7864,10 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
             // --- Generate Narrative Summary using LLM ---
             const summaryPrompt = craftTurnSummaryPrompt(combatant, turnState.actionsTakenDescriptions, recentEvents);
             // console.log("PF2e AI Combat Assistant | Turn Summary Prompt:", summaryPrompt); // DEBUG
-            const apiKey = game.settings.get(MODULE_ID, 'apiKey');
-            const endpoint = game.settings.get(MODULE_ID, 'llmEndpoint');
-            const modelName = game.settings.get(MODULE_ID, 'aiModel');
+            const { apiKey, endpoint, modelName, isConfigured } = getLLMConnectionSettings();
 
-            if (apiKey && endpoint && modelName) {
-                const llmResponse = await callLLM(summaryPrompt, apiKey, endpoint, modelName);
+            if (isConfigured) {
+                const llmResponse = await callLLM(summaryPrompt, apiKey, endpoint, modelName, { logLabel: `turn summary: ${combatant.name}` });
                 // Use the entire trimmed response as the narrative, assuming the prompt instructions were followed.
                 if (llmResponse && llmResponse.trim()) {
                     narrativeSummary = llmResponse.trim();
@@ -4041,6 +7907,7 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
              </details>
              <hr style="margin:5px 0;">
              <button class="ai-next-turn-btn" data-combatant-id="${combatant.id}" title="Advance turn (GM Only)"><i class="fas fa-arrow-right"></i> Next Turn</button>
+             ${getActionJournal(combatant.actor).length > 0 ? `<button class="ai-undo-action" data-combatant-id="${combatant.id}" title="Undo the last confirmed action and reopen the turn (GM Only)"><i class="fas fa-undo"></i> Undo</button>` : ''}
          `;
 
         // Create a single message respecting the whisper settings
@@ -4052,6 +7919,7 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
 
 
         await clearAITurnFlags(actor); // Use fresh actor
+        if (isEnemyBlockRunning(combatant)) advanceEnemyBlock(combat, combatant).catch(error => console.error("PF2e AI Combat Assistant | Could not pass the turn on in the enemy block:", error));
         // Notify GM if they aren't seeing player messages (redundant if whispering details)
         // if (game.user.isGM && !game.settings.get(MODULE_ID, 'showOfferToPlayers')) {
         //     ui.notifications.info(`${combatant.name}'s AI turn complete.`);
@@ -4065,44 +7933,37 @@ async function requestNextAISuggestion(combatant, combat, skippedAction = null,
     try {
         thinkingMessage = await ChatMessage.create({
             speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
-            content: `<i>${combatant.name} (AI) thinking... (${turnState.actionsRemaining}a left, MAP ${turnState.currentMAP})</i>`,
+            content: buildThinkingMessageContent(combatant, turnState),
             whisper: getWhisperRecipientsSuggestions(),
             flags: { [MODULE_ID]: { [FLAGS.TEMP_THINKING]: true } } // Flag for potential deletion
         });
     } catch (e) { /* console.warn("PF2e AI Combat Assistant | Could not create 'Thinking...' message:", e); */ } // DEBUG - Silenced
 
+    // --- Streaming & cancellation for every LLM call made for this suggestion ---
+    const cancelController = new AbortController();
+    activeSuggestionRequests.set(combatant.id, cancelController);
+    let lastStreamUpdate = 0;
+    const llmLogContext = {}; // callLLM sets entryId so the parsed result can be attached to the logged exchange
+    const llmCallOptions = {
+        logLabel: `suggestion: ${combatant.name}`,
+        logContext: llmLogContext,
+        signal: cancelController.signal,
+        onStream: (partialText) => {
+            const now = Date.now();
+            if (!thinkingMessage?.id || now - lastStreamUpdate < STREAM_UPDATE_INTERVAL_MS) return;
+            lastStreamUpdate = now;
+            thinkingMessage.update({ content: buildThinkingMessageContent(combatant, turnState, partialText) }).catch(() => { });
+        }
+    };
+
     try {
         // --- Gather Game State (includes caching strikes, conditions, effects) ---
         // Pass the *initial* turnState.actionsRemaining (likely 3) here, as gatherGameState uses it for affordability checks *before* the final action count is known.
         // The final action count will be calculated *after* this using the gathered conditions.
         let currentGameState = await gatherGameState(combatant, combat, turnState.actionsRemaining, actor); // Pass fresh actor explicitly
         if (!currentGameState || !currentGameState.self) throw new Error("Gathered game state was invalid or incomplete.");
+        llmCallOptions.gameState = currentGameState; // Offline adapters (mock provider) answer from the state directly
 
-        // --- Recalculate Actions Remaining using reliable gameState data (only if start of turn) ---
-        if (!updatedTurnState) {
-            console.log(`AI (${actor.name}): Recalculating start actions using gameState.`); // DEBUG
-            const defaultActions = 3;
-            let calculatedStartActions = defaultActions;
-            const conditions = currentGameState.self.conditionsEffects || [];
-            const stunned = conditions.find(c => c.name.toLowerCase().startsWith('stunned'));
-            const slowed = conditions.find(c => c.name.toLowerCase().startsWith('slowed'));
-            const currentStunnedValue = stunned?.value ?? 0;
-            const currentSlowedValue = slowed?.value ?? 0;
-
-            console.log(`AI (${actor.name}): Conditions from gameState - Stunned: ${currentStunnedValue}, Slowed: ${currentSlowedValue}`); // DEBUG
-
-            // Apply the 3 - max(Stunned, Slowed) logic
-            const maxConditionValue = Math.max(currentStunnedValue, currentSlowedValue);
-            calculatedStartActions = Math.max(0, defaultActions - maxConditionValue);
-
-            console.log(`AI (${actor.name}): Recalculated start actions: ${calculatedStartActions}`); // DEBUG
-
-            // Update turnState with correct actions and condition values
-            turnState.actionsRemaining = calculatedStartActions;
-            turnState.stunnedValueAtStart = currentStunnedValue;
-            turnState.slowedValueAtStart = currentSlowedValue;
-        }
-        // --- End Recalculation ---
 // --- Handle 0-Action Start ---
 if (turnState.actionsRemaining === 0) {
     console.log(`AI (${actor.name}): Starting turn with 0 actions due to conditions. Skipping AI suggestion.`); // DEBUG
@@ -4116,8 +7977,9 @@ if (turnState.actionsRemaining === 0) {
          let stunnedChange = 0;
          let slowedChange = 0;
          if (stunnedVal > 0) {
-             if (stunnedVal <= 3) { notes.push(`<li>Remove Stunned ${stunnedVal}.</li>`); stunnedChange = -1; }
-             else { notes.push(`<li>Reduce Stunned ${stunnedVal} by 3.</li>`); stunnedChange = 3; }
+             const stunnedLost = turnState.actionsLostToStunnedAtStart ?? 3; // Stunned drops by the actions it consumed
+             if (stunnedVal <= stunnedLost) { notes.push(`<li>Remove Stunned ${stunnedVal}.</li>`); stunnedChange = -1; }
+             else { notes.push(`<li>Reduce Stunned ${stunnedVal} by ${stunnedLost}.</li>`); stunnedChange = stunnedLost; }
          }
          if (slowedVal > 0) {
              if (slowedVal <= 3) { notes.push(`<li>Remove Slowed ${slowedVal}.</li>`); slowedChange = -1; }
@@ -4165,6 +8027,7 @@ if (turnState.actionsRemaining === 0) {
     if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { });
     // Clean up flags as the turn effectively ends here unless retried
     await clearAITurnFlags(actor);
+    if (isEnemyBlockRunning(combatant)) advanceEnemyBlock(combat, combatant).catch(error => console.error("PF2e AI Combat Assistant | Could not pass the turn on in the enemy block:", error));
     return; // Stop further processing in this function
 }
 // --- End Handle 0-Action Start ---
@@ -4176,31 +8039,155 @@ if (turnState.actionsRemaining === 0) {
         // REMOVED extra closing brace from here
 // REMOVING TWO EXTRA CLOSING BRACES
 
-        // --- Craft Prompt (now includes manual notes) ---
-        const prompt = craftSingleActionPrompt(combatant, currentGameState, turnState, skippedAction, notesForThisPrompt); // Removed interimResultsForPrompt
-        console.groupCollapsed(`PF2e AI Combat Assistant | Prompt for ${combatant.name} (R${combat.round}.T${combat.turn})`); console.log(prompt); console.groupEnd();
-
-        // --- Call LLM ---
-        const apiKey = game.settings.get(MODULE_ID, 'apiKey'); const endpoint = game.settings.get(MODULE_ID, 'llmEndpoint'); const modelName = game.settings.get(MODULE_ID, 'aiModel');
-        if (!apiKey || !endpoint || !modelName) throw new Error("LLM API Key, Endpoint, or Model Name not configured.");
-        let llmResponseContent = await callLLM(prompt, apiKey, endpoint, modelName);
-        if (!llmResponseContent) throw new Error("Received no valid response content from the LLM.");
-        console.groupCollapsed(`PF2e AI Combat Assistant | Raw LLM Resp: ${combatant.name}`); console.debug(llmResponseContent); console.groupEnd();
-
-        // --- Parse and Validate LLM Suggestion ---
-        let parsedSuggestion = parseLLMSuggestion(llmResponseContent);
-        // Handle cases where parsing fails but response has text (likely non-compliant format)
-        if (!parsedSuggestion?.description) {
-            if (llmResponseContent && llmResponseContent.trim().length > 0 && !llmResponseContent.toUpperCase().includes("ACTION:") && !llmResponseContent.toUpperCase().includes("COST:")) {
-                parsedSuggestion = { description: llmResponseContent.trim(), cost: 1, rationale: "LLM response format unclear, assuming 1 action." }; // Default to 1 action
-                // console.log("PF2e AI Combat Assistant | Using fallback parsed suggestion due to non-compliant LLM format:", parsedSuggestion); // DEBUG
-            } else {
-                throw new Error("LLM response could not be parsed into ACTION/COST format.");
+        const { apiKey, endpoint, modelName, isConfigured } = getLLMConnectionSettings();
+        if (!isConfigured) throw new Error("LLM API Key, Endpoint, or Model Name not configured.");
+
+        // --- Multi-Action Planning Mode ---
+        // Plan the whole turn once, then walk the stored plan one step per suggestion card.
+        // Skipping a step (or a failed prerequisite/passive suggestion) discards the plan and replans from here.
+        let enableMultiActionPlanning = false;
+        try {
+            enableMultiActionPlanning = game.settings.get(MODULE_ID, 'enableMultiActionPlanning');
+        } catch (e) { /* Setting not registered yet, default to false */ }
+        if (isEnemyBlockRunning(combatant)) enableMultiActionPlanning = true; // Follow the plan from the block preview
+
+        let parsedSuggestion = null;
+        let planStepInfo = null; // { index, step, totalSteps, overallStrategy, contingency, failedEvent }
+        let promptTrimmedSections = []; // Sections dropped/shortened to fit the context budget
+        if (enableMultiActionPlanning) {
+            try {
+                if (skippedAction && getStoredActionPlan(actor)) {
+                    // console.log(`AI Plan: "${skippedAction}" was skipped, replanning remaining actions for ${actor.name}.`); // DEBUG
+                    await clearActionPlan(actor);
+                }
+
+                let storedPlan = getStoredActionPlan(actor);
+                if (!storedPlan) {
+                    const { prompt: planPrompt, trimmedSections } = buildPromptWithinBudget(compaction =>
+                        craftMultiActionPlanPrompt(combatant, currentGameState, turnState, skippedAction, notesForThisPrompt, turnState.interimResults || [], compaction));
+                    promptTrimmedSections = trimmedSections;
+                    console.groupCollapsed(`PF2e AI Combat Assistant | Plan Prompt for ${combatant.name} (R${combat.round}.T${combat.turn})`); console.log(planPrompt); console.groupEnd();
+                    const planResponse = await callLLM(planPrompt, apiKey, endpoint, modelName, { ...llmCallOptions, logLabel: `turn plan: ${combatant.name}` });
+                    console.groupCollapsed(`PF2e AI Combat Assistant | Raw LLM Plan Resp: ${combatant.name}`); console.debug(planResponse); console.groupEnd();
+                    const parsedPlan = planResponse ? parseMultiActionPlan(planResponse) : null;
+                    updateLLMLogEntry(llmLogContext.entryId, { parsedSuggestion: parsedPlan ?? 'Plan could not be parsed.' });
+                    if (parsedPlan && parsedPlan.plan.length > 0) {
+                        parsedPlan.plan.sort((a, b) => a.sequence - b.sequence);
+                        await storeActionPlan(actor, parsedPlan);
+                        await postActionPlanCard(combatant, actor, parsedPlan);
+                        storedPlan = getStoredActionPlan(actor);
+                    } else {
+                        console.warn(`PF2e AI Combat Assistant | Multi-action plan could not be parsed for ${actor.name}. Falling back to single-action suggestions.`);
+                    }
+                }
+
+                const nextPlannedAction = storedPlan ? getNextPlannedAction(actor) : null;
+                const stepSuggestion = plannedStepToSuggestion(nextPlannedAction);
+                const stepCostValue = typeof stepSuggestion?.cost === 'number' ? stepSuggestion.cost : 0;
+                if (stepSuggestion && stepCostValue <= turnState.actionsRemaining) {
+                    parsedSuggestion = stepSuggestion;
+                    // A step after the first may follow a failed roll - offer the contingency in that case
+                    const failedEvent = storedPlan.currentStep > 0
+                        ? findPlanStepFailure(combatant.name, currentGameState.recentEvents, storedPlan.eventIndex ?? 0)
+                        : null;
+                    planStepInfo = {
+                        index: storedPlan.currentStep,
+                        step: storedPlan.currentStep + 1,
+                        totalSteps: storedPlan.plannedActions.length,
+                        overallStrategy: storedPlan.overallStrategy,
+                        contingency: failedEvent ? storedPlan.contingency : null,
+                        failedEvent: failedEvent
+                    };
+                    // Remember how many events existed when this step was offered, so the next step only checks newer rolls
+                    await actor.setFlag(MODULE_ID, `${FLAGS.ACTION_PLAN}.eventIndex`, currentGameState.recentEvents?.length ?? 0);
+                } else if (stepSuggestion) {
+                    console.warn(`PF2e AI Combat Assistant | Planned step "${stepSuggestion.description}" costs ${stepSuggestion.cost} but only ${turnState.actionsRemaining} action(s) remain. Falling back to single-action suggestions.`);
+                }
+            } catch (planError) {
+                if (planError.name === 'LLMCancelledError') throw planError;
+                console.error(`PF2e AI Combat Assistant | Error during multi-action planning for ${combatant.name}. Falling back to single-action suggestions:`, planError);
+                parsedSuggestion = null;
+                planStepInfo = null;
             }
         }
+
+        if (!parsedSuggestion) {
+            // --- Structured JSON mode (opt-in), falls back to the text format below ---
+            let enableStructuredOutput = false;
+            try {
+                enableStructuredOutput = game.settings.get(MODULE_ID, 'enableStructuredOutput');
+            } catch (e) { /* Setting not registered yet, default to false */ }
+
+            // --- Craft Prompt (now includes manual notes), sized for the JSON and repair requests if used ---
+            const { prompt, trimmedSections } = buildPromptWithinBudget(compaction =>
+                craftSingleActionPrompt(combatant, currentGameState, turnState, skippedAction, notesForThisPrompt, turnState.interimResults || [], compaction),
+                { structuredOutput: enableStructuredOutput });
+            promptTrimmedSections = trimmedSections;
+            console.groupCollapsed(`PF2e AI Combat Assistant | Prompt for ${combatant.name} (R${combat.round}.T${combat.turn})`); console.log(prompt); console.groupEnd();
+
+            if (enableStructuredOutput) {
+                const knownTokenIds = [
+                    combatant.tokenId,
+                    ...[currentGameState.aliveEnemies, currentGameState.aliveAllies, currentGameState.downedAllies, currentGameState.deadEnemies]
+                        .flatMap(list => (list || []).map(c => c.tokenId))
+                ].filter(Boolean);
+                try {
+                    parsedSuggestion = await requestStructuredSuggestion(prompt, apiKey, endpoint, modelName, knownTokenIds, llmCallOptions);
+                } catch (structuredError) {
+                    if (structuredError.name === 'LLMCancelledError') throw structuredError;
+                    console.warn(`PF2e AI Combat Assistant | Structured request failed for ${combatant.name}, falling back to text format:`, structuredError);
+                    parsedSuggestion = null;
+                }
+                if (!parsedSuggestion) console.warn(`PF2e AI Combat Assistant | No valid structured suggestion for ${combatant.name}, falling back to text format.`);
+            }
+
+            if (!parsedSuggestion) {
+                // --- Call LLM ---
+                let llmResponseContent = await callLLM(prompt, apiKey, endpoint, modelName, llmCallOptions);
+                if (!llmResponseContent) throw new Error("Received no valid response content from the LLM.");
+                console.groupCollapsed(`PF2e AI Combat Assistant | Raw LLM Resp: ${combatant.name}`); console.debug(llmResponseContent); console.groupEnd();
+
+                // --- Parse and Validate LLM Suggestion ---
+                parsedSuggestion = parseLLMSuggestion(llmResponseContent);
+                // Handle cases where parsing fails but response has text (likely non-compliant format)
+                if (!parsedSuggestion?.description) {
+                    if (llmResponseContent && llmResponseContent.trim().length > 0 && !llmResponseContent.toUpperCase().includes("ACTION:") && !llmResponseContent.toUpperCase().includes("COST:")) {
+                        parsedSuggestion = { description: llmResponseContent.trim(), cost: 1, rationale: "LLM response format unclear, assuming 1 action." }; // Default to 1 action
+                        // console.log("PF2e AI Combat Assistant | Using fallback parsed suggestion due to non-compliant LLM format:", parsedSuggestion); // DEBUG
+                    } else {
+                        updateLLMLogEntry(llmLogContext.entryId, { parsedSuggestion: 'Could not be parsed into ACTION/COST format.' });
+                        throw new Error("LLM response could not be parsed into ACTION/COST format.");
+                    }
+                }
+                updateLLMLogEntry(llmLogContext.entryId, { parsedSuggestion });
+            }
+        } // End single-action request
         // Clean up potential escaped newlines
         parsedSuggestion.description = parsedSuggestion.description.replace(/\\n/g, ' ').trim();
 
+        // --- Delay and Ready change the turn flow instead of acting now, so they get their own card ---
+        const turnFlow = parseTurnFlowSuggestion(parsedSuggestion.description, parsedSuggestion.target);
+        if (turnFlow) {
+            const turnFlowCheck = await validateTurnFlowSuggestion(turnFlow, combat, actor, turnState, currentGameState);
+            if (!turnFlowCheck.allowed) {
+                console.warn(`PF2e AI Combat Assistant | Suggestion "${parsedSuggestion.description}" isn't possible (${turnFlowCheck.reason}). Requesting new suggestion.`);
+                await requestNextAISuggestion(combatant, combat, `${parsedSuggestion.description} (not allowed: ${turnFlowCheck.reason})`, notesForThisPrompt, turnState);
+                if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { }); // Clean up thinking message
+                return;
+            }
+            const turnFlowMessage = await postTurnFlowSuggestion(combatant, turnFlow, turnFlowCheck, parsedSuggestion, turnState, planStepInfo?.index ?? null);
+            if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { });
+
+            // Autopilot actors Delay or confirm the Ready themselves (not awaited, like runAutopilotStep)
+            if (turnFlowMessage && (isAutopilotEnabled(actor) || isEnemyBlockRunning(combatant))) {
+                const [selector, handler] = turnFlow.type === 'delay' ? ['button.ai-delay-turn', _onDelayTurnClick] : ['button.ai-confirm-action', _onConfirmActionClick];
+                new Promise(resolve => setTimeout(resolve, 500)) // Let the card render so its buttons are used
+                    .then(() => clickAutopilotButton(turnFlowMessage, selector, handler))
+                    .catch(error => console.error(`PF2e AI Combat Assistant | Autopilot error for ${combatant.name}:`, error));
+            }
+            return;
+        }
+
         // --- Check if AI suggested a purely passive ability (unless it's also activatable) ---
         const passiveAbilityNamesLower = (currentGameState.self.passiveAbilities || []).map(p => p.name.toLowerCase().replace(' (aura)', '').trim());
         const suggestionActionMatch = parsedSuggestion.description.match(/^(?:Cast|Activate|Use|Strike:)?\s*(?:['"]?)([^:'"(]+?)\1?(?:['"]?)\s*(?:[:(]|$)/i); // Extract action name
@@ -4209,7 +8196,7 @@ if (turnState.actionsRemaining === 0) {
             const activatableNamesLower = (currentGameState.self._actionsAndActionFeatsList || []).map(a => a.name.toLowerCase());
             if (!activatableNamesLower.includes(suggestedActionNameLower)) {
                 // console.warn(`PF2e AI Combat Assistant | AI suggested purely passive ability "${suggestionActionMatch[1].trim()}". Requesting new suggestion.`); // DEBUG
-                await requestNextAISuggestion(combatant, combat, parsedSuggestion.description, notesForThisPrompt); // Pass notes along
+                await requestNextAISuggestion(combatant, combat, parsedSuggestion.description, notesForThisPrompt, turnState); // Pass notes and the current turn state along
                 if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { }); // Clean up thinking message
                 return; // Stop processing this suggestion
             } else {
@@ -4391,6 +8378,14 @@ if (turnState.actionsRemaining === 0) {
         if (numericCostForValidation > 0 && numericCostForValidation > turnState.actionsRemaining) {
             throw new Error(`Suggested action requires ${authoritativeCost} actions (minimum ${numericCostForValidation}), but only ${turnState.actionsRemaining} remaining.`);
         }
+        // Quickened restriction: anything the quickened action can't be used for must fit in the unrestricted actions
+        const budgetCheck = checkActionAgainstBudget(parsedSuggestion.description, numericCostForValidation, turnState);
+        if (!budgetCheck.allowed) {
+            console.warn(`PF2e AI Combat Assistant | Suggestion "${parsedSuggestion.description}" doesn't fit the action budget (${budgetCheck.reason}). Requesting new suggestion.`);
+            await requestNextAISuggestion(combatant, combat, `${parsedSuggestion.description} (not allowed: ${budgetCheck.reason})`, notesForThisPrompt, turnState);
+            if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { }); // Clean up thinking message
+            return;
+        }
         // Use the determined numeric cost for the confirm button
         const validatedNumericCostForButton = numericCostForValidation;
 
@@ -4419,15 +8414,6 @@ if (turnState.actionsRemaining === 0) {
 
         const actionIconsHTML = getActionIconHTML(authoritativeCost, parsedSuggestion.description); // Get icon based on authoritative cost
 
-        // Generate buttons, passing the NEW encoded description
-        const actionButtons = generateSuggestionButtons({
-            combatantId: combatant.id,
-            cost: authoritativeCost, // Use the actual intended cost, not just the validation minimum
-            authoritativeCostString: authoritativeCost,
-            encodedDesc: encodedFullDescription, // Pass the complete encoded string
-            actor: actor, // Use fresh actor
-            ...identifyResult
-        });
         // --- Narrative & Rationale ---
         let narrativeHTML = '';
         if (parsedSuggestion.narrative && parsedSuggestion.narrative.length > 0) {
@@ -4437,6 +8423,13 @@ if (turnState.actionsRemaining === 0) {
         if (parsedSuggestion.rationale && parsedSuggestion.rationale.length > 0) {
             rationaleHTML = `<p style="margin: 8px 0 0 0; padding-top: 5px; border-top: 1px dashed #ccc; font-size: 0.9em; font-style: italic;"><strong>Rationale:</strong> ${parsedSuggestion.rationale.replace(/ \[ID:\s*[^\]]+\]/ig, '')}</p>`;
         }
+        // Alternatives are only provided in structured output mode
+        if (Array.isArray(parsedSuggestion.alternatives) && parsedSuggestion.alternatives.length > 0) {
+            const alternativesList = parsedSuggestion.alternatives
+                .map(alt => `<li>${alt.action.replace(/ \[ID:\s*[^\]]+\]/ig, '')}${alt.cost !== null ? ` ${getActionIconHTML(alt.cost)}` : ''}${alt.reason ? ` <span style="color: #666;">(${alt.reason.replace(/ \[ID:\s*[^\]]+\]/ig, '')})</span>` : ''}</li>`)
+                .join('');
+            rationaleHTML += `<div style="margin: 5px 0 0 0; font-size: 0.85em;"><strong>Alternatives considered:</strong><ul style="margin: 2px 0 0 0; padding-left: 18px;">${alternativesList}</ul></div>`;
+        }
 
         // --- MAP Adjustment Controls ---
         const currentMAPDisplay = turnState.currentMAP ?? 0;
@@ -4489,7 +8482,8 @@ if (turnState.actionsRemaining === 0) {
         // --- Auto-Targeting Logic (Using Token ID) ---
         let targetToken = null;
         // Use effectiveTargetString which might have been updated by the Stride logic above
-        const ignoreTargets = ['self', 'none', 'area', 'emanation', 'cone', 'line', 'burst']; // Keywords to ignore for token targeting
+        const areaTargetKeywords = ['area', 'emanation', 'cone', 'line', 'burst'];
+        const ignoreTargets = ['self', 'none', ...areaTargetKeywords]; // Keywords to ignore for token targeting
 
         if (effectiveTargetString) { // Check if effectiveTargetString exists first
             const idMatch = effectiveTargetString.match(/\[ID:\s*([^\]]+)\]/i);
@@ -4505,12 +8499,7 @@ if (turnState.actionsRemaining === 0) {
                     targetToken = canvas.tokens.get(targetTokenId); // Use canvas.tokens.get() for ID lookup
                     if (targetToken && targetToken.actor && !targetToken.actor.isDefeated) {
                         console.log(`PF2e AI Combat Assistant | Auto-Targeting: Found token "${targetToken.name}" (ID: ${targetToken.id}) matching suggested target ID "${targetTokenId}" (from string "${effectiveTargetString}").`);
-                        // Explicitly untarget existing targets
-                        for (let target of game.user.targets) {
-                            target.setTarget(false, { user: game.user, releaseOthers: false });
-                        }
-                        // Set the new target
-                        targetToken.setTarget(true, { user: game.user, releaseOthers: false }); // releaseOthers might be redundant now, set to false
+                        setUserTargets([targetToken]); // Replaces any existing targets
                         foundToken = true;
                     } else {
                         // ID lookup failed (token not found, defeated, or invalid ID like coords)
@@ -4543,12 +8532,7 @@ if (turnState.actionsRemaining === 0) {
                     if (matchingTokens.length === 1) {
                         targetToken = matchingTokens[0];
                         console.log(`PF2e AI Combat Assistant | Auto-Targeting: Found unique token by name "${extractedName}" (ID: ${targetToken.id}) after ID lookup failed or ID was missing.`);
-                        // Explicitly untarget existing targets
-                        for (let target of game.user.targets) {
-                            target.setTarget(false, { user: game.user, releaseOthers: false });
-                        }
-                        // Set the new target
-                        targetToken.setTarget(true, { user: game.user, releaseOthers: false }); // releaseOthers might be redundant now, set to false
+                        setUserTargets([targetToken]); // Replaces any existing targets
                         foundToken = true;
                     } else if (matchingTokens.length > 1) {
                         console.warn(`PF2e AI Combat Assistant | Auto-Targeting: Found multiple non-defeated tokens named "${extractedName}". Skipping targeting due to ambiguity.`);
@@ -4582,6 +8566,125 @@ if (turnState.actionsRemaining === 0) {
         }
         // --- End Auto-Targeting Logic ---
 
+        // --- Collect All Suggested Targets ---
+        // Every [ID: ...] in the target string counts, so a multi-target suggestion selects all of them
+        const suggestionTargetTokens = targetToken ? [targetToken] : [];
+        for (const idMatch of (effectiveTargetString || '').matchAll(/\[ID:\s*([^\]]+)\]/ig)) {
+            const token = canvas.tokens.get(idMatch[1].trim());
+            if (token?.actor && !token.actor.isDefeated && !suggestionTargetTokens.includes(token)) suggestionTargetTokens.push(token);
+        }
+        let targetsArea = areaTargetKeywords.some(keyword => new RegExp(`\\b${keyword}\\b`, 'i').test(effectiveTargetString || ''));
+
+        // --- Immunity Check ---
+        // A suggestion aimed at a creature known to be immune to it is asked for again
+        const suggestedTargetIds = suggestionTargetTokens.map(token => token.id);
+        const immuneTarget = (currentGameState.damageTypeMatchups?.exclusions || []).find(entry =>
+            entry.kind !== 'precision' && suggestedTargetIds.includes(entry.targetId)
+            && new RegExp(`\\b${entry.ability.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(parsedSuggestion.description || ''));
+        if (immuneTarget) {
+            const reason = `${immuneTarget.target} is immune to ${immuneTarget.immunity}`;
+            console.warn(`PF2e AI Combat Assistant | Suggestion "${parsedSuggestion.description}" targets an immune creature (${reason}). Requesting new suggestion.`);
+            await requestNextAISuggestion(combatant, combat, `${parsedSuggestion.description} (not allowed: ${reason})`, notesForThisPrompt, turnState);
+            if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { }); // Clean up thinking message
+            return;
+        }
+
+        // --- Area Placement for the Cast Button ---
+        // Use the optimizer's placement that covers most of the suggested targets (the best one if none were named);
+        // everything it catches becomes a target so saves are rolled for allies in the area too
+        let templatePlacement = null;
+        const areaPlacement = identifyResult.isSpellSuggestion
+            ? (currentGameState.areaPlacements || []).find(placement => placement.spellUuid === identifyResult.spellLinkUUID || placement.spellId === identifyResult.spellIdForButton)
+            : null;
+        if (areaPlacement) {
+            const suggestedIds = suggestionTargetTokens.map(token => token.id);
+            const coverage = (placement) => placement ? placement.enemiesHit.filter(enemy => suggestedIds.includes(enemy.tokenId)).length : -1;
+            templatePlacement = coverage(areaPlacement.bestWithoutAllies) > coverage(areaPlacement.best) ? areaPlacement.bestWithoutAllies : areaPlacement.best;
+            const caughtTokens = [...templatePlacement.enemiesHit, ...templatePlacement.alliesHit]
+                .map(creature => canvas.tokens.get(creature.tokenId))
+                .filter(Boolean);
+            suggestionTargetTokens.splice(0, suggestionTargetTokens.length, ...caughtTokens);
+            targetsArea = false; // The template and its targets are already chosen
+        }
+        if (suggestionTargetTokens.length > 1) setUserTargets(suggestionTargetTokens);
+
+        // --- Movement Path for the Move Button ---
+        // A Stride or Step toward an enemy follows the planner's path: to a flanking square if the suggestion
+        // mentions flanking, otherwise into melee reach. It's cut to what the action's cost pays for.
+        let movementPath = null;
+        const movementActionMatch = parsedSuggestion.description.match(/^\s*(Stride|Step|Fly)\b/i);
+        if (movementActionMatch && targetToken && currentGameState.movement) {
+            const movement = currentGameState.movement;
+            const mentionsFlank = /\bflank/i.test(`${parsedSuggestion.description} ${parsedSuggestion.rationale || ''}`);
+            const flankPath = mentionsFlank
+                ? movement.flankSquares.find(flank => flank.enemyTokenId === targetToken.id && flank.path)?.path
+                : null;
+            const approachPath = movement.enemyApproaches.find(approach => approach.tokenId === targetToken.id)?.path;
+            const budgetFeet = movementActionMatch[1].toLowerCase() === 'step'
+                ? currentGameState.scene?.gridDistance ?? 5
+                : Math.max(1, numericCostForValidation) * movement.speed;
+            const waypoints = trimMovementPath(flankPath || approachPath, budgetFeet);
+            if (waypoints.length > 0) movementPath = waypoints;
+        }
+
+        // --- Reaction Risk Warnings ---
+        const suggestionTraits = identifyResult.traits || [];
+        const suggestedStrike = identifyResult.isStrikeSuggestion
+            ? (currentGameState.self?.strikes || []).find(strike => strike.identifier === identifyResult.strikeIdentifierForButton || strike.name === identifyResult.strikeNameForButton)
+            : null;
+        const provokedReactions = findProvokedReactions({
+            traits: identifyResult.isStrikeSuggestion ? [...suggestionTraits, 'attack'] : suggestionTraits,
+            isMove: !!movementActionMatch || suggestionTraits.includes('move'),
+            isStep: /^\s*Step\b/i.test(parsedSuggestion.description),
+            isRangedAttack: (suggestedStrike && suggestedStrike.meleeReach === null) || (identifyResult.isSpellSuggestion && suggestionTraits.includes('attack')),
+            isSpell: identifyResult.isSpellSuggestion,
+            targetTokenId: targetToken?.id ?? null
+        }, currentGameState.aliveEnemies);
+        const reactionWarningHTML = provokedReactions.length > 0
+            ? `<div class="ai-reaction-warning" style="font-size: 0.85em; color: #800000; margin-top: 3px;">${provokedReactions.map(provoked => `<div><i class="fas fa-exclamation-triangle"></i> ${describeProvokedReaction(provoked)}.</div>`).join('')}</div>`
+            : '';
+
+        // --- Save Odds for a Save-Based Spell, against the suggested target ---
+        let saveAnalysisHTML = '';
+        if (currentGameState.showProbabilityAnalysis && identifyResult.isSpellSuggestion) {
+            const self = currentGameState.self || {};
+            const suggestedSpell = [...(self.spells || []), ...(self.focusSpells || []), ...(self.cantrips || []), ...(self.itemGrantedSpells || [])]
+                .find(spell => spell.uuid === identifyResult.spellLinkUUID || spell.name === identifyResult.spellNameForButton);
+            const saveTarget = (targetToken && currentGameState.aliveEnemies?.find(enemy => enemy.tokenId === targetToken.id)) || null;
+            const analysis = suggestedSpell && saveTarget ? analyzeSpellSave(suggestedSpell, saveTarget) : null;
+            if (analysis) {
+                saveAnalysisHTML = `<div class="ai-save-odds" style="font-size: 0.85em; color: #666; margin-top: 3px;"><i class="fas fa-dice-d20"></i> ${formatSpellSaveAnalysis(analysis)}</div>`;
+            }
+        }
+
+        // --- Morale Indicator (NPCs), with the GM override ---
+        let moraleHTML = '';
+        if (currentGameState.morale) {
+            const morale = currentGameState.morale;
+            const moraleColor = morale.state === MORALE_STATES.BROKEN ? '#800000' : (morale.state === MORALE_STATES.SHAKEN ? '#8a6d3b' : '#666');
+            const moraleReasons = morale.overridden ? 'GM override' : morale.reasons.join(', ');
+            moraleHTML = `<div class="ai-morale" style="font-size: 0.85em; color: ${moraleColor}; margin-top: 3px;">
+                             <i class="fas fa-flag"></i> Morale: <strong>${describeMorale(morale)}</strong>${moraleReasons ? ` - ${moraleReasons}` : ''}
+                             ${game.user.isGM ? `<button class="ai-morale-override" data-combatant-id="${combatant.id}" title="Override this creature's morale for the rest of the combat (GM Only)" style="margin-left: 5px; padding: 1px 5px; font-size: 0.9em; width: auto;"><i class="fas fa-sliders-h"></i> Override</button>` : ''}
+                         </div>`;
+        }
+
+        // Generate buttons, passing the NEW encoded description and the targets to set before rolling
+        const actionButtons = generateSuggestionButtons({
+            combatantId: combatant.id,
+            cost: authoritativeCost, // Use the actual intended cost, not just the validation minimum
+            authoritativeCostString: authoritativeCost,
+            encodedDesc: encodedFullDescription, // Pass the complete encoded string
+            actor: actor, // Use fresh actor
+            targetTokenIds: suggestionTargetTokens.map(token => token.id),
+            targetsArea: targetsArea,
+            templatePlacement: templatePlacement,
+            movementPath: movementPath,
+            canUndo: getActionJournal(combatant.actor).length > 0,
+            planStep: planStepInfo?.index ?? null, // Confirming moves the plan on only from a plan step's card
+            ...identifyResult
+        });
+
         // --- Generate Threat Badge for Target ---
         let threatBadgeHTML = '';
         if (targetToken && targetToken.actor) {
@@ -4592,10 +8695,35 @@ if (turnState.actionsRemaining === 0) {
         }
         // --- End Threat Badge ---
 
+        // --- Multi-Action Plan Step Header & Contingency ---
+        let planStepHTML = '';
+        if (planStepInfo) {
+            planStepHTML = `<div class="ai-plan-step" style="font-size: 0.85em; color: #666; margin-bottom: 3px;"><i class="fas fa-list-ol"></i> Plan Step ${planStepInfo.step}/${planStepInfo.totalSteps}${planStepInfo.overallStrategy ? ` - <i>${planStepInfo.overallStrategy}</i>` : ''}</div>`;
+            if (planStepInfo.failedEvent) {
+                const contingencyButtonHtml = planStepInfo.contingency
+                    ? `<button class="ai-plan-contingency" data-combatant-id="${combatant.id}" title="Discard the rest of the plan and replan using the contingency" style="margin-top: 3px; padding: 1px 5px; font-size: 0.9em;"><i class="fas fa-code-branch"></i> Use Contingency</button>`
+                    : '';
+                planStepHTML += `<div class="ai-plan-contingency-note" style="font-size: 0.85em; color: #800000; margin-bottom: 3px; padding-bottom: 3px; border-bottom: 1px dotted #aaa;">
+                                     <strong>Previous step failed:</strong> ${planStepInfo.failedEvent}
+                                     ${planStepInfo.contingency ? `<br><strong>Contingency:</strong> ${planStepInfo.contingency}<br>${contingencyButtonHtml}` : ''}
+                                 </div>`;
+            }
+        }
+
+        // --- Context Budget Note ---
+        const promptTrimHTML = promptTrimmedSections.length > 0
+            ? `<div class="ai-prompt-trimmed" style="font-size: 0.8em; color: #8a6d3b; margin-bottom: 3px;" title="Raise the Context Window setting to send the full prompt"><i class="fas fa-compress-alt"></i> Trimmed to fit context budget: ${promptTrimmedSections.join(', ')}</div>`
+            : '';
+
         const finalContent = `
+             ${planStepHTML}
+             ${promptTrimHTML}
              <div style="margin-bottom: 5px;">
                  ${actionIconsHTML} <strong>${parsedSuggestion.description}</strong> ${effectiveTargetString ? `<i>(Target: ${effectiveTargetString.replace(/ \[ID:\s*[^\]]+\]/i, '')})</i> ${threatBadgeHTML}` : ''}
-                 <div class="ai-action-counter" style="font-size: 0.9em; color: #666; margin-top: 2px;">(${currentTurnStateForDisplay.actionsRemaining} actions remaining this turn)</div>
+                 <div class="ai-action-counter" style="font-size: 0.9em; color: #666; margin-top: 2px;">(${currentTurnStateForDisplay.actionsRemaining} actions remaining this turn${describeQuickenedActions(currentTurnStateForDisplay) ? `; ${describeQuickenedActions(currentTurnStateForDisplay)}` : ''})</div>
+                 ${reactionWarningHTML}
+                 ${saveAnalysisHTML}
+                 ${moraleHTML}
                  ${(() => {
                      const stunnedVal = currentTurnStateForDisplay.stunnedValueAtStart ?? 0;
                      const slowedVal = currentTurnStateForDisplay.slowedValueAtStart ?? 0;
@@ -4606,12 +8734,13 @@ if (turnState.actionsRemaining === 0) {
 
                      // Determine Stunned change based on user logic
                      if (stunnedVal > 0) {
-                         if (stunnedVal <= 3) {
+                         const stunnedLost = currentTurnStateForDisplay.actionsLostToStunnedAtStart ?? 3; // Stunned drops by the actions it consumed
+                         if (stunnedVal <= stunnedLost) {
                              notes.push(`<li>Remove Stunned ${stunnedVal}.</li>`);
                              stunnedChange = -1; // Signal removal
                          } else {
-                             notes.push(`<li>Reduce Stunned ${stunnedVal} by 3.</li>`);
-                             stunnedChange = 3; // Signal reduction amount
+                             notes.push(`<li>Reduce Stunned ${stunnedVal} by ${stunnedLost}.</li>`);
+                             stunnedChange = stunnedLost; // Signal reduction amount
                          } // <-- ADDED MISSING BRACE
                      }
 
@@ -4663,17 +8792,39 @@ if (turnState.actionsRemaining === 0) {
             whisper: getWhisperRecipientsSuggestions(),
             flags: { [MODULE_ID]: { [FLAGS.OFFER_ID]: suggestionInstanceId, [FLAGS.MANUAL_NOTES_INPUT_ID]: manualInputId } } // Store IDs for later reference
         };
-        await ChatMessage.create(suggestionMessageData);
+        const suggestionMessage = await ChatMessage.create(suggestionMessageData);
 
         // Clean up "Thinking..." message AFTER new message is sent
         if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { });
 
+        // Autopilot actors carry the suggestion out themselves (not awaited: confirming requests the next one)
+        if (suggestionMessage && (isAutopilotEnabled(actor) || isEnemyBlockRunning(combatant))) {
+            runAutopilotStep(suggestionMessage, combatant, identifyResult).catch(error => console.error(`PF2e AI Combat Assistant | Autopilot error for ${combatant.name}:`, error));
+        }
+
     } catch (error) {
+        if (error.name === 'LLMCancelledError') {
+            // Cancelled from the "Thinking..." card: keep the turn state so the request can be made again
+            if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { });
+            await ChatMessage.create({
+                speaker: ChatMessage.getSpeaker({ token: combatant.token || actor.prototypeToken }),
+                content: `<div class="ai-suggestion-cancelled">
+                    <i>AI suggestion for ${combatant.name} cancelled.</i>
+                    <button class="ai-retry-suggestion" data-combatant-id="${combatant.id}" title="Request the suggestion again" style="margin-top: 3px; padding: 1px 5px; font-size: 0.9em;"><i class="fas fa-redo"></i> Request Again</button>
+                    <button class="ai-end-turn" data-combatant-id="${combatant.id}" title="End AI control for this combatant's turn" style="margin-top: 3px; padding: 1px 5px; font-size: 0.9em;"><i class="fas fa-stop"></i> End Turn</button>
+                </div>`,
+                whisper: getWhisperRecipientsSuggestions()
+            });
+            return;
+        }
         console.error(`PF2e AI Combat Assistant | Error during suggestion request for ${combatant.name}:`, error);
         ui.notifications.error(`PF2e AI Combat Assistant Error: ${error.message}`);
         // Clean up flags and thinking message on error
         await clearAITurnFlags(actor); // Use fresh actor
         if (thinkingMessage?.id) await thinkingMessage.delete().catch(() => { });
+    } finally {
+        // A nested request (e.g. a re-request after a skipped passive) registers its own controller
+        if (activeSuggestionRequests.get(combatant.id) === cancelController) activeSuggestionRequests.delete(combatant.id);
     }
 }
 
@@ -4762,6 +8913,7 @@ async function gatherGameState(currentCombatant, combat, actionsRemaining, actor
             traitsString: details.traitsString,
             fullDesc: fullDesc,
             numericRange: numericRange,
+            spellDC: spell.spellcasting?.statistic?.dc?.value ?? null, // For save odds
             fromText: fromText || '',
             rankDisplay: rankDisplay, // The final display string using correct base level where needed
             isCantrip: spell.isCantrip, // Store type for final list separation
@@ -4851,6 +9003,11 @@ async function gatherGameState(currentCombatant, combat, actionsRemaining, actor
 
     const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
     const selfDesignation = designations[currentCombatant.id] || 'enemy';
+    const enemyDefensesKnown = areEnemyDefensesKnown(selfDesignation);
+    // With knowledge gating, the party only sees the enemy stats it has identified (null = sees everything)
+    const knowledgeLedger = isKnowledgeGated(selfDesignation) ? (combat?.getFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER) || {}) : null;
+    // How this kind of creature plays (mindless, bestial, mastermind...) and which enemy stats it can judge
+    const behaviorProfile = getBehaviorProfile(actor);
 
     const isABPActive = game.settings.get("pf2e", "automaticBonusVariant") !== "noABP";
     const abpMode = isABPActive ? game.settings.get("pf2e", "automaticBonusVariant") : "noABP";
@@ -5372,8 +9529,14 @@ const followUpAction = isComboSetup ? comboSetupMatch[1].trim() : null;
             // --- Get Token ID ---
             const otherTokenId = otherCanvasToken?.id || null; // Get the token ID
 
+            // --- What the party has identified about this enemy (knowledge gating) ---
+            const knownFacts = knowledgeLedger && relation === 'enemy' ? getKnownEnemyFacts(knowledgeLedger, otherActor) : null;
+            const profileKnows = (fact) => !behaviorProfile || relation !== 'enemy' || behaviorProfile.enemyFacts.includes(fact);
+            const isKnown = (fact) => (!knownFacts || knownFacts.includes(fact)) && profileKnows(fact);
+            const unknownFacts = knownFacts ? Object.keys(KNOWLEDGE_FACTS).filter(fact => !knownFacts.includes(fact)) : [];
+
             // --- Get AC for probability calculations (enemies only) ---
-            const ac = canSee ? (otherActor?.system?.attributes?.ac?.value ?? null) : null;
+            const ac = canSee && isKnown('ac') ? (otherActor?.system?.attributes?.ac?.value ?? null) : null;
 
             return {
                 id: otherCombatant.id,
@@ -5382,13 +9545,22 @@ const followUpAction = isComboSetup ? comboSetupMatch[1].trim() : null;
                 relation: relation,
                 positionString: positionString,
                 coordinates: otherCoordinates,
+                footprint: otherCanvasToken.document?.width ?? 1, // Width in grid squares, for area placement
                 distance: distanceString, // This might be null if not visible
                 numericDistance: numericDistance, // Will be Infinity if not visible or error
                 hpPercent: hpPercent, // Will be null if not visible
                 defeated: otherActor?.isDefeated ?? false,
                 conditionsEffects: targetConditionsEffects, // Will be empty if not visible
                 size: size, // Will be null if not visible
-                ac: ac // Enemy AC for hit probability calculations
+                ac: ac, // Enemy AC for hit probability calculations
+                estimatedAC: canSee && otherActor && !isKnown('ac') ? (otherActor.level ?? 0) + 15 : null, // Moderate AC for the level, while the real one is unidentified
+                saves: canSee && isKnown('saves') ? getSaveModifiersWithoutConditions(otherActor) : null, // For spell save odds
+                defenses: canSee && relation === 'enemy' && (knownFacts ? knownFacts.includes('defenses') : enemyDefensesKnown) && profileKnows('defenses') ? getActorDamageDefenses(otherActor) : null, // Immunities, weaknesses and resistances, where the GM lets them be known
+                meleeReach: canSee ? getActorMeleeReach(otherActor) : null, // For reaction risk
+                reactions: canSee && otherActor && isKnown('abilities') ? extractActorReactions(otherActor) : [], // Reactions with their triggers
+                unknownFacts: canSee ? unknownFacts : [], // Facts the party hasn't identified yet
+                descriptors: canSee && knownFacts ? describeUnidentifiedEnemy(otherActor, knownFacts) : [], // Rough stand-ins for unidentified stats
+                recallKnowledge: canSee && unknownFacts.length > 0 ? getRecallKnowledgeCheck(otherActor, actor) : null
             };
         })
         .filter(info => info !== null); // <<< NEW: Filter out null entries >>>
@@ -6098,6 +10270,7 @@ const followUpAction = isComboSetup ? comboSetupMatch[1].trim() : null;
                         ready: isReady,
                         weapon: associatedItem || strikeAction.item || null, // Include nested item reference
                         numericRange: rangeForMarker,
+                        meleeReach: meleeReachFt,
                         attackEffectString: attackEffectString,
                         _internalHasGrab: attackEffectString.toLowerCase().includes('grab') // Internal flag for grab check
                     });
@@ -6141,7 +10314,7 @@ const followUpAction = isComboSetup ? comboSetupMatch[1].trim() : null;
 
     // --- Assemble Final State Object ---
     const selfInfo = {
-        id: currentCombatant.id, name: currentCombatant.name || 'Unknown Self', coordinates: selfCoordinates,
+        id: currentCombatant.id, name: currentCombatant.name || 'Unknown Self', coordinates: selfCoordinates, footprint: selfTokenDocument.width ?? 1,
         hp: selfHp ? { value: selfHp.value, max: selfHp.max } : { value: '?', max: '?' }, hpPercent: selfHpPercent,
         ac: selfAc ?? '?', speed: selfSpeedString,
         focusPoints: selfFocusPoints ? { value: selfFocusPoints.value ?? 0, max: selfFocusPoints.max ?? 0 } : { value: 0, max: 0 },
@@ -6390,6 +10563,25 @@ if (!processedAsRegen) {
     // Update hasAllies flag based on *alive* allies
     hasAllies = aliveAllies.length > 0;
 
+    // ============================================================================
+    // FLANKING ANALYSIS (before hit probability: flanking makes targets off-guard)
+    // ============================================================================
+    let flankingData = {
+        currentlyFlanking: [],
+        flankingOpportunities: [],
+        adjacentAllies: [],
+        adjacentEnemies: []
+    };
+
+    let enableFlankingAnalysis = false;
+    try {
+        enableFlankingAnalysis = game.settings.get(MODULE_ID, 'enableFlankingAnalysis');
+    } catch (e) { /* Setting not registered yet, default to false */ }
+
+    if (enableFlankingAnalysis && selfCanvasToken && behaviorProfile?.useFlanking !== false) {
+        flankingData = analyzeFlanking(selfCanvasToken, aliveEnemies, aliveAllies, combat);
+    }
+
     // ============================================================================
     // HIT PROBABILITY CALCULATIONS FOR STRIKES
     // ============================================================================
@@ -6402,6 +10594,13 @@ if (!processedAsRegen) {
         // Get closest enemy AC for probability calculations
         const closestEnemy = aliveEnemies.find(e => e.numericDistance !== Infinity && e.ac !== null);
         const closestEnemyAC = closestEnemy?.ac ?? null;
+        // Precision damage (e.g. Sneak Attack) counts only if that enemy is off-guard
+        const precisionDamage = getPrecisionDamage(actor);
+        const damageOptions = {
+            precisionFormula: precisionDamage?.formula ?? null,
+            targetOffGuard: closestEnemy ? isTargetOffGuard(closestEnemy, flankingData) : false,
+            defenses: closestEnemy?.defenses ?? null
+        };
 
         // Calculate hit probabilities for each strike
         for (const strike of selfInfo.strikes) {
@@ -6427,34 +10626,28 @@ if (!processedAsRegen) {
                     crit2: prob2.crit
                 };
 
+                const evaluation0 = evaluateStrikeDamage(strike.damage, prob0, traitsList, damageOptions);
                 strike.expectedDamage = {
-                    map0: calculateExpectedDamage(strike.damage, prob0, traitsList),
-                    map1: calculateExpectedDamage(strike.damage, prob1, traitsList),
-                    map2: calculateExpectedDamage(strike.damage, prob2, traitsList)
+                    map0: evaluation0.expected,
+                    map1: calculateExpectedDamage(strike.damage, prob1, traitsList, damageOptions),
+                    map2: calculateExpectedDamage(strike.damage, prob2, traitsList, damageOptions)
                 };
+                const damageNotes = [];
+                if (evaluation0.precisionApplied && precisionDamage) damageNotes.push(`incl. ${precisionDamage.source} ${precisionDamage.formula.replace(/ precision$/, '')} (off-guard)`);
+                if (evaluation0.persistentPerRound > 0) damageNotes.push(`incl. persistent ~${evaluation0.persistentPerRound}/round until the flat check`);
+                strike.expectedDamageNotes = damageNotes.join('; ');
 
                 strike.targetAC = closestEnemyAC;
             }
         }
-    }
-
-    // ============================================================================
-    // FLANKING ANALYSIS
-    // ============================================================================
-    let flankingData = {
-        currentlyFlanking: [],
-        flankingOpportunities: [],
-        adjacentAllies: [],
-        adjacentEnemies: []
-    };
-
-    let enableFlankingAnalysis = false;
-    try {
-        enableFlankingAnalysis = game.settings.get(MODULE_ID, 'enableFlankingAnalysis');
-    } catch (e) { /* Setting not registered yet, default to false */ }
 
-    if (enableFlankingAnalysis && selfCanvasToken) {
-        flankingData = analyzeFlanking(selfCanvasToken, aliveEnemies, aliveAllies, combat);
+        // Save odds for save-based spells, against the closest enemy whose saves are known
+        const closestSaveTarget = aliveEnemies.find(e => e.numericDistance !== Infinity && e.saves);
+        if (closestSaveTarget) {
+            for (const spell of [...selfInfo.spells, ...selfInfo.focusSpells, ...selfInfo.cantrips, ...selfInfo.itemGrantedSpells]) {
+                spell.saveAnalysis = analyzeSpellSave(spell, closestSaveTarget);
+            }
+        }
     }
 
     // ============================================================================
@@ -6536,16 +10729,110 @@ if (!processedAsRegen) {
         downedAllies
     });
 
+    // Movement on the grid: how far Strides get, and the paths into melee and flanking positions
+    let movement = null;
+    try {
+        const meleeReaches = (selfInfo.strikes || []).map(strike => strike.meleeReach).filter(reach => reach);
+        movement = planTokenMovement(selfCanvasToken, actor, aliveEnemies, aliveAllies, actionsRemaining, meleeReaches.length > 0 ? Math.max(...meleeReaches) : 5);
+        if (behaviorProfile?.useFlanking === false) movement.flankSquares = []; // Doesn't flank on purpose
+    } catch (movementError) {
+        console.warn(`AI GatherState: Error planning movement for ${currentCombatant.name}:`, movementError);
+    }
+
     // Flanking opportunities
     const flankingOpportunities = identifyFlankingOpportunities({
         self: selfInfo,
         aliveAllies,
-        aliveEnemies
+        aliveEnemies,
+        flankingData,
+        movement
     });
 
     // Combo opportunities from conditions
     const comboOpportunities = identifyComboOpportunities(aliveEnemies);
 
+    // Enemies worth a Recall Knowledge check: the party is missing facts this creature's options depend on
+    let recallKnowledgeTargets = [];
+    if (knowledgeLedger) {
+        const hasSaveSpells = [...selfInfo.spells, ...selfInfo.focusSpells, ...selfInfo.cantrips, ...selfInfo.itemGrantedSpells]
+            .some(spell => spell?.system?.defense?.save ?? spell?.system?.savingThrow?.statistic);
+        const relevantFacts = ['defenses', 'ac', 'abilities', ...(hasSaveSpells ? ['saves'] : [])];
+        recallKnowledgeTargets = aliveEnemies
+            .filter(enemy => enemy.recallKnowledge?.skill && enemy.unknownFacts.some(fact => relevantFacts.includes(fact)))
+            .filter(enemy => enemy.hpPercent === null || enemy.hpPercent > 25) // Not worth an action on a nearly beaten enemy
+            .slice(0, 3);
+    }
+
+    if (behaviorProfile && !behaviorProfile.useItems) selfInfo.consumables = [];
+
+    // Morale of an NPC: whether it keeps fighting, breaks off, surrenders or attacks in desperation
+    let morale = null;
+    let moraleEnabled = false;
+    try {
+        moraleEnabled = game.settings.get(MODULE_ID, 'enableMoraleSystem');
+    } catch (e) { /* Setting not registered yet */ }
+    if (moraleEnabled && actor.type === 'npc' && combat) {
+        try {
+            const moraleFlag = getMoraleFlag(combat);
+            const sideOf = (combatantDoc) => designations[combatantDoc.id] || 'enemy';
+            const isDown = (combatantDoc) => combatantDoc.isDefeated || combatantDoc.actor?.isDefeated || (combatantDoc.actor?.system?.attributes?.hp?.value ?? 1) <= 0;
+            const sideCombatants = combat.combatants.filter(c => c.id !== currentCombatant.id && sideOf(c) === selfDesignation);
+            const fallenAllies = [
+                ...moraleFlag.fallen.filter(entry => entry.side === selfDesignation),
+                ...sideCombatants.filter(isDown).map(c => ({ name: c.name, level: c.actor?.level ?? 0 }))
+            ];
+            const opposingLevels = combat.combatants.filter(c => sideOf(c) !== selfDesignation && !isDown(c) && c.actor).map(c => c.actor.level ?? 0);
+            const calculatedMorale = calculateMorale(actor, {
+                hpPercent: selfHpPercent,
+                fallenAllies,
+                allyLevels: sideCombatants.filter(c => !isDown(c) && c.actor).map(c => c.actor.level ?? 0),
+                partyLevel: opposingLevels.length > 0 ? opposingLevels.reduce((sum, lvl) => sum + lvl, 0) / opposingLevels.length : null,
+                preset: getTacticalPreset(actor),
+                engagedEnemies: aliveEnemies.filter(enemy => enemy.numericDistance <= 5).length
+            });
+            morale = applyMoraleOverride(calculatedMorale, moraleFlag.overrides[currentCombatant.id]);
+            // A creature whose profile never retreats fights on instead
+            if (morale.behavior === MORALE_BEHAVIORS.RETREAT && behaviorProfile && !behaviorProfile.retreats && !morale.overridden) {
+                morale.behavior = MORALE_BEHAVIORS.DESPERATE;
+            }
+        } catch (moraleError) {
+            console.warn(`AI GatherState: Error calculating morale for ${currentCombatant.name}:`, moraleError);
+        }
+    }
+
+    // Damage types and traits against each enemy's known immunities, weaknesses and resistances
+    let damageTypeMatchups = null;
+    if (aliveEnemies.some(enemy => enemy.defenses)) {
+        try {
+            damageTypeMatchups = buildDamageTypeMatchups(collectAbilityDamageProfiles(selfInfo, getPrecisionDamage(actor)), aliveEnemies);
+        } catch (matchupError) {
+            console.warn(`AI GatherState: Error matching damage types for ${currentCombatant.name}:`, matchupError);
+        }
+    }
+
+    // Best placements for area spells, against the creatures this actor can see
+    const areaPlacements = [];
+    const visibleCreatures = (list) => list.filter(creature => creature.numericDistance !== Infinity);
+    const areaSpells = behaviorProfile?.plansAreas === false ? [] : [...selfInfo.spells, ...selfInfo.focusSpells, ...selfInfo.cantrips, ...selfInfo.itemGrantedSpells]
+        .filter(spell => spell?.system?.area?.type && spell.system.area.value);
+    for (const spell of areaSpells) {
+        try {
+            const parsedRange = parseInt(spell.system.range?.value, 10);
+            const { best, bestWithoutAllies } = findBestAreaPlacement({
+                area: spell.system.area,
+                rangeFeet: isNaN(parsedRange) ? null : parsedRange,
+                self: selfInfo,
+                enemies: visibleCreatures(aliveEnemies),
+                allies: visibleCreatures(aliveAllies),
+                gridSize: sceneInfo.gridSize,
+                gridDistance: sceneInfo.gridDistance
+            });
+            if (best) areaPlacements.push({ spellName: spell.name, spellId: spell.id, spellUuid: spell.uuid, area: spell.area, best, bestWithoutAllies });
+        } catch (areaError) {
+            console.warn(`AI GatherState: Error finding area placement for ${spell.name}:`, areaError);
+        }
+    }
+
     return {
         currentTurnCombatantId: currentCombatant.id, scene: sceneInfo,
         aliveAllies: aliveAllies, downedAllies: downedAllies, // New lists
@@ -6576,19 +10863,151 @@ if (!processedAsRegen) {
         // Party coordination data (Phase 2):
         healingPriorities: healingPriorities,
         flankingOpportunities: flankingOpportunities,
-        comboOpportunities: comboOpportunities
+        comboOpportunities: comboOpportunities,
+        areaPlacements: areaPlacements,
+        damageTypeMatchups: damageTypeMatchups,
+        knowledgeGated: !!knowledgeLedger,
+        recallKnowledgeTargets: recallKnowledgeTargets,
+        morale: morale,
+        behaviorProfile: behaviorProfile,
+        movement: movement
     };
 } // End of gatherGameState function
 
 
+// ============================================================================
+// PROMPT TOKEN BUDGET
+// ============================================================================
+
+/**
+ * Compaction steps applied in order when a prompt is over the context budget.
+ * Each step is cumulative; `label` is what the suggestion card reports as trimmed.
+ */
+const PROMPT_COMPACTION_STEPS = [
+    { compaction: { shortenAbilityDescriptions: true }, label: 'ability descriptions (shortened)' },
+    { compaction: { passiveNamesOnly: true }, label: 'passive ability details' },
+    { compaction: { omitCombatMemory: true }, label: 'combat memory' },
+    { compaction: { omitConditionExploits: true }, label: 'condition exploitation notes' },
+    { compaction: { maxEnemies: 3 }, label: 'distant enemies' },
+    { compaction: { omitComboOpportunities: true }, label: 'combo opportunities' },
+    { compaction: { omitAbilityDescriptions: true }, label: 'ability descriptions (removed)' },
+    { compaction: { omitPassives: true }, label: 'passive abilities' }
+];
+
+/**
+ * Rough token estimate for a prompt. Uses ~3.5 characters per token, which errs on the high
+ * side for the markdown-heavy prompts this module builds.
+ * @param {string} text - The text to measure.
+ * @returns {number} Estimated token count.
+ */
+function estimateTokenCount(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / 3.5);
+}
+
+/**
+ * Gets the configured context window in tokens, or 0 if no budget is set.
+ * @returns {number} The context budget.
+ */
+function getContextTokenBudget() {
+    try {
+        return Math.max(0, Number(game.settings.get(MODULE_ID, 'contextTokenBudget')) || 0);
+    } catch (e) {
+        return 0; // Setting not registered yet, no budget
+    }
+}
+
+/**
+ * Tokens kept free for the model's reply (also used as max_tokens). A quarter of a small
+ * context window, capped at the normal 2048.
+ * @returns {number} Tokens reserved for the response.
+ */
+function getResponseTokenReserve() {
+    const contextBudget = getContextTokenBudget();
+    if (contextBudget <= 0) return 2048;
+    return Math.min(2048, Math.max(256, Math.floor(contextBudget * 0.25)));
+}
+
+/**
+ * Shortens or removes the "Description:" lines of a formatted ability list.
+ * @param {string} listString - Output of createAbilityListString.
+ * @param {'shorten'|'omit'|null} mode - 'shorten' keeps the first sentence, 'omit' drops the lines.
+ * @returns {string} The compacted list.
+ */
+function compactPromptDescriptions(listString, mode) {
+    if (!mode || !listString) return listString;
+    return listString.replace(/\n(\s*)Description: ([^\n]*)/g, (match, indent, text) => {
+        if (mode === 'omit') return '';
+        const firstSentence = text.match(/^.*?[.!?](?=\s|$)/)?.[0] ?? text;
+        const shortened = firstSentence.length > 120 ? `${firstSentence.slice(0, 117)}...` : firstSentence;
+        return `\n${indent}Description: ${shortened}`;
+    });
+}
+
+/**
+ * Estimated size of the largest request a prompt turns into. In structured output mode that is the
+ * repair request: the JSON version of the prompt, plus the rejected reply (up to the response reserve)
+ * and the validation errors.
+ * @param {string} prompt - The text-format prompt.
+ * @param {boolean} structuredOutput - Whether the prompt is sent in structured JSON mode.
+ * @returns {number} Estimated token count.
+ */
+function estimateSentPromptTokens(prompt, structuredOutput) {
+    if (!structuredOutput) return estimateTokenCount(prompt);
+    const repairPrompt = craftStructuredRepairPrompt(convertPromptToStructuredOutput(prompt), '', ['Validation error']);
+    return estimateTokenCount(repairPrompt) + getResponseTokenReserve();
+}
+
+/**
+ * Builds a prompt and, if it exceeds the context budget, rebuilds it with progressively more
+ * compaction (see PROMPT_COMPACTION_STEPS) until it fits or nothing more can be trimmed.
+ * The budget applies to the prompt as it is finally sent, including the structured output
+ * instructions and the repair request when structured output is used.
+ * @param {function(object): string} craftPrompt - Builds the prompt for a given compaction object.
+ * @param {object} [options]
+ * @param {boolean} [options.structuredOutput=false] - The prompt will go through requestStructuredSuggestion.
+ * @returns {{prompt: string, estimatedTokens: number, promptBudget: number|null, trimmedSections: string[]}}
+ */
+function buildPromptWithinBudget(craftPrompt, { structuredOutput = false } = {}) {
+    let compaction = {};
+    let prompt = craftPrompt(compaction);
+    let estimatedTokens = estimateSentPromptTokens(prompt, structuredOutput);
+    const trimmedSections = [];
+
+    const contextBudget = getContextTokenBudget();
+    if (contextBudget <= 0) return { prompt, estimatedTokens, promptBudget: null, trimmedSections };
+
+    const promptBudget = contextBudget - getResponseTokenReserve();
+    for (const step of PROMPT_COMPACTION_STEPS) {
+        if (estimatedTokens <= promptBudget) break;
+        compaction = { ...compaction, ...step.compaction };
+        const compactedPrompt = craftPrompt(compaction);
+        const compactedTokens = estimateSentPromptTokens(compactedPrompt, structuredOutput);
+        // Only report steps that actually removed something
+        if (compactedTokens < estimatedTokens) {
+            trimmedSections.push(step.label);
+            prompt = compactedPrompt;
+            estimatedTokens = compactedTokens;
+        }
+    }
+
+    if (estimatedTokens > promptBudget) {
+        console.warn(`PF2e AI Combat Assistant | Prompt is still ~${estimatedTokens} tokens after compaction (budget ${promptBudget}). The model may truncate it.`);
+    } else if (trimmedSections.length > 0) {
+        console.log(`PF2e AI Combat Assistant | Prompt compacted to ~${estimatedTokens}/${promptBudget} tokens. Trimmed: ${trimmedSections.join(', ')}.`);
+    }
+    return { prompt, estimatedTokens, promptBudget, trimmedSections };
+}
+
 // `craftSingleActionPrompt`: Updated with Heal guidance and decisive variable cost instructions.
-function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction = null, manualNotes = null, interimResults = []) { // Added interimResults parameter
+function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction = null, manualNotes = null, interimResults = [], compaction = {}) { // Added interimResults parameter; compaction comes from buildPromptWithinBudget
     const actor = combatant?.actor;
     if (!actor || !gameState?.self) {
         console.error("PF2e AI Combat Assistant | craftSingleActionPrompt: Missing actor or self gameState!");
         return "Error: Cannot generate prompt.";
     }
 
+    const combat = game.combat; // A bare `combat` would resolve to the combat tracker's #combat element
     const closestEnemyDist = gameState.closestEnemyDistance;
     const currentMAP = turnState.currentMAP ?? 0;
     const mapDisplayLabels = { 0: "0", 4: "-4 (Agile)", 5: "-5", 8: "-8 (Agile)", 10: "-10" };
@@ -6651,6 +11070,9 @@ function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction
                 if (ability.fullDesc && ability.fullDesc.length > 0) {
                     entryString += `\n    Description: ${ability.fullDesc}`;
                 }
+                if (gameState.showProbabilityAnalysis && ability.saveAnalysis) {
+                    entryString += `\n    Save Odds: ${formatSpellSaveAnalysis(ability.saveAnalysis)}`;
+                }
             }
 
             // --- Format Strike ---
@@ -6693,6 +11115,7 @@ function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction
                         currentExpDmg = ability.expectedDamage.map2;
                     }
                     entryString += ` | Hit: ${currentHitChance}% (Crit: ${currentCritChance}%) | E[Dmg]: ${currentExpDmg}`;
+                    if (ability.expectedDamageNotes) entryString += ` (${ability.expectedDamageNotes})`;
                     if (ability.targetAC) {
                         entryString += ` vs AC ${ability.targetAC}`;
                     }
@@ -6915,15 +11338,19 @@ function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction
 
     // Generate ability strings using potentially filtered lists
     // Pass gameState to createAbilityListString calls
-    const spellsString = createAbilityListString(filteredSpells, 'Leveled Spell', closestEnemyDist, gameState);
-    const focusSpellsString = createAbilityListString(filteredFocusSpells, 'Focus Spell', closestEnemyDist, gameState);
-    const cantripsString = createAbilityListString(filteredCantrips, 'Cantrip', closestEnemyDist, gameState);
-    const itemSpellsString = createAbilityListString(filteredItemSpells, 'Item Spell', closestEnemyDist, gameState);
+    // Compaction (only when the prompt is over the context budget) shortens or drops "Description:" lines
+    const compactDescriptions = (listString) => compactPromptDescriptions(listString, compaction.omitAbilityDescriptions ? 'omit' : (compaction.shortenAbilityDescriptions ? 'shorten' : null));
+    const spellsString = compactDescriptions(createAbilityListString(filteredSpells, 'Leveled Spell', closestEnemyDist, gameState));
+    const focusSpellsString = compactDescriptions(createAbilityListString(filteredFocusSpells, 'Focus Spell', closestEnemyDist, gameState));
+    const cantripsString = compactDescriptions(createAbilityListString(filteredCantrips, 'Cantrip', closestEnemyDist, gameState));
+    const itemSpellsString = compactDescriptions(createAbilityListString(filteredItemSpells, 'Item Spell', closestEnemyDist, gameState));
     const strikesString = createAbilityListString(gameState.self.strikes, 'Strike', closestEnemyDist, gameState);
-    const actionsAndActionFeatsString = createAbilityListString(filteredActionsAndActionFeats, 'Action/Feat/Free', closestEnemyDist, gameState);
-    const comboSetupActionsString = createAbilityListString(filteredComboSetupActions, 'Combo Setup Action', closestEnemyDist, gameState); // Added combo setup string generation
-    const passiveAbilitiesString = createAbilityListString(gameState.self.passiveAbilities, 'Passive Ability', closestEnemyDist, gameState); // Passives don't usually have range, but pass for consistency
-    const consumablesString = createAbilityListString(filteredConsumables, 'Consumable', closestEnemyDist, gameState);
+    const actionsAndActionFeatsString = compactDescriptions(createAbilityListString(filteredActionsAndActionFeats, 'Action/Feat/Free', closestEnemyDist, gameState));
+    const comboSetupActionsString = compactDescriptions(createAbilityListString(filteredComboSetupActions, 'Combo Setup Action', closestEnemyDist, gameState)); // Added combo setup string generation
+    const passiveAbilitiesString = compaction.omitPassives
+        ? EMPTY_LIST_PLACEHOLDER
+        : compactPromptDescriptions(createAbilityListString(gameState.self.passiveAbilities, 'Passive Ability', closestEnemyDist, gameState), compaction.passiveNamesOnly ? 'omit' : null); // Passives don't usually have range, but pass for consistency
+    const consumablesString = compactDescriptions(createAbilityListString(filteredConsumables, 'Consumable', closestEnemyDist, gameState));
     const conditionsEffectsString = createAbilityListString(gameState.self.conditionsEffects, 'Condition/Effect', closestEnemyDist, gameState); // Pass gameState here too for consistency
 
     // Format combatant entry with AC and flanking markers for enemies
@@ -6934,6 +11361,9 @@ function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction
         if (c.hpPercent !== null) parts.push(`HP: ${c.hpPercent}%`);
         // Add AC for enemies (for tactical decision making)
         if (isEnemy && c.ac !== null) parts.push(`AC: ${c.ac}`);
+        if (isEnemy && describeDamageDefenses(c.defenses)) parts.push(describeDamageDefenses(c.defenses));
+        if (isEnemy && c.descriptors?.length > 0) parts.push(c.descriptors.join(', '));
+        if (isEnemy && c.unknownFacts?.length > 0) parts.push(`Not identified: ${c.unknownFacts.map(fact => KNOWLEDGE_FACTS[fact]).join(', ')}`);
         if (c.defeated) parts.push('[Defeated]');
 
         // Check for flanking status
@@ -6964,14 +11394,19 @@ function craftSingleActionPrompt(combatant, gameState, turnState, skippedAction
     // Format the four new lists
     const aliveAlliesFormatted = gameState.aliveAllies?.map(c => formatCombatantEntry(c, false)).join('\n') || EMPTY_LIST_PLACEHOLDER;
     const downedAlliesFormatted = gameState.downedAllies?.map(c => formatCombatantEntry(c, false)).join('\n') || EMPTY_LIST_PLACEHOLDER;
-    const aliveEnemiesFormatted = gameState.aliveEnemies?.map(c => formatCombatantEntry(c, true)).join('\n') || EMPTY_LIST_PLACEHOLDER;
+    // Enemy lists are sorted closest first, so compaction keeps the nearest ones
+    const enemiesForPrompt = compaction.maxEnemies ? (gameState.aliveEnemies || []).slice(0, compaction.maxEnemies) : gameState.aliveEnemies;
+    const omittedEnemyCount = (gameState.aliveEnemies?.length || 0) - (enemiesForPrompt?.length || 0);
+    const aliveEnemiesFormatted = (enemiesForPrompt?.map(c => formatCombatantEntry(c, true)).join('\n') || EMPTY_LIST_PLACEHOLDER)
+        + (omittedEnemyCount > 0 ? `\n  - (${omittedEnemyCount} more distant enem${omittedEnemyCount === 1 ? 'y' : 'ies'} omitted)` : '');
     const deadEnemiesFormatted = gameState.deadEnemies?.map(c => formatCombatantEntry(c, true)).join('\n') || EMPTY_LIST_PLACEHOLDER;
+    const showDeadEnemies = gameState.deadEnemies?.length > 0 && !compaction.maxEnemies;
     const skipInstruction = skippedAction ? `\nIMPORTANT NOTE: You previously suggested "${skippedAction}". DO NOT suggest that action again this turn.` : "";
     const manualNotesSection = (manualNotes && manualNotes.trim() !== "") ? `\n**Manual Notes from Player/GM:** ${manualNotes.trim()}` : "";
 
     // --- Format Interim Results ---
     const interimResultsString = Array.isArray(interimResults) && interimResults.length > 0
-        ? `\n- **AI Actions Taken This Turn:**\n${interimResults.map(r => `    - ${r.text}`).join('\n')}` // Renamed for clarity
+        ? `\n- **Roll Results This Turn:**\n${interimResults.map(r => `    - ${r.text}`).join('\n')}`
         : "";
     // --- Format Recent Chat Events ---
     const recentEventsString = Array.isArray(gameState.recentEvents) && gameState.recentEvents.length > 0
@@ -7026,7 +11461,7 @@ ${gameState.resourceWarnings.map(w => `- ${w}`).join('\n')}
 
     // --- Condition Exploitation Section ---
     let conditionExploitSection = '';
-    if (gameState.conditionExploits && gameState.conditionExploits.length > 0) {
+    if (!compaction.omitConditionExploits && gameState.conditionExploits && gameState.conditionExploits.length > 0) {
         const exploitLines = gameState.conditionExploits.slice(0, 5).map(exploit => {
             return `  - [${exploit.enemyName}] is ${exploit.condition} → ${exploit.benefit}`;
         });
@@ -7059,6 +11494,44 @@ ${strikeLines.join('\n')}
 `;
     }
 
+    // --- Damage Type Section ---
+    let damageTypeSection = '';
+    const damageTypeMatchups = gameState.damageTypeMatchups;
+    if (damageTypeMatchups && (damageTypeMatchups.matchups.length + damageTypeMatchups.switches.length + damageTypeMatchups.exclusions.length) > 0) {
+        const promptTargets = new Set((enemiesForPrompt || []).map(enemy => enemy.tokenId));
+        const inPrompt = (entry) => entry.targetId === undefined || promptTargets.has(entry.targetId);
+        const matchupLines = damageTypeMatchups.matchups.filter(inPrompt).map(match =>
+            `  - ${match.type} vs ${match.target}: ${match.kind === 'immunity' ? 'immune' : `${match.kind} ${match.value}`} (${match.abilities.join(', ')})`);
+        const switchLines = damageTypeMatchups.switches.filter(inPrompt).map(entry =>
+            `  - Switch ${entry.ability} from ${entry.from} to ${entry.to} vs ${entry.target} (versatile${entry.gain ? `: +${entry.gain} damage per hit` : ''})`);
+        const exclusionLines = damageTypeMatchups.exclusions.filter(inPrompt).map(entry =>
+            entry.kind === 'precision'
+                ? `  - ${entry.ability} adds nothing vs ${entry.target} (immune to precision)`
+                : `  - Do NOT use ${entry.ability} vs ${entry.target} (immune to ${entry.immunity})`);
+        const damageTypeLines = [...matchupLines, ...switchLines, ...exclusionLines];
+        if (damageTypeLines.length > 0) {
+            damageTypeSection = `
+**DAMAGE TYPES VS ENEMY DEFENSES (Known immunities, weaknesses and resistances):**
+${damageTypeLines.join('\n')}
+- Prefer damage types an enemy is weak to, switch away from types it resists, and never use an ability on an enemy immune to it.
+`;
+        }
+    }
+
+    // --- Recall Knowledge Section ---
+    let recallKnowledgeSection = '';
+    if (gameState.recallKnowledgeTargets && gameState.recallKnowledgeTargets.length > 0) {
+        const recallLines = gameState.recallKnowledgeTargets.map(enemy => {
+            const check = enemy.recallKnowledge;
+            return `  - ${enemy.name} [ID: ${enemy.tokenId}]: ${enemy.unknownFacts.map(fact => KNOWLEDGE_FACTS[fact]).join(', ')} not identified. ${check.skill} ${check.modifier >= 0 ? '+' : ''}${check.modifier} vs DC ${check.dc} (${check.successChance}% to succeed)`;
+        });
+        recallKnowledgeSection = `
+**RECALL KNOWLEDGE (The party only knows what it has identified):**
+${recallLines.join('\n')}
+- Recall Knowledge (1 action, secret check) reveals one fact on a success and two on a critical success. Suggest it (e.g. \`ACTION: Recall Knowledge (Religion)\`, targeting the enemy) when an unknown weakness, save or AC would change what you do next. Don't guess stats you haven't identified.
+`;
+    }
+
     // --- Party Coordination Section ---
     let partyCoordinationSection = '';
     try {
@@ -7074,7 +11547,7 @@ ${strikeLines.join('\n')}
     let flankingOpportunitiesSection = '';
     if (gameState.flankingOpportunities && gameState.flankingOpportunities.length > 0) {
         const flankLines = gameState.flankingOpportunities.slice(0, 3).map(opp => {
-            return `  - Move adjacent to ${opp.enemy} to flank with ${opp.ally}${opp.moveRequired ? ` (${opp.moveRequired}ft move)` : ''}`;
+            return `  - Move adjacent to ${opp.enemy} to flank with ${opp.ally}${opp.moveRequired ? ` (${opp.moveRequired}ft move, ${opp.strides} Stride${opp.strides === 1 ? '' : 's'})` : ''}`;
         });
         flankingOpportunitiesSection = `
 **FLANKING OPPORTUNITIES:**
@@ -7082,9 +11555,107 @@ ${flankLines.join('\n')}
 `;
     }
 
+    // --- Area Placement Section ---
+    let areaPlacementSection = '';
+    if (gameState.areaPlacements && gameState.areaPlacements.length > 0) {
+        const placementLines = gameState.areaPlacements.slice(0, 5).map(placement => {
+            let line = `  - ${placement.spellName} (${placement.area}): best ${describeAreaPlacement(placement.best)}`;
+            if (placement.bestWithoutAllies) line += `. Without hitting allies: ${describeAreaPlacement(placement.bestWithoutAllies)}`;
+            return line;
+        });
+        areaPlacementSection = `
+**AREA PLACEMENT (Measured on the map - Cast pre-places the template at the best spot):**
+${placementLines.join('\n')}
+`;
+    }
+
+    // --- Movement Section ---
+    let movementSection = '';
+    if (gameState.movement && gameState.movement.strideReach.length > 0) {
+        const movement = gameState.movement;
+        const strideText = (strides) => `${strides} Stride${strides === 1 ? '' : 's'}`;
+        const movementLines = [
+            `  - Stride range: ${movement.strideReach.map(stride => `${strideText(stride.strides)} reach ${stride.squares} squares, up to ${stride.farthestFeet}ft away`).join('; ')}`
+        ];
+        for (const approach of movement.enemyApproaches.slice(0, compaction.maxEnemies ?? 6)) {
+            const status = approach.inReachNow ? 'already in reach, no movement needed'
+                : approach.strides !== null ? `${strideText(approach.strides)} (${approach.pathFeet}ft path)`
+                    : 'cannot reach melee this turn';
+            movementLines.push(`  - Melee reach of ${approach.name} [ID: ${approach.tokenId}]: ${status}`);
+        }
+        for (const flank of movement.flankSquares.filter(flank => flank.strides !== null).slice(0, 3)) {
+            movementLines.push(`  - Flanking square against ${flank.enemyName} [ID: ${flank.enemyTokenId}] with ${flank.allyName}: ${flank.strides === 0 ? 'you are already there' : `${strideText(flank.strides)} (${flank.pathFeet}ft path)`}`);
+        }
+        movementSection = `
+**MOVEMENT (Speed ${movement.speed}ft${movement.usesFly ? ' fly' : ''}${movement.otherSpeeds ? `; other speeds: ${movement.otherSpeeds}` : ''} - paths measured around walls, creatures and difficult terrain):**
+${movementLines.join('\n')}
+- Do not suggest a Stride toward a target marked as unreachable this turn.
+`;
+    }
+
+    // --- Reaction Risk Section ---
+    let reactionRiskSection = '';
+    const reactionsInRange = (enemy) => (enemy.reactions || []).filter(reaction => enemy.numericDistance <= (reaction.rangeFeet ?? enemy.meleeReach ?? 5));
+    const threateningEnemies = (gameState.aliveEnemies || []).filter(enemy => reactionsInRange(enemy).length > 0);
+    if (threateningEnemies.length > 0) {
+        const riskLines = threateningEnemies.map(enemy =>
+            `  - ${enemy.name} [ID: ${enemy.tokenId}] (${enemy.meleeReach}ft reach, ${enemy.distance ?? 'nearby'}): ${reactionsInRange(enemy).map(reaction => `${reaction.name} - triggered by ${reaction.triggers.map(trigger => REACTION_TRIGGER_LABELS[trigger]).join(', ')}`).join('; ')}`);
+
+        // Check this creature's own options against those reactions, grouping options that provoke the same thing
+        const selfSpells = [...(gameState.self.spells || []), ...(gameState.self.focusSpells || []), ...(gameState.self.cantrips || []), ...(gameState.self.itemGrantedSpells || [])];
+        const candidateActions = [
+            { label: 'Stride', action: { isMove: true } },
+            ...(gameState.self.strikes || []).filter(strike => strike.meleeReach === null).map(strike => ({ label: `${strike.name} (ranged Strike)`, action: { traits: ['attack'], isRangedAttack: true } })),
+            ...selfSpells.map(spell => {
+                const traits = spell.system?.traits?.value || [];
+                return { label: `Cast ${spell.name}`, action: { traits, isSpell: true, isRangedAttack: traits.includes('attack') } };
+            })
+        ];
+        const provokedGroups = new Map();
+        for (const candidate of candidateActions) {
+            const provoked = findProvokedReactions(candidate.action, threateningEnemies);
+            if (provoked.length === 0) continue;
+            const provokedText = [...new Set(provoked.map(entry => `${entry.reactionName} from ${entry.enemyName}`))].join(', ');
+            if (!provokedGroups.has(provokedText)) provokedGroups.set(provokedText, []);
+            if (!provokedGroups.get(provokedText).includes(candidate.label)) provokedGroups.get(provokedText).push(candidate.label);
+        }
+        for (const [provokedText, labels] of provokedGroups) {
+            riskLines.push(`  - ${labels.join(', ')}: would provoke ${provokedText}`);
+        }
+        reactionRiskSection = `
+**REACTION RISKS (Enemy reactions you are within range of - Step and actions without these traits are safe):**
+${riskLines.join('\n')}
+- Weigh a provoked reaction like an extra enemy attack. Step away first, or pick an option that doesn't provoke, unless the payoff is worth it.
+`;
+    }
+
+    // --- Delay & Ready Section ---
+    let turnFlowSection = '';
+    const actingLater = getCombatantsActingLater(game.combat);
+    const canDelay = (turnState.actionsTakenDescriptions || []).length === 0 && actingLater.length > 0;
+    const canReady = turnState.actionsRemaining >= 2;
+    if (canDelay || canReady) {
+        const designations = game.combat?.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+        const ownSide = designations[combatant.id] || 'enemy';
+        const turnFlowLines = [];
+        if (actingLater.length > 0) {
+            turnFlowLines.push(`  - Still to act this round: ${actingLater.map(later => `${later.name} [ID: ${later.tokenId}] (${(designations[later.id] || 'enemy') === ownSide ? 'ally' : 'enemy'})`).join(', ')}`);
+        }
+        if (canDelay) {
+            turnFlowLines.push("  - **Delay** (only before using any action this turn): `ACTION: Delay`, `TARGET: <creature from the list above> [ID: ...]`, `COST: F`. You act right after that creature this round, with all your actions (e.g. let the tank move in first).");
+        }
+        if (canReady) {
+            turnFlowLines.push(`  - **Ready** (2 actions): \`ACTION: Ready: <single action> when <trigger>\`, \`COST: 2\` (e.g. \`Ready: Strike Longsword when an enemy comes within reach\`). The action is used as your reaction if the trigger happens before your next turn. A readied Strike keeps your current MAP (${mapDisplayString}).`);
+        }
+        turnFlowSection = `
+**DELAY & READY (Turn flow options - only when acting now is worse):**
+${turnFlowLines.join('\n')}
+`;
+    }
+
     // --- Combo Opportunities Section ---
     let comboOpportunitiesSection = '';
-    if (gameState.comboOpportunities && gameState.comboOpportunities.length > 0) {
+    if (!compaction.omitComboOpportunities && gameState.comboOpportunities && gameState.comboOpportunities.length > 0) {
         const comboLines = gameState.comboOpportunities.slice(0, 5).map(combo => {
             return `  - [${combo.enemy}] ${combo.condition} → ${combo.benefits.join(', ')}`;
         });
@@ -7161,6 +11732,8 @@ ${priorityLines.join('\n')}
     // Get tactical preset and context for this actor
     const tacticalPreset = getTacticalPreset(actor);
     const tacticalContext = getTacticalContextForPrompt(tacticalPreset);
+    const behaviorProfileContext = getBehaviorProfileForPrompt(gameState.behaviorProfile);
+    const moraleDirective = getMoraleDirectiveForPrompt(gameState.morale);
 
     // Assemble Prompt Sections
     let promptSections = [];
@@ -7174,6 +11747,12 @@ ${gameState.self.permanentNotes.trim()}
 ${tacticalContext ? `
 ${tacticalContext}
 
+` : ''}${behaviorProfileContext ? `
+${behaviorProfileContext}
+
+` : ''}${moraleDirective ? `
+${moraleDirective}
+
 ` : ''}${contextualInfoString}
 
 You have ${turnState.actionsRemaining} actions remaining. Your current Multiple Attack Penalty (MAP) is ${mapDisplayString}.
@@ -7214,15 +11793,15 @@ ${conditionsEffectsString}
 - Your Actions Taken This Turn: ${turnState.actionsTakenDescriptions?.join('; ') || 'None'}
 
 ${interimResultsString}${recentEventsString}
-${gameState.combatMemorySummary ? `
+${gameState.combatMemorySummary && !compaction.omitCombatMemory ? `
 **Previous Rounds (Combat Memory):**
 ${gameState.combatMemorySummary}
-` : ''}${gameState.adaptiveHints?.length > 0 ? `
+` : ''}${gameState.adaptiveHints?.length > 0 && !compaction.omitCombatMemory ? `
 **Tactical Insights:**
 ${gameState.adaptiveHints.map(h => `- ${h}`).join('\n')}
 ` : ''}
 **Combat Situation (Round ${combat?.round ?? '?'})**
-${threatAssessmentSection}${conditionExploitSection}${comboOpportunitiesSection}${strikeAnalysisSection}
+${threatAssessmentSection}${conditionExploitSection}${comboOpportunitiesSection}${strikeAnalysisSection}${damageTypeSection}${recallKnowledgeSection}
 ${closestEnemyInfo}
 ${gameState.aliveEnemies?.length > 0 ? `
 - **ALIVE Enemies (Closest First):**
@@ -7233,16 +11812,17 @@ ${aliveAlliesFormatted}` : ''}
 ${gameState.downedAllies?.length > 0 ? `
 - **DOWNED Allies (Closest First):**
 ${downedAlliesFormatted}` : ''}
-${gameState.deadEnemies?.length > 0 ? `
+${showDeadEnemies ? `
 - **DEAD Enemies (Closest First):**
 ${deadEnemiesFormatted}` : ''}
-${partyCoordinationSection}${flankingOpportunitiesSection}${healingPrioritiesSection}
+${partyCoordinationSection}${flankingOpportunitiesSection}${areaPlacementSection}${movementSection}${reactionRiskSection}${turnFlowSection}${healingPrioritiesSection}
 ${skipInstruction}
 ${manualNotesSection}
 
 **Other Key Rules & Reminders:**
 - **Distance & Range (CRITICAL):** Compare Spell/Ability 'Range'/'Reach' against target 'Distance:'. If Distance > Range, move first. For melee Strikes, check 'Reach' against 'Distance:'. Note the 'Out-of-Range Marker'.
 - **Action Costs:** (1a), (2a), (3a), (R)eaction, (F)ree. You have ${turnState.actionsRemaining} actions left. Free actions cost 0 but check Frequency limits.
+${describeQuickenedActions(turnState) ? `    - **Quickened:** ${describeQuickenedActions(turnState)}. Any other action must be paid for with your remaining ${turnState.actionsRemaining - turnState.quickenedActionsRemaining} unrestricted action(s).` : ''}
 ${turnState.actionsLostToStunnedAtStart > 0 ? `    - **Stunned Reduction:** You lost ${turnState.actionsLostToStunnedAtStart} action(s) to Stunned ${turnState.stunnedValueAtStart} at the start of this turn. Remember to reduce the Stunned condition value by ${turnState.actionsLostToStunnedAtStart}.` : ''}
 - **Requirements:** Action/Feat **(Requires: ...)** text MUST be met NOW.
 - **Conditions/Effects:** Check carefully for restrictions or opportunities.
@@ -7295,75 +11875,944 @@ ${turnState.actionsLostToStunnedAtStart > 0 ? `    - **Stunned Reduction:** You
 
  **Task:** Describe the single NEXT best action or combo for ${actor.name} to take. Be specific about the action and the target(s). Use combo format if applicable. **If suggesting a Leveled Spell with rank choices, INCLUDE the chosen Rank.** **If suggesting a variable-cost action (like Heal), INCLUDE the chosen number of actions (e.g., "(2 actions)").** Also provide a brief, flavorful narrative summary of the action.
  **Output Format (Strict):**
- ACTION: [Action Name OR FreeAction + MainAction OR Action Name (X actions) OR Spell Name (Rank X, Y actions)]
+ ACTION: [Action Name OR FreeAction + MainAction OR Action Name (X actions) OR Spell Name (Rank X, Y actions) OR Delay OR Ready: Action when Trigger]
  TARGET: [Target Name \[ID: actual_token_id] (Use exact format from lists, replace actual_token_id, DO NOT use the literal placeholder string), OR Self, OR Area Description (e.g., 10-foot emanation centered on Self), OR None]
  COST: [Number (1, 2, or 3), R, or F reflecting the FINAL cost of the main action in a combo OR the chosen number of actions for a variable action]
  Rationale: [Brief explanation. CRITICAL: If moving, state why. If attacking, check range/reach. If combo, explain it & cost reduction & Frequency check. Mention key conditions/rules considered. **If Spell with rank choice: Justify chosen Rank/Level.** **If Variable Cost action: Justify chosen number of actions (1, 2, or 3).** **If action uses a Strike (e.g., Flurry of Blows): Justify the chosen Strike (e.g., "Using Tiger Claw (Stance Strike) for higher damage").**]
  NARRATIVE: [A short, engaging, action-packed sentence describing the action being taken.]
 
-ACTION:
-TARGET:
-COST:
-Rationale:
-NARRATIVE:`); // End of last push
+ACTION:
+TARGET:
+COST:
+Rationale:
+NARRATIVE:`); // End of last push
+
+    return promptSections.join('\n');
+}
+
+/**
+ * Crafts a prompt specifically asking the LLM to generate a narrative summary of the completed turn.
+ * @param {object} combatant - The combatant whose turn just ended.
+ * @param {string[]} actionsTakenDescriptions - List of intended actions (from turnState).
+ * @param {string[]} recentEvents - List of actual outcomes/events (from gameState).
+ * @returns {string} The prompt string for the LLM.
+ */
+function craftTurnSummaryPrompt(combatant, actionsTakenDescriptions, recentEvents) {
+    const actor = combatant?.actor;
+    if (!actor) return "Error: Cannot generate summary prompt without actor.";
+
+    const actionsList = actionsTakenDescriptions?.length > 0
+        ? actionsTakenDescriptions.map(a => {
+            // Clean up UUIDs like @UUID[...]{Description} -> Description
+            const cleanedAction = a.replace(/@UUID\[[^\]]+\]\{([^}]+)\}/g, '$1');
+            return `- ${cleanedAction}`;
+          }).join('\n')
+        : "- No specific actions were recorded.";
+
+    const eventsList = recentEvents?.length > 0
+        ? recentEvents.map(e => `- ${e}`).join('\n')
+        : "- No significant events were recorded.";
+
+    return `
+You are narrating the end of ${actor.name}'s turn in combat.
+
+**Instructions:** Write a short, engaging, and flavorful narrative summary (1-3 sentences) describing what happened during ${actor.name}'s turn. Use the information below to make the narrative exciting and accurate. Focus on the *outcomes* and paint a picture of the action.
+
+**Intended Actions This Turn:**
+${actionsList}
+
+**Actual Outcomes & Events This Turn:**
+${eventsList}
+
+**Narrative Summary Task:**
+- Synthesize the intended actions and actual outcomes into a cohesive story of the turn.
+- Emphasize significant results: Did attacks hit or miss? Were there critical hits or fumbles? Did spells succeed or fail?
+- Make it sound dynamic and exciting, like a narrator describing the scene.
+- Keep it concise (1-3 sentences).
+- **Output ONLY the narrative summary text.** Do NOT include prefixes like "Narrative Summary:".
+
+**Example (if attacks missed):** "${actor.name} lunged forward, but their attacks went wide, failing to connect with the enemy."
+**Example (if spell succeeded):** "Gathering arcane energy, ${actor.name} unleashed a powerful spell, engulfing the target in flames!"
+**Example (if mixed results):** "${actor.name} moved into position and struck twice; the first blow glanced off harmlessly, but the second found its mark!"
+
+**Narrative Summary (Output ONLY the text below this line):**
+`;
+}
+
+
+// ============================================================================
+// LLM PROVIDER ADAPTERS
+// ============================================================================
+
+/**
+ * Registered LLM provider adapters, keyed by provider ID.
+ *
+ * An adapter is an object with:
+ * - `label` {string} - Name shown in the provider dropdown.
+ * - `defaultEndpoint` {string} - Used when the endpoint setting is blank. `{model}` is replaced with the model name.
+ * - `requiresApiKey` {boolean} - Whether calls are refused without an API key (default true).
+ * - `supportsResponseFormat` {boolean} - Whether `buildRequest` can honour a structured `responseFormat`.
+ * - `supportsStreaming` {boolean} - Whether `buildRequest` can honour `stream` and `parseStreamEvent` is implemented.
+ * - `buildRequest({ prompt, apiKey, endpoint, model, temperature, maxTokens, responseFormat, stream })` -> `{ url, headers, body }`
+ * - `parseResponse(data)` -> `{ content: string|null, truncated: boolean, finishReason?: string }`
+ * - `parseStreamEvent(event)` -> `{ text: string, truncated: boolean, usage: object|null, finishReason?: string }` for one parsed SSE/NDJSON event
+ * - `getUsage(data)` -> `{ inputTokens: number, outputTokens: number }|null`
+ * - `generate(request)` (optional) -> `Promise<{ content, truncated, finishReason, usage }>`. When present, callLLM calls it
+ *   instead of sending an HTTP request. `request` holds the buildRequest fields plus the `gameState` the prompt was built from.
+ * @type {Map<string, object>}
+ */
+const LLM_PROVIDER_ADAPTERS = new Map();
+
+/** Provider used when the setting is missing or names an adapter that is no longer registered. */
+const DEFAULT_LLM_PROVIDER = 'openai';
+
+/**
+ * Registers (or replaces) an LLM provider adapter. Exposed to other modules through
+ * `game.modules.get('pf2e-ai-combat-assistant').api.registerLLMProvider` and the
+ * `pf2eAiCombatAssistant.registerLLMProviders` hook.
+ * @param {string} id - Unique provider ID stored in the `llmProvider` setting.
+ * @param {object} adapter - The adapter (see LLM_PROVIDER_ADAPTERS).
+ * @returns {boolean} True if the adapter was registered.
+ */
+function registerLLMProvider(id, adapter) {
+    if (!id || typeof id !== 'string' || typeof adapter?.buildRequest !== 'function' || typeof adapter?.parseResponse !== 'function') {
+        console.error(`PF2e AI Combat Assistant | registerLLMProvider: Invalid adapter "${id}". An ID, buildRequest() and parseResponse() are required.`);
+        return false;
+    }
+    LLM_PROVIDER_ADAPTERS.set(id, { label: id, defaultEndpoint: '', requiresApiKey: true, supportsResponseFormat: false, supportsStreaming: false, getUsage: () => null, ...adapter });
+
+    // Keep the settings dropdown in sync when a provider is registered after settings registration
+    const providerSetting = globalThis.game?.settings?.settings?.get(`${MODULE_ID}.llmProvider`); // globalThis: built-ins register at load, before Foundry (or a test) defines game
+    if (providerSetting?.choices) providerSetting.choices[id] = adapter.label || id;
+    return true;
+}
+
+/**
+ * Gets the adapter for a provider ID, falling back to the OpenAI-compatible adapter.
+ * @param {string} [providerId] - Provider ID; defaults to the `llmProvider` setting.
+ * @returns {object} The adapter.
+ */
+function getLLMProviderAdapter(providerId = null) {
+    let id = providerId;
+    if (!id) {
+        try {
+            id = game.settings.get(MODULE_ID, 'llmProvider');
+        } catch (e) { /* Setting not registered yet, use default */ }
+    }
+    const adapter = LLM_PROVIDER_ADAPTERS.get(id);
+    if (!adapter) {
+        if (id && id !== DEFAULT_LLM_PROVIDER) console.warn(`PF2e AI Combat Assistant | LLM provider "${id}" is not registered. Using the OpenAI-compatible adapter.`);
+        return LLM_PROVIDER_ADAPTERS.get(DEFAULT_LLM_PROVIDER);
+    }
+    return adapter;
+}
+
+/**
+ * Reads the LLM connection settings and resolves them against the selected provider adapter.
+ * @returns {{apiKey: string, endpoint: string, modelName: string, adapter: object, isConfigured: boolean}}
+ */
+function getLLMConnectionSettings() {
+    const apiKey = game.settings.get(MODULE_ID, 'apiKey');
+    const modelName = game.settings.get(MODULE_ID, 'aiModel');
+    const adapter = getLLMProviderAdapter();
+    let endpoint = game.settings.get(MODULE_ID, 'llmEndpoint')?.trim() || adapter.defaultEndpoint;
+    // The endpoint setting defaults to OpenRouter; don't send another provider's requests there
+    const openAIDefaultEndpoint = LLM_PROVIDER_ADAPTERS.get(DEFAULT_LLM_PROVIDER).defaultEndpoint;
+    if (endpoint === openAIDefaultEndpoint && adapter !== LLM_PROVIDER_ADAPTERS.get(DEFAULT_LLM_PROVIDER)) endpoint = adapter.defaultEndpoint;
+    const isConfigured = !!endpoint && !!modelName && (!!apiKey || adapter.requiresApiKey === false);
+    return { apiKey, endpoint, modelName, adapter, isConfigured };
+}
+
+/**
+ * Best-effort text extraction for OpenAI-compatible servers that return a non-standard body
+ * (LM Studio, Text Generation Web UI, Kobold, Cohere proxies, etc.). Also accepts the native
+ * Anthropic, Ollama and Gemini bodies, so worlds set up before the LLM Provider setting existed
+ * keep working while their provider is still "OpenAI-compatible".
+ * @param {object} responseData - Parsed JSON response.
+ * @returns {string|null} The message content, if any.
+ */
+function extractCompatibleResponseText(responseData) {
+    const message = responseData.choices?.[0]?.message;
+    // OpenAI / OpenRouter / LM Studio format
+    if (message?.content) return message.content;
+    // Reasoning models may leave content empty and put the answer in a separate reasoning field
+    if (message?.reasoning && (message.reasoning.includes('ACTION:') || message.reasoning.includes('{'))) {
+        console.warn("PF2e AI Combat Assistant | Using reasoning field as content (reasoning model with empty content).");
+        return message.reasoning;
+    }
+    // Completions-style text
+    if (responseData.choices?.[0]?.text) return responseData.choices[0].text;
+    // Anthropic Claude API format
+    if (responseData.content?.[0]?.text) return responseData.content[0].text;
+    if (typeof responseData.content === 'string' && responseData.content) return responseData.content;
+    // Ollama /api/chat format
+    if (responseData.message?.content) return responseData.message.content;
+    // Ollama /api/generate format
+    if (responseData.response) return responseData.response;
+    // Text Generation Web UI format
+    if (responseData.results?.[0]?.text) return responseData.results[0].text;
+    // Kobold AI format
+    if (responseData.results?.[0]?.generated_text) return responseData.results[0].generated_text;
+    // Google Gemini / Vertex AI format
+    if (responseData.candidates?.[0]?.content?.parts?.[0]?.text) return responseData.candidates[0].content.parts[0].text;
+    // Cohere format
+    if (responseData.generations?.[0]?.text) return responseData.generations[0].text;
+    // Generic fallback: look for common text fields
+    if (responseData.output) return typeof responseData.output === 'string' ? responseData.output : JSON.stringify(responseData.output);
+    if (responseData.text) return responseData.text;
+    if (responseData.generated_text) return responseData.generated_text;
+    return null;
+}
+
+// --- OpenAI-compatible chat completions (OpenAI, OpenRouter, LM Studio, vLLM, Ollama /v1, ...) ---
+registerLLMProvider('openai', {
+    label: 'OpenAI-compatible (OpenAI, OpenRouter, LM Studio)',
+    defaultEndpoint: 'https://openrouter.ai/api/v1/chat/completions',
+    requiresApiKey: true,
+    supportsResponseFormat: true,
+    supportsStreaming: true,
+    buildRequest({ prompt, apiKey, endpoint, model, temperature, maxTokens, responseFormat, stream }) {
+        const body = {
+            model: model,
+            messages: [{ role: "user", content: prompt }],
+            temperature: temperature,
+            max_tokens: maxTokens,
+            stop: null
+        };
+        if (responseFormat) body.response_format = responseFormat;
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+        return {
+            url: endpoint,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`,
+                'HTTP-Referer': 'https://foundryvtt.com/',
+                'X-Title': 'PF2e AI Combat Assistant'
+            },
+            body
+        };
+    },
+    parseResponse(data) {
+        const finishReason = data.choices?.[0]?.finish_reason || data.choices?.[0]?.native_finish_reason;
+        return { content: extractCompatibleResponseText(data), truncated: finishReason === 'length' || finishReason === 'MAX_TOKENS', finishReason: finishReason || null };
+    },
+    parseStreamEvent(event) {
+        const finishReason = event.choices?.[0]?.finish_reason;
+        return {
+            text: event.choices?.[0]?.delta?.content || '',
+            truncated: finishReason === 'length',
+            usage: event.usage ? this.getUsage(event) : null,
+            finishReason: finishReason || null
+        };
+    },
+    getUsage(data) {
+        if (!data.usage) return null;
+        return { inputTokens: data.usage.prompt_tokens ?? 0, outputTokens: data.usage.completion_tokens ?? 0 };
+    }
+});
+
+// --- Anthropic Messages API ---
+registerLLMProvider('anthropic', {
+    label: 'Anthropic (Messages API)',
+    defaultEndpoint: 'https://api.anthropic.com/v1/messages',
+    requiresApiKey: true,
+    supportsResponseFormat: false, // JSON is requested through the prompt only
+    supportsStreaming: true,
+    buildRequest({ prompt, apiKey, endpoint, model, temperature, maxTokens, stream }) {
+        return {
+            url: endpoint,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true' // Required for requests made from the browser
+            },
+            body: {
+                model: model,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                messages: [{ role: "user", content: prompt }],
+                ...(stream ? { stream: true } : {})
+            }
+        };
+    },
+    parseResponse(data) {
+        const content = Array.isArray(data.content)
+            ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+            : (typeof data.content === 'string' ? data.content : null);
+        return { content: content || null, truncated: data.stop_reason === 'max_tokens', finishReason: data.stop_reason || null };
+    },
+    parseStreamEvent(event) {
+        // message_start carries input tokens, message_delta carries output tokens and the stop reason
+        let usage = null;
+        if (event.type === 'message_start' && event.message?.usage) usage = { inputTokens: event.message.usage.input_tokens ?? 0 };
+        if (event.type === 'message_delta' && event.usage) usage = { outputTokens: event.usage.output_tokens ?? 0 };
+        return {
+            text: event.type === 'content_block_delta' ? (event.delta?.text || '') : '',
+            truncated: event.type === 'message_delta' && event.delta?.stop_reason === 'max_tokens',
+            usage,
+            finishReason: event.type === 'message_delta' ? (event.delta?.stop_reason || null) : null
+        };
+    },
+    getUsage(data) {
+        if (!data.usage) return null;
+        return { inputTokens: data.usage.input_tokens ?? 0, outputTokens: data.usage.output_tokens ?? 0 };
+    }
+});
+
+// --- Google Gemini generateContent ---
+registerLLMProvider('gemini', {
+    label: 'Google Gemini',
+    defaultEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent',
+    requiresApiKey: true,
+    supportsResponseFormat: true,
+    supportsStreaming: true,
+    buildRequest({ prompt, apiKey, endpoint, model, temperature, maxTokens, responseFormat, stream }) {
+        const generationConfig = { temperature: temperature, maxOutputTokens: maxTokens };
+        // Gemini's responseSchema only accepts an OpenAPI subset, so ask for JSON and let the validator check the shape
+        if (responseFormat) generationConfig.responseMimeType = 'application/json';
+        // Streaming uses a separate method that returns SSE when asked for alt=sse
+        const url = stream
+            ? `${endpoint.replace(':generateContent', ':streamGenerateContent')}${endpoint.includes('?') ? '&' : '?'}alt=sse`
+            : endpoint;
+        return {
+            url,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': apiKey
+            },
+            body: {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                generationConfig
+            }
+        };
+    },
+    parseResponse(data) {
+        const candidate = data.candidates?.[0];
+        const content = candidate?.content?.parts?.map(part => part.text || '').join('') || null;
+        return { content, truncated: candidate?.finishReason === 'MAX_TOKENS', finishReason: candidate?.finishReason || null };
+    },
+    parseStreamEvent(event) {
+        // Each streamed chunk has the same shape as a full response
+        const { content, truncated, finishReason } = this.parseResponse(event);
+        return { text: content || '', truncated, usage: this.getUsage(event), finishReason };
+    },
+    getUsage(data) {
+        if (!data.usageMetadata) return null;
+        return { inputTokens: data.usageMetadata.promptTokenCount ?? 0, outputTokens: data.usageMetadata.candidatesTokenCount ?? 0 };
+    }
+});
+
+// --- Ollama native /api/generate ---
+registerLLMProvider('ollama', {
+    label: 'Ollama (/api/generate)',
+    defaultEndpoint: 'http://localhost:11434/api/generate',
+    requiresApiKey: false,
+    supportsResponseFormat: true,
+    supportsStreaming: true,
+    buildRequest({ prompt, apiKey, endpoint, model, temperature, maxTokens, responseFormat, stream }) {
+        const body = {
+            model: model,
+            prompt: prompt,
+            stream: !!stream, // NDJSON when streaming
+            options: { temperature: temperature, num_predict: maxTokens }
+        };
+        // Ollama accepts a JSON schema (or just "json") in `format`
+        if (responseFormat) body.format = responseFormat.json_schema?.schema ?? 'json';
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`; // Only for proxied/hosted instances
+        return { url: endpoint, headers, body };
+    },
+    parseResponse(data) {
+        return { content: data.response ?? data.message?.content ?? null, truncated: data.done_reason === 'length', finishReason: data.done_reason || null };
+    },
+    parseStreamEvent(event) {
+        return { text: event.response ?? event.message?.content ?? '', truncated: event.done_reason === 'length', usage: event.done ? this.getUsage(event) : null, finishReason: event.done_reason || null };
+    },
+    getUsage(data) {
+        if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+        return { inputTokens: data.prompt_eval_count ?? 0, outputTokens: data.eval_count ?? 0 };
+    }
+});
+
+// ============================================================================
+// MOCK LLM PROVIDER (offline demos and repeatable runs)
+// ============================================================================
+
+/** Scripted responses returned (oldest first) before the mock falls back to generated answers. */
+let mockLLMResponseQueue = [];
+
+/** Current state of the mock provider's seeded random generator; null until first use or after a reset. */
+let mockLLMRandomState = null;
+
+/**
+ * Resets the mock provider: re-seeds its random generator and clears the scripted response queue.
+ * @param {number} [seed] - Seed to use; defaults to the `mockLLMSeed` setting.
+ */
+function resetMockLLM(seed = null) {
+    let resolvedSeed = seed;
+    if (resolvedSeed === null || resolvedSeed === undefined) {
+        try {
+            resolvedSeed = game.settings.get(MODULE_ID, 'mockLLMSeed');
+        } catch (e) { /* Setting not registered yet, default to 1 */ }
+    }
+    mockLLMRandomState = (Number(resolvedSeed) || 1) >>> 0;
+    mockLLMResponseQueue = [];
+}
+
+/**
+ * Queues scripted responses for the mock provider. Each call to the mock consumes the oldest one,
+ * whatever the prompt was; once the queue is empty it generates answers again.
+ * @param {string|string[]} responses - Response text(s), exactly as a real model would return them.
+ * @returns {number} The queue length after adding.
+ */
+function queueMockLLMResponses(responses) {
+    const list = Array.isArray(responses) ? responses : [responses];
+    mockLLMResponseQueue.push(...list.filter(r => typeof r === 'string'));
+    return mockLLMResponseQueue.length;
+}
+
+/**
+ * Seeded random number in [0, 1) (mulberry32), so a given seed always produces the same sequence of answers.
+ * @returns {number}
+ */
+function mockLLMRandom() {
+    if (mockLLMRandomState === null) resetMockLLM();
+    mockLLMRandomState = (mockLLMRandomState + 0x6D2B79F5) >>> 0;
+    let t = mockLLMRandomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Lists the actions the mock may pick from, using the same gameState the prompt was built from.
+ * Without a gameState (e.g. a re-run from the inspector) targets are read from the prompt's `[ID: ...]` tags.
+ * @param {object|null} gameState - State from gatherGameState.
+ * @param {string} prompt - The prompt text.
+ * @param {number} actionsRemaining - Actions left this turn.
+ * @returns {Array<{action: string, cost: number, target: string, rationale: string}>}
+ */
+function buildMockCandidates(gameState, prompt, actionsRemaining) {
+    const candidates = [];
+    const self = gameState?.self;
+    const closestEnemy = (gameState?.aliveEnemies || []).find(e => e.tokenId && e.numericDistance !== Infinity)
+        || (gameState?.aliveEnemies || []).find(e => e.tokenId);
+    let targetLabel = closestEnemy ? `${closestEnemy.name} [ID: ${closestEnemy.tokenId}]` : 'None';
+    if (!gameState) {
+        const enemySection = prompt.split('**ALIVE Enemies (Closest First):**')[1] ?? '';
+        const idMatch = enemySection.match(/^\s*(.+?) \[ID: ([^\]]+)\]/);
+        if (idMatch) targetLabel = `${idMatch[1].trim()} [ID: ${idMatch[2]}]`;
+    }
+
+    (self?.strikes || []).filter(strike => strike.ready !== false).forEach(strike => {
+        const inReach = !closestEnemy || (strike.numericRange ?? 5) >= (closestEnemy.numericDistance ?? 0);
+        if (inReach) candidates.push({ action: `Strike: ${strike.name}`, cost: 1, target: targetLabel, rationale: `(Mock) ${strike.name} can reach the closest enemy.` });
+    });
+
+    [...(self?.cantrips || []), ...(self?.spells || []), ...(self?.focusSpells || [])].forEach(spell => {
+        const cost = typeof spell.costValue === 'number' ? spell.costValue : null;
+        if (!cost || cost > actionsRemaining) return;
+        const rankText = spell.baseLevel ? `Rank ${spell.baseLevel}, ` : '';
+        candidates.push({ action: `${spell.name} (${rankText}${cost} action${cost > 1 ? 's' : ''})`, cost, target: targetLabel, rationale: `(Mock) Casting ${spell.name}.` });
+    });
+
+    (self?._actionsAndActionFeatsList || []).forEach(action => {
+        const cost = typeof action.costValue === 'number' ? action.costValue : null;
+        if (!cost || cost > actionsRemaining) return;
+        candidates.push({ action: action.name, cost, target: targetLabel, rationale: `(Mock) Using ${action.name}.` });
+    });
+
+    if (candidates.length === 0 || (closestEnemy && !candidates.some(c => c.action.startsWith('Strike:')))) {
+        candidates.push({ action: 'Stride', cost: 1, target: targetLabel, rationale: '(Mock) Moving toward the closest enemy.' });
+    }
+    return candidates;
+}
+
+/**
+ * Generates a well-formed answer for whichever prompt the module sent: single suggestion (text or JSON),
+ * multi-action plan, or turn summary.
+ * @param {object} request - The callLLM request (`prompt`, `responseFormat`, `gameState`).
+ * @returns {string} The response text.
+ */
+function generateMockLLMResponse({ prompt, responseFormat, gameState }) {
+    if (prompt.includes('**Narrative Summary Task:**')) {
+        const actorName = prompt.match(/narrating the end of (.+?)'s turn/)?.[1] ?? 'The combatant';
+        return `${actorName} pressed the attack with grim determination, then braced for what would come next.`;
+    }
+
+    const actionsRemaining = Number(prompt.match(/You have (\d+) actions? (?:remaining|left)/)?.[1]) || 3;
+    const candidates = buildMockCandidates(gameState, prompt, actionsRemaining);
+    const pick = (maxCost) => {
+        const affordable = candidates.filter(c => c.cost <= maxCost);
+        return affordable.length > 0 ? affordable[Math.floor(mockLLMRandom() * affordable.length)] : null;
+    };
+
+    if (prompt.includes('**MULTI-ACTION PLAN MODE:**')) {
+        const plan = [];
+        let remaining = actionsRemaining;
+        while (remaining > 0) {
+            const choice = pick(remaining);
+            if (!choice) break;
+            plan.push({ sequence: plan.length + 1, action: choice.action, cost: choice.cost, target: choice.target, rationale: choice.rationale });
+            remaining -= choice.cost;
+        }
+        const fallback = pick(1);
+        return `\`\`\`json\n${JSON.stringify({
+            plan,
+            contingency: fallback ? `If the first action fails, ${fallback.action} instead.` : 'If the first action fails, reposition.',
+            overallStrategy: '(Mock) Spend every action on the closest enemy.'
+        }, null, 2)}\n\`\`\``;
+    }
+
+    const choice = pick(actionsRemaining) || { action: 'Stride', cost: 1, target: 'None', rationale: '(Mock) Nothing else is affordable.' };
+    const narrative = `(Mock) ${choice.action.replace(/^Strike: /, 'A swing with ')} - decided by the roll of a die.`;
+    if (responseFormat || prompt.includes('**Output Format (Strict JSON):**')) {
+        const targetMatch = choice.target.match(/^(.*?)\s*\[ID: ([^\]]+)\]$/);
+        const alternative = candidates.find(c => c !== choice);
+        return JSON.stringify({
+            action: choice.action,
+            target: targetMatch ? targetMatch[1] : choice.target,
+            targetTokenId: targetMatch ? targetMatch[2] : null,
+            cost: String(choice.cost),
+            rationale: choice.rationale,
+            narrative,
+            alternatives: alternative ? [{ action: alternative.action, cost: String(alternative.cost), reason: '(Mock) Lost the die roll.' }] : []
+        });
+    }
+    return `ACTION: ${choice.action}\nTARGET: ${choice.target}\nCOST: ${choice.cost}\nRationale: ${choice.rationale}\nNARRATIVE: ${narrative}`;
+}
+
+// --- Mock (offline): no network, answers from the game state with seeded randomness or a scripted queue ---
+registerLLMProvider('mock', {
+    label: 'Mock (offline, for demos and testing)',
+    defaultEndpoint: 'mock://local',
+    requiresApiKey: false,
+    supportsResponseFormat: true,
+    buildRequest({ endpoint }) {
+        return { url: endpoint, headers: {}, body: {} }; // Never sent; see generate()
+    },
+    parseResponse(data) {
+        return { content: data?.content ?? null, truncated: false, finishReason: 'stop' };
+    },
+    async generate(request) {
+        const content = mockLLMResponseQueue.length > 0 ? mockLLMResponseQueue.shift() : generateMockLLMResponse(request);
+        return {
+            content,
+            truncated: false,
+            finishReason: 'stop',
+            usage: { inputTokens: estimateTokenCount(request.prompt), outputTokens: estimateTokenCount(content) }
+        };
+    }
+});
+
+// ============================================================================
+// LLM EXCHANGE LOG & INSPECTOR
+// ============================================================================
+
+/** Number of exchanges kept when the `llmLogSize` setting is unavailable. */
+const LLM_LOG_DEFAULT_SIZE = 20;
+
+/** Upper bound on the serialized size of the stored log, so it fits comfortably in browser storage. */
+const LLM_LOG_MAX_STORED_CHARS = 500000;
+
+/**
+ * Ring buffer of recent callLLM exchanges, newest last. On the GM's client it is loaded from the
+ * client-scoped `llmExchangeLog` setting on ready and written back after each change; it is never
+ * synced to other clients, since prompts contain GM-only information. Players keep an in-memory log.
+ * @type {object[]}
+ */
+let llmExchangeLog = [];
+
+/** The open inspector dialog, refreshed when a new exchange is logged. */
+let llmInspectorDialog = null;
+
+/**
+ * Gets the maximum number of logged exchanges. 0 disables the log.
+ * @returns {number}
+ */
+function getLLMLogSize() {
+    try {
+        return Math.max(0, Number(game.settings.get(MODULE_ID, 'llmLogSize')) || 0);
+    } catch (e) {
+        return LLM_LOG_DEFAULT_SIZE; // Setting not registered yet
+    }
+}
+
+/**
+ * Drops the oldest entries until the serialized log fits within LLM_LOG_MAX_STORED_CHARS.
+ * The newest entry is always kept.
+ * @param {object[]} entries - Log entries, newest last.
+ * @returns {object[]} The entries that fit.
+ */
+function trimLLMLogForStorage(entries) {
+    let kept = entries.slice();
+    let size = JSON.stringify(kept).length;
+    while (kept.length > 1 && size > LLM_LOG_MAX_STORED_CHARS) {
+        size -= JSON.stringify(kept[0]).length + 1;
+        kept.shift();
+    }
+    return kept;
+}
+
+/** Pending write of the log to client storage. */
+let llmLogPersistTimeout = null;
 
-    return promptSections.join('\n');
+/** Writes the log to the GM's client storage, batched so a retry burst causes one write. */
+function persistLLMExchangeLog() {
+    clearTimeout(llmLogPersistTimeout);
+    llmLogPersistTimeout = setTimeout(async () => {
+        if (!game.user?.isGM) return; // Only the GM's client keeps the log between sessions
+        try {
+            await game.settings.set(MODULE_ID, 'llmExchangeLog', trimLLMLogForStorage(llmExchangeLog));
+        } catch (e) {
+            console.warn("PF2e AI Combat Assistant | Could not save the LLM exchange log:", e);
+        }
+    }, 1000);
 }
 
 /**
- * Crafts a prompt specifically asking the LLM to generate a narrative summary of the completed turn.
- * @param {object} combatant - The combatant whose turn just ended.
- * @param {string[]} actionsTakenDescriptions - List of intended actions (from turnState).
- * @param {string[]} recentEvents - List of actual outcomes/events (from gameState).
- * @returns {string} The prompt string for the LLM.
+ * Loads the persisted log into memory. Called from the ready hook after settings are registered.
+ * Also deletes the copy older versions kept in world settings, which every client received.
  */
-function craftTurnSummaryPrompt(combatant, actionsTakenDescriptions, recentEvents) {
-    const actor = combatant?.actor;
-    if (!actor) return "Error: Cannot generate summary prompt without actor.";
+function loadLLMExchangeLog() {
+    if (game.user?.isGM) {
+        game.settings.storage?.get('world')?.getSetting?.(`${MODULE_ID}.llmExchangeLog`)?.delete()
+            .catch(e => console.warn("PF2e AI Combat Assistant | Could not remove the old world-scoped LLM exchange log:", e));
+    }
+    try {
+        const stored = game.user?.isGM ? game.settings.get(MODULE_ID, 'llmExchangeLog') : [];
+        const logSize = getLLMLogSize();
+        llmExchangeLog = Array.isArray(stored) && logSize > 0 ? stored.slice(-logSize) : [];
+    } catch (e) {
+        llmExchangeLog = []; // Setting not registered yet
+    }
+}
 
-    const actionsList = actionsTakenDescriptions?.length > 0
-        ? actionsTakenDescriptions.map(a => {
-            // Clean up UUIDs like @UUID[...]{Description} -> Description
-            const cleanedAction = a.replace(/@UUID\[[^\]]+\]\{([^}]+)\}/g, '$1');
-            return `- ${cleanedAction}`;
-          }).join('\n')
-        : "- No specific actions were recorded.";
+/**
+ * Adds an exchange to the ring buffer, dropping the oldest entries beyond the size limit.
+ * @param {object} fields - Initial entry fields (purpose, provider, model, endpoint, prompt, ...).
+ * @returns {string|null} The entry ID, or null when logging is disabled.
+ */
+function createLLMLogEntry(fields) {
+    const logSize = getLLMLogSize();
+    if (logSize <= 0) return null;
+    const entry = {
+        id: foundry.utils.randomID(),
+        timestamp: Date.now(),
+        purpose: 'request',
+        rawResponse: null,
+        parsedSuggestion: null,
+        durationMs: null,
+        retries: 0,
+        finishReason: null,
+        truncated: false,
+        httpError: null,
+        error: null,
+        usage: null,
+        streamed: false,
+        ...fields
+    };
+    llmExchangeLog.push(entry);
+    if (llmExchangeLog.length > logSize) llmExchangeLog.splice(0, llmExchangeLog.length - logSize);
+    persistLLMExchangeLog();
+    llmInspectorDialog?.refreshEntries?.(entry.id);
+    return entry.id;
+}
 
-    const eventsList = recentEvents?.length > 0
-        ? recentEvents.map(e => `- ${e}`).join('\n')
-        : "- No significant events were recorded.";
+/**
+ * Merges changes into a logged exchange (e.g. the response once it arrives, or the parsed suggestion).
+ * @param {string|null} entryId - ID from createLLMLogEntry; ignored when null.
+ * @param {object} changes - Fields to update.
+ */
+function updateLLMLogEntry(entryId, changes) {
+    if (!entryId) return;
+    const entry = llmExchangeLog.find(e => e.id === entryId);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    persistLLMExchangeLog();
+    llmInspectorDialog?.refreshEntries?.(entryId);
+}
 
+/**
+ * Builds the detail pane for one logged exchange.
+ * @param {object} entry - The log entry.
+ * @returns {string} HTML.
+ * @private
+ */
+function _buildLLMLogEntryDetailHTML(entry) {
+    const esc = (value) => Handlebars.escapeExpression(value ?? '');
+    const asText = (value) => (value === null || value === undefined) ? '' : (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+    const usageText = entry.usage ? `${entry.usage.inputTokens} in / ${entry.usage.outputTokens} out` : 'n/a';
+    const statusColor = entry.error ? '#a00' : (entry.truncated ? '#b06000' : '#2a6e2a');
+    const statusText = entry.error ? 'Failed' : (entry.rawResponse === null ? 'Pending' : (entry.truncated ? 'Truncated' : 'OK'));
+    const providerOptions = [...LLM_PROVIDER_ADAPTERS].map(([id, adapter]) =>
+        `<option value="${esc(id)}" ${id === entry.provider ? 'selected' : ''}>${esc(adapter.label)}</option>`).join('');
     return `
-You are narrating the end of ${actor.name}'s turn in combat.
+        <div style="display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; font-size: 0.9em;">
+            <strong>Status:</strong><span style="color: ${statusColor};">${statusText}</span>
+            <strong>Purpose:</strong><span>${esc(entry.purpose)}</span>
+            <strong>Provider / Model:</strong><span>${esc(entry.provider)} / ${esc(entry.model)}</span>
+            <strong>Endpoint:</strong><span style="word-break: break-all;">${esc(entry.endpoint)}</span>
+            <strong>Time:</strong><span>${new Date(entry.timestamp).toLocaleString()} (${entry.durationMs ?? '?'} ms${entry.streamed ? ', streamed' : ''})</span>
+            <strong>Retries:</strong><span>${entry.retries}</span>
+            <strong>Finish reason:</strong><span>${esc(entry.finishReason || 'n/a')}${entry.truncated ? ' (hit max_tokens)' : ''}</span>
+            <strong>Tokens:</strong><span>${usageText}</span>
+        </div>
+        ${entry.error ? `<p style="color: #a00; margin: 4px 0;"><strong>Error:</strong> ${esc(entry.error)}</p>` : ''}
+        ${entry.httpError ? `<label style="font-weight: bold;">HTTP error body</label><textarea readonly style="width: 100%; height: 60px; font-family: monospace; font-size: 0.85em;">${esc(entry.httpError)}</textarea>` : ''}
+        <label style="font-weight: bold;">Prompt (${entry.prompt?.length ?? 0} chars)</label>
+        <textarea class="ai-llm-log-prompt" readonly style="width: 100%; height: 160px; font-family: monospace; font-size: 0.85em;">${esc(entry.prompt)}</textarea>
+        <label style="font-weight: bold;">Raw response</label>
+        <textarea readonly style="width: 100%; height: 120px; font-family: monospace; font-size: 0.85em;">${esc(entry.rawResponse)}</textarea>
+        <label style="font-weight: bold;">Parsed result</label>
+        <textarea readonly style="width: 100%; height: 80px; font-family: monospace; font-size: 0.85em;">${esc(asText(entry.parsedSuggestion))}</textarea>
+        <div style="display: flex; gap: 4px; align-items: center; margin-top: 4px;">
+            <button type="button" class="ai-llm-log-copy" style="flex: 0 0 auto; width: auto;"><i class="fas fa-copy"></i> Copy Prompt</button>
+            <select class="ai-llm-log-provider" style="flex: 1;">${providerOptions}</select>
+            <input type="text" class="ai-llm-log-model" value="${esc(entry.model)}" placeholder="Model" style="flex: 1;">
+            <button type="button" class="ai-llm-log-rerun" style="flex: 0 0 auto; width: auto;"><i class="fas fa-redo"></i> Re-run</button>
+        </div>`;
+}
 
-**Instructions:** Write a short, engaging, and flavorful narrative summary (1-3 sentences) describing what happened during ${actor.name}'s turn. Use the information below to make the narrative exciting and accurate. Focus on the *outcomes* and paint a picture of the action.
+/**
+ * Re-sends a logged prompt, optionally to a different provider/model. The result is logged as a new entry.
+ * The configured API key is only ever sent to the configured provider: a re-run against another
+ * provider is refused unless that provider works without a key, in which case none is sent.
+ * @param {object} entry - The log entry to replay.
+ * @param {string} providerId - Provider to send to.
+ * @param {string} model - Model name to send to.
+ * @returns {Promise<string|null>} The response text.
+ * @throws {Error} When the target provider needs an API key that isn't configured for it.
+ */
+async function rerunLLMLogEntry(entry, providerId, model) {
+    const connection = getLLMConnectionSettings();
+    const adapter = getLLMProviderAdapter(providerId);
+    // The configured endpoint and key belong to the configured provider; other providers use their default endpoint
+    const sameProvider = adapter === connection.adapter;
+    if (!sameProvider && adapter.requiresApiKey !== false) {
+        throw new Error(`${adapter.label} needs its own API key. Switch the LLM Provider setting to ${adapter.label} to re-run against it.`);
+    }
+    const endpoint = sameProvider ? connection.endpoint : adapter.defaultEndpoint;
+    const apiKey = sameProvider ? connection.apiKey : '';
+    return callLLM(entry.prompt, apiKey, endpoint, model || connection.modelName, {
+        provider: providerId,
+        responseFormat: entry.responseFormat || undefined,
+        logLabel: `re-run of ${entry.purpose}`
+    });
+}
 
-**Intended Actions This Turn:**
-${actionsList}
+/**
+ * Opens the GM inspector for logged LLM exchanges: browse entries, copy a prompt and
+ * re-run it against another provider or model.
+ */
+function openLLMInspector() {
+    if (!game.user.isGM) {
+        ui.notifications.warn("AI Assistant: Only the GM can open the LLM inspector.");
+        return;
+    }
+    if (llmInspectorDialog?.rendered) {
+        llmInspectorDialog.bringToTop();
+        return;
+    }
 
-**Actual Outcomes & Events This Turn:**
-${eventsList}
+    let selectedId = llmExchangeLog[llmExchangeLog.length - 1]?.id ?? null;
+    const content = `
+        <div class="ai-llm-inspector" style="display: flex; gap: 8px; height: 100%;">
+            <select class="ai-llm-log-list" size="20" style="width: 260px; flex: 0 0 260px; height: 100%; font-size: 0.85em;"></select>
+            <div class="ai-llm-log-detail" style="flex: 1; overflow-y: auto; padding-right: 4px;"></div>
+        </div>`;
 
-**Narrative Summary Task:**
-- Synthesize the intended actions and actual outcomes into a cohesive story of the turn.
-- Emphasize significant results: Did attacks hit or miss? Were there critical hits or fumbles? Did spells succeed or fail?
-- Make it sound dynamic and exciting, like a narrator describing the scene.
-- Keep it concise (1-3 sentences).
-- **Output ONLY the narrative summary text.** Do NOT include prefixes like "Narrative Summary:".
+    const dialog = new Dialog({
+        title: "AI Combat Assistant: LLM Inspector",
+        content,
+        buttons: {
+            clear: {
+                icon: '<i class="fas fa-trash"></i>',
+                label: "Clear Log",
+                callback: () => {
+                    llmExchangeLog = [];
+                    persistLLMExchangeLog();
+                }
+            },
+            close: { icon: '<i class="fas fa-times"></i>', label: "Close" }
+        },
+        default: "close",
+        render: (html) => {
+            const list = html.find('.ai-llm-log-list');
+            const detail = html.find('.ai-llm-log-detail');
+
+            const showEntry = (entryId) => {
+                const entry = llmExchangeLog.find(e => e.id === entryId);
+                selectedId = entry?.id ?? null;
+                if (!entry) {
+                    detail.html('<p><em>No LLM exchanges logged yet.</em></p>');
+                    return;
+                }
+                detail.html(_buildLLMLogEntryDetailHTML(entry));
+                detail.find('.ai-llm-log-copy').on('click', () => {
+                    game.clipboard.copyPlainText(entry.prompt ?? '');
+                    ui.notifications.info("AI Assistant: Prompt copied to clipboard.");
+                });
+                detail.find('.ai-llm-log-rerun').on('click', async (event) => {
+                    const button = $(event.currentTarget);
+                    button.prop('disabled', true);
+                    try {
+                        await rerunLLMLogEntry(entry, detail.find('.ai-llm-log-provider').val(), detail.find('.ai-llm-log-model').val()?.trim());
+                        showEntry(llmExchangeLog[llmExchangeLog.length - 1]?.id); // The re-run is the newest entry
+                    } catch (error) {
+                        console.error("PF2e AI Combat Assistant | LLM inspector re-run failed:", error);
+                        ui.notifications.error(`PF2e AI Combat Assistant Error: ${error.message}`);
+                        showEntry(llmExchangeLog[llmExchangeLog.length - 1]?.id);
+                    } finally {
+                        button.prop('disabled', false);
+                    }
+                });
+            };
 
-**Example (if attacks missed):** "${actor.name} lunged forward, but their attacks went wide, failing to connect with the enemy."
-**Example (if spell succeeded):** "Gathering arcane energy, ${actor.name} unleashed a powerful spell, engulfing the target in flames!"
-**Example (if mixed results):** "${actor.name} moved into position and struck twice; the first blow glanced off harmlessly, but the second found its mark!"
+            dialog.refreshEntries = (changedId = null) => {
+                const options = [...llmExchangeLog].reverse().map(entry => {
+                    const time = new Date(entry.timestamp).toLocaleTimeString();
+                    const flag = entry.error ? ' ✗' : (entry.truncated ? ' ⚠' : '');
+                    const label = Handlebars.escapeExpression(`${time} ${entry.purpose} (${entry.model})${flag}`);
+                    return `<option value="${entry.id}" ${entry.id === selectedId ? 'selected' : ''}>${label}</option>`;
+                }).join('');
+                list.html(options);
+                // Keep the detail pane (and any model typed into it) unless the shown entry changed or was dropped
+                if (!llmExchangeLog.some(e => e.id === selectedId)) {
+                    showEntry(llmExchangeLog[llmExchangeLog.length - 1]?.id);
+                    list.val(selectedId);
+                } else if (changedId === selectedId) {
+                    showEntry(selectedId);
+                }
+            };
 
-**Narrative Summary (Output ONLY the text below this line):**
-`;
+            list.on('change', () => showEntry(list.val()));
+            dialog.refreshEntries();
+            showEntry(selectedId);
+        },
+        close: () => { llmInspectorDialog = null; }
+    }, { width: 960, height: 720, resizable: true });
+
+    llmInspectorDialog = dialog;
+    dialog.render(true);
+}
+
+/**
+ * Builds the settings menu entry that opens the LLM inspector instead of a form.
+ * Created on demand because FormApplication only exists inside Foundry.
+ * @returns {typeof FormApplication}
+ */
+function getLLMInspectorMenuClass() {
+    return class LLMInspectorMenu extends FormApplication {
+        render() {
+            openLLMInspector();
+            return this;
+        }
+    };
+}
+
+/**
+ * Endpoints that rejected an OpenAI-style `response_format` this session.
+ * Structured requests to these endpoints are sent without it and rely on the prompt alone.
+ * @type {Set<string>}
+ */
+const jsonModeUnsupportedEndpoints = new Set();
+
+/**
+ * Creates the error thrown when an LLM request is cancelled through `options.signal`.
+ * Callers check `error.name === 'LLMCancelledError'` to tell a cancel apart from a failure.
+ * @returns {Error} The cancellation error.
+ */
+function createLLMCancelledError() {
+    const error = new Error("LLM request cancelled.");
+    error.name = 'LLMCancelledError';
+    return error;
 }
 
+/**
+ * Reads a streamed LLM response (SSE `data:` lines or NDJSON) through the adapter's parseStreamEvent.
+ * @param {Response} response - The fetch response with a readable body.
+ * @param {object} adapter - The provider adapter.
+ * @param {function(string): void} onText - Called with the full text received so far after each chunk.
+ * @param {function(): void} onActivity - Called whenever bytes arrive (used to reset the idle timeout).
+ * @returns {Promise<{content: string, truncated: boolean, usage: object|null, finishReason: string|null}>} The assembled response.
+ */
+async function readLLMStream(response, adapter, onText, onActivity) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let truncated = false;
+    let usage = null;
+    let finishReason = null;
+
+    const handleLine = (line) => {
+        const trimmedLine = line.trim();
+        // Skip blank lines, SSE comments and event names; the payload is on the data: line
+        if (!trimmedLine || trimmedLine.startsWith(':') || trimmedLine.startsWith('event:')) return;
+        const payload = trimmedLine.startsWith('data:') ? trimmedLine.slice(5).trim() : trimmedLine;
+        if (!payload || payload === '[DONE]') return;
+        let event;
+        try {
+            event = JSON.parse(payload);
+        } catch (e) {
+            // console.warn("PF2e AI Combat Assistant | Skipping unparseable stream line:", payload); // DEBUG
+            return;
+        }
+        const parsed = adapter.parseStreamEvent(event);
+        if (parsed.text) content += parsed.text;
+        if (parsed.truncated) truncated = true;
+        if (parsed.finishReason) finishReason = parsed.finishReason;
+        if (parsed.usage) usage = { ...(usage || {}), ...parsed.usage };
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        onActivity();
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete last line for the next chunk
+        const lengthBefore = content.length;
+        lines.forEach(handleLine);
+        if (content.length !== lengthBefore) onText(content);
+    }
+    buffer += decoder.decode();
+    if (buffer) handleLine(buffer);
+
+    if (usage) usage = { inputTokens: usage.inputTokens ?? 0, outputTokens: usage.outputTokens ?? 0 };
+    return { content, truncated, usage, finishReason };
+}
 
-// `callLLM`: Calls the API with timeout and retry logic.
-async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
+// `callLLM`: Calls the API through the selected provider adapter with timeout and retry logic.
+// Pass `options.responseFormat` to request structured output (OpenAI `response_format`),
+// `options.provider` to override the provider setting and `options.onUsage` to receive token usage.
+// Pass `options.onStream` to stream the response (called with the text so far) and
+// `options.signal` to cancel; a cancelled call throws an error named 'LLMCancelledError'.
+// Every exchange is recorded in the LLM exchange log under `options.logLabel`; when `options.logContext`
+// is given, its `entryId` is set so the caller can attach the parsed result with updateLLMLogEntry.
+async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o", options = {}) {
     if (DEBUG) console.debug(`PF2e AI Combat Assistant | --- Calling LLM API (${model}) ---`);
-    if (!prompt || !apiKey || !endpoint || !model) {
+    if (options.signal?.aborted) throw createLLMCancelledError();
+    const adapter = getLLMProviderAdapter(options.provider);
+    endpoint = (endpoint || adapter.defaultEndpoint || '').replace('{model}', encodeURIComponent(model));
+    const startTime = Date.now();
+    const logEntryId = createLLMLogEntry({
+        purpose: options.logLabel || 'request',
+        provider: [...LLM_PROVIDER_ADAPTERS].find(([, a]) => a === adapter)?.[0] ?? DEFAULT_LLM_PROVIDER,
+        model,
+        endpoint,
+        prompt,
+        responseFormat: options.responseFormat || null
+    });
+    if (options.logContext) options.logContext.entryId = logEntryId;
+    const finishLogEntry = (changes) => updateLLMLogEntry(logEntryId, { durationMs: Date.now() - startTime, ...changes });
+    if (!prompt || (!apiKey && adapter.requiresApiKey !== false) || !endpoint || !model) {
+        finishLogEntry({ error: "Missing parameters (prompt, apiKey, endpoint, or model)." });
         console.error("PF2e AI Combat Assistant | LLM call aborted: Missing parameters (prompt, apiKey, endpoint, or model).");
         ui.notifications.error("AI Assistant: LLM call aborted due to missing configuration. Check module settings and console (F12).", { permanent: true });
         return null;
@@ -7381,33 +12830,78 @@ async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
 
     console.log(`PF2e AI Combat Assistant | Sending prompt to ${model} at ${endpoint}. Prompt length: ${prompt.length}`);
 
+    let sendResponseFormat = !!options.responseFormat && !!adapter.supportsResponseFormat && !jsonModeUnsupportedEndpoints.has(endpoint);
+    let enableStreaming = true;
+    try {
+        enableStreaming = game.settings.get(MODULE_ID, 'enableStreaming');
+    } catch (e) { /* Setting not registered yet, default to true */ }
+    const stream = enableStreaming && typeof options.onStream === 'function' && !!adapter.supportsStreaming;
     let lastError = null;
+    let lastHttpError = null;
+
+    // Offline adapters (e.g. the mock provider) answer locally: no fetch, timeout or retries
+    if (typeof adapter.generate === 'function') {
+        try {
+            const generated = await adapter.generate({
+                prompt, apiKey, endpoint, model, temperature,
+                maxTokens: getResponseTokenReserve(),
+                responseFormat: sendResponseFormat ? options.responseFormat : null,
+                gameState: options.gameState ?? null
+            });
+            const content = generated?.content?.trim() || null;
+            finishLogEntry({
+                rawResponse: generated?.content ?? null,
+                finishReason: generated?.finishReason ?? null,
+                truncated: !!generated?.truncated,
+                usage: generated?.usage ?? null,
+                error: content ? null : `The "${adapter.label}" adapter returned no content.`
+            });
+            if (generated?.usage && typeof options.onUsage === 'function') options.onUsage(generated.usage);
+            if (content && typeof options.onStream === 'function') options.onStream(content);
+            return content;
+        } catch (error) {
+            finishLogEntry({ error: error?.message ?? String(error) });
+            console.error(`PF2e AI Combat Assistant | The "${adapter.label}" adapter failed to generate a response:`, error);
+            ui.notifications.error(`AI Assistant: The "${adapter.label}" provider failed. Check the console (F12) for details.`, { permanent: true });
+            throw error;
+        }
+    }
 
     for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
-        // Create AbortController for timeout
+        if (options.signal?.aborted) { // Cancelled while waiting to retry
+            finishLogEntry({ retries: attempt, error: "Cancelled by user." });
+            throw createLLMCancelledError();
+        }
+        // Create AbortController for timeout (and for user cancellation via options.signal)
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+        let timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+        // While streaming, the timeout measures inactivity rather than the whole response
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+        };
+        options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
 
         try {
             if (attempt > 0) {
                 console.log(`PF2e AI Combat Assistant | Retry attempt ${attempt + 1}/${MAX_RETRIES}...`);
             }
 
-            const response = await fetch(endpoint, {
+            const request = adapter.buildRequest({
+                prompt,
+                apiKey,
+                endpoint,
+                model,
+                temperature,
+                maxTokens: getResponseTokenReserve(), // 2048 unless a small context budget is set; room for reasoning models' chain-of-thought
+                responseFormat: sendResponseFormat ? options.responseFormat : null,
+                stream
+            });
+
+            const response = await fetch(request.url, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`,
-                    'HTTP-Referer': 'https://foundryvtt.com/',
-                    'X-Title': 'PF2e AI Combat Assistant'
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [{ role: "user", content: prompt }],
-                    temperature: temperature,
-                    max_tokens: 2048, // Increased to handle reasoning models that use tokens for chain-of-thought
-                    stop: null
-                }),
+                headers: request.headers,
+                body: typeof request.body === 'string' ? request.body : JSON.stringify(request.body),
                 signal: controller.signal
             });
 
@@ -7421,6 +12915,16 @@ async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
                 } catch (bodyError) {
                     errorBodyText += ` (Could not read error response body: ${bodyError})`;
                 }
+                lastHttpError = errorBodyText;
+                // Endpoints without JSON mode usually reject response_format with a 400/422; resend once without it
+                if (sendResponseFormat && (response.status === 400 || response.status === 422)) {
+                    console.warn(`PF2e AI Combat Assistant | Endpoint rejected response_format, retrying without structured output. ${errorBodyText}`);
+                    jsonModeUnsupportedEndpoints.add(endpoint);
+                    sendResponseFormat = false;
+                    attempt--; // This resend doesn't count as a retry
+                    continue;
+                }
+
                 console.error(`PF2e AI Combat Assistant | LLM API HTTP Error: ${errorBodyText}`);
 
                 // Don't retry on 4xx errors (client errors like auth failures)
@@ -7438,81 +12942,63 @@ async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
                 throw lastError;
             }
 
+            // Servers that ignore the stream flag answer with plain JSON, which is handled below
+            const contentType = response.headers.get('content-type') || '';
+            if (stream && response.body && !contentType.includes('application/json')) {
+                resetTimeout();
+                const streamed = await readLLMStream(response, adapter, options.onStream, resetTimeout);
+                clearTimeout(timeoutId);
+                finishLogEntry({
+                    rawResponse: streamed.content,
+                    retries: attempt,
+                    finishReason: streamed.finishReason,
+                    truncated: streamed.truncated,
+                    usage: streamed.usage,
+                    httpError: lastHttpError,
+                    streamed: true,
+                    error: streamed.content.trim() ? null : "Stream finished without message content."
+                });
+                if (streamed.truncated) {
+                    console.warn("PF2e AI Combat Assistant | LLM response was truncated (hit max_tokens limit). The response may be incomplete.");
+                    ui.notifications.warn("AI Assistant: The LLM response was cut off at the token limit and may be incomplete. See the LLM Inspector for details.");
+                }
+                if (streamed.usage) {
+                    console.log(`PF2e AI Combat Assistant | LLM usage: ${streamed.usage.inputTokens} input / ${streamed.usage.outputTokens} output tokens.`);
+                    if (typeof options.onUsage === 'function') options.onUsage(streamed.usage);
+                }
+                if (!streamed.content.trim()) {
+                    console.warn(`PF2e AI Combat Assistant | LLM stream finished, but the "${adapter.label}" adapter found no message content. Check the LLM Provider setting.`);
+                    return null;
+                }
+                return streamed.content.trim();
+            }
+
             const responseData = await response.json();
 
-            // Check for truncation due to max_tokens
-            const finishReason = responseData.choices?.[0]?.finish_reason || responseData.choices?.[0]?.native_finish_reason;
-            if (finishReason === 'length' || finishReason === 'MAX_TOKENS') {
+            const { content: messageContent, truncated, finishReason } = adapter.parseResponse(responseData);
+            if (truncated) {
                 console.warn("PF2e AI Combat Assistant | LLM response was truncated (hit max_tokens limit). The response may be incomplete.");
+                ui.notifications.warn("AI Assistant: The LLM response was cut off at the token limit and may be incomplete. See the LLM Inspector for details.");
             }
 
-            // Support multiple LLM API response formats
-            let messageContent = null;
-
-            // OpenAI / OpenRouter / LM Studio format
-            if (responseData.choices?.[0]?.message?.content) {
-                messageContent = responseData.choices[0].message.content;
-            }
-            // Reasoning models may put content in a separate reasoning field (fallback if content is empty)
-            else if (responseData.choices?.[0]?.message?.reasoning && !responseData.choices?.[0]?.message?.content) {
-                // For reasoning models, try to extract the action from the reasoning if content is empty
-                const reasoning = responseData.choices[0].message.reasoning;
-                // Look for ACTION: pattern in reasoning as last resort
-                if (reasoning.includes('ACTION:')) {
-                    messageContent = reasoning;
-                    console.warn("PF2e AI Combat Assistant | Using reasoning field as content (reasoning model with empty content).");
-                }
-            }
-            // OpenAI format with text instead of content
-            else if (responseData.choices?.[0]?.text) {
-                messageContent = responseData.choices[0].text;
-            }
-            // Anthropic Claude API format
-            else if (responseData.content?.[0]?.text) {
-                messageContent = responseData.content[0].text;
-            }
-            // Anthropic Claude API format (direct text)
-            else if (responseData.content && typeof responseData.content === 'string') {
-                messageContent = responseData.content;
-            }
-            // Ollama format
-            else if (responseData.message?.content) {
-                messageContent = responseData.message.content;
-            }
-            // Ollama /api/generate format
-            else if (responseData.response) {
-                messageContent = responseData.response;
-            }
-            // Text Generation Web UI format
-            else if (responseData.results?.[0]?.text) {
-                messageContent = responseData.results[0].text;
-            }
-            // Kobold AI format
-            else if (responseData.results?.[0]?.generated_text) {
-                messageContent = responseData.results[0].generated_text;
-            }
-            // Google Gemini / Vertex AI format
-            else if (responseData.candidates?.[0]?.content?.parts?.[0]?.text) {
-                messageContent = responseData.candidates[0].content.parts[0].text;
-            }
-            // Cohere format
-            else if (responseData.generations?.[0]?.text) {
-                messageContent = responseData.generations[0].text;
-            }
-            // Generic fallback: look for common text fields
-            else if (responseData.output) {
-                messageContent = typeof responseData.output === 'string' ? responseData.output : JSON.stringify(responseData.output);
-            }
-            else if (responseData.text) {
-                messageContent = responseData.text;
-            }
-            else if (responseData.generated_text) {
-                messageContent = responseData.generated_text;
+            const usage = adapter.getUsage(responseData);
+            finishLogEntry({
+                // Keep the whole body when the adapter found no content, so the inspector shows what came back
+                rawResponse: messageContent ?? JSON.stringify(responseData, null, 2),
+                retries: attempt,
+                finishReason: finishReason ?? null,
+                truncated: !!truncated,
+                usage,
+                httpError: lastHttpError,
+                error: messageContent ? null : `The "${adapter.label}" adapter found no message content.`
+            });
+            if (usage) {
+                console.log(`PF2e AI Combat Assistant | LLM usage: ${usage.inputTokens} input / ${usage.outputTokens} output tokens.`);
+                if (typeof options.onUsage === 'function') options.onUsage(usage);
             }
 
             if (!messageContent) {
-                console.warn("PF2e AI Combat Assistant | LLM response successful, but no message content found. Response structure:", JSON.stringify(responseData, null, 2).substring(0, 1000));
-                console.warn("PF2e AI Combat Assistant | Supported formats: OpenAI (choices[0].message.content), Anthropic (content[0].text), Ollama (message.content or response), Google (candidates[0].content.parts[0].text), Cohere (generations[0].text)");
+                console.warn(`PF2e AI Combat Assistant | LLM response successful, but the "${adapter.label}" adapter found no message content. Check the LLM Provider setting. Response structure:`, JSON.stringify(responseData, null, 2).substring(0, 1000));
                 return null;
             }
             return messageContent.trim();
@@ -7520,6 +13006,13 @@ async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
         } catch (error) {
             clearTimeout(timeoutId);
 
+            // Cancelled by the user: stop immediately, no retries or error notification
+            if (options.signal?.aborted) {
+                console.log("PF2e AI Combat Assistant | LLM request cancelled by user.");
+                finishLogEntry({ retries: attempt, httpError: lastHttpError, error: "Cancelled by user." });
+                throw createLLMCancelledError();
+            }
+
             // Handle abort/timeout specifically
             if (error.name === 'AbortError') {
                 console.error(`PF2e AI Combat Assistant | LLM API call timed out after ${TIMEOUT_MS / 1000}s.`);
@@ -7549,6 +13042,7 @@ async function callLLM(prompt, apiKey, endpoint, model = "gpt-4o") {
             console.error(`> Model: ${model}`);
             console.error(`> Prompt Length: ${prompt?.length ?? 'N/A'}`);
             console.error(`> Error Details:`, error);
+            finishLogEntry({ retries: attempt, httpError: lastHttpError, error: (lastError || error)?.message ?? String(error) });
 
             ui.notifications.error(`AI Assistant: Error communicating with the LLM after ${attempt + 1} attempt(s). Check the console (F12) for details.`, { permanent: true });
             throw lastError || error;
@@ -7605,51 +13099,286 @@ function parseLLMSuggestion(responseString) {
             if (parsedRationale) parsedRationale = parsedRationale.replace(/\**ACTION:.*$/i, '').replace(/\**TARGET:.*$/i, '').replace(/\**COST:.*$/i, '').replace(/\**NARRATIVE:.*$/i, '').trim();
             if (parsedNarrative) parsedNarrative = parsedNarrative.replace(/\**ACTION:.*$/i, '').replace(/\**TARGET:.*$/i, '').replace(/\**COST:.*$/i, '').replace(/\**Rationale:.*$/i, '').trim();
 
-            return { description: parsedAction, target: parsedTarget, cost: parsedCost, rationale: parsedRationale, narrative: parsedNarrative }; // Return target and narrative
-        }
-    }
+            return { description: parsedAction, target: parsedTarget, cost: parsedCost, rationale: parsedRationale, narrative: parsedNarrative }; // Return target and narrative
+        }
+    }
+
+    // --- Fallback Parsing Strategy (Line-by-Line) ---
+    // This is less robust but can handle cases where regex fails due to formatting variations
+    const lines = responseString.split('\n');
+    let potentialAction = null;
+    let potentialCost = null;
+    let potentialRationale = null;
+    let potentialNarrative = null; // Added for narrative
+    let potentialTarget = null; // Added for target
+
+    for (const line of lines) {
+        const trimmedLine = line.trim();
+        const actionLineMatch = trimmedLine.match(/^\**ACTION:\**\s*(.*)/i);
+        const targetLineMatch = trimmedLine.match(/^\**TARGET:\**\s*(.*)/i); // Added for target
+        const costLineMatch = trimmedLine.match(/^\**COST:\**\s*(\d+|R|F)(?:\s*action[s]?)?/i);
+        const rationaleLineMatch = trimmedLine.match(/^\**Rationale:\**\s*(.*)/i);
+        const narrativeLineMatch = trimmedLine.match(/^\**NARRATIVE:\**\s*(.*)/i); // Added for narrative
+
+        if (actionLineMatch?.[1] && !potentialAction) potentialAction = actionLineMatch[1].trim();
+        if (targetLineMatch?.[1] && !potentialTarget) potentialTarget = targetLineMatch[1].trim(); // Added for target
+        if (costLineMatch?.[1] && potentialCost === null) {
+            const costStr = costLineMatch[1].toUpperCase();
+            if (costStr === 'R' || costStr === 'F') potentialCost = costStr;
+            else if (!isNaN(parseInt(costStr, 10)) && parseInt(costStr, 10) >= 1 && parseInt(costStr, 10) <= 3) potentialCost = parseInt(costStr, 10);
+        }
+        if (rationaleLineMatch?.[1] && !potentialRationale) potentialRationale = rationaleLineMatch[1].trim();
+        if (narrativeLineMatch?.[1] && !potentialNarrative) potentialNarrative = narrativeLineMatch[1].trim(); // Added for narrative
+    }
+
+    if (potentialAction && potentialTarget && potentialCost !== null) { // Require target
+        // Ensure narrative is at least an empty string if not found
+        potentialNarrative = potentialNarrative || '';
+        return { description: potentialAction, target: potentialTarget, cost: potentialCost, rationale: potentialRationale, narrative: potentialNarrative }; // Return target and narrative
+    } else if (potentialAction && potentialTarget && potentialCost === null) { // Require target
+        // If action found but cost is missing/invalid, default cost to 1
+        // console.warn(`AI Parse (Fallback): Parsed Action "${potentialAction}" and Target "${potentialTarget}" but Cost missing/invalid. Defaulting cost to 1.`); // DEBUG
+        potentialNarrative = potentialNarrative || ''; // Ensure narrative is at least an empty string
+        return { description: potentialAction, target: potentialTarget, cost: 1, rationale: potentialRationale, narrative: potentialNarrative }; // Return target and narrative
+    }
+
+    // --- Final Failure ---
+    console.error(`PF2e AI Combat Assistant | LLM response failed all parsing strategies. Raw response: "${responseString}"`);
+    return null;
+}
+
+// ============================================================================
+// STRUCTURED OUTPUT MODE
+// ============================================================================
+
+/**
+ * JSON schema for a single action suggestion. Mirrors the ACTION/TARGET/COST/Rationale/NARRATIVE
+ * text format, with the target token ID split out and an optional list of alternatives.
+ * Every property is listed as required so the schema also works with OpenAI strict mode;
+ * nullable fields and an empty alternatives array cover the "optional" cases.
+ */
+const SUGGESTION_JSON_SCHEMA = {
+    type: 'object',
+    properties: {
+        action: { type: 'string', description: 'Action name, combo (Action1 + Action2 (FinalCost)), Spell Name (Rank X, Y actions) or Action Name (X actions).' },
+        target: { type: 'string', description: 'Target name, Self, an area description, or None.' },
+        targetTokenId: { type: ['string', 'null'], description: 'Token ID of the target from the lists, or null for Self/areas/None.' },
+        cost: { type: 'string', enum: ['1', '2', '3', 'R', 'F'], description: 'Final action cost.' },
+        rationale: { type: 'string' },
+        narrative: { type: 'string' },
+        alternatives: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    action: { type: 'string' },
+                    cost: { type: 'string', enum: ['1', '2', '3', 'R', 'F'] },
+                    reason: { type: 'string' }
+                },
+                required: ['action', 'cost', 'reason'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['action', 'target', 'targetTokenId', 'cost', 'rationale', 'narrative', 'alternatives'],
+    additionalProperties: false
+};
+
+/**
+ * Builds the OpenAI-style `response_format` for a structured suggestion request.
+ * @returns {object} The response_format object.
+ */
+function buildSuggestionResponseFormat() {
+    return {
+        type: 'json_schema',
+        json_schema: { name: 'pf2e_action_suggestion', strict: true, schema: SUGGESTION_JSON_SCHEMA }
+    };
+}
+
+/**
+ * Replaces the text output format at the end of a single-action prompt with JSON instructions.
+ * @param {string} prompt - A prompt from craftSingleActionPrompt.
+ * @returns {string} The prompt asking for a JSON object instead.
+ */
+function convertPromptToStructuredOutput(prompt) {
+    const formatIndex = prompt.lastIndexOf('**Output Format (Strict):**');
+    const basePrompt = formatIndex !== -1 ? prompt.substring(0, formatIndex).trimEnd() : prompt;
+    return `${basePrompt}
+ **Output Format (Strict JSON):** Respond with ONLY a JSON object, no markdown fences or extra text:
+{
+  "action": "Action Name OR FreeAction + MainAction OR Action Name (X actions) OR Spell Name (Rank X, Y actions)",
+  "target": "Target Name, OR Self, OR Area Description (e.g., 10-foot emanation centered on Self), OR None",
+  "targetTokenId": "the token ID from the lists (without the [ID: ] wrapper), or null for Self/areas/None",
+  "cost": "1", "2", "3", "R", or "F" (the FINAL cost of the main action in a combo OR the chosen number of actions for a variable action),
+  "rationale": "Brief explanation (same rules as the Rationale line: movement, range/reach, combo, rank or action count, chosen Strike)",
+  "narrative": "A short, engaging, action-packed sentence describing the action being taken.",
+  "alternatives": [ { "action": "Runner-up option", "cost": "1", "reason": "Why it was not chosen" } ]
+}
+"alternatives" may be an empty array.`;
+}
+
+/**
+ * Pulls the first JSON object out of an LLM response, tolerating markdown fences and surrounding text.
+ * @param {string} responseString - Raw LLM response.
+ * @returns {object|null} The parsed object, or null if none could be parsed.
+ */
+function extractJsonObject(responseString) {
+    if (!responseString || typeof responseString !== 'string') return null;
+    const fenced = responseString.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : responseString;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+    try {
+        const parsed = JSON.parse(candidate.substring(start, end + 1));
+        return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Validates a structured suggestion against SUGGESTION_JSON_SCHEMA and converts it to the
+ * `{description, target, cost, rationale, narrative}` shape returned by parseLLMSuggestion.
+ * @param {object|null} data - The parsed JSON object.
+ * @param {string[]} [knownTokenIds=[]] - Token IDs present in the prompt; an unknown targetTokenId is an error.
+ * @returns {{valid: boolean, errors: string[], suggestion: object|null}} Validation result.
+ */
+function validateStructuredSuggestion(data, knownTokenIds = []) {
+    const errors = [];
+    if (!data || typeof data !== 'object') {
+        return { valid: false, errors: ['Response is not a JSON object.'], suggestion: null };
+    }
+
+    const isNonEmptyString = v => typeof v === 'string' && v.trim().length > 0;
+    const normalizeCostValue = v => {
+        const costString = String(v ?? '').trim().toUpperCase();
+        if (costString === 'R' || costString === 'F') return costString;
+        const numericCost = parseInt(costString, 10);
+        return (!isNaN(numericCost) && numericCost >= 1 && numericCost <= 3 && String(numericCost) === costString) ? numericCost : null;
+    };
+
+    if (!isNonEmptyString(data.action)) errors.push('"action" must be a non-empty string.');
+    if (!isNonEmptyString(data.target)) errors.push('"target" must be a non-empty string (use "Self" or "None" if there is no target).');
+    const cost = normalizeCostValue(data.cost);
+    if (cost === null) errors.push(`"cost" must be one of "1", "2", "3", "R" or "F" (got ${JSON.stringify(data.cost ?? null)}).`);
+    if (data.rationale !== undefined && data.rationale !== null && typeof data.rationale !== 'string') errors.push('"rationale" must be a string.');
+    if (data.narrative !== undefined && data.narrative !== null && typeof data.narrative !== 'string') errors.push('"narrative" must be a string.');
+
+    let targetTokenId = data.targetTokenId ?? null;
+    if (targetTokenId !== null) {
+        if (typeof targetTokenId !== 'string') {
+            errors.push('"targetTokenId" must be a string or null.');
+        } else {
+            targetTokenId = targetTokenId.replace(/^\[?ID:\s*/i, '').replace(/\]$/, '').trim() || null;
+            if (targetTokenId && knownTokenIds.length > 0 && !knownTokenIds.includes(targetTokenId)) {
+                errors.push(`"targetTokenId" "${targetTokenId}" does not match any token ID in the combat lists. Use an ID exactly as listed, or null.`);
+            }
+        }
+    }
+
+    const alternatives = [];
+    if (data.alternatives !== undefined && data.alternatives !== null) {
+        if (!Array.isArray(data.alternatives)) {
+            errors.push('"alternatives" must be an array (it may be empty).');
+        } else {
+            data.alternatives.forEach((alt, index) => {
+                if (!alt || !isNonEmptyString(alt.action)) {
+                    errors.push(`"alternatives[${index}].action" must be a non-empty string.`);
+                    return;
+                }
+                alternatives.push({ action: alt.action.trim(), cost: normalizeCostValue(alt.cost), reason: typeof alt.reason === 'string' ? alt.reason.trim() : '' });
+            });
+        }
+    }
+
+    if (errors.length > 0) return { valid: false, errors, suggestion: null };
+
+    // Keep the "Name [ID: ...]" target format the rest of the pipeline expects
+    const targetName = data.target.trim().replace(/\s*\[ID:\s*[^\]]+\]/i, '');
+    const target = targetTokenId ? `${targetName} [ID: ${targetTokenId}]` : targetName;
+
+    return {
+        valid: true,
+        errors: [],
+        suggestion: {
+            description: data.action.trim(),
+            target: target,
+            cost: cost,
+            rationale: data.rationale?.trim() || null,
+            narrative: data.narrative?.trim() || '',
+            targetTokenId: targetTokenId,
+            alternatives: alternatives
+        }
+    };
+}
+
+/**
+ * Crafts the follow-up prompt sent when a structured response fails validation.
+ * @param {string} structuredPrompt - The original structured prompt.
+ * @param {string} previousResponse - The invalid response.
+ * @param {string[]} errors - Validator errors.
+ * @returns {string} The repair prompt.
+ */
+function craftStructuredRepairPrompt(structuredPrompt, previousResponse, errors) {
+    return `${structuredPrompt}
+
+**Your previous response was invalid:**
+${previousResponse}
 
-    // --- Fallback Parsing Strategy (Line-by-Line) ---
-    // This is less robust but can handle cases where regex fails due to formatting variations
-    const lines = responseString.split('\n');
-    let potentialAction = null;
-    let potentialCost = null;
-    let potentialRationale = null;
-    let potentialNarrative = null; // Added for narrative
-    let potentialTarget = null; // Added for target
+**Validation errors:**
+${errors.map(e => `- ${e}`).join('\n')}
 
-    for (const line of lines) {
-        const trimmedLine = line.trim();
-        const actionLineMatch = trimmedLine.match(/^\**ACTION:\**\s*(.*)/i);
-        const targetLineMatch = trimmedLine.match(/^\**TARGET:\**\s*(.*)/i); // Added for target
-        const costLineMatch = trimmedLine.match(/^\**COST:\**\s*(\d+|R|F)(?:\s*action[s]?)?/i);
-        const rationaleLineMatch = trimmedLine.match(/^\**Rationale:\**\s*(.*)/i);
-        const narrativeLineMatch = trimmedLine.match(/^\**NARRATIVE:\**\s*(.*)/i); // Added for narrative
+Fix these errors and respond again with ONLY the corrected JSON object.`;
+}
 
-        if (actionLineMatch?.[1] && !potentialAction) potentialAction = actionLineMatch[1].trim();
-        if (targetLineMatch?.[1] && !potentialTarget) potentialTarget = targetLineMatch[1].trim(); // Added for target
-        if (costLineMatch?.[1] && potentialCost === null) {
-            const costStr = costLineMatch[1].toUpperCase();
-            if (costStr === 'R' || costStr === 'F') potentialCost = costStr;
-            else if (!isNaN(parseInt(costStr, 10)) && parseInt(costStr, 10) >= 1 && parseInt(costStr, 10) <= 3) potentialCost = parseInt(costStr, 10);
+/**
+ * Requests a suggestion in structured JSON mode: sends the schema as response_format, validates the
+ * reply and, if it fails validation, sends one repair request containing the validator errors.
+ * If the reply isn't JSON at all but uses the ACTION/COST text format, the legacy parser is used.
+ * @param {string} prompt - The single-action prompt (text format; converted here).
+ * @param {string} apiKey - LLM API key.
+ * @param {string} endpoint - LLM endpoint URL.
+ * @param {string} model - Model name.
+ * @param {string[]} [knownTokenIds=[]] - Token IDs present in the prompt, for target validation.
+ * @param {object} [callOptions={}] - Extra callLLM options (e.g. onStream, signal).
+ * @returns {Promise<object|null>} A parsed suggestion, or null so the caller can fall back to text mode.
+ */
+async function requestStructuredSuggestion(prompt, apiKey, endpoint, model, knownTokenIds = [], callOptions = {}) {
+    const structuredPrompt = convertPromptToStructuredOutput(prompt);
+    const responseFormat = buildSuggestionResponseFormat();
+    const logContext = {};
+    const logLabel = callOptions.logLabel || 'structured suggestion';
+    const logResult = (result) => updateLLMLogEntry(logContext.entryId, { parsedSuggestion: result.valid ? result.suggestion : { validationErrors: result.errors } });
+
+    let response = await callLLM(structuredPrompt, apiKey, endpoint, model, { ...callOptions, responseFormat, logContext, logLabel: `${logLabel} (JSON)` });
+    console.groupCollapsed(`PF2e AI Combat Assistant | Raw Structured LLM Resp`); console.debug(response); console.groupEnd();
+    if (!response) return null;
+
+    let result = validateStructuredSuggestion(extractJsonObject(response), knownTokenIds);
+    logResult(result);
+    if (result.valid) return result.suggestion;
+
+    // Provider ignored the JSON instructions entirely but answered in the text format
+    if (!extractJsonObject(response) && /ACTION:/i.test(response)) {
+        const legacySuggestion = parseLLMSuggestion(response);
+        if (legacySuggestion) {
+            updateLLMLogEntry(logContext.entryId, { parsedSuggestion: legacySuggestion });
+            return legacySuggestion;
         }
-        if (rationaleLineMatch?.[1] && !potentialRationale) potentialRationale = rationaleLineMatch[1].trim();
-        if (narrativeLineMatch?.[1] && !potentialNarrative) potentialNarrative = narrativeLineMatch[1].trim(); // Added for narrative
     }
 
-    if (potentialAction && potentialTarget && potentialCost !== null) { // Require target
-        // Ensure narrative is at least an empty string if not found
-        potentialNarrative = potentialNarrative || '';
-        return { description: potentialAction, target: potentialTarget, cost: potentialCost, rationale: potentialRationale, narrative: potentialNarrative }; // Return target and narrative
-    } else if (potentialAction && potentialTarget && potentialCost === null) { // Require target
-        // If action found but cost is missing/invalid, default cost to 1
-        // console.warn(`AI Parse (Fallback): Parsed Action "${potentialAction}" and Target "${potentialTarget}" but Cost missing/invalid. Defaulting cost to 1.`); // DEBUG
-        potentialNarrative = potentialNarrative || ''; // Ensure narrative is at least an empty string
-        return { description: potentialAction, target: potentialTarget, cost: 1, rationale: potentialRationale, narrative: potentialNarrative }; // Return target and narrative
-    }
+    console.warn(`PF2e AI Combat Assistant | Structured suggestion failed validation, sending repair request. Errors:`, result.errors);
+    const repairPrompt = craftStructuredRepairPrompt(structuredPrompt, response, result.errors);
+    response = await callLLM(repairPrompt, apiKey, endpoint, model, { ...callOptions, responseFormat, logContext, logLabel: `${logLabel} (JSON repair)` });
+    console.groupCollapsed(`PF2e AI Combat Assistant | Raw Structured LLM Repair Resp`); console.debug(response); console.groupEnd();
+    if (!response) return null;
 
-    // --- Final Failure ---
-    console.error(`PF2e AI Combat Assistant | LLM response failed all parsing strategies. Raw response: "${responseString}"`);
+    result = validateStructuredSuggestion(extractJsonObject(response), knownTokenIds);
+    logResult(result);
+    if (result.valid) return result.suggestion;
+
+    console.warn(`PF2e AI Combat Assistant | Structured suggestion still invalid after repair. Errors:`, result.errors);
     return null;
 }
 
@@ -7661,19 +13390,24 @@ function generateSuggestionButtons(options) {
         isStrikeSuggestion, strikeIdentifierForButton, strikeNameForButton, strikeImageUrl, strikeLinkUUID,
         isGenericActionSuggestion, actionUUIDForLink, actionNameForLink, actionImageUrl, includesStrike, stanceEffectUUID, originatingItemIdForStrike, // Added originatingItemIdForStrike
         isConsumableSuggestion, consumableNameForButton, consumableImageUrl, consumableItemUUID,
-        isCombo
+        isCombo, targetTokenIds = [], targetsArea = false, templatePlacement = null, movementPath = null, canUndo = false, planStep = null
     } = options;
 
     if (!combatantId) { console.error("PF2e AI Combat Assistant | generateSuggestionButtons called without combatantId!"); return { primary: '', secondary: '' }; }
 
     let primaryButtonsHTML = ''; let secondaryButtonsHTML = '';
     const gmOnlyTitle = game.user.isGM ? '' : ' (GM Only)'; const disableForPlayer = !game.user.isGM ? 'disabled' : '';
+    // Strike and Cast target these tokens before rolling
+    const targetDataAttributes = `data-target-token-ids="${targetTokenIds.join(',')}" data-targets-area="${targetsArea}"`;
 
     // --- Cast Spell Button ---
     if (isSpellSuggestion) {
         const iconHTML = spellImageUrl ? `<img src="${spellImageUrl}" width="16" height="16" style="vertical-align: middle; border:none;" alt="${spellNameForButton || 'Spell'}"/>` : `<i class="fas fa-wand-sparkles"></i>`;
         // Attempt to extract rank from options or UUID for the button data
         const spellRankForButton = options.spellRankForButton || spellLinkUUID?.match(/rank-(\d+)/i)?.[1] || '?'; // Extract rank from options or UUID
+        const templateDataAttributes = templatePlacement
+            ? `data-template-type="${templatePlacement.type}" data-template-x="${templatePlacement.origin.x}" data-template-y="${templatePlacement.origin.y}" data-template-direction="${templatePlacement.direction}" data-template-distance="${templatePlacement.distance}"`
+            : '';
         const spellDataAttributes = spellIsItem
             ? `data-spell-uuid="${spellLinkUUID}" data-spell-rank="${spellRankForButton}"` // Item spells - ADDED data-spell-rank
             : `data-spell-id="${spellIdForButton}" data-entry-id="${entryIdForButton}" data-spell-uuid="${spellLinkUUID}" data-spell-rank="${spellRankForButton}"`; // Add spell rank
@@ -7683,13 +13417,13 @@ function generateSuggestionButtons(options) {
             ? `Cast (${authoritativeCostString.replace(' to ', '-')})`
             : "Cast";
         const buttonTitle = isCombo ? `Cast ${spellNameForButton || 'Spell'} (Main part of combo)${gmOnlyTitle}` : `Cast ${spellNameForButton || 'Spell'} via Spellcasting Entry${gmOnlyTitle}`;
-        primaryButtonsHTML += `<button class="ai-cast-spell" data-combatant-id="${combatantId}" ${spellDataAttributes} title="${buttonTitle}" ${disableForPlayer}>${iconHTML} ${castButtonLabel}</button>`;
+        primaryButtonsHTML += `<button class="ai-cast-spell" data-combatant-id="${combatantId}" ${spellDataAttributes} ${targetDataAttributes} ${templateDataAttributes} title="${buttonTitle}" ${disableForPlayer}>${iconHTML} ${castButtonLabel}</button>`;
     }
     // --- Execute Strike Button ---
     else if (isStrikeSuggestion && strikeIdentifierForButton) { // Changed to else if
         const iconHTML = strikeImageUrl ? `<img src="${strikeImageUrl}" width="16" height="16" style="vertical-align: middle; border:none;" alt="${strikeNameForButton || 'Strike'}"/>` : `<i class="fas fa-fist-raised"></i>`;
         const buttonTitle = isCombo ? `Roll ${strikeNameForButton || 'Strike'} Attack (Main part of combo)${gmOnlyTitle}` : `Roll ${strikeNameForButton || 'Strike'} Attack (uses current MAP)${gmOnlyTitle}`;
-        primaryButtonsHTML += `<button class="ai-execute-strike" data-combatant-id="${combatantId}" data-strike-identifier="${strikeIdentifierForButton}" data-originating-item-id="${originatingItemIdForStrike || ''}" title="${buttonTitle}" ${disableForPlayer}>${iconHTML} Strike</button>`;
+        primaryButtonsHTML += `<button class="ai-execute-strike" data-combatant-id="${combatantId}" data-strike-identifier="${strikeIdentifierForButton}" data-originating-item-id="${originatingItemIdForStrike || ''}" ${targetDataAttributes} title="${buttonTitle}" ${disableForPlayer}>${iconHTML} Strike</button>`;
     }
     // --- Execute Strike as part of another Action ---
     else if (isGenericActionSuggestion && includesStrike && !isCombo && actor) {
@@ -7702,16 +13436,26 @@ function generateSuggestionButtons(options) {
             const strikeName = strikeToUse.label || 'Strike';
             const strikeIconUrl = strikeToUse.imageUrl || 'icons/svg/mystery-man.svg';
             const iconHTML = strikeIconUrl ? `<img src="${strikeIconUrl}" width="16" height="16" style="vertical-align: middle; border:none;" alt="${strikeName}"/>` : `<i class="fas fa-fist-raised"></i>`;
-            primaryButtonsHTML += `<button class="ai-execute-strike" data-combatant-id="${combatantId}" data-strike-identifier="${strikeIdentifier}" data-originating-item-id="${originatingItemIdForStrike || ''}" title="Roll ${strikeName} (Part of ${actionNameForLink || 'Action'})${gmOnlyTitle}" ${disableForPlayer}>${iconHTML} Strike Component</button>`;
+            primaryButtonsHTML += `<button class="ai-execute-strike" data-combatant-id="${combatantId}" data-strike-identifier="${strikeIdentifier}" data-originating-item-id="${originatingItemIdForStrike || ''}" ${targetDataAttributes} title="Roll ${strikeName} (Part of ${actionNameForLink || 'Action'})${gmOnlyTitle}" ${disableForPlayer}>${iconHTML} Strike Component</button>`;
         } else {
             // console.warn(`PF2e AI Combat Assistant | Action "${actionNameForLink}" includes strike, but couldn't find suitable ready strike action.`); // DEBUG
             // Optionally add a generic confirm button here if no strike found? Or rely on the main confirm button below.
         }
     }
-    // Confirm Action Button
-    primaryButtonsHTML += `<button class="ai-confirm-action" data-combatant-id="${combatantId}" data-action-cost="${cost}" data-action-desc="${encodedDesc}" title="Confirm action taken (Updates AI state ONLY - Reduces actions, may increase MAP)"><i class="fas fa-check"></i> Confirm</button>`;
+    // --- Move Token Button (Stride/Step along the planned path) ---
+    if (movementPath?.length > 0) {
+        const encodedPath = encodeURIComponent(JSON.stringify(movementPath));
+        primaryButtonsHTML += `<button class="ai-move-token" data-combatant-id="${combatantId}" data-path="${encodedPath}" title="Move token along the planned path${gmOnlyTitle}" ${disableForPlayer}><i class="fas fa-shoe-prints"></i> Move</button>`;
+    }
+    // Confirm Action Button (marked with the plan step it carries out, if any)
+    const planStepAttribute = planStep !== null ? ` data-plan-step="${planStep}"` : '';
+    primaryButtonsHTML += `<button class="ai-confirm-action" data-combatant-id="${combatantId}" data-action-cost="${cost}" data-action-desc="${encodedDesc}"${planStepAttribute} title="Confirm action taken (Updates AI state ONLY - Reduces actions, may increase MAP)"><i class="fas fa-check"></i> Confirm</button>`;
     // Skip Suggestion Button
     secondaryButtonsHTML += `<button class="ai-skip-action" data-combatant-id="${combatantId}" data-action-desc="${encodedDesc}" title="Skip this suggestion and request another from the AI"><i class="fas fa-forward"></i> Skip</button>`;
+    // Undo Button (the previous confirm this turn)
+    if (canUndo) {
+        secondaryButtonsHTML += `<button class="ai-undo-action" data-combatant-id="${combatantId}" title="Undo the last confirmed action: restores actions, MAP, combat memory and cooldowns${gmOnlyTitle}" ${disableForPlayer}><i class="fas fa-undo"></i> Undo</button>`;
+    }
     // End AI Turn Button
     secondaryButtonsHTML += `<button class="ai-end-turn" data-combatant-id="${combatantId}" title="End AI control for this combatant's turn"><i class="fas fa-stop"></i> End Turn</button>`;
 
@@ -8155,6 +13899,16 @@ function registerSettings() {
     // console.log("PF2e AI Combat Assistant | Registering settings..."); // DEBUG
     console.log("PF2e AI Combat Assistant | Registering module settings...");
     game.settings.register(MODULE_ID, 'apiKey', { name: game.i18n.localize(`${MODULE_ID}.settings.apiKey.name`), hint: game.i18n.localize(`${MODULE_ID}.settings.apiKey.hint`), scope: 'world', config: true, type: String, default: '' });
+    game.settings.register(MODULE_ID, 'llmProvider', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.llmProvider.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.llmProvider.hint`),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: Object.fromEntries([...LLM_PROVIDER_ADAPTERS].map(([id, adapter]) => [id, adapter.label])),
+        default: DEFAULT_LLM_PROVIDER,
+        requiresReload: false
+    });
     game.settings.register(MODULE_ID, 'llmEndpoint', { name: game.i18n.localize(`${MODULE_ID}.settings.llmEndpoint.name`), hint: game.i18n.localize(`${MODULE_ID}.settings.llmEndpoint.hint`), scope: 'world', config: true, type: String, default: 'https://openrouter.ai/api/v1/chat/completions' });
     game.settings.register(MODULE_ID, 'aiModel', { name: game.i18n.localize(`${MODULE_ID}.settings.aiModel.name`), hint: game.i18n.localize(`${MODULE_ID}.settings.aiModel.hint`), scope: 'world', config: true, type: String, default: 'google/gemini-2.5-pro-preview' });
     game.settings.register(MODULE_ID, 'showOfferToPlayers', { name: 'Show AI Offer/Suggestions to Players?', hint: 'If checked, players who own the current actor (or all players if no owner) will see the AI turn offer and suggestion messages. If unchecked, only the GM sees these messages.', scope: 'world', config: true, type: Boolean, default: false });
@@ -8183,6 +13937,73 @@ function registerSettings() {
         requiresReload: false
     });
 
+    // Setting: Context Window (token budget)
+    game.settings.register(MODULE_ID, 'contextTokenBudget', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.contextTokenBudget.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.contextTokenBudget.hint`),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0,
+        requiresReload: false
+    });
+
+    // Setting: Mock Provider Seed
+    game.settings.register(MODULE_ID, 'mockLLMSeed', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.mockLLMSeed.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.mockLLMSeed.hint`),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 1,
+        requiresReload: false,
+        onChange: (value) => resetMockLLM(value)
+    });
+
+    // Setting: LLM Exchange Log
+    game.settings.register(MODULE_ID, 'llmLogSize', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.llmLogSize.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.llmLogSize.hint`),
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 100, step: 5 },
+        default: LLM_LOG_DEFAULT_SIZE,
+        requiresReload: false
+    });
+    // Client scope: stored in the GM's browser only, never synced to players
+    game.settings.register(MODULE_ID, 'llmExchangeLog', { scope: 'client', config: false, type: Array, default: [] });
+    game.settings.registerMenu(MODULE_ID, 'llmInspector', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.llmInspector.name`),
+        label: game.i18n.localize(`${MODULE_ID}.settings.llmInspector.label`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.llmInspector.hint`),
+        icon: 'fas fa-search',
+        type: getLLMInspectorMenuClass(),
+        restricted: true
+    });
+
+    // Setting: Stream LLM Responses
+    game.settings.register(MODULE_ID, 'enableStreaming', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableStreaming.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableStreaming.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    // Setting: Structured JSON Output
+    game.settings.register(MODULE_ID, 'enableStructuredOutput', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableStructuredOutput.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableStructuredOutput.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
     // Setting: Default Tactical Preset
     game.settings.register(MODULE_ID, 'defaultTacticalPreset', {
         name: game.i18n.localize(`${MODULE_ID}.settings.defaultTacticalPreset.name`),
@@ -8216,6 +14037,55 @@ function registerSettings() {
         requiresReload: false
     });
 
+    // Setting: Enemy Defenses Visibility
+    game.settings.register(MODULE_ID, 'enemyDefensesVisibility', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enemyDefensesVisibility.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enemyDefensesVisibility.hint`),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            'always': game.i18n.localize(`${MODULE_ID}.settings.enemyDefensesVisibility.choices.always`),
+            'enemySide': game.i18n.localize(`${MODULE_ID}.settings.enemyDefensesVisibility.choices.enemySide`),
+            'never': game.i18n.localize(`${MODULE_ID}.settings.enemyDefensesVisibility.choices.never`)
+        },
+        default: 'enemySide',
+        requiresReload: false
+    });
+
+    // Setting: Knowledge Gating
+    game.settings.register(MODULE_ID, 'enableKnowledgeGating', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableKnowledgeGating.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableKnowledgeGating.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
+    // Setting: Behavior Profiles
+    game.settings.register(MODULE_ID, 'enableBehaviorProfiles', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableBehaviorProfiles.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableBehaviorProfiles.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
+    // Setting: NPC Morale
+    game.settings.register(MODULE_ID, 'enableMoraleSystem', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableMoraleSystem.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableMoraleSystem.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
     // Setting: Enable Flanking Analysis
     game.settings.register(MODULE_ID, 'enableFlankingAnalysis', {
         name: game.i18n.localize(`${MODULE_ID}.settings.enableFlankingAnalysis.name`),
@@ -8249,6 +14119,40 @@ function registerSettings() {
         requiresReload: false
     });
 
+    // Setting: Autopilot pause before high-rank spells
+    game.settings.register(MODULE_ID, 'autopilotPauseSpellRank', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.autopilotPauseSpellRank.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.autopilotPauseSpellRank.hint`),
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 10, step: 1 },
+        default: 0,
+        requiresReload: false
+    });
+
+    // Setting: Autopilot pause before incapacitation effects
+    game.settings.register(MODULE_ID, 'autopilotPauseOnIncapacitation', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.autopilotPauseOnIncapacitation.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.autopilotPauseOnIncapacitation.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true,
+        requiresReload: false
+    });
+
+    // Setting: Off-turn reaction advisor
+    game.settings.register(MODULE_ID, 'enableReactionAdvisor', {
+        name: game.i18n.localize(`${MODULE_ID}.settings.enableReactionAdvisor.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.enableReactionAdvisor.hint`),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: false
+    });
+
     // ============================================================================
     // PARTY COORDINATION SETTINGS (Phase 2)
     // ============================================================================
@@ -8352,9 +14256,87 @@ function onRenderCombatTracker(tracker, html, data) {
         } else {
             console.warn(`PF2e AI Combat Assistant | Could not find .combatant-controls for ${combatant.name}`);
         }
+
+        // Knowledge ledger button for enemies, when the party's view is gated
+        if (controlsDiv && !isFriendly && combatant.actor && isKnowledgeGated('friendly')) {
+            const knownCount = getKnownEnemyFacts(combat.getFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER), combatant.actor).length;
+            const totalFacts = Object.keys(KNOWLEDGE_FACTS).length;
+            const ledgerColor = knownCount === 0 ? 'lightgray' : (knownCount < totalFacts ? 'khaki' : 'lightgreen');
+            controlsDiv.insertAdjacentHTML('beforeend', `
+                <button class="ai-knowledge-ledger-btn control-icon"
+                        data-combatant-id="${combatantId}"
+                        title="Party Knowledge: ${knownCount}/${totalFacts} identified"
+                        style="flex: 0 0 24px; height: 24px; font-size: 10px; line-height: 1; text-align: center; margin-left: 3px; background-color: ${ledgerColor}; color: black; border: 1px solid #666; padding: 0;">
+                    <i class="fas fa-book"></i>
+                </button>
+            `);
+            controlsDiv.querySelector('.ai-knowledge-ledger-btn')?.addEventListener('click', _onKnowledgeLedgerClick);
+        }
     });
 }
 
+/**
+ * Opens the GM override for what the party knows about an enemy, from the combat tracker.
+ * @param {Event} event The click event.
+ */
+async function _onKnowledgeLedgerClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (!game.user.isGM) return;
+
+    const combat = game.combat;
+    const combatant = combat?.combatants.get(event.currentTarget.dataset.combatantId);
+    const actor = combatant?.actor;
+    if (!actor) {
+        ui.notifications.error("PF2e AI Combat Assistant Error: Combatant not found in current combat!");
+        return;
+    }
+
+    const ledger = combat.getFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER) || {};
+    const known = getKnownEnemyFacts(ledger, actor);
+    const recalledBy = ledger[actor.id]?.recalledBy ?? [];
+    const factCheckboxes = Object.entries(KNOWLEDGE_FACTS).map(([fact, label]) => `
+            <div class="form-group">
+                <label>${label.charAt(0).toUpperCase() + label.slice(1)}</label>
+                <input type="checkbox" name="${fact}" ${known.includes(fact) ? 'checked' : ''}>
+            </div>`).join('');
+
+    new Dialog({
+        title: `Party Knowledge: ${actor.name}`,
+        content: `
+        <form>
+            <p class="notes" style="font-size: 0.85em; color: #666;">
+                What the party has identified about ${actor.name}. Suggestions for friendly creatures only see these stats.
+                ${recalledBy.length > 0 ? `Recalled by: ${recalledBy.join(', ')}.` : 'Filled in by successful Recall Knowledge checks.'}
+            </p>
+            ${factCheckboxes}
+        </form>`,
+        buttons: {
+            save: {
+                icon: '<i class="fas fa-save"></i>',
+                label: "Save",
+                callback: async (html) => {
+                    const newKnown = Object.keys(KNOWLEDGE_FACTS).filter(fact => html.find(`input[name="${fact}"]`).is(':checked'));
+                    try {
+                        await queueKnowledgeLedgerUpdate(combat, () => combat.setFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER, {
+                            [actor.id]: { name: actor.name, known: newKnown, recalledBy: combat.getFlag(MODULE_ID, FLAGS.KNOWLEDGE_LEDGER)?.[actor.id]?.recalledBy ?? recalledBy }
+                        }));
+                        console.log(`PF2e AI Combat Assistant | Knowledge ledger for ${actor.name} set by GM: ${newKnown.join(', ') || 'nothing'}.`);
+                    } catch (error) {
+                        console.error(`PF2e AI Combat Assistant | Failed to save knowledge ledger for ${actor.name}:`, error);
+                        ui.notifications.error("PF2e AI Combat Assistant Error: Failed to save party knowledge. Check console.");
+                    }
+                }
+            },
+            cancel: {
+                icon: '<i class="fas fa-times"></i>',
+                label: "Cancel"
+            }
+        },
+        default: "save"
+    }).render(true);
+}
+
 /**
  * Handles clicks on the designation toggle button within the combat tracker.
  * @param {Event} event The click event.
@@ -8437,155 +14419,258 @@ function getWhisperRecipientsSuggestions() { return game.settings.get(MODULE_ID,
  * Keyed by combatant ID.
  * @type {Map<string, string>}
  */
-const lastConfirmedActionMessageIds = new Map(); // TODO: Integrate usage
+const lastConfirmedActionMessageIds = new Map();
+
+/**
+ * Whether a chat message was posted after another one, going by their order in the chat log.
+ * Message timestamps come from each user's clock, so they can't order messages from different clients.
+ * @param {ChatMessage} message - The new message.
+ * @param {string|null} referenceId - ID of the earlier message, e.g. the last confirmed suggestion card.
+ * @returns {boolean} True if it was posted later, or either message is no longer in the log.
+ */
+function isMessageAfter(message, referenceId) {
+    if (!referenceId) return true;
+    const messageIds = game.messages.contents.map(entry => entry.id);
+    const referenceIndex = messageIds.lastIndexOf(referenceId);
+    const messageIndex = messageIds.lastIndexOf(message.id);
+    return referenceIndex === -1 || messageIndex === -1 || messageIndex > referenceIndex;
+}
+
+/**
+ * Maps a PF2e degree-of-success string to readable text (e.g. "criticalSuccess" -> "Critical Success").
+ * @param {string|null} outcome - The raw PF2e outcome.
+ * @returns {string} Readable outcome, or 'Unknown'.
+ */
+function formatRollOutcome(outcome) {
+    if (!outcome) return 'Unknown';
+    return outcome.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()).trim();
+}
+
+/**
+ * Resolves the target name from a PF2e roll context, trying the token UUID first and then the actor UUID.
+ * @param {object} context - The `flags.pf2e.context` object of a chat message.
+ * @returns {string|null} The target's name, or null if it can't be resolved.
+ */
+function resolveContextTargetName(context) {
+    const targetContext = context?.target;
+    if (!targetContext) return null;
+    for (const uuid of [targetContext.token, targetContext.actor]) {
+        if (typeof uuid !== 'string' || !uuid) continue;
+        try {
+            const doc = fromUuidSync(uuid);
+            if (doc?.name) return doc.name;
+        } catch (err) {
+            console.warn(`PF2e AI Combat Assistant | Failed to resolve roll target UUID ${uuid}:`, err);
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts the interim results the AI actor produced since its last confirmed action into
+ * the outcome data stored in combat memory. Save outcomes are the target's, so they are
+ * flipped to the acting creature's point of view (a failed save is a success for the caster).
+ * @param {Array<object>} interimResults - Unrecorded interim results for the acting creature.
+ * @returns {{outcome: string, target: string|null, damage: number}} Outcome data for recordActionOutcome.
+ */
+function summarizeInterimOutcomes(interimResults) {
+    const invertedSaveOutcomes = {
+        criticalSuccess: 'criticalFailure',
+        success: 'failure',
+        failure: 'success',
+        criticalFailure: 'criticalSuccess'
+    };
+    let outcome = null;
+    let target = null;
+    let damage = 0;
+
+    for (const result of interimResults) {
+        if (!target && result.target) target = result.target;
+        if (result.type === 'damage-roll') {
+            damage += result.damage || 0;
+        } else if (result.type === 'saving-throw') {
+            outcome = invertedSaveOutcomes[result.outcome] ?? outcome;
+        } else if (result.outcome) {
+            // Attack and skill rolls are already from the actor's perspective; the latest roll wins
+            outcome = result.outcome;
+        }
+    }
+
+    return { outcome: outcome || 'confirmed', target, damage };
+}
+
+/**
+ * Records successful Recall Knowledge checks by the party in the combat's knowledge ledger.
+ * The check's target comes from the roll context, or from the roller's targets when the roll has none.
+ * @param {ChatMessagePF2e} message - The chat message document.
+ */
+async function handleRecallKnowledgeMessage(message) {
+    if (!game.user.isGM || (game.users.activeGM && game.users.activeGM.id !== game.user.id)) return;
+    const combat = game.combat;
+    const context = message.flags?.pf2e?.context;
+    if (!combat?.started || context?.type !== 'skill-check') return;
+    const isRecallKnowledge = context.options?.includes('action:recall-knowledge') || /recall knowledge/i.test(`${message.flavor ?? ''} ${context.title ?? ''}`);
+    if (!isRecallKnowledge || !['success', 'criticalSuccess'].includes(context.outcome)) return;
+
+    // Only the party's knowledge is tracked
+    const recaller = ChatMessage.getSpeakerActor(message.speaker);
+    const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+    const recallerCombatant = combat.combatants.find(c => c.actorId === recaller?.id);
+    const isParty = recallerCombatant ? designations[recallerCombatant.id] === 'friendly' : !!recaller?.hasPlayerOwner;
+    if (!isParty) return;
+
+    let target = null;
+    for (const uuid of [context.target?.token, context.target?.actor]) {
+        if (typeof uuid !== 'string' || !uuid) continue;
+        try {
+            const doc = fromUuidSync(uuid);
+            target = doc?.actor ?? doc;
+        } catch (err) {
+            console.warn(`PF2e AI Combat Assistant | Failed to resolve Recall Knowledge target UUID ${uuid}:`, err);
+        }
+        if (target) break;
+    }
+    target ??= (message.author ?? message.user)?.targets?.first()?.actor ?? null;
+    if (!target?.id) return;
+
+    try {
+        const revealed = await recordRecallKnowledge(combat, target, context.outcome, recaller?.name ?? 'Unknown');
+        if (revealed.length > 0) {
+            console.log(`PF2e AI Combat Assistant | Knowledge ledger: ${recaller?.name} identified ${target.name}'s ${revealed.map(fact => KNOWLEDGE_FACTS[fact]).join(' and ')}.`);
+            ui.notifications.info(`Party identified ${target.name}'s ${revealed.map(fact => KNOWLEDGE_FACTS[fact]).join(' and ')}.`);
+        }
+    } catch (error) {
+        console.error(`PF2e AI Combat Assistant | Failed to record Recall Knowledge on ${target.name}:`, error);
+    }
+}
 
 /**
- * Handles newly created chat messages to potentially extract interim results
- * between AI actions.
+ * Handles newly created chat messages to extract interim results (attack, damage, save and
+ * skill outcomes) while an AI turn is in progress. Results are stored on the acting actor's
+ * turn state so the next prompt can see them and the confirm step can record them in combat memory.
  * @param {ChatMessagePF2e} message - The chat message document.
  * @param {object} options - Additional options provided by the hook.
  * @param {string} userId - The ID of the user who created the message.
  */
 async function handleChatMessage(message, options, userId) {
-    // Ignore messages created by the current user if they are the GM controlling the AI
-    // (prevents processing the AI's own suggestion/action messages as feedback)
-    // Or, more simply, ignore messages we flag as temporary thinking messages
-     if (message.getFlag(MODULE_ID, FLAGS.TEMP_THINKING)) {
-         // Let's also delete the "Thinking..." message now that a real message followed it
-         // Check if the message still exists before trying to delete
-         const thinkingMessage = game.messages.get(message.id);
-         if (thinkingMessage) {
-             try {
-                // await thinkingMessage.delete(); // Temporarily disable auto-delete, might be annoying
-             } catch (err) {
-                 console.warn(`PF2e AI Combat Assistant | Failed to delete thinking message ${message.id}:`, err);
-             }
-         }
-         return;
-     }
+    // Ignore our own temporary "Thinking..." messages
+    if (message.getFlag(MODULE_ID, FLAGS.TEMP_THINKING)) return;
 
-    // Ensure we are in combat and the message isn't private or a whisper to others
-    if (!game.combat?.started || !game.combat.combatant || (message.whisper.length > 0 && !message.isContentVisible)) {
-        return;
-    }
+    // Only one client should write the turn state; let the active GM do it
+    if (!game.user.isGM || (game.users.activeGM && game.users.activeGM.id !== game.user.id)) return;
+
+    const combat = game.combat;
+    if (!combat?.started || !combat.combatant) return;
 
-    const combatant = game.combat.combatant;
+    const combatant = combat.combatant;
     const actor = combatant.actor;
     if (!actor) return; // Actor might not be loaded yet
 
-    // Check if the current combatant is AI controlled
-    // TODO: Refine this logic. We only want to capture messages *after* a confirmed action
-    // and *before* the next suggestion is requested. This requires tracking the state more precisely.
-    const isAiControlled = actor.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) === 'ai'; // Assuming 'ai' is a possible designation
-
-    // Only process if the current turn *is* the AI's turn, even if not actively processing (e.g., waiting for user input on reaction)
-    // AND check if the message occurred *after* the last confirmed action for this combatant
-    const lastActionMsgId = lastConfirmedActionMessageIds.get(combatant.id);
-    const isAfterLastAction = !lastActionMsgId || message.id > lastActionMsgId; // Simple ID comparison assumes IDs are sequential
-
-    if (isAiControlled && game.combat.current.combatantId === combatant.id && isAfterLastAction) {
-        // console.log(`PF2e AI Combat Assistant | Chat Message Hook: AI Combatant ${combatant.name}'s turn. Relevant message received:`, message); // DEBUG
-        console.log("PF2e AI Combat Assistant | Processing message object for recentEvents:", message); // DEBUG: Log the full message object
-
-        // --- Placeholder for Parsing Logic ---
-        let parsedResult = null;
-        const context = message.flags?.pf2e?.context;
-        const speakerActor = ChatMessage.getSpeakerActor(message.speaker); // Actor who generated the message
-        const speakerToken = ChatMessage.getSpeakerToken(message.speaker); // Token who generated the message
-
-        // --- Parsing logic based on message context ---
-        if (context) {
-            const targetActor = fromUuidSync(context.target?.actor ?? ''); // Use fromUuidSync
-            const targetTokenName = context.target?.token?.name ?? context.target?.actor?.name ?? 'Unknown Target';
-            const outcome = context.outcome ? context.outcome.toUpperCase() : 'UNKNOWN';
-            const actionName = context.options?.find(o => o.startsWith('action:'))?.split(':')[1] || context.item?.name || context.type || 'Action'; // Try to get action name
-
-            // --- Message relates to the AI actor's action ---
-            if (speakerActor?.id === actor.id || speakerToken?.id === combatant.token?.id) {
-                if (context.type === 'attack-roll' || context.type === 'spell-attack-roll') {
-                    parsedResult = `Attack Roll (${actionName}): ${outcome} vs ${targetTokenName}.`; // Keep this for interim results
-                    // console.log(`PF2e AI Combat Assistant | Parsed (AI Action): ${parsedResult}`); // DEBUG
-
-                    // --- ADDED: Record Successful Strikes for Prerequisite Checks ---
-                    if (outcome === 'SUCCESS' || outcome === 'CRITICAL SUCCESS') {
-                        // Ensure this message corresponds to the *current* AI combatant's turn
-                        if (game.combat?.combatant?.actorId === speakerActor?.id) {
-                            const currentTurnState = speakerActor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
-                            if (currentTurnState) {
-                                // Initialize array if it doesn't exist
-                                if (!Array.isArray(currentTurnState.successfulStrikesThisRound)) {
-                                    currentTurnState.successfulStrikesThisRound = [];
-                                }
-                                // Add the successful strike info
-                                currentTurnState.successfulStrikesThisRound.push({
-                                    targetName: targetTokenName, // Use the parsed target name
-                                    strikeName: actionName      // Use the parsed action name
-                                });
-                                // Update the flag (no await needed for setFlag typically, but can add if issues arise)
-                                await speakerActor.setFlag(MODULE_ID, FLAGS.TURN_STATE, currentTurnState);
-                                // console.log(`AI Record Strike: Recorded successful '${actionName}' vs '${targetTokenName}' for ${speakerActor.name}. New count: ${currentTurnState.successfulStrikesThisRound.length}`); // DEBUG
-                            }
-                        }
-                    }
-                    // --- END ADDED ---
-                }
-                     // console.log(`PF2e AI Combat Assistant | Parsed (AI Action): ${parsedResult}`); // DEBUG (Corrected indentation)
-                 else if (context.type === 'damage-roll') { // Removed extra '}'
-                    const totalDamage = message.rolls?.reduce((sum, roll) => sum + roll.total, 0) || 0;
-                    if (totalDamage > 0) {
-                        parsedResult = `Damage Roll (${actionName}): ${totalDamage} damage to ${targetTokenName}.`;
-                        // console.log(`PF2e AI Combat Assistant | Parsed (AI Action): ${parsedResult}`); // DEBUG
-                    }
-                } else if (context.type === 'saving-throw') {
-                    // This case is usually when the AI *forces* a save
-                    const saveType = context.statistic || 'Unknown Save';
-                    parsedResult = `Forced Save (${actionName}): ${targetTokenName} rolled ${outcome} on ${saveType} save.`;
-                    // console.log(`PF2e AI Combat Assistant | Parsed (AI Action): ${parsedResult}`); // DEBUG
-                } else if (context.type === 'skill-check') {
-                    const skill = context.statistic || 'Unknown Skill';
-                    parsedResult = `Skill Check (${actionName} - ${skill}): ${outcome}.`;
-                    // console.log(`PF2e AI Combat Assistant | Parsed (AI Action): ${parsedResult}`); // DEBUG
-                }
-                // TODO: Add parsing for condition application/removal initiated by AI?
-            }
-            // --- Message relates to something targeting the AI actor ---
-            else if (targetActor?.id === actor.id || context.target?.token?.id === combatant.token?.id) {
-                 const sourceName = speakerToken?.name || speakerActor?.name || 'Unknown Source';
-                 if (context.type === 'attack-roll' || context.type === 'spell-attack-roll') {
-                     parsedResult = `Attack Roll vs AI (${actionName} from ${sourceName}): ${outcome}.`;
-                     // console.log(`PF2e AI Combat Assistant | Parsed (Targeting AI): ${parsedResult}`); // DEBUG
-                 } else if (context.type === 'damage-roll') {
-                     const totalDamage = message.rolls?.reduce((sum, roll) => sum + roll.total, 0) || 0;
-                     if (totalDamage > 0) {
-                         parsedResult = `Damage Roll vs AI (${actionName} from ${sourceName}): ${totalDamage} damage taken.`;
-                         // console.log(`PF2e AI Combat Assistant | Parsed (Targeting AI): ${parsedResult}`); // DEBUG
-                     }
-                 } else if (context.type === 'saving-throw') {
-                     const saveType = context.statistic || 'Unknown Save';
-                     parsedResult = `Saving Throw by AI (${saveType} vs ${actionName} from ${sourceName}): ${outcome}.`;
-                     // console.log(`PF2e AI Combat Assistant | Parsed (Targeting AI): ${parsedResult}`); // DEBUG
-                 }
-                 // TODO: Add parsing for skill checks targeting AI, condition application?
+    // Only process while the current combatant is designated in this combat and has an active AI turn
+    const designations = combat.getFlag(MODULE_ID, FLAGS.DESIGNATIONS) || {};
+    const isAiControlled = !!designations[combatant.id] &&
+        !!actor.getFlag(MODULE_ID, FLAGS.IS_PROCESSING) &&
+        !!actor.getFlag(MODULE_ID, FLAGS.TURN_STATE);
+    if (!isAiControlled) return;
+
+    // Ignore anything posted before the last confirmed suggestion for this combatant
+    if (!isMessageAfter(message, lastConfirmedActionMessageIds.get(combatant.id))) return;
+
+    const context = message.flags?.pf2e?.context;
+    const speakerActor = ChatMessage.getSpeakerActor(message.speaker); // Actor who generated the message
+    const speakerToken = ChatMessage.getSpeakerToken(message.speaker); // Token who generated the message
+
+    // Each result: { text, type, action, target, outcome, damage, isOwnAction, recorded, messageId }
+    let parsedResult = null;
+
+    if (context) {
+        const targetName = resolveContextTargetName(context);
+        const targetLabel = targetName || 'Unknown Target';
+        const outcome = context.outcome || null; // PF2e degree of success, e.g. 'criticalSuccess'
+        const outcomeText = formatRollOutcome(outcome);
+        const actionName = context.options?.find(o => o.startsWith('action:'))?.split(':')[1] || context.item?.name || context.title?.split(':').pop()?.trim() || context.type || 'Action';
+        const totalDamage = context.type === 'damage-roll'
+            ? (message.rolls?.reduce((sum, roll) => sum + (roll.total || 0), 0) || 0)
+            : 0;
+
+        // The actor whose item made the roll decides whose action it is, since a GM can roll another creature's item
+        // with the AI's token as speaker; the speaker only decides for rolls without an item. A save is rolled by
+        // the creature making it, so its origin is the forcing actor instead (see below).
+        const originActorUuid = context.type === 'saving-throw' ? null : (message.flags?.pf2e?.origin?.actor ?? null);
+        const isOwnAction = originActorUuid
+            ? originActorUuid === actor.uuid
+            : speakerActor?.id === actor.id || (!!speakerToken?.id && speakerToken.id === combatant.token?.id);
+        const isTargetingActor = context.target?.actor === actor.uuid || (!!combatant.token?.uuid && context.target?.token === combatant.token.uuid);
+
+        // --- Message relates to the AI actor's action ---
+        if (isOwnAction) {
+            if (context.type === 'attack-roll' || context.type === 'spell-attack-roll') {
+                parsedResult = { text: `Attack Roll (${actionName}): ${outcomeText} vs ${targetLabel}.`, type: 'attack-roll', outcome };
+            } else if (context.type === 'damage-roll' && totalDamage > 0) {
+                parsedResult = { text: `Damage Roll (${actionName}): ${totalDamage} damage to ${targetLabel}.`, type: 'damage-roll', outcome: null };
+            } else if (context.type === 'skill-check') {
+                const skill = context.statistic || 'Unknown Skill';
+                parsedResult = { text: `Skill Check (${actionName} - ${skill}): ${outcomeText}${targetName ? ` vs ${targetName}` : ''}.`, type: 'skill-check', outcome };
             }
-            // --- Message relates to other actors (e.g., ally action, enemy action vs ally) ---
-            // This might be useful context too, but let's keep it focused for now.
-            // else { console.log(`PF2e AI Combat Assistant | Message context not directly involving AI actor or its target. Speaker: ${speakerActor?.name}, Target: ${targetTokenName}`); }
-
-        } else if (message.content?.includes('Reaction')) {
-            // Basic check for reactions mentioned in text (less reliable)
-            const sourceName = speakerToken?.name || speakerActor?.name || message.speaker?.alias || 'Unknown Source';
-            if (sourceName !== actor.name) { // Don't log the AI's own reaction use if it announced it
-                 parsedResult = `Other Action: ${sourceName} used a Reaction (details unknown).`;
-                 // console.log(`PF2e AI Combat Assistant | Parsed (Other): ${parsedResult}`); // DEBUG
+            // TODO: Add parsing for condition application/removal initiated by AI?
+        }
+        // --- A save forced by the AI actor (rolled by the target, with the AI's item as origin) ---
+        else if (context.type === 'saving-throw' && context.origin?.actor === actor.uuid) {
+            const saveType = context.statistic || 'Unknown Save';
+            const saverName = speakerToken?.name || speakerActor?.name || targetLabel;
+            parsedResult = { text: `Forced Save (${actionName}): ${saverName} rolled ${outcomeText} on ${saveType} save.`, type: 'saving-throw', outcome, targetOverride: saverName, isForcedSave: true };
+        }
+        // --- Message relates to something targeting the AI actor ---
+        else if (isTargetingActor) {
+            const sourceName = speakerToken?.name || speakerActor?.name || 'Unknown Source';
+            if (context.type === 'attack-roll' || context.type === 'spell-attack-roll') {
+                parsedResult = { text: `Attack Roll vs AI (${actionName} from ${sourceName}): ${outcomeText}.`, type: 'incoming', outcome: null };
+            } else if (context.type === 'damage-roll' && totalDamage > 0) {
+                parsedResult = { text: `Damage Roll vs AI (${actionName} from ${sourceName}): ${totalDamage} damage taken.`, type: 'incoming', outcome: null };
             }
         }
-        // TODO: Add more robust parsing for non-context messages if needed
 
+        if (parsedResult) {
+            const ownsResult = isOwnAction || !!parsedResult.isForcedSave;
+            parsedResult = {
+                text: parsedResult.text,
+                type: parsedResult.type,
+                action: actionName,
+                target: parsedResult.targetOverride || targetName,
+                outcome: parsedResult.outcome,
+                damage: ownsResult ? totalDamage : 0,
+                isOwnAction: ownsResult,
+                recorded: !ownsResult, // Only the actor's own results are waiting to be written to combat memory
+                messageId: message.id // Lets Undo delete the rolls of an undone action
+            };
+        }
+    } else if (message.content?.includes('Reaction')) {
+        // Basic check for reactions mentioned in text (less reliable)
+        const sourceName = speakerToken?.name || speakerActor?.name || message.speaker?.alias || 'Unknown Source';
+        if (sourceName !== actor.name) { // Don't log the AI's own reaction use if it announced it
+            parsedResult = { text: `Other Action: ${sourceName} used a Reaction (details unknown).`, type: 'incoming', action: 'Reaction', target: null, outcome: null, damage: 0, isOwnAction: false, recorded: true };
+        }
+    }
+
+    if (!parsedResult) return;
+    // console.log(`PF2e AI Combat Assistant | Interim result for ${actor.name}: ${parsedResult.text}`); // DEBUG
 
-        // --- Interim Results logic removed ---
-        // if (parsedResult) {
-        //     // Storing logic was here...
-        // }
+    try {
+        // Queued behind other turn state updates (e.g. a confirm in progress) so neither overwrites the other
+        await updateTurnState(actor, (currentTurnState) => {
+            currentTurnState.interimResults = [...(currentTurnState.interimResults || []), parsedResult];
+
+            // Record successful strikes for prerequisite checks (e.g. Rend)
+            if (parsedResult.isOwnAction && parsedResult.type === 'attack-roll' && (parsedResult.outcome === 'success' || parsedResult.outcome === 'criticalSuccess')) {
+                currentTurnState.successfulStrikesThisRound = [
+                    ...(currentTurnState.successfulStrikesThisRound || []),
+                    { targetName: parsedResult.target || 'Unknown Target', strikeName: parsedResult.action }
+                ];
+            }
+            return currentTurnState;
+        });
+    } catch (err) {
+        console.error(`PF2e AI Combat Assistant | Failed to store interim result for ${actor.name}:`, err);
     }
 }
 
@@ -8661,6 +14746,31 @@ async function openAINotesDialog(actor) {
     const FLAG_KEY = FLAGS.PERMANENT_NOTES;
     const currentNotes = actor.getFlag(MODULE_ID, FLAG_KEY) || '';
     const currentPreset = actor.getFlag(MODULE_ID, FLAGS.TACTICAL_PRESET) || TACTICAL_PRESETS.DEFAULT;
+    const currentActionsPerTurn = actor.getFlag(MODULE_ID, FLAGS.ACTIONS_PER_TURN) || DEFAULT_ACTIONS_PER_TURN;
+    const autopilotHTML = actor.type === 'npc' ? `
+            <div class="form-group">
+                <label>${game.i18n.localize(`${MODULE_ID}.chat.autopilotLabel`) || 'Autopilot:'}</label>
+                <input type="checkbox" name="autopilot" ${actor.getFlag(MODULE_ID, FLAGS.AUTOPILOT) ? 'checked' : ''}>
+                <p class="notes" style="font-size: 0.85em; color: #666; margin-top: 2px; margin-bottom: 10px;">
+                    ${game.i18n.localize(`${MODULE_ID}.chat.autopilotHint`) || 'Accept the AI turn, execute each suggestion and confirm it without GM clicks.'}
+                </p>
+            </div>` : '';
+    const currentProfile = actor.getFlag(MODULE_ID, FLAGS.BEHAVIOR_PROFILE) || 'auto';
+    const profileOptions = [
+        ['auto', `Auto (${BEHAVIOR_PROFILES[detectBehaviorProfile(actor)].label})`],
+        ...Object.entries(BEHAVIOR_PROFILES).map(([key, profile]) => [key, profile.label]),
+        ['none', 'None (optimal tactics)']
+    ].map(([value, label]) => `<option value="${value}" ${currentProfile === value ? 'selected' : ''}>${label}</option>`).join('');
+    const behaviorProfileHTML = actor.type === 'npc' ? `
+            <div class="form-group">
+                <label>${game.i18n.localize(`${MODULE_ID}.chat.behaviorProfileLabel`) || 'Behavior Profile:'}</label>
+                <select name="behaviorProfile" style="width: 100%; margin-bottom: 10px;">
+                    ${profileOptions}
+                </select>
+                <p class="notes" style="font-size: 0.85em; color: #666; margin-top: 2px; margin-bottom: 10px;">
+                    ${game.i18n.localize(`${MODULE_ID}.chat.behaviorProfileHint`) || 'How this creature plays, from its traits and Intelligence.'}
+                </p>
+            </div>` : '';
 
     // Generate preset options
     const presetOptions = Object.entries(TACTICAL_PRESETS).map(([key, value]) => {
@@ -8680,6 +14790,15 @@ async function openAINotesDialog(actor) {
                     ${game.i18n.localize(`${MODULE_ID}.chat.tacticalPresetHint`) || 'Controls how the AI prioritizes actions for this character.'}
                 </p>
             </div>
+            <div class="form-group">
+                <label>${game.i18n.localize(`${MODULE_ID}.chat.actionsPerTurnLabel`) || 'Actions per Turn:'}</label>
+                <input type="number" name="actionsPerTurn" min="1" max="6" step="1" value="${currentActionsPerTurn}" style="width: 60px;">
+                <p class="notes" style="font-size: 0.85em; color: #666; margin-top: 2px; margin-bottom: 10px;">
+                    ${game.i18n.localize(`${MODULE_ID}.chat.actionsPerTurnHint`) || 'Actions before conditions. Change only for creatures with a special action economy.'}
+                </p>
+            </div>
+            ${autopilotHTML}
+            ${behaviorProfileHTML}
             <div class="form-group">
                 <label>${game.i18n.localize(`${MODULE_ID}.chat.aiNotesDialogLabel`) || 'Permanent AI Notes:'}</label>
                 <textarea name="aiNotes" style="width: 98%; min-height: 150px;" placeholder="${game.i18n.localize(`${MODULE_ID}.chat.aiNotesPlaceholder`) || 'Enter notes for the AI...'}">${currentNotes}</textarea>
@@ -8697,9 +14816,20 @@ async function openAINotesDialog(actor) {
                 callback: async (html) => {
                     const newNotes = html.find('textarea[name="aiNotes"]').val();
                     const newPreset = html.find('select[name="tacticalPreset"]').val();
+                    const newActionsPerTurn = parseInt(html.find('input[name="actionsPerTurn"]').val(), 10);
                     try {
                         await actor.setFlag(MODULE_ID, FLAG_KEY, newNotes);
                         await actor.setFlag(MODULE_ID, FLAGS.TACTICAL_PRESET, newPreset);
+                        // Only store an override; the default stays unset so it follows DEFAULT_ACTIONS_PER_TURN
+                        if (newActionsPerTurn > 0 && newActionsPerTurn !== DEFAULT_ACTIONS_PER_TURN) await actor.setFlag(MODULE_ID, FLAGS.ACTIONS_PER_TURN, newActionsPerTurn);
+                        else await actor.unsetFlag(MODULE_ID, FLAGS.ACTIONS_PER_TURN);
+                        if (actor.type === 'npc') {
+                            if (html.find('input[name="autopilot"]').is(':checked')) await actor.setFlag(MODULE_ID, FLAGS.AUTOPILOT, true);
+                            else await actor.unsetFlag(MODULE_ID, FLAGS.AUTOPILOT);
+                            const newProfile = html.find('select[name="behaviorProfile"]').val();
+                            if (newProfile && newProfile !== 'auto') await actor.setFlag(MODULE_ID, FLAGS.BEHAVIOR_PROFILE, newProfile);
+                            else await actor.unsetFlag(MODULE_ID, FLAGS.BEHAVIOR_PROFILE);
+                        }
                         console.log(`PF2e AI Combat Assistant | Saved AI Notes and Tactical Preset (${newPreset}) for ${actor.name} via dialog.`);
                         ui.notifications.info(`AI Notes and Tactical Preset saved for ${actor.name}.`);
                     } catch (err) {
@@ -8719,12 +14849,13 @@ async function openAINotesDialog(actor) {
 
     // Hook into chat message creation
     Hooks.on('createChatMessage', handleChatMessage);
+    Hooks.on('createChatMessage', handleRecallKnowledgeMessage);
 
     // Hook to add header button to PC sheets
     // Hook to add header button to PC sheets
     Hooks.on('getActorSheetHeaderButtons', (sheet, buttons) => {
-        // Only add the button to Player Character sheets
-        if (!(sheet.actor.type === 'character')) {
+        // Add the button to Player Character sheets, and to NPC sheets for the GM (tactical preset, action economy)
+        if (!(sheet.actor.type === 'character' || (sheet.actor.type === 'npc' && game.user.isGM))) {
              return;
         }
 
@@ -8748,4 +14879,68 @@ async function openAINotesDialog(actor) {
 
 
 // Final log message update
-console.log("PF2e AI Combat Assistant | Module Loaded Successfully (v1.07)");
\ No newline at end of file
+console.log("PF2e AI Combat Assistant | Module Loaded Successfully (v1.07)");
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+// Pure helpers that don't read game/canvas/ui, exported so they can be imported outside a live world
+// (e.g. from a Node script with the Hooks global stubbed). Foundry ignores the exports.
+export {
+    // Probability & damage
+    calculateHitProbability, parseDamageForAverage, calculateExpectedDamage, getDegreeOfSuccess,
+    parseDamagePartials, averageDamagePartial, applyDamageDefenses, expectedPersistentDamage, evaluateStrikeDamage,
+    getPrecisionDamage, isTargetOffGuard,
+    calculateSaveProbability, getSaveStatusPenalty, calculateBasicSaveDamage, parseSaveOutcomeConditions,
+    getSpellDamageFormula, analyzeSpellSave, formatSpellSaveAnalysis,
+    getAbilityDamageTypes, getDamageTypeModifier, matchDamageTypesToDefenses, findAbilityImmunity, describeDamageDefenses,
+    collectAbilityDamageProfiles, buildDamageTypeMatchups,
+    // Knowledge gating
+    getKnownEnemyFacts, recordRecallKnowledge, describeUnidentifiedEnemy, getRecallKnowledgeCheck,
+    // NPC morale
+    calculateMorale, applyMoraleOverride, describeMorale, getMoraleDirectiveForPrompt,
+    // Behavior profiles
+    BEHAVIOR_PROFILES, detectBehaviorProfile, getBehaviorProfileForPrompt,
+    // Ability data
+    parseActionCostValue, formatParsedCostToDisplay, determineAuthoritativeCost, getNumericRange,
+    categorizeAbilityByRole, shouldExcludeDescription, getActionIconHTML, _extractSpellDetails,
+    // Tactical analysis
+    assessEnemyThreat, scoreStrikesForSituation, identifyConditionExploits, identifyComboOpportunities,
+    assessHealingPriorities, getResourceWarnings, getDynamicTacticalGuidance, getTacticalContextForPrompt,
+    // Action budget
+    parseQuickenedRestriction, calculateTurnActionBudget, isQuickenedActionAllowed, checkActionAgainstBudget, describeQuickenedActions,
+    // Turn state
+    updateTurnState,
+    // Area placement
+    getTokenSquareCenters, isSquareInArea, findBestAreaPlacement, describeAreaPlacement,
+    // Movement planning
+    measureGridSteps, isSpaceWithinReach, findMovementCosts, buildMovementPath, summarizeMovementOptions, trimMovementPath,
+    // Reaction risk
+    classifyReactionTrigger, extractActorReactions, getActorMeleeReach, findProvokedReactions, describeProvokedReaction,
+    isReactionSpent, recommendReaction,
+    isAIControlledCombatant,
+    // Delay and Ready
+    parseTurnFlowSuggestion, classifyReadiedTrigger, calculateDelayInitiative, applyDelayInitiative, findReadiedStrike,
+    // Enemy block
+    findEnemyBlock,
+    // Action journal
+    getActionJournal, snapshotCombatMemory, restoreCombatMemory, createActionJournalEntry, recordActionJournalEntry,
+    // Multi-action plans
+    syncPlanWithConfirmedAction,
+    // LLM response parsing
+    parseLLMSuggestion, parseMultiActionPlan, extractJsonObject, validateStructuredSuggestion,
+    plannedStepToSuggestion, findPlanStepFailure, formatRollOutcome, summarizeInterimOutcomes, isMessageAfter, handleChatMessage,
+    // Autopilot
+    isAutopilotEnabled, getAutopilotPauseReason,
+    // Suggestion targets
+    applySuggestionButtonTargets,
+    // Prompt building
+    craftSingleActionPrompt, buildPromptWithinBudget, estimateTokenCount, compactPromptDescriptions, convertPromptToStructuredOutput,
+    craftStructuredRepairPrompt,
+    // LLM log
+    rerunLLMLogEntry, trimLLMLogForStorage,
+    // Provider responses
+    extractCompatibleResponseText,
+    // Mock provider
+    generateMockLLMResponse, resetMockLLM, queueMockLLMResponses
+};
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeTurnState } from './helpers/builders.js';
+
+const {
+    parseQuickenedRestriction, calculateTurnActionBudget, isQuickenedActionAllowed, checkActionAgainstBudget, describeQuickenedActions
+} = await loadMainModule();
+
+/**
+ * A PF2e condition item.
+ * @param {string} slug
+ * @param {number|null} [value=null]
+ * @param {object} [grantedBy] - The item that granted it.
+ * @returns {object}
+ */
+const condition = (slug, value = null, grantedBy = undefined) => ({
+    slug, name: slug[0].toUpperCase() + slug.slice(1), system: { value: { value } }, grantedBy
+});
+const haste = { name: 'Spell Effect: Haste', system: { description: { value: '<p>You can use the extra action only for Strike and Stride actions.</p>' } } };
+
+test('parseQuickenedRestriction reads the allowed actions from the source text', () => {
+    assert.deepEqual(parseQuickenedRestriction(haste.system.description.value), ['Strike', 'Stride']);
+    assert.deepEqual(parseQuickenedRestriction('<p>You can use the additional action only to Step, Stride or Strike.</p>'), ['Step', 'Stride', 'Strike']);
+    assert.equal(parseQuickenedRestriction('<p>You are quickened.</p>'), null);
+});
+
+test('calculateTurnActionBudget gives three actions without conditions', () => {
+    const budget = calculateTurnActionBudget(makeActor());
+    assert.equal(budget.actionsRemaining, 3);
+    assert.equal(budget.quickenedActionsRemaining, 0);
+    assert.equal(budget.quickenedRestriction, null);
+});
+
+test('calculateTurnActionBudget lets actions lost to stunned count toward slowed', () => {
+    assert.equal(calculateTurnActionBudget(makeActor({ conditions: [condition('slowed', 1)] })).actionsRemaining, 2);
+    assert.equal(calculateTurnActionBudget(makeActor({ conditions: [condition('stunned', 2)] })).actionsRemaining, 1);
+    assert.equal(calculateTurnActionBudget(makeActor({ conditions: [condition('stunned', 1), condition('slowed', 2)] })).actionsRemaining, 1);
+    // Stunned with a duration instead of a value takes the whole turn
+    assert.equal(calculateTurnActionBudget(makeActor({ conditions: [condition('stunned', null)] })).actionsRemaining, 0);
+});
+
+test('calculateTurnActionBudget gives up the restricted quickened action first', () => {
+    const hasted = calculateTurnActionBudget(makeActor({ conditions: [condition('quickened', null, haste)] }));
+    assert.equal(hasted.actionsRemaining, 4);
+    assert.equal(hasted.quickenedActionsRemaining, 1);
+    assert.deepEqual(hasted.quickenedRestriction, { allowed: ['Strike', 'Stride'], source: 'Haste' });
+
+    const hastedAndSlowed = calculateTurnActionBudget(makeActor({ conditions: [condition('quickened', null, haste), condition('slowed', 1)] }));
+    assert.equal(hastedAndSlowed.actionsRemaining, 3);
+    assert.equal(hastedAndSlowed.quickenedActionsRemaining, 0);
+});
+
+test('checkActionAgainstBudget spends the quickened action only on allowed actions', () => {
+    const turnState = makeTurnState({ actionsRemaining: 2, quickenedActionsRemaining: 1, quickenedRestriction: { allowed: ['Strike', 'Stride'], source: 'Haste' } });
+    assert.deepEqual(checkActionAgainstBudget('Strike (Longsword)', 1, turnState), { allowed: true, usesQuickened: 1, reason: null });
+    assert.deepEqual(checkActionAgainstBudget('Raise a Shield', 1, turnState), { allowed: true, usesQuickened: 0, reason: null });
+    const spell = checkActionAgainstBudget('Cast Fear', 2, turnState);
+    assert.equal(spell.allowed, false);
+    assert.match(spell.reason, /only 1 unrestricted action\(s\) left; the quickened action can only be used for Strike or Stride/);
+    assert.equal(checkActionAgainstBudget('Shield Block', 'R', turnState).allowed, true);
+    assert.equal(isQuickenedActionAllowed('Cast Fear', null), true);
+});
+
+test('describeQuickenedActions names the source and its restriction', () => {
+    const turnState = makeTurnState({ actionsRemaining: 4, quickenedActionsRemaining: 1, quickenedRestriction: { allowed: ['Strike', 'Stride'], source: 'Haste' } });
+    assert.equal(describeQuickenedActions(turnState), '1 of them is a quickened action (Haste) usable only for Strike or Stride');
+    assert.equal(describeQuickenedActions(makeTurnState()), '');
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, MODULE_ID } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatant, makeCombat, makeTurnState } from './helpers/builders.js';
+
+const { getActionJournal, snapshotCombatMemory, restoreCombatMemory, createActionJournalEntry, recordActionJournalEntry } = await loadMainModule();
+
+/**
+ * A combat in round 2 whose memory already holds an entry for the goblin.
+ * @returns {{combat: object, goblin: object, ally: object}}
+ */
+function combatWithMemory() {
+    const goblin = makeCombatant(makeActor({ name: 'Goblin Warrior' }), undefined, { initiative: 20 });
+    const ally = makeCombatant(makeActor({ name: 'Goblin Pyro' }), undefined, { initiative: 15 });
+    const combatMemory = {
+        rounds: { 2: { combatantActions: { [goblin.id]: [{ action: 'Stride' }], [ally.id]: [{ action: 'Produce Flame' }] } } },
+        statistics: { [goblin.id]: { actionsTaken: 1 }, [ally.id]: { actionsTaken: 1 } }
+    };
+    const combat = makeCombat([goblin, ally], { round: 2, flags: { combatMemory } });
+    return { combat, goblin, ally };
+}
+
+test('restoreCombatMemory puts back only the acting combatant\'s memory', async () => {
+    const { combat, goblin, ally } = combatWithMemory();
+    const snapshot = snapshotCombatMemory(combat, goblin.id);
+    assert.deepEqual(snapshot, { round: 2, combatantActions: [{ action: 'Stride' }], statistics: { actionsTaken: 1 } });
+
+    // The confirm records a Strike for both combatants' entries
+    const memory = structuredClone(combat.getFlag(MODULE_ID, 'combatMemory'));
+    memory.rounds[2].combatantActions[goblin.id].push({ action: 'Strike' });
+    memory.statistics[goblin.id].actionsTaken = 2;
+    memory.statistics[ally.id].actionsTaken = 2;
+    await combat.setFlag(MODULE_ID, 'combatMemory', memory);
+
+    await restoreCombatMemory(combat, goblin.id, snapshot);
+    const restored = combat.getFlag(MODULE_ID, 'combatMemory');
+    assert.deepEqual(restored.rounds[2].combatantActions[goblin.id], [{ action: 'Stride' }]);
+    assert.deepEqual(restored.statistics[goblin.id], { actionsTaken: 1 });
+    assert.deepEqual(restored.statistics[ally.id], { actionsTaken: 2 });
+});
+
+test('restoreCombatMemory removes entries the action created', async () => {
+    const { combat, ally } = combatWithMemory();
+    const newcomer = makeCombatant(makeActor({ name: 'Goblin Archer' }));
+    const snapshot = snapshotCombatMemory(combat, newcomer.id);
+    assert.deepEqual(snapshot, { round: 2, combatantActions: null, statistics: null });
+
+    const memory = structuredClone(combat.getFlag(MODULE_ID, 'combatMemory'));
+    memory.rounds[2].combatantActions[newcomer.id] = [{ action: 'Strike' }];
+    memory.statistics[newcomer.id] = { actionsTaken: 1 };
+    await combat.setFlag(MODULE_ID, 'combatMemory', memory);
+
+    await restoreCombatMemory(combat, newcomer.id, snapshot);
+    const restored = combat.getFlag(MODULE_ID, 'combatMemory');
+    assert.equal(restored.rounds[2].combatantActions[newcomer.id], undefined);
+    assert.equal(restored.statistics[newcomer.id], undefined);
+    assert.deepEqual(restored.statistics[ally.id], { actionsTaken: 1 });
+});
+
+test('createActionJournalEntry snapshots the state before the confirm and the rolls it made', async () => {
+    const { combat, goblin } = combatWithMemory();
+    const actor = goblin.actor;
+    await actor.setFlag(MODULE_ID, 'actionPlan', { plan: [{ sequence: 1, action: 'Strike' }], currentStep: 0 });
+    const turnState = makeTurnState({
+        actionsRemaining: 2,
+        currentMAP: 5,
+        interimResults: [
+            { isOwnAction: true, recorded: false, messageId: 'roll1' },
+            { isOwnAction: true, recorded: true, messageId: 'roll0' },
+            { isOwnAction: false, recorded: false, messageId: 'enemyRoll' }
+        ]
+    });
+
+    const entry = createActionJournalEntry(combat, goblin, 'card1', 'Strike (Dogslicer) | Target: Valeros', turnState);
+    // Nothing is journaled until the confirm has gone through
+    assert.deepEqual(getActionJournal(actor), []);
+    // Changes the confirm makes afterwards don't reach the snapshot
+    turnState.actionsRemaining = 1;
+    await actor.setFlag(MODULE_ID, 'actionPlan', { plan: [{ sequence: 1, action: 'Strike' }], currentStep: 1 });
+
+    assert.equal(entry.description, 'Strike (Dogslicer)');
+    assert.equal(entry.suggestionMessageId, 'card1');
+    assert.equal(entry.round, 2);
+    assert.equal(entry.turnState.actionsRemaining, 2);
+    assert.deepEqual(entry.actionPlan, { plan: [{ sequence: 1, action: 'Strike' }], currentStep: 0 });
+    assert.equal(entry.readiedAction, null);
+    assert.deepEqual(entry.memory.combatantActions, [{ action: 'Stride' }]);
+    assert.deepEqual(entry.rollMessageIds, ['roll1']);
+    assert.deepEqual(getActionJournal(null), []);
+});
+
+test('recordActionJournalEntry appends entries in the order actions are confirmed', async () => {
+    const { combat, goblin } = combatWithMemory();
+    const first = createActionJournalEntry(combat, goblin, 'card1', 'Strike (Dogslicer)', makeTurnState({ actionsRemaining: 3 }));
+    const second = createActionJournalEntry(combat, goblin, 'card2', 'Stride', makeTurnState({ actionsRemaining: 2 }));
+    await recordActionJournalEntry(goblin.actor, first);
+    await recordActionJournalEntry(goblin.actor, second);
+    assert.deepEqual(getActionJournal(goblin.actor).map(entry => entry.suggestionMessageId), ['card1', 'card2']);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, MODULE_ID } from './helpers/foundry-stubs.js';
+import { makeActor } from './helpers/builders.js';
+
+const { syncPlanWithConfirmedAction } = await loadMainModule();
+
+/**
+ * A goblin partway through a three-step plan.
+ * @param {number} currentStep - The step to offer next (0-based).
+ * @returns {object}
+ */
+function goblinWithPlan(currentStep) {
+    const plannedActions = [{ sequence: 1, action: 'Stride' }, { sequence: 2, action: 'Strike' }, { sequence: 3, action: 'Strike' }];
+    return makeActor({ flags: { actionPlan: { plannedActions, overallStrategy: 'Close in and attack', currentStep } } });
+}
+
+test('syncPlanWithConfirmedAction moves the plan on when the card was for its current step', async () => {
+    const goblin = goblinWithPlan(1);
+    await syncPlanWithConfirmedAction(goblin, 1);
+    assert.equal(goblin.getFlag(MODULE_ID, 'actionPlan').currentStep, 2);
+});
+
+test('syncPlanWithConfirmedAction drops the plan when a fallback card is confirmed', async () => {
+    const goblin = goblinWithPlan(1);
+    await syncPlanWithConfirmedAction(goblin, null);
+    assert.equal(goblin.getFlag(MODULE_ID, 'actionPlan'), undefined);
+
+    // A card for a step the plan has already passed is off plan too
+    const pyro = goblinWithPlan(2);
+    await syncPlanWithConfirmedAction(pyro, 0);
+    assert.equal(pyro.getFlag(MODULE_ID, 'actionPlan'), undefined);
+});
+
+test('syncPlanWithConfirmedAction does nothing without a plan', async () => {
+    const goblin = makeActor();
+    await syncPlanWithConfirmedAction(goblin, 0);
+    assert.equal(goblin.getFlag(MODULE_ID, 'actionPlan'), undefined);
+});
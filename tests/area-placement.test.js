@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatantInfo } from './helpers/builders.js';
+
+const { findBestAreaPlacement, describeAreaPlacement } = await loadMainModule();
+
+const grid = { gridSize: 100, gridDistance: 5 };
+const pc = (name, x, y) => makeCombatantInfo(makeActor({ name, type: 'character' }), { square: { x, y } });
+const party = [pc('Valeros', 8, 8), pc('Kyra', 9, 8), pc('Ezren', 8, 9), pc('Seelah', 20, 20)];
+const casterInCorner = { coordinates: { x: 0, y: 0 }, footprint: 1 };
+const casterBesideParty = { coordinates: { x: 700, y: 800 }, footprint: 1 };
+const names = creatures => creatures.map(creature => creature.name);
+
+test('findBestAreaPlacement centers a burst on the cluster and reads a string area size', () => {
+    const { best } = findBestAreaPlacement({ area: { type: 'burst', value: '10' }, rangeFeet: 500, self: casterInCorner, enemies: party, allies: [], ...grid });
+    assert.deepEqual(names(best.enemiesHit), ['Valeros', 'Kyra', 'Ezren']);
+    assert.deepEqual(best.origin, { x: 800, y: 800 });
+    assert.equal(best.distance, 10);
+    assert.equal(best.hitsSelf, false);
+    assert.match(describeAreaPlacement(best), /^centered at \(800, 800\) catches 3 enemies \(Valeros \[ID: token\d+\], .*\) and no allies$/);
+});
+
+test('findBestAreaPlacement keeps a burst within the spell\'s range', () => {
+    const result = findBestAreaPlacement({ area: { type: 'burst', value: 10 }, rangeFeet: 30, self: casterInCorner, enemies: party, allies: [], ...grid });
+    assert.deepEqual(result, { best: null, bestWithoutAllies: null });
+});
+
+test('findBestAreaPlacement measures burst range on the grid, every second diagonal counting 10 feet', () => {
+    // The only intersection that reaches the square at (4, 4) is 3 squares down and 3 across from the caster's space:
+    // 20 feet on the grid, though over 21 feet in a straight line
+    const { best } = findBestAreaPlacement({ area: { type: 'burst', value: 5 }, rangeFeet: 20, self: casterInCorner, enemies: [pc('Valeros', 4, 4)], allies: [], ...grid });
+    assert.deepEqual(best.origin, { x: 400, y: 400 });
+    assert.equal(best.originDistance, 20);
+    assert.equal(findBestAreaPlacement({ area: { type: 'burst', value: 5 }, rangeFeet: 15, self: casterInCorner, enemies: [pc('Valeros', 4, 4)], allies: [], ...grid }).best, null);
+});
+
+test('findBestAreaPlacement counts an ally caught in the area against the placement', () => {
+    const ally = makeCombatantInfo(makeActor({ name: 'Goblin Pyro' }), { relation: 'friendly', square: { x: 6, y: 8 } });
+    const emanation = { area: { type: 'emanation', value: 5 }, rangeFeet: null, self: casterBesideParty, enemies: party, ...grid };
+    const { best, bestWithoutAllies } = findBestAreaPlacement({ ...emanation, allies: [ally] });
+    assert.deepEqual(names(best.alliesHit), ['Goblin Pyro']);
+    assert.deepEqual(names(best.enemiesHit), ['Valeros', 'Ezren']);
+    // Each ally caught costs two enemies
+    assert.equal(best.score, 0);
+    assert.equal(findBestAreaPlacement({ ...emanation, allies: [] }).best.score, 2);
+    assert.equal(bestWithoutAllies, null);
+    assert.match(describeAreaPlacement(best), /and 1 ally \(Goblin Pyro \[ID: token\d+\]\)$/);
+});
+
+test('findBestAreaPlacement aims a cone from the edge of the caster\'s space', () => {
+    const { best } = findBestAreaPlacement({ area: { type: 'cone', value: 15 }, rangeFeet: null, self: casterBesideParty, enemies: party, allies: [], ...grid });
+    assert.deepEqual(names(best.enemiesHit), ['Valeros', 'Kyra']);
+    assert.equal(best.direction, 0);
+    assert.match(describeAreaPlacement(best), /^aimed at 0° \(0° = east, clockwise\) catches 2 enemies/);
+});
+
+test('findBestAreaPlacement measures an emanation from the edge of the caster\'s space', () => {
+    const { best } = findBestAreaPlacement({ area: { type: 'emanation', value: '5' }, rangeFeet: null, self: casterBesideParty, enemies: party, allies: [], ...grid });
+    assert.deepEqual(names(best.enemiesHit), ['Valeros', 'Ezren']);
+    // 5 feet past the edge of a 1-square creature is 7.5 feet from its center
+    assert.equal(best.distance, 7.5);
+});
+
+test('findBestAreaPlacement ignores unsupported areas and hidden creatures', () => {
+    const empty = { best: null, bestWithoutAllies: null };
+    assert.deepEqual(findBestAreaPlacement({ area: { type: 'cylinder', value: 10 }, rangeFeet: 500, self: casterInCorner, enemies: party, allies: [], ...grid }), empty);
+    assert.deepEqual(findBestAreaPlacement({ area: { type: 'burst', value: 'varies' }, rangeFeet: 500, self: casterInCorner, enemies: party, allies: [], ...grid }), empty);
+    const hidden = party.map(enemy => ({ ...enemy, coordinates: null }));
+    assert.deepEqual(findBestAreaPlacement({ area: { type: 'burst', value: 10 }, rangeFeet: 500, self: casterInCorner, enemies: hidden, allies: [], ...grid }), empty);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, resetSettings, setSetting } from './helpers/foundry-stubs.js';
+import { makeActor } from './helpers/builders.js';
+
+const { isAutopilotEnabled, getAutopilotPauseReason } = await loadMainModule();
+
+test('isAutopilotEnabled needs an opted-in NPC and the active GM', () => {
+    const goblin = makeActor({ flags: { autopilot: true } });
+    assert.equal(isAutopilotEnabled(goblin), true);
+    assert.equal(isAutopilotEnabled(makeActor()), false);
+    assert.equal(isAutopilotEnabled(makeActor({ type: 'character', flags: { autopilot: true } })), false);
+    assert.equal(isAutopilotEnabled(null), false);
+
+    game.users.activeGM = { id: 'other-gm' };
+    try {
+        assert.equal(isAutopilotEnabled(goblin), false);
+    } finally {
+        game.users.activeGM = null;
+    }
+});
+
+test('getAutopilotPauseReason pauses for incapacitation, combos and movement', async () => {
+    resetSettings();
+    assert.equal(await getAutopilotPauseReason({ traits: ['incapacitation', 'mental'] }), 'incapacitation effect');
+    assert.equal(await getAutopilotPauseReason({ isCombo: true }), 'several actions combined');
+    assert.equal(await getAutopilotPauseReason({ traits: ['move'] }), 'the token has to be moved');
+    assert.equal(await getAutopilotPauseReason({ traits: ['attack'] }), null);
+
+    setSetting('autopilotPauseOnIncapacitation', false);
+    assert.equal(await getAutopilotPauseReason({ traits: ['incapacitation'] }), null);
+});
+
+test('getAutopilotPauseReason pauses before spells at or above the configured rank', async () => {
+    resetSettings();
+    const fireball = { isSpellSuggestion: true, spellRankForButton: 3, traits: [] };
+    assert.equal(await getAutopilotPauseReason(fireball), null);
+
+    setSetting('autopilotPauseSpellRank', 3);
+    assert.equal(await getAutopilotPauseReason(fireball), 'rank 3 spell');
+    assert.equal(await getAutopilotPauseReason({ ...fireball, spellRankForButton: 2 }), null);
+});
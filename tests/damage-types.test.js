@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatantInfo, makeStrike, makeSpell, makeSelfInfo } from './helpers/builders.js';
+
+const {
+    getAbilityDamageTypes, getDamageTypeModifier, matchDamageTypesToDefenses, findAbilityImmunity, describeDamageDefenses,
+    collectAbilityDamageProfiles, buildDamageTypeMatchups
+} = await loadMainModule();
+
+const none = { immunities: [], weaknesses: [], resistances: [] };
+const skeleton = {
+    immunities: ['death-effects', 'disease', 'mental', 'poison', 'precision'],
+    weaknesses: [{ type: 'bludgeoning', value: 5 }, { type: 'vitality', value: 5 }],
+    resistances: [{ type: 'piercing', value: 5, exceptions: [] }, { type: 'slashing', value: 5, exceptions: [] }]
+};
+
+test('getAbilityDamageTypes lists the dealt types and a versatile weapon\'s alternatives', () => {
+    assert.deepEqual(getAbilityDamageTypes('1d6+3 piercing + 1d6 fire', ['agile']), { types: ['piercing', 'fire'], alternatives: [] });
+    assert.deepEqual(getAbilityDamageTypes('1d8+4 slashing', ['versatile-p', 'versatile-s']), { types: ['slashing'], alternatives: ['piercing'] });
+    assert.deepEqual(getAbilityDamageTypes('', []), { types: [], alternatives: [] });
+});
+
+test('getDamageTypeModifier nets weakness against resistance', () => {
+    assert.equal(getDamageTypeModifier('bludgeoning', skeleton), 5);
+    assert.equal(getDamageTypeModifier('slashing', skeleton), -5);
+    assert.equal(getDamageTypeModifier('fire', skeleton), 0);
+    assert.equal(getDamageTypeModifier('fire', { ...none, immunities: ['fire'] }), -Infinity);
+    assert.equal(getDamageTypeModifier('fire', null), 0);
+});
+
+test('getDamageTypeModifier and matchDamageTypesToDefenses skip resistances the ability\'s traits get past', () => {
+    const werewolf = { ...none, resistances: [{ type: 'physical', value: 5, exceptions: ['silver'] }] };
+    assert.equal(getDamageTypeModifier('slashing', werewolf), -5);
+    assert.equal(getDamageTypeModifier('slashing', werewolf, ['silver']), 0);
+    assert.deepEqual(matchDamageTypesToDefenses(['slashing'], werewolf), [{ type: 'slashing', kind: 'resistance', value: 5 }]);
+    assert.deepEqual(matchDamageTypesToDefenses(['slashing'], werewolf, ['silver', 'agile']), []);
+});
+
+test('matchDamageTypesToDefenses reports the types the target treats differently', () => {
+    assert.deepEqual(matchDamageTypesToDefenses(['slashing', 'bludgeoning', 'fire'], skeleton), [
+        { type: 'slashing', kind: 'resistance', value: 5 },
+        { type: 'bludgeoning', kind: 'weakness', value: 5 }
+    ]);
+    assert.deepEqual(matchDamageTypesToDefenses(['poison'], { ...none, immunities: ['poison'] }), [{ type: 'poison', kind: 'immunity', value: null }]);
+    assert.deepEqual(matchDamageTypesToDefenses(['fire'], null), []);
+});
+
+test('findAbilityImmunity rules out abilities by trait, precision or every damage type', () => {
+    assert.equal(findAbilityImmunity({ traits: ['mental', 'emotion'] }, skeleton), 'mental');
+    assert.equal(findAbilityImmunity({ precisionOnly: true }, skeleton), 'precision');
+    assert.equal(findAbilityImmunity({ damageTypes: ['poison'] }, skeleton), 'poison');
+    // A versatile weapon can still switch to a type the target isn't immune to
+    assert.equal(findAbilityImmunity({ damageTypes: ['poison'], alternatives: ['piercing'] }, skeleton), null);
+    assert.equal(findAbilityImmunity({ traits: ['mental'] }, none), null);
+});
+
+test('describeDamageDefenses summarises the enemy\'s defenses', () => {
+    assert.equal(
+        describeDamageDefenses({ ...none, weaknesses: [{ type: 'cold-iron', value: 5 }], resistances: [{ type: 'physical', value: 5, exceptions: ['silver'] }] }),
+        'Weak: cold-iron 5; Res: physical 5 (except silver)'
+    );
+    assert.equal(describeDamageDefenses(none), '');
+    assert.equal(describeDamageDefenses(null), '');
+});
+
+test('buildDamageTypeMatchups suggests switching a versatile weapon and excludes immune abilities', () => {
+    const goblin = makeActor();
+    const self = makeSelfInfo(goblin, {
+        strikes: [makeStrike({ name: 'Rapier', damage: '1d6+3 piercing', traits: ['versatile-b'] })],
+        spells: [makeSpell({ name: 'Phantom Pain', damage: { 0: { formula: '2d4', type: 'mental' } }, heightening: null, traits: ['mental'] })]
+    });
+    const profiles = collectAbilityDamageProfiles(self, { formula: '1d6 precision', source: 'Sneak Attack' });
+    assert.deepEqual(profiles.map(({ name, kind }) => `${kind}:${name}`), ['strike:Rapier', 'spell:Phantom Pain', 'precision:Sneak Attack']);
+
+    const enemy = makeCombatantInfo(makeActor({ name: 'Skeleton Guard' }), { tokenId: 'skeleton', defenses: skeleton });
+    const { matchups, switches, exclusions } = buildDamageTypeMatchups(profiles, [enemy, makeCombatantInfo(makeActor(), { defenses: null })]);
+    assert.deepEqual(matchups, [{ target: 'Skeleton Guard', targetId: 'skeleton', type: 'piercing', kind: 'resistance', value: 5, abilities: ['Rapier'] }]);
+    assert.deepEqual(switches, [{ ability: 'Rapier', target: 'Skeleton Guard', targetId: 'skeleton', from: 'piercing', to: 'bludgeoning', gain: 10 }]);
+    assert.deepEqual(exclusions.map(({ ability, immunity }) => `${ability}:${immunity}`), ['Phantom Pain:mental', 'Sneak Attack:precision']);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatant, makeCombat } from './helpers/builders.js';
+
+const { findEnemyBlock } = await loadMainModule();
+
+/**
+ * A combat in initiative order from the given combatants, with the NPCs designated as enemies.
+ * @param {object[]} combatants - From makeCombatant, highest initiative first.
+ * @param {object} [options] - As for makeCombat.
+ * @returns {object}
+ */
+function combatOf(combatants, options = {}) {
+    const designations = Object.fromEntries(combatants.filter(combatant => !combatant.actor.hasPlayerOwner).map(combatant => [combatant.id, 'enemy']));
+    return makeCombat(combatants, { designations, ...options });
+}
+
+const at = (actor, initiative, options = {}) => makeCombatant(actor, undefined, { initiative, ...options });
+const names = block => block.map(combatant => combatant.name);
+
+test('findEnemyBlock runs from the current turn to the first player-owned combatant', () => {
+    const combat = combatOf([
+        at(makeActor({ name: 'Goblin Warrior' }), 20),
+        at(makeActor({ name: 'Goblin Pyro' }), 18),
+        at(makeActor({ name: 'Valeros', type: 'character' }), 15),
+        at(makeActor({ name: 'Goblin Boss' }), 10)
+    ]);
+    assert.deepEqual(names(findEnemyBlock(combat)), ['Goblin Warrior', 'Goblin Pyro']);
+    combat.turn = 3;
+    assert.deepEqual(names(findEnemyBlock(combat)), ['Goblin Boss']);
+    combat.turn = 2;
+    assert.deepEqual(findEnemyBlock(combat), []);
+});
+
+test('findEnemyBlock stops at a Friendly-designated NPC and passes over the defeated', () => {
+    const bystander = at(makeActor({ name: 'Commoner' }), 14);
+    const guard = at(makeActor({ name: 'Town Guard' }), 12);
+    const combat = combatOf([
+        at(makeActor({ name: 'Goblin Warrior' }), 20),
+        at(makeActor({ name: 'Goblin Pyro' }), 18, { defeated: true }),
+        at(makeActor({ name: 'Goblin Boss' }), 16),
+        bystander,
+        guard,
+        at(makeActor({ name: 'Goblin Archer' }), 8)
+    ]);
+    const designations = combat.getFlag('pf2e-ai-combat-assistant', 'designations');
+    // Undesignated combatants count as enemies; a friendly ends the block
+    delete designations[bystander.id];
+    designations[guard.id] = 'friendly';
+    assert.deepEqual(names(findEnemyBlock(combat)), ['Goblin Warrior', 'Goblin Boss', 'Commoner']);
+    assert.deepEqual(findEnemyBlock(null), []);
+});
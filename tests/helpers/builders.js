@@ -0,0 +1,420 @@
+// ============================================================================
+// FAKE DOCUMENT BUILDERS
+// Plain objects shaped like the PF2e actors, tokens, combatants and combats the
+// module reads, plus the combatant and ability entries gatherGameState produces.
+// ============================================================================
+
+import { MODULE_ID } from './foundry-stubs.js';
+
+let nextId = 1;
+
+/**
+ * A unique 16-character ID, like Foundry's.
+ * @param {string} prefix - Readable start of the ID.
+ * @returns {string}
+ */
+function makeId(prefix) {
+    return `${prefix}${String(nextId++).padStart(16 - prefix.length, '0')}`;
+}
+
+/**
+ * Flag storage with Foundry's getFlag/setFlag/unsetFlag. setFlag merges objects like a document update.
+ * @param {object} [flags={}] - Initial flags in the module's scope.
+ * @returns {object}
+ */
+function withFlags(flags = {}) {
+    const scope = structuredClone(flags);
+    return {
+        flags: { [MODULE_ID]: scope },
+        getFlag(namespace, key) {
+            return namespace === MODULE_ID ? scope[key] : undefined;
+        },
+        async setFlag(namespace, key, value) {
+            const current = scope[key];
+            const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+            scope[key] = isObject(current) && isObject(value) ? { ...current, ...structuredClone(value) } : structuredClone(value);
+            return this;
+        },
+        async unsetFlag(namespace, key) {
+            delete scope[key];
+            return this;
+        }
+    };
+}
+
+/**
+ * A PF2e actor.
+ * @param {object} [options]
+ * @param {string} [options.name='Goblin Warrior']
+ * @param {string} [options.type='npc'] - 'npc' or 'character'.
+ * @param {number} [options.level=1]
+ * @param {string[]} [options.traits=[]]
+ * @param {string} [options.rarity='common']
+ * @param {{value: number, max: number}} [options.hp]
+ * @param {number} [options.ac=16]
+ * @param {{fortitude: number, reflex: number, will: number}} [options.saves]
+ * @param {number} [options.int=0] - Intelligence modifier.
+ * @param {object} [options.skills={}] - Skill slug to modifier, e.g. { nature: 7 }.
+ * @param {string[]} [options.immunities=[]]
+ * @param {Array<{type: string, value: number}>} [options.weaknesses=[]]
+ * @param {Array<{type: string, value: number}>} [options.resistances=[]]
+ * @param {Array<object>} [options.conditions=[]] - Condition items ({ name, value }).
+ * @param {boolean} [options.hasPlayerOwner] - Defaults to true for characters.
+ * @param {object} [options.flags={}] - Module flags.
+ * @returns {object}
+ */
+export function makeActor({
+    name = 'Goblin Warrior', type = 'npc', level = 1, traits = [], rarity = 'common',
+    hp = { value: 20, max: 20 }, ac = 16, saves = { fortitude: 5, reflex: 7, will: 3 }, int = 0, skills = {},
+    immunities = [], weaknesses = [], resistances = [], conditions = [], hasPlayerOwner = type === 'character', flags = {}
+} = {}) {
+    const id = makeId('actor');
+    return {
+        id,
+        uuid: `Actor.${id}`,
+        name,
+        type,
+        level,
+        size: 'med',
+        hasPlayerOwner,
+        isDefeated: hp.value <= 0,
+        system: {
+            traits: { value: traits, rarity },
+            attributes: {
+                hp: { ...hp },
+                ac: { value: ac },
+                immunities: immunities.map(immunity => ({ type: immunity })),
+                weaknesses: weaknesses.map(weakness => ({ ...weakness })),
+                resistances: resistances.map(resistance => ({ exceptions: [], ...resistance }))
+            },
+            abilities: { int: { mod: int } }
+        },
+        saves: Object.fromEntries(Object.entries(saves).map(([save, mod]) => [save, { mod, check: { modifiers: [] } }])),
+        skills: Object.fromEntries(Object.entries(skills).map(([slug, mod]) => [slug, { mod, rank: 1 }])),
+        itemTypes: { condition: conditions, effect: [] },
+        items: new Map(),
+        ...withFlags(flags)
+    };
+}
+
+/**
+ * A token placed on the grid.
+ * @param {object} actor - From makeActor.
+ * @param {object} [options]
+ * @param {number} [options.x=0] - Grid column.
+ * @param {number} [options.y=0] - Grid row.
+ * @param {number} [options.width=1] - Size in squares.
+ * @param {number} [options.gridSize=100] - Pixels per square.
+ * @returns {object}
+ */
+export function makeToken(actor, { x = 0, y = 0, width = 1, gridSize = 100 } = {}) {
+    const id = makeId('token');
+    return {
+        id,
+        uuid: `Scene.scene.Token.${id}`,
+        name: actor.name,
+        actor,
+        x: x * gridSize,
+        y: y * gridSize,
+        width,
+        height: width,
+        document: { id, width, height: width }
+    };
+}
+
+/**
+ * A combatant.
+ * @param {object} actor - From makeActor.
+ * @param {object} [token] - From makeToken; one is placed at (0, 0) if omitted.
+ * @param {object} [options]
+ * @param {number} [options.initiative=10]
+ * @param {boolean} [options.defeated=false]
+ * @returns {object}
+ */
+export function makeCombatant(actor, token = makeToken(actor), { initiative = 10, defeated = false } = {}) {
+    const id = makeId('combatant');
+    return {
+        id,
+        name: actor.name,
+        actor,
+        actorId: actor.id,
+        token,
+        tokenId: token.id,
+        initiative,
+        defeated,
+        isDefeated: defeated
+    };
+}
+
+/**
+ * A combat in progress, with its combatants in initiative order.
+ * @param {object[]} combatants - From makeCombatant.
+ * @param {object} [options]
+ * @param {object} [options.designations={}] - Combatant ID to 'friendly' or 'enemy'.
+ * @param {number} [options.round=1]
+ * @param {number} [options.turn=0]
+ * @param {object} [options.flags={}] - Other module flags.
+ * @returns {object}
+ */
+export function makeCombat(combatants, { designations = {}, round = 1, turn = 0, flags = {} } = {}) {
+    const turns = [...combatants].sort((a, b) => b.initiative - a.initiative);
+    const collection = Object.assign([...turns], {
+        get: id => turns.find(combatant => combatant.id === id)
+    });
+    return {
+        id: makeId('combat'),
+        started: true,
+        round,
+        turn,
+        turns,
+        combatants: collection,
+        get combatant() {
+            return turns[this.turn] ?? null;
+        },
+        ...withFlags({ designations, ...flags })
+    };
+}
+
+/**
+ * A creature entry as gatherGameState lists it in aliveEnemies or aliveAllies.
+ * @param {object} actor - From makeActor.
+ * @param {object} [options]
+ * @param {string} [options.relation='enemy']
+ * @param {{x: number, y: number}} [options.square] - Grid square; coordinates are in pixels.
+ * @param {number} [options.distance] - Feet from the acting creature.
+ * @param {object} [options.overrides] - Any field to replace, e.g. { ac: null, unknownFacts: ['ac'] }.
+ * @returns {object}
+ */
+export function makeCombatantInfo(actor, { relation = 'enemy', square = { x: 1, y: 0 }, distance = 5, ...overrides } = {}) {
+    const hp = actor.system.attributes.hp;
+    const saves = Object.fromEntries(Object.entries(actor.saves).map(([save, statistic]) => [save, statistic.mod]));
+    const attributes = actor.system.attributes;
+    return {
+        id: makeId('combatant'),
+        tokenId: makeId('token'),
+        name: actor.name,
+        relation,
+        positionString: `(${square.x}, ${square.y})`,
+        coordinates: { x: square.x * 100, y: square.y * 100 },
+        footprint: 1,
+        distance: `${distance}ft`,
+        numericDistance: distance,
+        hpPercent: hp.max > 0 ? Math.round((hp.value / hp.max) * 100) : 0,
+        defeated: hp.value <= 0,
+        conditionsEffects: actor.itemTypes.condition,
+        size: actor.size,
+        ac: attributes.ac.value,
+        estimatedAC: null,
+        saves,
+        defenses: relation === 'enemy' ? {
+            immunities: attributes.immunities.map(immunity => immunity.type),
+            weaknesses: attributes.weaknesses.map(({ type, value }) => ({ type, value })),
+            resistances: attributes.resistances.map(({ type, value, exceptions }) => ({ type, value, exceptions }))
+        } : null,
+        meleeReach: 5,
+        reactions: [],
+        unknownFacts: [],
+        descriptors: [],
+        recallKnowledge: null,
+        ...overrides
+    };
+}
+
+/**
+ * A Strike as gatherGameState lists it.
+ * @param {object} [options]
+ * @param {string} [options.name='Shortsword']
+ * @param {number} [options.bonus=7] - Attack modifier before MAP.
+ * @param {string} [options.damage='1d6+3 piercing']
+ * @param {string[]} [options.traits=[]]
+ * @param {number} [options.range=5] - Reach or range increment in feet.
+ * @returns {object}
+ */
+export function makeStrike({ name = 'Shortsword', bonus = 7, damage = '1d6+3 piercing', traits = [], range = 5 } = {}) {
+    const sign = (value) => `${value >= 0 ? '+' : ''}${value}`;
+    const agile = traits.includes('agile');
+    return {
+        name,
+        identifier: name.toLowerCase().replace(/\s+/g, '-'),
+        bonuses: [bonus, bonus - (agile ? 4 : 5), bonus - (agile ? 8 : 10)].map(sign).join(' / '),
+        damage,
+        traits: traits.join(', '),
+        agile,
+        details: range > 10 ? `Range ${range}ft` : `Reach ${range}ft`,
+        itemUuid: null,
+        itemId: makeId('item'),
+        ready: true,
+        weapon: null,
+        numericRange: range,
+        meleeReach: range > 10 ? null : range,
+        attackEffectString: '',
+        _internalHasGrab: false
+    };
+}
+
+/**
+ * A spell as gatherGameState lists it.
+ * @param {object} [options]
+ * @param {string} [options.name='Fireball']
+ * @param {number} [options.rank=3] - Rank it's cast at.
+ * @param {number} [options.baseLevel=3] - Base rank.
+ * @param {number} [options.dc=20] - Spell DC.
+ * @param {object} [options.save] - { statistic, basic }, or null for no save.
+ * @param {object} [options.damage] - system.damage partials, e.g. { 0: { formula: '6d6', type: 'fire' } }.
+ * @param {object} [options.heightening] - system.heightening.
+ * @param {object} [options.area] - system.area, e.g. { type: 'burst', value: 20 }.
+ * @param {string} [options.range='500 feet']
+ * @param {string} [options.description=''] - system.description.value.
+ * @param {string[]} [options.traits=[]]
+ * @returns {object}
+ */
+export function makeSpell({
+    name = 'Fireball', rank = 3, baseLevel = 3, dc = 20, save = { statistic: 'reflex', basic: true },
+    damage = { 0: { formula: '6d6', type: 'fire', category: null } },
+    heightening = { type: 'interval', interval: 1, damage: { 0: '2d6' } },
+    area = { type: 'burst', value: 20 }, range = '500 feet', description = '', traits = []
+} = {}) {
+    const id = makeId('spell');
+    return {
+        id,
+        uuid: `Actor.caster.Item.${id}`,
+        name,
+        rank,
+        baseLevel,
+        isCantrip: false,
+        spellDC: dc,
+        costText: '(2 Actions)',
+        costValue: 2,
+        rankDisplay: `R${rank}`,
+        range,
+        numericRange: parseInt(range, 10) || 0,
+        area: area ? `${area.value}-foot ${area.type}` : null,
+        defense: save ? `${save.basic ? 'basic ' : ''}${save.statistic}` : null,
+        traitsString: traits.length > 0 ? `[${traits.join(', ')}]` : '',
+        fullDesc: description,
+        system: {
+            defense: save ? { save } : null,
+            damage,
+            heightening,
+            area,
+            range: { value: range },
+            description: { value: description },
+            traits: { value: traits }
+        }
+    };
+}
+
+/**
+ * The turn state flag at the start of a turn.
+ * @param {object} [overrides] - Fields to replace.
+ * @returns {object}
+ */
+export function makeTurnState(overrides = {}) {
+    return {
+        actionsRemaining: 3,
+        currentMAP: 0,
+        actionsTakenDescriptions: [],
+        narrativesTaken: [],
+        interimResults: [],
+        manualNotes: '',
+        quickenedActionsRemaining: 0,
+        ...overrides
+    };
+}
+
+/**
+ * The acting creature's entry (gameState.self) as gatherGameState builds it.
+ * @param {object} actor - From makeActor.
+ * @param {object} [options]
+ * @param {object[]} [options.strikes=[]] - From makeStrike.
+ * @param {object[]} [options.spells=[]] - Leveled spells, from makeSpell.
+ * @param {object[]} [options.cantrips=[]]
+ * @param {object[]} [options.actions=[]] - Actions and action feats.
+ * @param {object[]} [options.passives=[]]
+ * @param {object[]} [options.consumables=[]]
+ * @param {{x: number, y: number}} [options.square] - Grid square.
+ * @returns {object}
+ */
+export function makeSelfInfo(actor, { strikes = [], spells = [], cantrips = [], actions = [], passives = [], consumables = [], square = { x: 0, y: 0 } } = {}) {
+    const hp = actor.system.attributes.hp;
+    return {
+        id: makeId('combatant'),
+        name: actor.name,
+        coordinates: { x: square.x * 100, y: square.y * 100 },
+        footprint: 1,
+        hp: { value: hp.value, max: hp.max },
+        hpPercent: hp.max > 0 ? Math.round((hp.value / hp.max) * 100) : 0,
+        ac: actor.system.attributes.ac.value,
+        speed: '25ft',
+        focusPoints: { value: 0, max: 0 },
+        conditionsEffects: [],
+        activeStance: { name: 'None', desc: null },
+        size: actor.size,
+        senses: 'Darkvision',
+        strikes,
+        _actionsAndActionFeatsList: actions,
+        _comboSetupActionsList: [],
+        passiveAbilities: passives,
+        spells,
+        focusSpells: [],
+        cantrips,
+        itemGrantedSpells: [],
+        permanentNotes: '',
+        resistances: 'None', weaknesses: 'None', immunities: 'None',
+        consumables
+    };
+}
+
+/**
+ * A gameState with no tactical analysis filled in; tests add what they exercise.
+ * @param {object} self - From makeSelfInfo.
+ * @param {object} [options]
+ * @param {object[]} [options.enemies=[]] - From makeCombatantInfo.
+ * @param {object[]} [options.allies=[]] - From makeCombatantInfo with relation 'friendly'.
+ * @param {object} [options.overrides] - Any other gameState field.
+ * @returns {object}
+ */
+export function makeGameState(self, { enemies = [], allies = [], ...overrides } = {}) {
+    const visible = enemies.filter(enemy => enemy.numericDistance !== Infinity);
+    return {
+        currentTurnCombatantId: self.id,
+        scene: { name: 'Test Scene', gridSize: 100, gridDistance: 5, gridUnits: 'ft' },
+        aliveAllies: allies,
+        downedAllies: [],
+        aliveEnemies: enemies,
+        deadEnemies: [],
+        closestEnemyDistance: visible.length > 0 ? Math.min(...visible.map(enemy => enemy.numericDistance)) : null,
+        self,
+        recentEvents: [],
+        hasStanceAction: false,
+        hasFlourishAction: false,
+        hasAllies: allies.length > 0,
+        canSustainSpells: false,
+        hasHealSpell: false,
+        hasGrabAttack: false,
+        hasVariableCostActions: false,
+        hasLeveledSpells: self.spells.length > 0,
+        hasFreeActions: false,
+        flankingData: { currentlyFlanking: [], flankingOpportunities: [], adjacentAllies: [], adjacentEnemies: [] },
+        combatMemorySummary: '',
+        adaptiveHints: [],
+        showProbabilityAnalysis: false,
+        threatAssessments: [],
+        primaryThreat: null,
+        conditionExploits: [],
+        resourceWarnings: [],
+        tacticalGuidance: [],
+        strikeAnalysis: [],
+        healingPriorities: null,
+        flankingOpportunities: [],
+        comboOpportunities: [],
+        areaPlacements: [],
+        damageTypeMatchups: null,
+        knowledgeGated: false,
+        recallKnowledgeTargets: [],
+        morale: null,
+        behaviorProfile: null,
+        movement: null,
+        ...overrides
+    };
+}
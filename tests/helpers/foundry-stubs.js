@@ -0,0 +1,146 @@
+// ============================================================================
+// FOUNDRY / PF2E GLOBAL STUBS
+// Minimal stand-ins for the globals scripts/main.js reads, so it can be imported
+// and exercised from Node. Only what the tested code paths touch is provided.
+// ============================================================================
+
+export const MODULE_ID = 'pf2e-ai-combat-assistant';
+
+/** Hook callbacks registered by the module, by hook name. */
+const hookCallbacks = new Map();
+
+/** Setting values changed by tests, by `namespace.key`. Unset settings return their registered default. */
+const settingValues = new Map();
+
+/** Foundry's Collection: a Map that iterates over, filters and finds its values. */
+export class Collection extends Map {
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    filter(predicate) {
+        return [...this.values()].filter(predicate);
+    }
+
+    find(predicate) {
+        return [...this.values()].find(predicate);
+    }
+
+    get contents() {
+        return [...this.values()];
+    }
+}
+
+/**
+ * Installs the stubbed globals: Hooks, game, ui, canvas, CONFIG, foundry, Handlebars and the
+ * application classes the module subclasses or opens.
+ */
+export function installFoundryStubs() {
+    const registeredSettings = new Map();
+
+    globalThis.Hooks = {
+        on(name, callback) {
+            if (!hookCallbacks.has(name)) hookCallbacks.set(name, []);
+            hookCallbacks.get(name).push(callback);
+            return hookCallbacks.get(name).length;
+        },
+        once(name, callback) {
+            return this.on(name, callback);
+        },
+        off() { },
+        call() { return true; },
+        callAll() { return true; }
+    };
+
+    globalThis.game = {
+        user: { id: 'gm-user', name: 'Gamemaster', isGM: true, targets: new Set() },
+        users: { activeGM: null, some: () => false, filter: () => [], find: () => null },
+        modules: new Map(),
+        i18n: { localize: key => key, format: key => key },
+        settings: {
+            settings: registeredSettings,
+            register(namespace, key, config) {
+                registeredSettings.set(`${namespace}.${key}`, config);
+            },
+            registerMenu() { },
+            get(namespace, key) {
+                const id = `${namespace}.${key}`;
+                if (settingValues.has(id)) return settingValues.get(id);
+                if (!registeredSettings.has(id)) throw new Error(`Setting ${id} is not registered`);
+                return registeredSettings.get(id).default;
+            },
+            async set(namespace, key, value) {
+                settingValues.set(`${namespace}.${key}`, value);
+                return value;
+            }
+        },
+        combat: null,
+        messages: new Collection()
+    };
+    // PF2e system settings the module reads
+    game.settings.register('pf2e', 'automaticBonusVariant', { default: 'noABP' });
+
+    globalThis.ui = { notifications: { info() { }, warn() { }, error() { } } };
+    globalThis.canvas = { grid: { size: 100, distance: 5 }, tokens: { get: () => null, placeables: [] } };
+    globalThis.CONFIG = { PF2E: { spellLevels: 10 } };
+    globalThis.foundry = {
+        utils: {
+            deepClone: value => structuredClone(value),
+            randomID: (length = 16) => Math.random().toString(36).slice(2, 2 + length).padEnd(length, '0')
+        }
+    };
+    globalThis.Handlebars = {
+        escapeExpression: value => String(value ?? '').replace(/[&<>"'`=]/g, char => `&#${char.charCodeAt(0)};`)
+    };
+    // Speakers are resolved among the current combat's combatants
+    globalThis.ChatMessage = {
+        getSpeakerActor: speaker => game.combat?.turns.find(combatant => combatant.actorId === speaker?.actor)?.actor ?? null,
+        getSpeakerToken: speaker => game.combat?.turns.find(combatant => combatant.tokenId === speaker?.token)?.token ?? null,
+        getWhisperRecipients: () => []
+    };
+    globalThis.FormApplication = class FormApplication { };
+    globalThis.Dialog = class Dialog {
+        render() { return this; }
+        static async confirm() { return true; }
+    };
+}
+
+/**
+ * Changes a setting for the rest of the test file.
+ * @param {string} key - Setting key in the module's namespace.
+ * @param {*} value - The value `game.settings.get` returns from now on.
+ */
+export function setSetting(key, value) {
+    settingValues.set(`${MODULE_ID}.${key}`, value);
+}
+
+/** Returns every setting to its registered default. */
+export function resetSettings() {
+    settingValues.clear();
+}
+
+/**
+ * Runs the module's callbacks for a hook, the way Foundry would when the event happens.
+ * @param {string} name - Hook name.
+ * @param {...*} args - The hook's arguments.
+ * @returns {Promise<void>} Settles once every callback has finished.
+ */
+export async function callHook(name, ...args) {
+    for (const callback of hookCallbacks.get(name) ?? []) await callback(...args);
+}
+
+/**
+ * Installs the stubs, imports scripts/main.js and runs its ready hooks, so settings are
+ * registered with their real defaults. The module's console output is silenced unless
+ * DEBUG_TESTS is set.
+ * @returns {Promise<object>} The module's exports.
+ */
+export async function loadMainModule() {
+    if (!process.env.DEBUG_TESTS) {
+        for (const method of ['log', 'info', 'warn', 'error', 'debug', 'dir']) console[method] = () => { };
+    }
+    installFoundryStubs();
+    const module = await import('../../scripts/main.js');
+    for (const callback of hookCallbacks.get('ready') ?? []) callback();
+    return module;
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, setSetting } from './helpers/foundry-stubs.js';
+
+const { rerunLLMLogEntry, trimLLMLogForStorage } = await loadMainModule();
+
+const entry = { id: 'log1', purpose: 'suggestion', prompt: 'What does the goblin do?', responseFormat: null };
+
+/**
+ * Replaces fetch with one that records each request and answers like Ollama.
+ * @returns {object[]} The recorded requests ({ url, options }).
+ */
+function recordRequests() {
+    const requests = [];
+    globalThis.fetch = async (url, options) => {
+        requests.push({ url, options });
+        return new Response(JSON.stringify({ response: 'ACTION: Stride', done_reason: 'stop' }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+    return requests;
+}
+
+setSetting('llmProvider', 'openai');
+setSetting('apiKey', 'sk-secret');
+setSetting('aiModel', 'gpt-4o');
+
+test('rerunLLMLogEntry refuses another provider that needs its own key', async () => {
+    const requests = recordRequests();
+    await assert.rejects(rerunLLMLogEntry(entry, 'anthropic', 'claude-sonnet'), /needs its own API key/);
+    assert.equal(requests.length, 0);
+});
+
+test('rerunLLMLogEntry sends no key to a provider that works without one', async () => {
+    const requests = recordRequests();
+    assert.equal(await rerunLLMLogEntry(entry, 'ollama', 'llama3'), 'ACTION: Stride');
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'http://localhost:11434/api/generate');
+    assert.doesNotMatch(JSON.stringify(requests[0].options), /sk-secret/);
+});
+
+test('rerunLLMLogEntry keeps the configured key for the configured provider', async () => {
+    const requests = recordRequests();
+    await rerunLLMLogEntry(entry, 'openai', 'gpt-4o-mini');
+    assert.equal(requests[0].options.headers.Authorization, 'Bearer sk-secret');
+    assert.equal(JSON.parse(requests[0].options.body).model, 'gpt-4o-mini');
+});
+
+test('the exchange log is stored on the GM\'s client only', () => {
+    assert.equal(game.settings.settings.get('pf2e-ai-combat-assistant.llmExchangeLog').scope, 'client');
+});
+
+test('trimLLMLogForStorage drops the oldest entries to fit the storage cap', () => {
+    const entries = ['a', 'b', 'c'].map(id => ({ id, prompt: 'x'.repeat(200000) }));
+    assert.deepEqual(trimLLMLogForStorage(entries).map(logged => logged.id), ['b', 'c']);
+    assert.equal(entries.length, 3);
+    // The newest entry is kept even when it is over the cap by itself
+    const huge = [{ id: 'big', prompt: 'x'.repeat(600000) }];
+    assert.deepEqual(trimLLMLogForStorage(huge).map(logged => logged.id), ['big']);
+    assert.deepEqual(trimLLMLogForStorage([]), []);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+
+const {
+    parseLLMSuggestion, extractJsonObject, validateStructuredSuggestion, parseMultiActionPlan,
+    summarizeInterimOutcomes, parseActionCostValue, getNumericRange, extractCompatibleResponseText
+} = await loadMainModule();
+
+test('parseLLMSuggestion reads the labelled line format', () => {
+    const suggestion = parseLLMSuggestion('Action: Strike (Shortsword)\nCost: 1\nTarget: Valeros [ID: abc]\nRationale: Closest foe.\nNarrative: The goblin lunges.');
+    assert.deepEqual(suggestion, {
+        description: 'Strike (Shortsword)',
+        target: 'Valeros [ID: abc]',
+        cost: 1,
+        rationale: 'Closest foe.',
+        narrative: 'The goblin lunges.'
+    });
+    assert.equal(parseLLMSuggestion(null), null);
+});
+
+test('extractJsonObject finds the object inside fences and chatter', () => {
+    assert.deepEqual(extractJsonObject('Sure! ```json\n{"action": "Stride", "cost": "1"}\n``` Good luck.'), { action: 'Stride', cost: '1' });
+    assert.deepEqual(extractJsonObject('Plan: {"action": "Stride"} -- done'), { action: 'Stride' });
+    assert.equal(extractJsonObject('no json here'), null);
+    assert.equal(extractJsonObject('[1, 2, 3]'), null);
+});
+
+test('validateStructuredSuggestion converts a valid response to the parsed suggestion shape', () => {
+    const result = validateStructuredSuggestion(
+        { action: 'Strike (Shortsword)', target: 'Valeros', targetTokenId: '[ID: tok1]', cost: '1', rationale: 'Adjacent.', narrative: 'Stab!' },
+        ['tok1']
+    );
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.suggestion.description, 'Strike (Shortsword)');
+    assert.equal(result.suggestion.cost, 1);
+});
+
+test('validateStructuredSuggestion reports every schema problem', () => {
+    const result = validateStructuredSuggestion({ action: '', target: 'Valeros', targetTokenId: 'nope', cost: '4' }, ['tok1']);
+    assert.equal(result.valid, false);
+    assert.equal(result.suggestion, null);
+    assert.equal(result.errors.length, 3);
+    assert.ok(result.errors.some(error => error.includes('"cost"')));
+    assert.ok(result.errors.some(error => error.includes('"nope"')));
+    assert.deepEqual(validateStructuredSuggestion(null).errors, ['Response is not a JSON object.']);
+});
+
+test('parseMultiActionPlan needs a plan of sequenced actions', () => {
+    const plan = parseMultiActionPlan('```json\n{"plan": [{"sequence": 1, "action": "Stride", "cost": 1}, {"sequence": 2, "action": "Strike", "cost": 1}]}\n```');
+    assert.equal(plan.plan.length, 2);
+    assert.equal(plan.plan[1].action, 'Strike');
+    assert.equal(parseMultiActionPlan('{"plan": [{"action": "Stride"}]}'), null);
+    assert.equal(parseMultiActionPlan('I would Stride.'), null);
+});
+
+test('summarizeInterimOutcomes flips save outcomes to the acting creature\'s point of view', () => {
+    assert.deepEqual(summarizeInterimOutcomes([
+        { type: 'saving-throw', outcome: 'failure', target: 'Valeros' },
+        { type: 'damage-roll', damage: 12 },
+        { type: 'damage-roll', damage: 3 }
+    ]), { outcome: 'success', target: 'Valeros', damage: 15 });
+    assert.deepEqual(summarizeInterimOutcomes([]), { outcome: 'confirmed', target: null, damage: 0 });
+});
+
+test('parseActionCostValue reads action counts, reactions and free actions', () => {
+    assert.equal(parseActionCostValue(null, 2), 2);
+    assert.equal(parseActionCostValue('reaction', null), 'R');
+    assert.equal(parseActionCostValue(null, null, null, 'free'), 'F');
+    assert.equal(parseActionCostValue(null, null), null);
+});
+
+test('getNumericRange turns range text into feet', () => {
+    assert.equal(getNumericRange({ system: { range: { value: '30 feet' } } }), 30);
+    assert.equal(getNumericRange({ system: { range: { value: 'touch' } } }), 5);
+    assert.equal(getNumericRange({ system: { range: { value: 'planetary' } } }), 9999);
+});
+
+test('extractCompatibleResponseText reads native Anthropic, Ollama and Gemini bodies', () => {
+    assert.equal(extractCompatibleResponseText({ choices: [{ message: { content: 'OpenAI' } }] }), 'OpenAI');
+    assert.equal(extractCompatibleResponseText({ content: [{ type: 'text', text: 'Anthropic' }] }), 'Anthropic');
+    assert.equal(extractCompatibleResponseText({ message: { role: 'assistant', content: 'Ollama chat' } }), 'Ollama chat');
+    assert.equal(extractCompatibleResponseText({ response: 'Ollama generate', done: true }), 'Ollama generate');
+    assert.equal(extractCompatibleResponseText({ candidates: [{ content: { parts: [{ text: 'Gemini' }] } }] }), 'Gemini');
+});
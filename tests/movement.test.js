@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+
+const {
+    measureGridSteps, isSpaceWithinReach, findMovementCosts, buildMovementPath, summarizeMovementOptions, trimMovementPath
+} = await loadMainModule();
+
+const open = { canEnter: () => true, canMove: () => true, extraCost: () => 0 };
+const square = (x, y, size = 1) => ({ x, y, size });
+
+test('measureGridSteps counts every second diagonal as 10 feet', () => {
+    assert.equal(measureGridSteps(1, 1, 5), 5);
+    assert.equal(measureGridSteps(2, 2, 5), 15);
+    assert.equal(measureGridSteps(-3, 1, 5), 15);
+    assert.equal(measureGridSteps(4, 4, 5), 30);
+});
+
+test('isSpaceWithinReach measures between the nearest squares of both spaces', () => {
+    assert.equal(isSpaceWithinReach(square(0, 0), square(1, 1), 5, 5), true);
+    assert.equal(isSpaceWithinReach(square(0, 0), square(2, 0), 5, 5), false);
+    assert.equal(isSpaceWithinReach(square(0, 0), square(2, -1, 2), 10, 5), true);
+    assert.equal(isSpaceWithinReach(square(0, 0), square(3, 0, 2), 10, 5), false);
+    // 10-foot reach also covers the second diagonal
+    assert.equal(isSpaceWithinReach(square(0, 0), square(2, 2), 10, 5), true);
+    assert.equal(isSpaceWithinReach(square(0, 0), square(2, 2), 5, 5), false);
+});
+
+test('findMovementCosts alternates diagonal costs', () => {
+    const reached = findMovementCosts({ start: { x: 0, y: 0 }, maxCost: 25, gridDistance: 5, ...open });
+    assert.equal(reached.get('1,1').cost, 5);
+    assert.equal(reached.get('2,2').cost, 15);
+    assert.equal(reached.get('3,3').cost, 20);
+    assert.equal(reached.get('5,0').cost, 25);
+    assert.equal(reached.has('6,0'), false);
+    assert.equal(reached.has('4,4'), false);
+});
+
+test('findMovementCosts goes around blocked squares and pays for difficult terrain', () => {
+    const wall = new Set(['1,-1', '1,0', '1,1']);
+    const reached = findMovementCosts({
+        start: { x: 0, y: 0 },
+        maxCost: 30,
+        gridDistance: 5,
+        canEnter: (x, y) => !wall.has(`${x},${y}`),
+        canMove: () => true,
+        extraCost: (x, y) => (x === 0 && y === 2 ? 5 : 0)
+    });
+    assert.equal(reached.has('1,0'), false);
+    // Around the end of the wall, where the second diagonal costs 10 feet
+    assert.equal(reached.get('2,0').cost, 25);
+    assert.deepEqual(buildMovementPath(reached.get('2,0')).map(({ x, y }) => `${x},${y}`), ['0,0', '0,-1', '1,-2', '2,-1', '2,0']);
+    // Entering the difficult square costs an extra 5 feet
+    assert.equal(reached.get('0,2').cost, 15);
+});
+
+test('findMovementCosts respects walls between squares', () => {
+    const reached = findMovementCosts({
+        start: { x: 0, y: 0 },
+        maxCost: 10,
+        gridDistance: 5,
+        canEnter: () => true,
+        canMove: (from, to) => !(to.x > 0 && from.x <= 0),
+        extraCost: () => 0
+    });
+    assert.equal(reached.has('1,0'), false);
+    assert.equal(reached.get('-2,0').cost, 10);
+});
+
+test('buildMovementPath lists the squares from the start', () => {
+    const reached = findMovementCosts({ start: { x: 0, y: 0 }, maxCost: 15, gridDistance: 5, ...open });
+    assert.deepEqual(buildMovementPath(reached.get('3,0')), [
+        { x: 0, y: 0, cost: 0 }, { x: 1, y: 0, cost: 5 }, { x: 2, y: 0, cost: 10 }, { x: 3, y: 0, cost: 15 }
+    ]);
+});
+
+test('summarizeMovementOptions finds the approach to each enemy and a flanking square', () => {
+    const self = square(0, 0);
+    const reached = findMovementCosts({ start: self, maxCost: 50, gridDistance: 5, ...open });
+    const enemies = [{ name: 'Valeros', tokenId: 'valeros', space: square(5, 0) }];
+    const allies = [{ name: 'Goblin', tokenId: 'goblin', space: square(6, 0) }];
+    const occupied = new Set(['5,0', '6,0']);
+    const { strideReach, enemyApproaches, flankSquares } = summarizeMovementOptions({
+        reached, self, enemies, allies, canEndAt: (x, y) => !occupied.has(`${x},${y}`), speed: 25, maxStrides: 2, reach: 5, gridDistance: 5
+    });
+    assert.deepEqual(strideReach.map(({ strides, farthestFeet }) => ({ strides, farthestFeet })), [{ strides: 1, farthestFeet: 25 }, { strides: 2, farthestFeet: 50 }]);
+    assert.equal(enemyApproaches[0].inReachNow, false);
+    assert.equal(enemyApproaches[0].pathFeet, 20);
+    assert.equal(enemyApproaches[0].strides, 1);
+    assert.equal(enemyApproaches[0].path.at(-1).x, 4);
+    // Opposite the goblin, on Valeros's west side
+    assert.equal(flankSquares[0].allyName, 'Goblin');
+    assert.equal(flankSquares[0].pathFeet, 20);
+    assert.equal(flankSquares[0].path.at(-1).x, 4);
+});
+
+test('trimMovementPath stops at the budget and keeps only the turning points', () => {
+    const path = [
+        { x: 0, y: 0, cost: 0 }, { x: 100, y: 0, cost: 5 }, { x: 200, y: 0, cost: 10 },
+        { x: 200, y: 100, cost: 15 }, { x: 200, y: 200, cost: 20 }
+    ];
+    assert.deepEqual(trimMovementPath(path, 20), [{ x: 200, y: 0 }, { x: 200, y: 200 }]);
+    assert.deepEqual(trimMovementPath(path, 10), [{ x: 200, y: 0 }]);
+    assert.deepEqual(trimMovementPath(null, 10), []);
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatantInfo, makeSpell } from './helpers/builders.js';
+
+const {
+    getDegreeOfSuccess, calculateHitProbability, parseDamageForAverage, calculateExpectedDamage, parseDamagePartials,
+    applyDamageDefenses, evaluateStrikeDamage, getPrecisionDamage, isTargetOffGuard,
+    calculateSaveProbability, getSaveStatusPenalty, getSpellDamageFormula, analyzeSpellSave, formatSpellSaveAnalysis
+} = await loadMainModule();
+
+test('getDegreeOfSuccess steps the result up on a natural 20 and down on a natural 1', () => {
+    assert.equal(getDegreeOfSuccess(10, 25, 15), 'criticalSuccess');
+    assert.equal(getDegreeOfSuccess(10, 15, 15), 'success');
+    assert.equal(getDegreeOfSuccess(10, 6, 15), 'failure');
+    assert.equal(getDegreeOfSuccess(10, 5, 15), 'criticalFailure');
+    assert.equal(getDegreeOfSuccess(20, 14, 15), 'success');
+    assert.equal(getDegreeOfSuccess(1, 16, 15), 'failure');
+});
+
+test('calculateHitProbability counts every d20 face against the AC', () => {
+    // +10 against AC 20: 10-19 hit, 20 crits (natural 20 on a hit), 1 is a critical miss
+    assert.deepEqual(calculateHitProbability(10, 20), { hit: 55, crit: 5, critFail: 5 });
+    // MAP moves the whole curve: at +5 against AC 20, rolls of 1-5 miss by 10 or more
+    assert.deepEqual(calculateHitProbability(10, 20, -5), { hit: 30, crit: 5, critFail: 25 });
+    // A natural 1 only turns a hit into a miss when it would not have been a critical hit
+    assert.equal(calculateHitProbability(19, 20).hit, 95);
+    assert.equal(calculateHitProbability(30, 20).hit, 100);
+    assert.equal(calculateHitProbability(0, 40).hit, 0);
+});
+
+test('calculateHitProbability returns no chance without numbers', () => {
+    assert.deepEqual(calculateHitProbability('+10', 20), { hit: 0, crit: 0, critFail: 0 });
+    assert.deepEqual(calculateHitProbability(10, null), { hit: 0, crit: 0, critFail: 0 });
+});
+
+test('parseDamageForAverage averages dice and flat modifiers but leaves out persistent damage', () => {
+    assert.equal(parseDamageForAverage('1d6+3 piercing'), 6.5);
+    assert.equal(parseDamageForAverage('2d12+5 slashing'), 18);
+    assert.equal(parseDamageForAverage('1d8+4 slashing + 1d6 fire'), 12);
+    assert.equal(parseDamageForAverage('1d8 piercing + 1d6 persistent bleed'), 4.5);
+    assert.equal(parseDamageForAverage(''), 0);
+});
+
+test('calculateExpectedDamage doubles critical hits and adds deadly dice', () => {
+    const odds = { hit: 55, crit: 5 };
+    // 50% x 8.5 + 5% x 17
+    assert.equal(calculateExpectedDamage('1d8+4 slashing', odds), 5.1);
+    // Deadly d10 adds 5.5 on the critical hit
+    assert.equal(calculateExpectedDamage('1d8+4 slashing', odds, ['deadly-d10']), 5.4);
+    assert.equal(calculateExpectedDamage('1d8+4 slashing', null), 0);
+});
+
+test('parseDamagePartials splits a formula into typed partials', () => {
+    const partials = parseDamagePartials('2d6+4 slashing + 1d4 persistent fire');
+    assert.equal(partials.length, 2);
+    assert.equal(partials[0].type, 'slashing');
+    assert.equal(partials[0].flat, 4);
+    assert.equal(partials[1].category, 'persistent');
+    assert.equal(partials[1].type, 'fire');
+});
+
+test('applyDamageDefenses applies immunity, resistance and weakness', () => {
+    const fire = [{ type: 'fire', amount: 10 }];
+    const none = { immunities: [], weaknesses: [], resistances: [] };
+    assert.equal(applyDamageDefenses(fire, null), 10);
+    assert.equal(applyDamageDefenses(fire, { ...none, immunities: ['fire'] }), 0);
+    assert.equal(applyDamageDefenses(fire, { ...none, weaknesses: [{ type: 'fire', value: 5 }] }), 15);
+    assert.equal(applyDamageDefenses(fire, { ...none, resistances: [{ type: 'energy', value: 5 }] }), 5);
+    // Resistance and weakness apply once per damage type, not per instance
+    assert.equal(applyDamageDefenses([...fire, ...fire], { ...none, resistances: [{ type: 'fire', value: 5 }] }), 15);
+});
+
+test('applyDamageDefenses skips a resistance whose exception matches the damage', () => {
+    const slashing = [{ type: 'slashing', amount: 10 }];
+    const none = { immunities: [], weaknesses: [], resistances: [] };
+    const exceptSilver = { ...none, resistances: [{ type: 'physical', value: 5, exceptions: ['silver'] }] };
+    assert.equal(applyDamageDefenses(slashing, exceptSilver), 5);
+    assert.equal(applyDamageDefenses(slashing, exceptSilver, ['silver', 'finesse']), 10);
+    // An exception naming the damage type itself also bypasses the resistance
+    const exceptSlashing = { ...none, resistances: [{ type: 'physical', value: 5, exceptions: ['slashing'] }] };
+    assert.equal(applyDamageDefenses(slashing, exceptSlashing), 10);
+    assert.equal(applyDamageDefenses([{ type: 'piercing', amount: 10 }], exceptSlashing), 5);
+    // Strike traits reach the resistance check
+    const odds = { hit: 100, crit: 0, critFail: 0 };
+    assert.equal(evaluateStrikeDamage('1d8+4 slashing', odds, ['silver'], { defenses: exceptSilver }).onHit, 8.5);
+});
+
+test('evaluateStrikeDamage adds deadly and fatal dice on a critical hit', () => {
+    const odds = { hit: 55, crit: 5, critFail: 5 };
+    const plain = evaluateStrikeDamage('1d8+4 slashing', odds);
+    assert.deepEqual(plain, { expected: 5.1, onHit: 8.5, onCrit: 17, persistentPerRound: 0, precisionApplied: false });
+    assert.equal(evaluateStrikeDamage('1d8+4 slashing', odds, ['deadly-d10']).onCrit, 22.5);
+    // Fatal d12: the weapon die becomes a d12 and one more d12 is added
+    assert.equal(evaluateStrikeDamage('1d8+4 slashing', odds, ['fatal-d12']).onCrit, 2 * 10.5 + 6.5);
+    assert.equal(evaluateStrikeDamage('', odds).expected, 0);
+});
+
+test('evaluateStrikeDamage counts persistent damage until the flat check ends it', () => {
+    const result = evaluateStrikeDamage('1d6 slashing + 1d6 persistent bleed', { hit: 100, crit: 0, critFail: 0 });
+    assert.equal(result.persistentPerRound, 3.5);
+    // 3.5 a round, ended by a DC 15 flat check (30% a round)
+    assert.equal(result.onHit, Math.round((3.5 + 3.5 / 0.3) * 10) / 10);
+});
+
+test('evaluateStrikeDamage applies precision damage only to an off-guard target', () => {
+    const odds = { hit: 100, crit: 0, critFail: 0 };
+    const options = { precisionFormula: '1d6 precision' };
+    assert.equal(evaluateStrikeDamage('1d6+3 piercing', odds, [], options).onHit, 6.5);
+    const offGuard = evaluateStrikeDamage('1d6+3 piercing', odds, [], { ...options, targetOffGuard: true });
+    assert.equal(offGuard.onHit, 10);
+    assert.equal(offGuard.precisionApplied, true);
+    const immune = { immunities: ['precision'], weaknesses: [], resistances: [] };
+    assert.equal(evaluateStrikeDamage('1d6+3 piercing', odds, [], { ...options, targetOffGuard: true, defenses: immune }).onHit, 6.5);
+});
+
+test('getPrecisionDamage scales a rogue\'s Sneak Attack and reads an NPC\'s dice', () => {
+    const rogue = makeActor({ name: 'Merisiel', type: 'character', level: 5 });
+    rogue.itemTypes.feat = [{ slug: 'sneak-attack', name: 'Sneak Attack', system: { description: { value: '' } } }];
+    assert.deepEqual(getPrecisionDamage(rogue), { formula: '2d6 precision', source: 'Sneak Attack' });
+
+    const cutpurse = makeActor({ name: 'Cutpurse' });
+    cutpurse.itemTypes.action = [{ slug: 'sneak-attack', name: 'Sneak Attack', system: { description: { value: '<p>The cutpurse deals 1d6 extra precision damage to off-guard creatures.</p>' } } }];
+    assert.deepEqual(getPrecisionDamage(cutpurse), { formula: '1d6 precision', source: 'Sneak Attack' });
+    assert.equal(getPrecisionDamage(makeActor()), null);
+});
+
+test('isTargetOffGuard reads conditions and flanking', () => {
+    const valeros = makeCombatantInfo(makeActor({ name: 'Valeros', type: 'character' }), { tokenId: 'valeros' });
+    assert.equal(isTargetOffGuard(valeros), false);
+    assert.equal(isTargetOffGuard({ ...valeros, conditionsEffects: [{ name: 'Prone' }] }), true);
+    assert.equal(isTargetOffGuard(valeros, { currentlyFlanking: [{ targetId: 'valeros' }] }), true);
+});
+
+test('calculateSaveProbability gives the saving creature\'s degrees of success', () => {
+    const odds = calculateSaveProbability(20, 10);
+    assert.deepEqual(odds, { criticalSuccess: 5, success: 50, failure: 40, criticalFailure: 5 });
+    assert.equal(Object.values(odds).reduce((sum, value) => sum + value, 0), 100);
+    assert.equal(calculateSaveProbability(20, null), null);
+});
+
+test('getSaveStatusPenalty counts only the worst status penalty for the save', () => {
+    const conditions = [{ name: 'Frightened', value: 2 }, { name: 'Clumsy', value: 3 }, { name: 'Drained', value: 1 }];
+    assert.deepEqual(getSaveStatusPenalty(conditions, 'reflex'), { penalty: 3, source: 'clumsy 3' });
+    assert.deepEqual(getSaveStatusPenalty(conditions, 'will'), { penalty: 2, source: 'frightened 2' });
+    assert.deepEqual(getSaveStatusPenalty([], 'fortitude'), { penalty: 0, source: null });
+});
+
+test('getSpellDamageFormula heightens interval and fixed damage', () => {
+    const fireball = makeSpell();
+    assert.equal(getSpellDamageFormula(fireball.system, 3, 3), '6d6 fire');
+    assert.equal(getSpellDamageFormula(fireball.system, 3, 5), '6d6 + 4d6 fire');
+    const fixed = makeSpell({
+        damage: { 0: { formula: '2d4', type: 'acid' } },
+        heightening: { type: 'fixed', levels: { 3: { damage: { 0: { formula: '3d4' } } } } }
+    });
+    assert.equal(getSpellDamageFormula(fixed.system, 1, 4), '3d4 acid');
+    assert.equal(getSpellDamageFormula({ damage: {} }, 1, 1), null);
+});
+
+test('analyzeSpellSave works out basic save damage against the target\'s save', () => {
+    const target = makeCombatantInfo(makeActor({ name: 'Ogre', saves: { fortitude: 10, reflex: 5, will: 3 } }));
+    const analysis = analyzeSpellSave(makeSpell({ dc: 20 }), target);
+    assert.equal(analysis.saveType, 'reflex');
+    assert.equal(analysis.saveModifier, 5);
+    assert.equal(analysis.basic, true);
+    assert.deepEqual(analysis.odds, { criticalSuccess: 5, success: 25, failure: 45, criticalFailure: 25 });
+    // 6d6 averages 21: double on a critical failure, full on a failure, half (rounded down) on a success
+    assert.equal(analysis.expectedDamage, Math.round((0.25 * 42 + 0.45 * 21 + 0.25 * 10) * 10) / 10);
+    assert.match(formatSpellSaveAnalysis(analysis), /Ogre/);
+});
+
+test('analyzeSpellSave lowers the save for a status penalty and lists condition odds', () => {
+    const target = makeCombatantInfo(makeActor({ name: 'Bandit', saves: { fortitude: 6, reflex: 6, will: 6 } }), {
+        conditionsEffects: [{ name: 'Frightened', value: 1 }]
+    });
+    const fear = makeSpell({
+        name: 'Fear', rank: 1, baseLevel: 1, save: { statistic: 'will', basic: false }, damage: {}, heightening: null, area: null,
+        description: '<p><strong>Success</strong> The target is frightened 1.</p><p><strong>Failure</strong> The target is frightened 2.</p><p><strong>Critical Failure</strong> The target is frightened 3 and fleeing for 1 round.</p>'
+    });
+    const analysis = analyzeSpellSave(fear, target);
+    assert.equal(analysis.saveModifier, 5);
+    assert.equal(analysis.penaltySource, 'frightened 1');
+    assert.equal(analysis.expectedDamage, null);
+    assert.ok(analysis.conditionChances.some(({ condition }) => /frightened/i.test(condition)));
+});
+
+test('analyzeSpellSave needs a save, a DC and a known save modifier', () => {
+    const target = makeCombatantInfo(makeActor(), { saves: null });
+    assert.equal(analyzeSpellSave(makeSpell(), target), null);
+    assert.equal(analyzeSpellSave(makeSpell({ save: null }), makeCombatantInfo(makeActor())), null);
+});
@@ -0,0 +1,226 @@
+// Golden prompt fixtures: the prompt built for a few canonical encounters is compared with
+// tests/fixtures/prompts/<name>.txt. After an intended prompt change, refresh them with
+// `UPDATE_GOLDEN=1 npm test` and review the fixture diff like any other change.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { loadMainModule, resetSettings, setSetting } from './helpers/foundry-stubs.js';
+import {
+    makeActor, makeToken, makeCombatant, makeCombat, makeCombatantInfo, makeStrike, makeSpell,
+    makeTurnState, makeSelfInfo, makeGameState
+} from './helpers/builders.js';
+
+const m = await loadMainModule();
+
+const FIXTURE_DIR = new URL('./fixtures/prompts/', import.meta.url);
+
+/**
+ * Compares a prompt with its fixture, or writes the fixture when UPDATE_GOLDEN is set.
+ * @param {string} name - Fixture file name without extension.
+ * @param {string} prompt - The prompt built by the test.
+ */
+function assertMatchesGolden(name, prompt) {
+    const fixture = new URL(`${name}.txt`, FIXTURE_DIR);
+    if (process.env.UPDATE_GOLDEN) {
+        mkdirSync(FIXTURE_DIR, { recursive: true });
+        writeFileSync(fixture, prompt);
+        return;
+    }
+    assert.ok(existsSync(fixture), `Missing fixture ${fixture.pathname}; run UPDATE_GOLDEN=1 npm test to create it.`);
+    assert.equal(prompt, readFileSync(fixture, 'utf8'), `Prompt for "${name}" changed; if intended, run UPDATE_GOLDEN=1 npm test and review the fixture diff.`);
+}
+
+/**
+ * Fills in the tactical analysis gatherGameState adds on top of the creature lists.
+ * @param {object} gameState - From makeGameState.
+ * @returns {object} The same gameState.
+ */
+function analyzeEncounter(gameState) {
+    const { self, aliveEnemies, aliveAllies } = gameState;
+    gameState.threatAssessments = aliveEnemies
+        .map(enemy => ({ ...enemy, threat: m.assessEnemyThreat(enemy, self, aliveAllies, { aliveEnemies, aliveAllies }) }))
+        .sort((a, b) => b.threat.score - a.threat.score);
+    gameState.primaryThreat = gameState.threatAssessments[0] ?? null;
+    gameState.conditionExploits = m.identifyConditionExploits(aliveEnemies, self);
+    gameState.resourceWarnings = m.getResourceWarnings({ self }, { actionsRemaining: 3 });
+    gameState.tacticalGuidance = m.getDynamicTacticalGuidance({ self, aliveEnemies, aliveAllies }, { actionsRemaining: 3 });
+    gameState.comboOpportunities = m.identifyComboOpportunities(aliveEnemies);
+    if (self.strikes.length > 0 && gameState.primaryThreat) {
+        gameState.strikeAnalysis = m.scoreStrikesForSituation(self.strikes, gameState.primaryThreat, 0, {});
+    }
+    for (const spell of self.spells) {
+        const parsedRange = parseInt(spell.system.range?.value, 10);
+        const { best, bestWithoutAllies } = m.findBestAreaPlacement({
+            area: spell.system.area,
+            rangeFeet: isNaN(parsedRange) ? null : parsedRange,
+            self,
+            enemies: aliveEnemies,
+            allies: aliveAllies,
+            gridSize: 100,
+            gridDistance: 5
+        });
+        if (best) gameState.areaPlacements.push({ spellName: spell.name, spellId: spell.id, spellUuid: spell.uuid, area: spell.area, best, bestWithoutAllies });
+    }
+    return gameState;
+}
+
+/**
+ * Puts the acting creature's combat in place, as the module reads it from game.combat.
+ * The acting creature is on the GM's side and everyone else is in the party.
+ * @param {object} actor - The acting creature.
+ * @param {object[]} party - The party's actors.
+ * @returns {object} The acting combatant.
+ */
+function startCombat(actor, party) {
+    const combatant = makeCombatant(actor, makeToken(actor), { initiative: 20 });
+    const members = party.map(member => makeCombatant(member));
+    const designations = Object.fromEntries([[combatant.id, 'enemy'], ...members.map(member => [member.id, 'friendly'])]);
+    game.combat = makeCombat([combatant, ...members], { designations, round: 2 });
+    return combatant;
+}
+
+/**
+ * An enemy entry for a party member of the current combat, with its combatant and token IDs.
+ * @param {object} actor - A party actor passed to startCombat.
+ * @param {object} [options] - As for makeCombatantInfo.
+ * @returns {object}
+ */
+function enemyInfo(actor, options = {}) {
+    const combatant = game.combat.turns.find(turn => turn.actor === actor);
+    return makeCombatantInfo(actor, { id: combatant.id, tokenId: combatant.tokenId, ...options });
+}
+
+const party = () => ({
+    valeros: makeActor({ name: 'Valeros', type: 'character', level: 3, ac: 19, saves: { fortitude: 9, reflex: 7, will: 6 } }),
+    kyra: makeActor({ name: 'Kyra', type: 'character', level: 3, ac: 17, hp: { value: 14, max: 32 }, saves: { fortitude: 8, reflex: 5, will: 10 } }),
+    ezren: makeActor({ name: 'Ezren', type: 'character', level: 3, ac: 16, saves: { fortitude: 5, reflex: 7, will: 10 } })
+});
+
+test('golden prompt: goblin warrior in melee with two PCs', () => {
+    resetSettings();
+    const { valeros, ezren } = party();
+    const goblin = makeActor({ name: 'Goblin Warrior', level: -1, ac: 16, hp: { value: 6, max: 6 } });
+    const combatant = startCombat(goblin, [valeros, ezren]);
+    const self = makeSelfInfo(goblin, {
+        strikes: [
+            makeStrike({ name: 'Dogslicer', bonus: 8, damage: '1d6 slashing', traits: ['agile', 'backstabber', 'finesse'] }),
+            makeStrike({ name: 'Shortbow', bonus: 6, damage: '1d6 piercing', traits: ['deadly-d10'], range: 60 })
+        ]
+    });
+    const gameState = analyzeEncounter(makeGameState(self, {
+        enemies: [
+            enemyInfo(valeros, { square: { x: 1, y: 0 }, distance: 5 }),
+            enemyInfo(ezren, { square: { x: 4, y: 2 }, distance: 20 })
+        ]
+    }));
+    assertMatchesGolden('goblin-melee', m.craftSingleActionPrompt(combatant, gameState, makeTurnState()));
+});
+
+test('golden prompt: goblin pyro with a fireball against a clustered party', () => {
+    resetSettings();
+    const { valeros, kyra, ezren } = party();
+    const pyro = makeActor({ name: 'Goblin Pyro', level: 5, ac: 21, int: 2 });
+    const combatant = startCombat(pyro, [valeros, kyra, ezren]);
+    const enemies = [
+        enemyInfo(valeros, { square: { x: 8, y: 8 }, distance: 40 }),
+        enemyInfo(kyra, { square: { x: 9, y: 8 }, distance: 45 }),
+        enemyInfo(ezren, { square: { x: 8, y: 9 }, distance: 45 })
+    ];
+    const fireball = makeSpell({ dc: 22 });
+    fireball.saveAnalysis = m.analyzeSpellSave(fireball, enemies[0]);
+    const self = makeSelfInfo(pyro, {
+        strikes: [makeStrike({ name: 'Dagger', bonus: 10, damage: '1d4+2 piercing', traits: ['agile', 'finesse'] })],
+        spells: [fireball]
+    });
+    const gameState = analyzeEncounter(makeGameState(self, { enemies, showProbabilityAnalysis: true }));
+    assertMatchesGolden('pyro-fireball', m.craftSingleActionPrompt(combatant, gameState, makeTurnState()));
+});
+
+test('golden prompt: mindless zombie playing its behavior profile after its first action', () => {
+    resetSettings();
+    const { valeros, kyra } = party();
+    const zombie = makeActor({ name: 'Zombie Shambler', level: -1, ac: 12, traits: ['undead', 'mindless', 'zombie'], int: -5, hp: { value: 9, max: 20 } });
+    const combatant = startCombat(zombie, [valeros, kyra]);
+    const self = makeSelfInfo(zombie, { strikes: [makeStrike({ name: 'Fist', bonus: 7, damage: '1d6+2 bludgeoning' })] });
+    const gameState = analyzeEncounter(makeGameState(self, {
+        enemies: [
+            enemyInfo(kyra, { square: { x: 1, y: 1 }, distance: 5 }),
+            enemyInfo(valeros, { square: { x: 3, y: 0 }, distance: 15 })
+        ],
+        behaviorProfile: { key: 'mindless', overridden: false, ...m.BEHAVIOR_PROFILES.mindless },
+        morale: m.calculateMorale(zombie, { hpPercent: 45 })
+    }));
+    const turnState = makeTurnState({ actionsRemaining: 2, currentMAP: 5, actionsTakenDescriptions: ['Strike (Fist) against Kyra: Hit for 6'] });
+    assertMatchesGolden('zombie-profile', m.craftSingleActionPrompt(combatant, gameState, turnState));
+});
+
+test('buildPromptWithinBudget leaves a prompt that fits the budget untouched', () => {
+    resetSettings();
+    const goblin = makeActor();
+    const combatant = startCombat(goblin, []);
+    const gameState = makeGameState(makeSelfInfo(goblin, { strikes: [makeStrike()] }), { enemies: [makeCombatantInfo(makeActor({ name: 'Valeros', type: 'character' }))] });
+    const result = m.buildPromptWithinBudget(compaction => m.craftSingleActionPrompt(combatant, gameState, makeTurnState(), null, null, [], compaction));
+    assert.deepEqual(result.trimmedSections, []);
+    assert.equal(result.estimatedTokens, m.estimateTokenCount(result.prompt));
+    assert.match(result.prompt, /Valeros \[ID: token\d+\]/);
+});
+
+test('buildPromptWithinBudget drops condition notes before combo opportunities', () => {
+    resetSettings();
+    setSetting('contextTokenBudget', 10000); // 2048 kept for the reply
+    const craftPrompt = compaction => `${compaction.omitConditionExploits ? '' : 'Exploit. '.repeat(4000)}${compaction.omitComboOpportunities ? '' : 'COMBO OPPORTUNITIES'}`;
+    const result = m.buildPromptWithinBudget(craftPrompt);
+    assert.deepEqual(result.trimmedSections, ['condition exploitation notes']);
+    assert.equal(result.prompt, 'COMBO OPPORTUNITIES');
+
+    setSetting('contextTokenBudget', 2);
+    assert.deepEqual(m.buildPromptWithinBudget(craftPrompt).trimmedSections, ['condition exploitation notes', 'combo opportunities']);
+    resetSettings();
+});
+
+test('buildPromptWithinBudget counts the structured output and repair requests against the budget', () => {
+    resetSettings();
+    setSetting('contextTokenBudget', 10000);
+    // ~7700 tokens fits the 7952-token prompt budget as text, but not once converted and repaired
+    const craftPrompt = compaction => `${'x'.repeat(compaction.omitPassives ? 1000 : 27000)}\n**Output Format (Strict):**\nACTION: ...`;
+    assert.deepEqual(m.buildPromptWithinBudget(craftPrompt).trimmedSections, []);
+
+    const structured = m.buildPromptWithinBudget(craftPrompt, { structuredOutput: true });
+    assert.deepEqual(structured.trimmedSections, ['passive abilities']);
+    assert.ok(structured.estimatedTokens <= structured.promptBudget);
+    const repairPrompt = m.craftStructuredRepairPrompt(m.convertPromptToStructuredOutput(structured.prompt), '', ['Validation error']);
+    assert.equal(structured.estimatedTokens, m.estimateTokenCount(repairPrompt) + 2048);
+    resetSettings();
+});
+
+test('craftSingleActionPrompt leaves out damage type notes for enemies trimmed from the prompt', () => {
+    resetSettings();
+    const goblin = makeActor();
+    const combatant = startCombat(goblin, []);
+    const valeros = makeCombatantInfo(makeActor({ name: 'Valeros', type: 'character' }), { tokenId: 'valeros' });
+    const skeleton = makeCombatantInfo(makeActor({ name: 'Skeleton Guard' }), { tokenId: 'skeleton' });
+    const gameState = makeGameState(makeSelfInfo(goblin, { strikes: [makeStrike()] }), { enemies: [valeros, skeleton] });
+    gameState.damageTypeMatchups = {
+        matchups: [],
+        switches: [{ ability: 'Rapier', target: 'Skeleton Guard', targetId: 'skeleton', from: 'piercing', to: 'bludgeoning', gain: 10 }],
+        exclusions: []
+    };
+    assert.match(m.craftSingleActionPrompt(combatant, gameState, makeTurnState()), /Switch Rapier from piercing to bludgeoning vs Skeleton Guard/);
+    const trimmed = m.craftSingleActionPrompt(combatant, gameState, makeTurnState(), null, null, [], { maxEnemies: 1 });
+    assert.doesNotMatch(trimmed, /Skeleton Guard/);
+    assert.doesNotMatch(trimmed, /DAMAGE TYPES VS ENEMY DEFENSES/);
+});
+
+test('craftSingleActionPrompt lists skipped actions, GM notes and interim results', () => {
+    resetSettings();
+    const goblin = makeActor();
+    const combatant = startCombat(goblin, []);
+    const gameState = makeGameState(makeSelfInfo(goblin, { strikes: [makeStrike()] }), { enemies: [makeCombatantInfo(makeActor({ name: 'Valeros', type: 'character' }))] });
+    const prompt = m.craftSingleActionPrompt(combatant, gameState, makeTurnState({ actionsRemaining: 2 }), 'Stride toward Ezren', 'The bridge is collapsing', [
+        { type: 'attack-roll', outcome: 'success', target: 'Valeros', summary: 'Strike (Shortsword) vs Valeros: Success' }
+    ]);
+    assert.match(prompt, /Stride toward Ezren/);
+    assert.match(prompt, /The bridge is collapsing/);
+    assert.match(prompt, /You have 2 actions remaining/);
+    assert.equal(m.craftSingleActionPrompt({ actor: null }, gameState, makeTurnState()), 'Error: Cannot generate prompt.');
+});
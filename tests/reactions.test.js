@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatant, makeCombatantInfo } from './helpers/builders.js';
+
+const {
+    classifyReactionTrigger, extractActorReactions, getActorMeleeReach, findProvokedReactions, describeProvokedReaction,
+    isReactionSpent, recommendReaction, isAIControlledCombatant
+} = await loadMainModule();
+
+/**
+ * A reaction item as the PF2e system stores it.
+ * @param {string} name
+ * @param {string} trigger - Trigger text.
+ * @param {string} [effect='Effect...'] - Text after the trigger.
+ * @returns {object}
+ */
+const reactionItem = (name, trigger, effect = 'Effect...') => ({
+    id: name.toLowerCase().replace(/\s+/g, '-'),
+    name,
+    type: 'action',
+    system: { actionType: { value: 'reaction' }, description: { value: `<p><strong>Trigger</strong> ${trigger}</p><hr /><p>${effect}</p>` } }
+});
+
+test('classifyReactionTrigger knows the common reactions by name', () => {
+    assert.deepEqual(classifyReactionTrigger('Reactive Strike', ''), { triggers: ['move', 'manipulate', 'ranged'], rangeFeet: null });
+    assert.deepEqual(classifyReactionTrigger(' Attack of Opportunity ', ''), { triggers: ['move', 'manipulate', 'ranged'], rangeFeet: null });
+    assert.deepEqual(classifyReactionTrigger('Shield Block', ''), { triggers: ['attack'], rangeFeet: null });
+});
+
+test('classifyReactionTrigger reads other reactions from their trigger text', () => {
+    assert.deepEqual(
+        classifyReactionTrigger('Counterspell', 'A creature within 30 feet Casts a Spell you have prepared.'),
+        { triggers: ['spell'], rangeFeet: 30 }
+    );
+    assert.deepEqual(
+        classifyReactionTrigger('Ferocious Swipe', 'An enemy leaves a square adjacent to you or uses a concentrate action.').triggers,
+        ['move', 'concentrate']
+    );
+    assert.deepEqual(classifyReactionTrigger('Ferocity', 'You are reduced to 0 Hit Points.').triggers, []);
+    assert.deepEqual(classifyReactionTrigger(null, null), { triggers: [], rangeFeet: null });
+});
+
+test('extractActorReactions lists reactions with a recognised trigger', () => {
+    const ogre = makeActor({ name: 'Ogre Warrior' });
+    ogre.items = [
+        reactionItem('Reactive Strike', 'A creature within your reach uses a manipulate action or a move action.'),
+        reactionItem('Ferocity', 'You are reduced to 0 Hit Points.'),
+        { name: 'Power Attack', type: 'action', system: { actionType: { value: 'action' } } }
+    ];
+    assert.deepEqual(extractActorReactions(ogre), [{
+        name: 'Reactive Strike',
+        itemId: 'reactive-strike',
+        trigger: 'A creature within your reach uses a manipulate action or a move action.',
+        triggers: ['move', 'manipulate', 'ranged'],
+        rangeFeet: null,
+        description: 'Trigger A creature within your reach uses a manipulate action or a move action. Effect...',
+        isStrike: true,
+        acBonus: 0
+    }]);
+    assert.deepEqual(extractActorReactions(null), []);
+});
+
+test('extractActorReactions notes reactions that raise AC', () => {
+    const duelist = makeActor({ name: 'Duelist' });
+    duelist.items = [reactionItem('Nimble Dodge', 'A creature targets you with an attack.', 'You gain a +2 circumstance bonus to AC against the triggering attack.')];
+    const [nimbleDodge] = extractActorReactions(duelist);
+    assert.deepEqual(nimbleDodge.triggers, ['attack']);
+    assert.equal(nimbleDodge.acBonus, 2);
+    assert.equal(nimbleDodge.isStrike, false);
+});
+
+test('getActorMeleeReach takes the longest reach Strike', () => {
+    const ogre = makeActor();
+    ogre.system.actions = [
+        { type: 'strike', traits: [{ name: 'reach-10' }, { name: 'sweep' }] },
+        { type: 'strike', traits: ['agile'] }
+    ];
+    assert.equal(getActorMeleeReach(ogre), 10);
+    assert.equal(getActorMeleeReach(makeActor()), 5);
+});
+
+test('findProvokedReactions matches the action against reactions in range', () => {
+    const ogre = makeCombatantInfo(makeActor({ name: 'Ogre' }), {
+        tokenId: 'ogre',
+        distance: 10,
+        meleeReach: 10,
+        reactions: [{ name: 'Reactive Strike', triggers: ['move', 'manipulate', 'ranged'], rangeFeet: null }]
+    });
+    const guard = makeCombatantInfo(makeActor({ name: 'Guard' }), {
+        tokenId: 'guard',
+        distance: 5,
+        reactions: [{ name: 'Shield Block', triggers: ['attack'], rangeFeet: null }]
+    });
+    const enemies = [ogre, guard];
+
+    assert.deepEqual(findProvokedReactions({ isMove: true }, enemies), [{ enemyName: 'Ogre', enemyTokenId: 'ogre', reactionName: 'Reactive Strike', trigger: 'move' }]);
+    assert.deepEqual(findProvokedReactions({ isMove: true, isStep: true }, enemies), []);
+    assert.deepEqual(findProvokedReactions({ traits: ['Attack'], targetTokenId: 'guard' }, enemies).map(entry => entry.reactionName), ['Shield Block']);
+    assert.deepEqual(findProvokedReactions({ traits: ['attack'], isRangedAttack: true, targetTokenId: 'ogre' }, enemies).map(entry => entry.trigger), ['ranged']);
+
+    // Out of reach
+    const farOgre = { ...ogre, numericDistance: 15 };
+    assert.deepEqual(findProvokedReactions({ traits: ['manipulate'] }, [farOgre]), []);
+});
+
+test('describeProvokedReaction explains the trigger', () => {
+    assert.equal(
+        describeProvokedReaction({ enemyName: 'Ogre', reactionName: 'Reactive Strike', trigger: 'move' }),
+        'This would provoke Reactive Strike from Ogre: moving out of a square in its reach (Stride; Step is safe)'
+    );
+});
+
+test('isReactionSpent gives the reaction back at the start of the creature\'s own turn', () => {
+    // Used in round 2 on turn 3, before the creature's turn 4
+    const beforeOwnTurn = { round: 2, turn: 3 };
+    assert.equal(isReactionSpent(beforeOwnTurn, 2, 3, 4), true);
+    assert.equal(isReactionSpent(beforeOwnTurn, 2, 4, 4), false);
+    // Used in round 2 on turn 5, after its turn 1
+    const afterOwnTurn = { round: 2, turn: 5 };
+    assert.equal(isReactionSpent(afterOwnTurn, 3, 0, 1), true);
+    assert.equal(isReactionSpent(afterOwnTurn, 3, 1, 1), false);
+    assert.equal(isReactionSpent(null, 1, 0, 0), false);
+});
+
+test('recommendReaction only blocks with a raised shield that would hold', () => {
+    const shieldBlock = { name: 'Shield Block' };
+    const shield = { raised: true, broken: false, hardness: 5, hp: { value: 20 } };
+    assert.deepEqual(recommendReaction(shieldBlock, { kind: 'attack' }, { hpPercent: 80, shield }), { usable: true, use: true, reason: 'Shield absorbs up to 5 damage' });
+    assert.equal(recommendReaction(shieldBlock, { kind: 'attack' }, { hpPercent: 80, shield: { ...shield, raised: false } }).usable, false);
+    const battered = { ...shield, hp: { value: 4 } };
+    assert.equal(recommendReaction(shieldBlock, { kind: 'attack' }, { hpPercent: 80, shield: battered }).use, false);
+    // Worth losing the shield when the creature is close to going down
+    assert.equal(recommendReaction(shieldBlock, { kind: 'attack' }, { hpPercent: 20, shield: battered }).use, true);
+});
+
+test('recommendReaction uses an AC bonus only when it changes the outcome', () => {
+    const nimbleDodge = { name: 'Nimble Dodge', acBonus: 2 };
+    const reactor = { hpPercent: 100, shield: null };
+    assert.equal(recommendReaction(nimbleDodge, { kind: 'attack', outcome: 'success', attackTotal: 19, targetAC: 18 }, reactor).reason, '+2 AC turns the hit into a miss');
+    assert.equal(recommendReaction(nimbleDodge, { kind: 'attack', outcome: 'success', attackTotal: 20, targetAC: 18 }, reactor).use, false);
+    assert.equal(recommendReaction(nimbleDodge, { kind: 'attack', outcome: 'criticalSuccess', attackTotal: 29, targetAC: 18 }, reactor).reason, '+2 AC turns the critical hit into a hit');
+    assert.equal(recommendReaction(nimbleDodge, { kind: 'attack', outcome: 'criticalSuccess', attackTotal: 30, targetAC: 18 }, reactor).use, false);
+});
+
+test('recommendReaction takes a reactive Strike and notes disruption', () => {
+    const reactiveStrike = { name: 'Reactive Strike', isStrike: true, description: 'If your attack is a critical hit and the trigger was a manipulate action, you disrupt that action.' };
+    assert.equal(
+        recommendReaction(reactiveStrike, { kind: 'manipulate' }, { hpPercent: 100 }).reason,
+        'Free Strike with no multiple attack penalty; a critical hit disrupts the action'
+    );
+    assert.equal(recommendReaction(reactiveStrike, { kind: 'move' }, { hpPercent: 100 }).reason, 'Free Strike with no multiple attack penalty');
+});
+
+test('isAIControlledCombatant advises creatures no player owns', () => {
+    assert.equal(isAIControlledCombatant(makeCombatant(makeActor({ name: 'Goblin Warrior' }))), true);
+    assert.equal(isAIControlledCombatant(makeCombatant(makeActor({ name: 'Valeros', type: 'character' }))), false);
+    // A player's summon or companion stays with its player, whatever its designation
+    assert.equal(isAIControlledCombatant(makeCombatant(makeActor({ name: 'Wolf', hasPlayerOwner: true }))), false);
+    assert.equal(isAIControlledCombatant({ actor: null }), false);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeToken } from './helpers/builders.js';
+
+const { applySuggestionButtonTargets } = await loadMainModule();
+
+/**
+ * A canvas token whose setTarget updates the user's targets, as Foundry's does.
+ * @param {object} actor - From makeActor.
+ * @returns {object}
+ */
+function targetableToken(actor) {
+    const token = makeToken(actor);
+    token.setTarget = (targeted) => {
+        if (targeted) game.user.targets.add(token);
+        else game.user.targets.delete(token);
+    };
+    return token;
+}
+
+/**
+ * Puts tokens on the stubbed canvas and clears the user's targets.
+ * @param {object[]} tokens - From targetableToken.
+ */
+function placeTokens(tokens) {
+    canvas.tokens.get = id => tokens.find(token => token.id === id) ?? null;
+    game.user.targets = new Set();
+}
+
+/**
+ * A suggestion button carrying the data attributes the suggestion card writes.
+ * @param {object[]} tokens - Suggested targets.
+ * @param {boolean} [targetsArea=false]
+ * @returns {object} Enough of a jQuery element for attr().
+ */
+function suggestionButton(tokens, targetsArea = false) {
+    const attributes = { 'data-target-token-ids': tokens.map(token => token.id).join(','), 'data-targets-area': String(targetsArea) };
+    return { attr: name => attributes[name] };
+}
+
+const names = () => [...game.user.targets].map(token => token.name);
+
+test('applySuggestionButtonTargets targets the first suggested token for a Strike', async () => {
+    const valeros = targetableToken(makeActor({ name: 'Valeros', type: 'character' }));
+    const kyra = targetableToken(makeActor({ name: 'Kyra', type: 'character' }));
+    placeTokens([valeros, kyra]);
+    game.user.targets.add(kyra);
+    assert.equal(await applySuggestionButtonTargets(suggestionButton([valeros, kyra]), { singleTarget: true }), true);
+    assert.deepEqual(names(), ['Valeros']);
+});
+
+test('applySuggestionButtonTargets skips defeated creatures and unknown tokens', async () => {
+    const valeros = targetableToken(makeActor({ name: 'Valeros', type: 'character' }));
+    const fallen = targetableToken(makeActor({ name: 'Kyra', type: 'character', hp: { value: 0, max: 32 } }));
+    placeTokens([valeros, fallen]);
+    const button = { attr: name => ({ 'data-target-token-ids': `${fallen.id},missing,${valeros.id}` })[name] };
+    assert.equal(await applySuggestionButtonTargets(button), true);
+    assert.deepEqual(names(), ['Valeros']);
+});
+
+test('applySuggestionButtonTargets asks for the area\'s targets when one creature was suggested', async () => {
+    const valeros = targetableToken(makeActor({ name: 'Valeros', type: 'character' }));
+    const kyra = targetableToken(makeActor({ name: 'Kyra', type: 'character' }));
+    placeTokens([valeros, kyra]);
+    const prompts = [];
+    const confirm = Dialog.confirm;
+    Dialog.confirm = async (options) => { prompts.push(options); return false; };
+    try {
+        assert.equal(await applySuggestionButtonTargets(suggestionButton([valeros], true), { actionName: 'Fireball' }), false);
+        assert.equal(prompts.length, 1);
+        assert.equal(prompts[0].title, 'Targets for Fireball');
+        assert.match(prompts[0].content, /Suggested targets:<\/strong> Valeros/);
+
+        // Several suggested creatures are already the area's targets
+        assert.equal(await applySuggestionButtonTargets(suggestionButton([valeros, kyra], true)), true);
+        assert.equal(prompts.length, 1);
+        assert.deepEqual(names(), ['Valeros', 'Kyra']);
+    } finally {
+        Dialog.confirm = confirm;
+    }
+});
+
+test('applySuggestionButtonTargets uses the suggested targets without asking under Autopilot', async () => {
+    const valeros = targetableToken(makeActor({ name: 'Valeros', type: 'character' }));
+    placeTokens([valeros]);
+    const confirm = Dialog.confirm;
+    Dialog.confirm = async () => assert.fail('Autopilot must not wait for the GM');
+    try {
+        assert.equal(await applySuggestionButtonTargets(suggestionButton([valeros], true), { actionName: 'Fireball', isAutopilot: true }), true);
+        assert.deepEqual(names(), ['Valeros']);
+    } finally {
+        Dialog.confirm = confirm;
+    }
+});
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, callHook, MODULE_ID } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatant, makeCombat, makeCombatantInfo, makeStrike, makeSelfInfo, makeGameState } from './helpers/builders.js';
+
+const {
+    scoreStrikesForSituation, assessEnemyThreat, calculateMorale, applyMoraleOverride, describeMorale, getMoraleDirectiveForPrompt,
+    detectBehaviorProfile, BEHAVIOR_PROFILES, getBehaviorProfileForPrompt,
+    getKnownEnemyFacts, recordRecallKnowledge, describeUnidentifiedEnemy, getRecallKnowledgeCheck
+} = await loadMainModule();
+
+const valeros = makeActor({ name: 'Valeros', type: 'character', ac: 18 });
+const shortsword = makeStrike();
+const dogslicer = makeStrike({ name: 'Dogslicer', bonus: 8, damage: '1d6+2 slashing', traits: ['agile', 'backstabber'] });
+
+test('scoreStrikesForSituation ranks Strikes by hit chance and damage against the target\'s AC', () => {
+    const scored = scoreStrikesForSituation([shortsword, dogslicer], makeCombatantInfo(valeros), 0);
+    assert.deepEqual(scored.map(entry => entry.strike.name), ['Dogslicer', 'Shortsword']);
+    assert.equal(scored[0].hitChance, 55);
+    assert.equal(scored[1].avgDamage, 6.5);
+    assert.equal(scored[1].reasoning, '50% hit chance, ~6.5 avg damage');
+});
+
+test('scoreStrikesForSituation falls back to the estimated AC of an unidentified target', () => {
+    const unidentified = makeCombatantInfo(valeros, { ac: null, estimatedAC: 16 });
+    const [best] = scoreStrikesForSituation([dogslicer], unidentified, 0);
+    assert.equal(best.hitChance, 65);
+    assert.match(best.reasoning, /AC not identified, estimated/);
+});
+
+test('scoreStrikesForSituation marks a Strike that cannot reach the target', () => {
+    const farAway = makeCombatantInfo(valeros, { distance: 30 });
+    const [scored] = scoreStrikesForSituation([shortsword], farAway, 0);
+    assert.equal(scored.canReach, false);
+    assert.match(scored.reasoning, /OUT OF RANGE/);
+});
+
+test('assessEnemyThreat rates an adjacent enemy', () => {
+    const goblin = makeActor();
+    const enemy = makeCombatantInfo(valeros);
+    const self = makeSelfInfo(goblin, { strikes: [shortsword] });
+    const threat = assessEnemyThreat(enemy, self, [], makeGameState(self, { enemies: [enemy] }));
+    assert.equal(threat.enemyName, 'Valeros');
+    assert.equal(threat.level, 'MEDIUM');
+    assert.ok(threat.reasons.includes('Adjacent (melee range)'));
+});
+
+test('calculateMorale breaks a wounded creature whose leader fell', () => {
+    const morale = calculateMorale(makeActor(), { hpPercent: 20, fallenAllies: [{ name: 'Boss', level: 3 }], allyLevels: [1], partyLevel: 1, engagedEnemies: 1 });
+    assert.equal(morale.state, 'broken');
+    // Engaged and able to talk, so it gives up rather than running
+    assert.equal(morale.behavior, 'surrender');
+    assert.deepEqual(morale.reasons, ['HP 20%', '1 ally fallen', 'leader Boss fallen']);
+    assert.match(describeMorale(morale), /Broken/);
+});
+
+test('calculateMorale keeps mindless creatures steady and lets undead fight on', () => {
+    const mindless = calculateMorale(makeActor({ traits: ['mindless'] }), { hpPercent: 5 });
+    assert.equal(mindless.state, 'steady');
+    assert.equal(mindless.fearless, true);
+
+    const fallenAllies = ['A', 'B', 'C', 'D'].map(name => ({ name, level: 1 }));
+    const undead = calculateMorale(makeActor({ traits: ['undead'] }), { hpPercent: 1, fallenAllies });
+    assert.equal(undead.state, 'broken');
+    assert.equal(undead.behavior, 'desperate');
+});
+
+test('calculateMorale sends broken animals running unless they are cornered', () => {
+    const wolf = makeActor({ name: 'Wolf', traits: ['animal'] });
+    const packFallen = [{ name: 'Wolf', level: 1 }, { name: 'Wolf', level: 1 }];
+    assert.equal(calculateMorale(wolf, { hpPercent: 10, fallenAllies: packFallen, engagedEnemies: 1 }).behavior, 'retreat');
+    assert.equal(calculateMorale(wolf, { hpPercent: 10, fallenAllies: packFallen, engagedEnemies: 2 }).behavior, 'desperate');
+});
+
+test('applyMoraleOverride replaces the calculated state with the GM\'s choice', () => {
+    const morale = calculateMorale(makeActor(), { hpPercent: 100 });
+    assert.equal(applyMoraleOverride(morale, 'auto').overridden, false);
+    assert.deepEqual(
+        (({ state, behavior, overridden }) => ({ state, behavior, overridden }))(applyMoraleOverride(morale, 'retreat')),
+        { state: 'broken', behavior: 'retreat', overridden: true }
+    );
+    assert.equal(applyMoraleOverride(morale, 'shaken').behavior, null);
+    assert.equal(applyMoraleOverride(morale, 'nonsense').overridden, false);
+});
+
+test('getMoraleDirectiveForPrompt steers a shaken or broken creature', () => {
+    assert.equal(getMoraleDirectiveForPrompt(calculateMorale(makeActor(), { hpPercent: 100 })), '');
+    assert.equal(getMoraleDirectiveForPrompt(null), '');
+    const fleeing = applyMoraleOverride(calculateMorale(makeActor(), { hpPercent: 100 }), 'retreat');
+    assert.match(getMoraleDirectiveForPrompt(fleeing), /^\*\*MORALE BROKEN: RETREAT\*\* \(set by the GM\)/);
+    const shaken = calculateMorale(makeActor(), { hpPercent: 10 });
+    assert.equal(shaken.state, 'shaken');
+    assert.match(getMoraleDirectiveForPrompt(shaken), /^\*\*MORALE: SHAKEN\*\* \(HP 10%\)/);
+});
+
+test('NPC morale and behavior profiles are off by default', () => {
+    assert.equal(game.settings.settings.get(`${MODULE_ID}.enableMoraleSystem`).default, false);
+    assert.equal(game.settings.settings.get(`${MODULE_ID}.enableBehaviorProfiles`).default, false);
+});
+
+test('a combatant removed mid-fight without a designation counts as a fallen enemy', async () => {
+    const goblin = makeCombatant(makeActor({ name: 'Goblin Warrior', level: 2 }));
+    const combat = makeCombat([goblin]);
+    goblin.combat = combat;
+    await callHook('deleteCombatant', goblin, {}, game.user.id);
+    assert.deepEqual(combat.getFlag(MODULE_ID, 'morale').fallen, [{ combatantId: goblin.id, name: 'Goblin Warrior', side: 'enemy', level: 2 }]);
+});
+
+test('detectBehaviorProfile reads traits and Intelligence', () => {
+    assert.equal(detectBehaviorProfile(makeActor({ traits: ['undead', 'mindless'] })), 'mindless');
+    assert.equal(detectBehaviorProfile(makeActor({ traits: ['dragon'], int: 4 })), 'dragon');
+    assert.equal(detectBehaviorProfile(makeActor({ int: 4 })), 'mastermind');
+    assert.equal(detectBehaviorProfile(makeActor({ traits: ['construct'] })), 'construct');
+    assert.equal(detectBehaviorProfile(makeActor({ traits: ['animal'] })), 'bestial');
+    assert.equal(detectBehaviorProfile(makeActor({ traits: ['undead'] })), 'undead');
+    assert.equal(detectBehaviorProfile(makeActor()), 'soldier');
+    for (const key of ['mindless', 'dragon', 'mastermind', 'bestial', 'undead', 'soldier', 'construct']) {
+        assert.ok(BEHAVIOR_PROFILES[key], `missing profile ${key}`);
+    }
+});
+
+test('BEHAVIOR_PROFILES limit which enemy stats a creature can judge', () => {
+    assert.deepEqual(BEHAVIOR_PROFILES.mindless.enemyFacts, []);
+    assert.equal(BEHAVIOR_PROFILES.mindless.plansAreas, false);
+    assert.equal(BEHAVIOR_PROFILES.bestial.plansAreas, false);
+    assert.deepEqual(BEHAVIOR_PROFILES.dragon.enemyFacts, ['ac', 'saves', 'abilities']);
+    assert.deepEqual(BEHAVIOR_PROFILES.mastermind.enemyFacts, BEHAVIOR_PROFILES.soldier.enemyFacts);
+    assert.ok(BEHAVIOR_PROFILES.mastermind.enemyFacts.includes('defenses'));
+});
+
+test('getBehaviorProfileForPrompt lists how the profile plays', () => {
+    const section = getBehaviorProfileForPrompt({ key: 'mindless', overridden: true, ...BEHAVIOR_PROFILES.mindless });
+    assert.match(section, /^\*\*BEHAVIOR PROFILE: MINDLESS\*\* \(set by the GM\)/);
+    assert.match(section, /- Never retreats$/);
+    assert.equal(getBehaviorProfileForPrompt(null), '');
+});
+
+test('getKnownEnemyFacts reads the ledger entry of the enemy\'s actor', () => {
+    const goblin = makeActor();
+    const ledger = { [goblin.id]: { name: goblin.name, known: ['defenses', 'saves', 'rumours'], recalledBy: ['Ezren'] } };
+    assert.deepEqual(getKnownEnemyFacts(ledger, goblin), ['defenses', 'saves']);
+    assert.deepEqual(getKnownEnemyFacts(ledger, makeActor()), []);
+    assert.deepEqual(getKnownEnemyFacts(null, goblin), []);
+});
+
+test('recordRecallKnowledge reveals facts in order and keeps concurrent checks', async () => {
+    const goblin = makeActor();
+    const combat = makeCombat([makeCombatant(goblin)]);
+    const revealed = await Promise.all([
+        recordRecallKnowledge(combat, goblin, 'success', 'Ezren'),
+        recordRecallKnowledge(combat, goblin, 'criticalSuccess', 'Merisiel')
+    ]);
+    assert.deepEqual(revealed, [['defenses'], ['saves', 'ac']]);
+    const ledger = combat.getFlag('pf2e-ai-combat-assistant', 'knowledgeLedger');
+    assert.deepEqual(getKnownEnemyFacts(ledger, goblin), ['defenses', 'saves', 'ac']);
+    assert.deepEqual(ledger[goblin.id].recalledBy, ['Ezren', 'Merisiel']);
+});
+
+test('getRecallKnowledgeCheck picks the recaller\'s best trained skill for the creature', () => {
+    const ogre = makeActor({ name: 'Ogre Warrior', level: 3, rarity: 'uncommon', traits: ['giant', 'humanoid'] });
+    const ezren = makeActor({ name: 'Ezren', type: 'character', skills: { society: 9, arcana: 12 } });
+    ezren.skills.arcana.rank = 0;
+    // Level 3 is DC 18, +2 for uncommon; +9 succeeds on 11 or higher
+    assert.deepEqual(getRecallKnowledgeCheck(ogre, ezren), { skills: ['society'], dc: 20, skill: 'society', modifier: 9, successChance: 50 });
+    assert.deepEqual(getRecallKnowledgeCheck(ogre, makeActor()), { skills: ['society'], dc: 20, skill: null, modifier: null, successChance: null });
+    assert.equal(getRecallKnowledgeCheck(makeActor(), ezren), null);
+});
+
+test('describeUnidentifiedEnemy hints at armor and the best save', () => {
+    const knight = makeActor({ level: 2, ac: 21, saves: { fortitude: 10, reflex: 4, will: 6 } });
+    assert.deepEqual(describeUnidentifiedEnemy(knight, []), ['looks heavily armored', 'looks sturdy']);
+    assert.deepEqual(describeUnidentifiedEnemy(knight, ['ac', 'saves']), []);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule } from './helpers/foundry-stubs.js';
+import { makeActor, makeCombatant, makeCombat } from './helpers/builders.js';
+
+const { parseTurnFlowSuggestion, classifyReadiedTrigger, calculateDelayInitiative, applyDelayInitiative, findReadiedStrike } = await loadMainModule();
+
+test('parseTurnFlowSuggestion reads who a Delay waits for', () => {
+    assert.deepEqual(parseTurnFlowSuggestion('Delay', 'Grunk [ID: tok1]'), { type: 'delay', afterTokenId: 'tok1', afterName: 'Grunk' });
+    assert.deepEqual(parseTurnFlowSuggestion('Delay until after Grunk [ID: tok1]', 'None'), { type: 'delay', afterTokenId: 'tok1', afterName: 'Grunk' });
+    assert.deepEqual(parseTurnFlowSuggestion('Delay', 'Self'), { type: 'delay', afterTokenId: null, afterName: null });
+});
+
+test('parseTurnFlowSuggestion splits a Ready into action and trigger', () => {
+    assert.deepEqual(
+        parseTurnFlowSuggestion('Ready: Strike (Longspear) when an enemy comes within reach.', null),
+        { type: 'ready', action: 'Strike (Longspear)', trigger: 'an enemy comes within reach' }
+    );
+    assert.deepEqual(parseTurnFlowSuggestion('Ready Strike', null), { type: 'ready', action: 'Strike', trigger: '' });
+    assert.equal(parseTurnFlowSuggestion('Strike (Longspear)', 'Valeros'), null);
+    assert.equal(parseTurnFlowSuggestion('Already flanking, Stride', null), null);
+});
+
+test('classifyReadiedTrigger watches for approaching creatures and reaction triggers', () => {
+    assert.deepEqual(classifyReadiedTrigger('an enemy comes within reach'), { kinds: ['approach'], rangeFeet: null });
+    assert.deepEqual(classifyReadiedTrigger('a creature within 30 feet casts a spell'), { kinds: ['spell'], rangeFeet: 30 });
+    assert.deepEqual(classifyReadiedTrigger('the door opens'), { kinds: [], rangeFeet: null });
+});
+
+test('calculateDelayInitiative slots the delayer right after the chosen creature', () => {
+    assert.equal(calculateDelayInitiative(20, 14), 17);
+    assert.equal(calculateDelayInitiative(20, null), 19);
+    assert.equal(calculateDelayInitiative(20, 20), 19.99);
+});
+
+test('applyDelayInitiative passes the turn to the next creature in the re-sorted order', async () => {
+    const [goblin, valeros, kyra] = [
+        makeCombatant(makeActor(), undefined, { initiative: 20 }),
+        makeCombatant(makeActor({ name: 'Valeros', type: 'character' }), undefined, { initiative: 15 }),
+        makeCombatant(makeActor({ name: 'Kyra', type: 'character' }), undefined, { initiative: 10 })
+    ];
+    const combat = makeCombat([goblin, valeros, kyra]);
+    const turnUpdates = [];
+    combat.setInitiative = async (id, initiative) => {
+        combat.combatants.get(id).initiative = initiative;
+        combat.turns.sort((a, b) => b.initiative - a.initiative);
+    };
+    combat.update = async (data, options) => { turnUpdates.push({ ...data, ...options }); };
+
+    await applyDelayInitiative(combat, goblin.id, valeros.id, calculateDelayInitiative(15, 10));
+    assert.deepEqual(combat.turns.map(turn => turn.name), ['Valeros', 'Goblin Warrior', 'Kyra']);
+    assert.deepEqual(turnUpdates, [{ turn: 0, diff: false }]);
+
+    // An order that didn't re-sort is reported instead of handing the turn to the wrong creature
+    goblin.initiative = 20;
+    const stuck = makeCombat([goblin, valeros, kyra]);
+    stuck.setInitiative = async () => { };
+    stuck.update = combat.update;
+    await assert.rejects(applyDelayInitiative(stuck, goblin.id, valeros.id, 12.5), /did not update/);
+    assert.equal(turnUpdates.length, 1);
+});
+
+test('findReadiedStrike picks the named Strike or the best ready one', () => {
+    const guard = makeActor({ name: 'Guard' });
+    const strike = (label, bonus, ready = true) => ({ type: 'strike', label, ready, variants: [{ bonus }] });
+    guard.system.actions = [strike('Dagger', 9), strike('Longspear', 11), strike('Crossbow', 14, false)];
+    assert.equal(findReadiedStrike(guard, 'Strike (Dagger)').label, 'Dagger');
+    assert.equal(findReadiedStrike(guard, 'Strike').label, 'Longspear');
+    assert.equal(findReadiedStrike(guard, 'Raise a Shield'), null);
+    assert.equal(findReadiedStrike(null, 'Strike'), null);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMainModule, MODULE_ID } from './helpers/foundry-stubs.js';
+import { makeActor, makeToken, makeCombatant, makeCombat, makeTurnState } from './helpers/builders.js';
+
+const { updateTurnState, isMessageAfter, handleChatMessage } = await loadMainModule();
+
+/**
+ * A PF2e roll message.
+ * @param {object} speaker - The speaking combatant.
+ * @param {object} context - flags.pf2e.context, e.g. { type: 'attack-roll', outcome: 'success' }.
+ * @param {object|null} [originActor=null] - The actor whose item made the roll.
+ * @returns {object}
+ */
+function rollMessage(speaker, context, originActor = null) {
+    return {
+        id: `message${Math.random().toString(36).slice(2, 10)}`,
+        speaker: { actor: speaker.actorId, token: speaker.tokenId },
+        flags: { pf2e: { context, origin: originActor ? { actor: originActor.uuid, uuid: `${originActor.uuid}.Item.item1` } : null } },
+        rolls: [{ total: 9 }],
+        getFlag: () => undefined
+    };
+}
+
+test('updateTurnState runs queued updates in order on the latest flag', async () => {
+    const goblin = makeActor({ flags: { turnState: makeTurnState({ actionsRemaining: 3, interimResults: [] }) } });
+    let releaseConfirm;
+    const confirming = new Promise(resolve => { releaseConfirm = resolve; });
+
+    // A confirm that is still identifying its action when a roll result arrives
+    const confirm = updateTurnState(goblin, async (turnState) => {
+        await confirming;
+        return { ...turnState, actionsRemaining: turnState.actionsRemaining - 1 };
+    });
+    const storeResult = updateTurnState(goblin, (turnState) => ({
+        ...turnState,
+        interimResults: [...turnState.interimResults, { messageId: 'roll1', isOwnAction: true, recorded: false }]
+    }));
+    releaseConfirm();
+    await Promise.all([confirm, storeResult]);
+
+    const turnState = goblin.getFlag(MODULE_ID, 'turnState');
+    assert.equal(turnState.actionsRemaining, 2);
+    assert.deepEqual(turnState.interimResults.map(result => result.messageId), ['roll1']);
+});
+
+test('updateTurnState leaves the flag alone when there is none or the update returns null', async () => {
+    const goblin = makeActor();
+    assert.equal(await updateTurnState(goblin, () => makeTurnState()), null);
+    assert.equal(goblin.getFlag(MODULE_ID, 'turnState'), undefined);
+
+    const pyro = makeActor({ flags: { turnState: makeTurnState({ actionsRemaining: 2 }) } });
+    assert.equal(await updateTurnState(pyro, () => null), null);
+    assert.equal(pyro.getFlag(MODULE_ID, 'turnState').actionsRemaining, 2);
+});
+
+test('updateTurnState keeps going after a failed update', async () => {
+    const goblin = makeActor({ flags: { turnState: makeTurnState({ actionsRemaining: 3 }) } });
+    const failed = updateTurnState(goblin, () => { throw new Error('boom'); });
+    const next = updateTurnState(goblin, (turnState) => ({ ...turnState, actionsRemaining: 1 }));
+    await assert.rejects(failed, /boom/);
+    assert.equal((await next).actionsRemaining, 1);
+});
+
+test('updateTurnState can replace the flag, dropping keys the new state leaves out', async () => {
+    const goblin = makeActor({ flags: { turnState: makeTurnState({ actionsRemaining: 1, manualNotes: 'Stay back' }) } });
+    const snapshot = makeTurnState({ actionsRemaining: 3 });
+    delete snapshot.manualNotes;
+
+    // A result stored just before the undo is written first, then replaced
+    const storeResult = updateTurnState(goblin, (turnState) => ({ ...turnState, interimResults: [{ messageId: 'roll1' }] }));
+    const restore = updateTurnState(goblin, () => snapshot, { replace: true });
+    await Promise.all([storeResult, restore]);
+    assert.deepEqual(goblin.getFlag(MODULE_ID, 'turnState'), snapshot);
+
+    // A finished turn has no turn state left; replacing reopens it
+    const pyro = makeActor();
+    const received = [];
+    await updateTurnState(pyro, (turnState) => { received.push(turnState); return snapshot; }, { replace: true });
+    assert.deepEqual(received, [null]);
+    assert.deepEqual(pyro.getFlag(MODULE_ID, 'turnState'), snapshot);
+});
+
+test('isMessageAfter orders messages by the chat log, not their timestamps', () => {
+    const [card, roll] = [{ id: 'card', timestamp: 2000 }, { id: 'roll', timestamp: 1000 }]; // The roller's clock runs behind
+    game.messages.set(card.id, card).set(roll.id, roll);
+    assert.equal(isMessageAfter(roll, 'card'), true);
+    assert.equal(isMessageAfter(card, 'roll'), false);
+    assert.equal(isMessageAfter(roll, null), true);
+    assert.equal(isMessageAfter(roll, 'deleted'), true);
+    game.messages.clear();
+});
+
+test('handleChatMessage credits a roll to the creature whose item made it', async () => {
+    const goblin = makeActor({ flags: { isProcessing: true, turnState: makeTurnState({ interimResults: [] }) } });
+    const valeros = makeActor({ name: 'Valeros', type: 'character' });
+    const goblinTurn = makeCombatant(goblin, makeToken(goblin), { initiative: 20 });
+    const valerosTurn = makeCombatant(valeros);
+    game.combat = makeCombat([goblinTurn, valerosTurn], { designations: { [goblinTurn.id]: 'enemy' } });
+
+    // The GM rolls Valeros's longsword with the goblin's token still selected as speaker
+    await handleChatMessage(rollMessage(goblinTurn, { type: 'attack-roll', outcome: 'success' }, valeros), {}, game.user.id);
+    assert.deepEqual(goblin.getFlag(MODULE_ID, 'turnState').interimResults, []);
+
+    await handleChatMessage(rollMessage(goblinTurn, { type: 'attack-roll', outcome: 'success' }, goblin), {}, game.user.id);
+    // Valeros saves against the goblin's spell: his roll, the goblin's result
+    await handleChatMessage(rollMessage(valerosTurn, { type: 'saving-throw', outcome: 'failure', statistic: 'reflex', origin: { actor: goblin.uuid } }, goblin), {}, game.user.id);
+    const results = goblin.getFlag(MODULE_ID, 'turnState').interimResults;
+    assert.deepEqual(results.map(({ type, outcome, isOwnAction }) => `${type}:${outcome}:${isOwnAction}`), ['attack-roll:success:true', 'saving-throw:failure:true']);
+    game.combat = null;
+});